@@ -1,3 +1,7 @@
+import { JobTracker, JOB_RUNNING } from './lib/job-tracker.js';
+
+const jobTracker = new JobTracker();
+
 // Open side panel and inject ZStack detection when clicking the extension icon
 chrome.action.onClicked.addListener(async (tab) => {
   chrome.sidePanel.open({ tabId: tab.id });
@@ -44,3 +48,34 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     return true;
   }
 });
+
+// ========== 后台异步任务跟踪 ==========
+// 侧边栏登记的长时间任务（迁移、镜像导入等）由这里定时轮询，侧边栏关闭后仍能拿到最终结果
+
+async function ensureJobAlarm() {
+  const jobs = await jobTracker.list();
+  const hasRunning = jobs.some(j => j.status === JOB_RUNNING);
+  const alarm = await chrome.alarms.get(JobTracker.ALARM_NAME);
+  if (hasRunning && !alarm) {
+    chrome.alarms.create(JobTracker.ALARM_NAME, { periodInMinutes: 0.5 });
+  } else if (!hasRunning && alarm) {
+    chrome.alarms.clear(JobTracker.ALARM_NAME);
+  }
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== JobTracker.ALARM_NAME) return;
+  const running = await jobTracker.pollRunning();
+  if (running === 0) chrome.alarms.clear(JobTracker.ALARM_NAME);
+});
+
+// 侧边栏关闭时交出仍被后台任务使用的会话，任务结束后删除
+chrome.runtime.onMessage.addListener((msg) => {
+  if (msg.type === 'RELEASE_ZSTACK_SESSIONS') jobTracker.releaseSessions(msg.endpoint, msg.sessionIds);
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[JobTracker.STORAGE_KEY]) ensureJobAlarm();
+});
+
+chrome.runtime.onStartup.addListener(ensureJobAlarm);
@@ -0,0 +1,155 @@
+// Audit Log — 助手对云平台操作的审计记录
+// 每次访问云平台的工具调用（含工作流步骤）追加一条记录到 IndexedDB，只追加不修改，
+// 供变更评审时按环境、工具、结果筛选并导出 CSV/JSON
+
+export const AUDIT_SUCCESS = 'success';
+export const AUDIT_ERROR = 'error';
+export const AUDIT_RUNNING = 'running';
+
+export class AuditLog {
+  static DB_NAME = 'zstack-audit';
+  static DB_VERSION = 1;
+  static STORE = 'entries';
+  // 请求体中需要打码的字段
+  static SENSITIVE_KEY_PATTERN = /pass(word)?|secret|token|credential|private_?key|access_?key/i;
+  // 单条记录保存的请求体长度上限
+  static MAX_BODY_CHARS = 4000;
+  // 导出 CSV 的列
+  static CSV_COLUMNS = ['time', 'envName', 'endpoint', 'source', 'tool', 'operation', 'method', 'path', 'status', 'error', 'jobUuid', 'snapshots', 'durationMs', 'prompt', 'body'];
+
+  constructor(indexedDB = globalThis.indexedDB) {
+    this.indexedDB = indexedDB;
+    this._dbPromise = null;
+    // 当前环境，写入记录时附带
+    this.envName = null;
+    this.endpoint = null;
+  }
+
+  _open() {
+    if (!this._dbPromise) {
+      this._dbPromise = new Promise((resolve, reject) => {
+        const req = this.indexedDB.open(AuditLog.DB_NAME, AuditLog.DB_VERSION);
+        req.onupgradeneeded = () => {
+          const store = req.result.createObjectStore(AuditLog.STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('timestamp', 'timestamp');
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+      this._dbPromise.catch(() => { this._dbPromise = null; });
+    }
+    return this._dbPromise;
+  }
+
+  /**
+   * 追加一条审计记录；写入失败只打印警告，不影响工具调用本身
+   * @param {object} entry - { source, prompt, tool, operation, method, path, body, status, error, jobUuid, snapshots, durationMs }
+   *   source: chat | workflow | safeguard（变更前自动快照）
+   */
+  async append(entry) {
+    const record = {
+      timestamp: Date.now(),
+      envName: this.envName,
+      endpoint: this.endpoint,
+      ...entry,
+      body: AuditLog.sanitize(entry.body)
+    };
+    try {
+      const db = await this._open();
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction(AuditLog.STORE, 'readwrite');
+        tx.objectStore(AuditLog.STORE).add(record);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+      });
+    } catch (e) {
+      console.warn('Audit log write failed:', e);
+    }
+    return record;
+  }
+
+  /**
+   * 按条件查询记录，最新的在前
+   * @param {object} filter - { envName, tool, status, source, text, from, to, limit }
+   */
+  async query({ envName, tool, status, source, text, from, to, limit = 500 } = {}) {
+    const db = await this._open();
+    const keyword = text ? text.toLowerCase() : null;
+    const matches = (e) =>
+      (!envName || e.envName === envName)
+      && (!tool || e.tool === tool)
+      && (!status || e.status === status)
+      && (!source || e.source === source)
+      && (!from || e.timestamp >= from)
+      && (!to || e.timestamp <= to)
+      && (!keyword || [e.operation, e.path, e.prompt, e.error, e.jobUuid]
+        .some(v => v && String(v).toLowerCase().includes(keyword)));
+
+    return new Promise((resolve, reject) => {
+      const results = [];
+      const range = from || to
+        ? IDBKeyRange.bound(from || 0, to || Number.MAX_SAFE_INTEGER)
+        : null;
+      const req = db.transaction(AuditLog.STORE, 'readonly')
+        .objectStore(AuditLog.STORE).index('timestamp')
+        .openCursor(range, 'prev');
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor || results.length >= limit) return resolve(results);
+        if (matches(cursor.value)) results.push(cursor.value);
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  /**
+   * 由工具结果推断审计状态和任务 UUID
+   * @param {object} result - 工具返回值
+   * @param {ZStackClient} [client] - 用于查询异步 API 结果对应的任务 UUID
+   */
+  static outcome(result, client = null) {
+    const jobUuid = result?.jobUuid || client?.jobUuidOf(result) || null;
+    if (result?.error) {
+      return { status: AUDIT_ERROR, error: result.code ? `${result.code}: ${result.error}` : result.error, jobUuid };
+    }
+    if (result?.stillRunning) return { status: AUDIT_RUNNING, error: null, jobUuid };
+    return { status: AUDIT_SUCCESS, error: null, jobUuid };
+  }
+
+  /**
+   * 请求体脱敏：密码、密钥类字段打码，过长时截断
+   */
+  static sanitize(body) {
+    if (body === undefined || body === null) return null;
+    const mask = (value) => {
+      if (Array.isArray(value)) return value.map(mask);
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) =>
+          [k, AuditLog.SENSITIVE_KEY_PATTERN.test(k) && v !== null && v !== '' ? '******' : mask(v)]));
+      }
+      return value;
+    };
+    const masked = mask(body);
+    const text = JSON.stringify(masked);
+    return text.length > AuditLog.MAX_BODY_CHARS
+      ? text.slice(0, AuditLog.MAX_BODY_CHARS) + '...(已截断)'
+      : masked;
+  }
+
+  static toJSON(entries) {
+    return JSON.stringify(entries, null, 2);
+  }
+
+  static toCSV(entries) {
+    const cell = (v) => {
+      if (v === null || v === undefined) return '';
+      const s = typeof v === 'object' ? JSON.stringify(v) : String(v);
+      return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    const rows = entries.map(e => AuditLog.CSV_COLUMNS.map(col =>
+      cell(col === 'time' ? new Date(e.timestamp).toISOString() : e[col])).join(','));
+    // BOM 让 Excel 正确识别 UTF-8 中文
+    return '\uFEFF' + [AuditLog.CSV_COLUMNS.join(','), ...rows].join('\r\n');
+  }
+}
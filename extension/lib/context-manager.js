@@ -0,0 +1,177 @@
+// Context Manager — 按 token 预算组织发送给模型的历史消息
+// 历史按"轮"（一条用户消息及其后的助手回复、工具调用和工具结果）切分，只整轮折叠，
+// 保证工具调用和工具结果始终成对出现；较早的轮次交给 summarize 回调压缩成滚动的"对话记忆"，
+// 当前轮次仍超出预算时，从最早的工具结果开始截断内容（不删除消息）
+import { TextToolProtocol } from './text-tools.js';
+
+export class ContextManager {
+  // 触发折叠后，保留的历史降到预算的该比例以下，避免每次请求都重新摘要
+  static TARGET_RATIO = 0.6;
+  // 当前轮次超预算时，工具结果依次截断到的长度（字符）
+  static TRUNCATE_STEPS = [2000, 300];
+  // 交给摘要模型的单条内容长度上限（字符）
+  static TRANSCRIPT_ITEM_CHARS = { user: 2000, assistant: 2000, tool: 500 };
+  // 交给摘要模型的对话记录总长度上限（字符）
+  static MAX_TRANSCRIPT_CHARS = 40000;
+
+  /**
+   * @param {object} options
+   *   summarize(previousMemory, transcript, context) → Promise<string>，生成新的对话记忆；
+   *   context 为 prepare() 透传的调用方参数
+   */
+  constructor({ summarize = null } = {}) {
+    this.summarize = summarize;
+    // 较早对话的摘要
+    this.memory = '';
+    // this.messages 开头已折叠进 memory 的消息数
+    this.foldedCount = 0;
+  }
+
+  reset() {
+    this.memory = '';
+    this.foldedCount = 0;
+  }
+
+  // 粗略估算：中文约 2.5 字/token，其他约 3.5 字符/token
+  static estimateTokens(text) {
+    if (!text) return 0;
+    if (typeof text !== 'string') text = JSON.stringify(text) || '';
+    const chineseChars = (text.match(/[\u4e00-\u9fa5]/g) || []).length;
+    return Math.ceil(chineseChars / 2.5 + (text.length - chineseChars) / 3.5);
+  }
+
+  static estimateMessage(m) {
+    return 4 + ContextManager.estimateTokens(m.content)
+      + (m.tool_calls ? ContextManager.estimateTokens(JSON.stringify(m.tool_calls)) : 0);
+  }
+
+  // 真正的用户输入（区别于 Anthropic 格式中装着 tool_result 的 user 消息和文本协议的工具结果消息）
+  static _isUserTurn(m) {
+    return m.role === 'user' && !TextToolProtocol.isResultMessage(m)
+      && !(Array.isArray(m.content) && m.content.some(b => b.type === 'tool_result'));
+  }
+
+  /**
+   * 切分为轮次，返回每轮的起始下标
+   */
+  static turnStarts(messages, from = 0) {
+    const starts = [];
+    for (let i = from; i < messages.length; i++) {
+      if (i === from || ContextManager._isUserTurn(messages[i])) starts.push(i);
+    }
+    return starts;
+  }
+
+  /**
+   * 历史超出预算时，把较早的整轮对话摘要进对话记忆；最后一轮（当前轮次）始终保留原文
+   * @param {Array} messages - 完整历史
+   * @param {number} budget - 历史消息可用的 token 数
+   * @param {object} [context] - 透传给 summarize 回调
+   */
+  async prepare(messages, budget, context = {}) {
+    if (this.foldedCount > messages.length) this.reset();
+    const kept = messages.slice(this.foldedCount);
+    const total = kept.reduce((s, m) => s + ContextManager.estimateMessage(m), 0);
+    if (total <= budget) return;
+
+    const starts = ContextManager.turnStarts(messages, this.foldedCount);
+    const target = budget * ContextManager.TARGET_RATIO;
+    let remaining = total;
+    let foldTo = this.foldedCount;
+    for (let t = 1; t < starts.length && remaining > target; t++) {
+      remaining -= messages.slice(foldTo, starts[t]).reduce((s, m) => s + ContextManager.estimateMessage(m), 0);
+      foldTo = starts[t];
+    }
+    if (foldTo === this.foldedCount) return;
+
+    const transcript = ContextManager.transcript(messages.slice(this.foldedCount, foldTo));
+    let memory;
+    try {
+      memory = this.summarize ? await this.summarize(this.memory, transcript, context) : null;
+    } catch (e) {
+      if (e.name === 'AbortError') throw e;
+      console.warn('Context summarize failed:', e.message);
+    }
+    // 摘要失败时退化为截断的对话记录，仍然折叠，保证请求不超出上下文窗口
+    this.memory = (memory || [this.memory, transcript].filter(Boolean).join('\n')
+      .slice(-ContextManager.MAX_TRANSCRIPT_CHARS / 4)).trim();
+    this.foldedCount = foldTo;
+  }
+
+  /**
+   * 选出本次请求发送的历史：跳过已折叠的消息；仍超预算时从最早的工具结果开始截断
+   * @returns {Array} 新数组，不修改原消息
+   */
+  select(messages, budget) {
+    const kept = messages.slice(this.foldedCount);
+    let total = kept.reduce((s, m) => s + ContextManager.estimateMessage(m), 0);
+    if (total <= budget) return kept;
+
+    const out = [...kept];
+    for (const limit of ContextManager.TRUNCATE_STEPS) {
+      for (let i = 0; i < out.length && total > budget; i++) {
+        const clipped = ContextManager._clipToolResults(out[i], limit);
+        if (clipped === out[i]) continue;
+        total += ContextManager.estimateMessage(clipped) - ContextManager.estimateMessage(out[i]);
+        out[i] = clipped;
+      }
+      if (total <= budget) break;
+    }
+    return out;
+  }
+
+  // 截断工具结果内容（OpenAI 的 tool 消息 / Anthropic 的 tool_result 块 / 文本协议的结果消息），未变化时返回原对象
+  static _clipToolResults(m, limit) {
+    const clip = (text) => typeof text === 'string' && text.length > limit
+      ? `${text.slice(0, limit)}...[已截断，原文 ${text.length} 字符]`
+      : text;
+    if (m.role === 'tool' || TextToolProtocol.isResultMessage(m)) {
+      const content = clip(m.content);
+      return content === m.content ? m : { ...m, content };
+    }
+    if (m.role === 'user' && Array.isArray(m.content)) {
+      let changed = false;
+      const content = m.content.map(b => {
+        if (b.type !== 'tool_result') return b;
+        const c = clip(b.content);
+        if (c === b.content) return b;
+        changed = true;
+        return { ...b, content: c };
+      });
+      return changed ? { ...m, content } : m;
+    }
+    return m;
+  }
+
+  /**
+   * 把消息转成供摘要模型阅读的纯文本记录
+   */
+  static transcript(messages) {
+    const limits = ContextManager.TRANSCRIPT_ITEM_CHARS;
+    const clip = (text, limit) => {
+      const s = typeof text === 'string' ? text : JSON.stringify(text) || '';
+      return s.length > limit ? `${s.slice(0, limit)}...` : s;
+    };
+    const lines = [];
+    for (const m of messages) {
+      if (m.role === 'tool' || TextToolProtocol.isResultMessage(m)) {
+        lines.push(`工具结果: ${clip(m.content, limits.tool)}`);
+      } else if (typeof m.content === 'string' || m.content === null) {
+        if (m.content) lines.push(`${m.role === 'user' ? '用户' : '助手'}: ${clip(m.content, limits[m.role] || limits.assistant)}`);
+        for (const tc of m.tool_calls || []) {
+          lines.push(`工具调用: ${tc.function?.name}(${clip(tc.function?.arguments, limits.tool)})`);
+        }
+      } else if (Array.isArray(m.content)) {
+        for (const b of m.content) {
+          if (b.type === 'text' && b.text) lines.push(`${m.role === 'user' ? '用户' : '助手'}: ${clip(b.text, limits.assistant)}`);
+          else if (b.type === 'tool_use') lines.push(`工具调用: ${b.name}(${clip(b.input, limits.tool)})`);
+          else if (b.type === 'tool_result') lines.push(`工具结果: ${clip(b.content, limits.tool)}`);
+        }
+      }
+    }
+    const text = lines.join('\n');
+    return text.length > ContextManager.MAX_TRANSCRIPT_CHARS
+      ? '...（更早的内容已省略）\n' + text.slice(-ContextManager.MAX_TRANSCRIPT_CHARS)
+      : text;
+  }
+}
@@ -0,0 +1,259 @@
+// Job Tracker — 长时间异步任务登记
+// ZStackClient 收到 202 + location 时登记任务，持久化到 chrome.storage.local；
+// 侧边栏关闭后由 background.js 通过 chrome.alarms 继续轮询，直到得到最终成功/失败结果。
+// 轮询用的会话 ID 只放在 chrome.storage.session（仅在内存中，浏览器关闭即清除），不写入磁盘
+import { ZStackClient, ZStackError } from './zstack.js';
+
+export const JOB_RUNNING = 'running';
+export const JOB_SUCCEEDED = 'succeeded';
+export const JOB_FAILED = 'failed';
+export const JOB_LOST = 'lost';
+
+export class JobTracker {
+  static STORAGE_KEY = 'trackedJobs';
+  // chrome.storage.session 中 jobUuid → 会话 ID
+  static SESSION_KEY = 'trackedJobSessions';
+  // chrome.storage.session 中侧边栏已交出、等任务结束后删除的会话 [{ endpoint, sessionId }]
+  static RELEASED_KEY = 'releasedSessions';
+  // 侧边栏和 background 共用的 Web Lock 名称（两者同源，锁跨上下文生效）
+  static LOCK_NAME = 'zstack-tracked-jobs';
+  static ALARM_NAME = 'zstack-job-poll';
+  // 最多保留的任务条数（超出时丢弃最早的已结束任务）
+  static MAX_JOBS = 50;
+  // 超过该时长仍未结束的任务不再轮询，标记为 lost
+  static MAX_TRACK_MS = 24 * 60 * 60 * 1000;
+  // 保存的结果长度上限，避免撑爆 storage
+  static MAX_RESULT_CHARS = 20000;
+
+  constructor(storage = chrome.storage.local, sessionStorage = chrome.storage.session) {
+    this.storage = storage;
+    this.sessionStorage = sessionStorage;
+    // 当前环境名称，登记任务时附带，便于在任务列表中区分
+    this.envName = null;
+    // 本实例登记、尚未得到结果的任务；登记是异步写入，侧边栏关闭时据此判断是否还有任务需要会话
+    this.pending = new Set();
+    // 没有 Web Locks 时（测试环境）在本实例内串行
+    this._queue = Promise.resolve();
+  }
+
+  async list() {
+    const data = await this.storage.get(JobTracker.STORAGE_KEY);
+    return data[JobTracker.STORAGE_KEY] || [];
+  }
+
+  /**
+   * 在锁内读取、修改并写回任务列表，避免侧边栏和 background 同时写入时互相覆盖
+   * @param {function} fn - (jobs) => 新的任务列表；返回 null 时不写入
+   */
+  async _mutate(fn) {
+    const task = async () => {
+      const jobs = await fn(await this.list());
+      if (jobs) await this._save(jobs);
+      return jobs;
+    };
+    if (globalThis.navigator?.locks) return navigator.locks.request(JobTracker.LOCK_NAME, task);
+    const result = this._queue.then(task);
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  async _save(jobs) {
+    if (jobs.length > JobTracker.MAX_JOBS) {
+      const running = jobs.filter(j => j.status === JOB_RUNNING);
+      const finished = jobs.filter(j => j.status !== JOB_RUNNING);
+      const keep = JobTracker.MAX_JOBS - running.length;
+      jobs = [...running, ...(keep > 0 ? finished.slice(-keep) : [])]
+        .sort((a, b) => a.createdAt - b.createdAt);
+    }
+    // 旧版本登记的任务带有会话 ID，写回时一并去掉
+    jobs = jobs.map(({ sessionId: _, ...job }) => job);
+    await this.storage.set({ [JobTracker.STORAGE_KEY]: jobs });
+    await this._pruneSessions(jobs);
+  }
+
+  async _update(jobUuid, patch) {
+    let updated = null;
+    await this._mutate(jobs => {
+      const job = jobs.find(j => j.jobUuid === jobUuid);
+      if (!job) return null;
+      updated = Object.assign(job, patch);
+      return jobs;
+    });
+    return updated;
+  }
+
+  async _sessions() {
+    const data = await this.sessionStorage.get(JobTracker.SESSION_KEY);
+    return data[JobTracker.SESSION_KEY] || {};
+  }
+
+  // 只保留运行中任务的会话 ID，并删除已交出且不再被使用的会话
+  async _pruneSessions(jobs) {
+    const sessions = await this._sessions();
+    const running = new Set(jobs.filter(j => j.status === JOB_RUNNING).map(j => j.jobUuid));
+    const kept = Object.fromEntries(Object.entries(sessions).filter(([jobUuid]) => running.has(jobUuid)));
+    if (Object.keys(kept).length !== Object.keys(sessions).length) {
+      await this.sessionStorage.set({ [JobTracker.SESSION_KEY]: kept });
+    }
+    await this._deleteReleased(new Set(Object.values(kept)));
+  }
+
+  /**
+   * 接管侧边栏注销或切换环境时交出的会话：没有运行中任务使用的立即删除，
+   * 其余的在使用它的任务全部结束后删除（任务结束时写回列表会触发 _pruneSessions）
+   * @param {string} endpoint
+   * @param {string[]} sessionIds
+   */
+  async releaseSessions(endpoint, sessionIds) {
+    if (!endpoint || !sessionIds?.length) return;
+    await this._mutate(async jobs => {
+      const data = await this.sessionStorage.get(JobTracker.RELEASED_KEY);
+      const released = data[JobTracker.RELEASED_KEY] || [];
+      await this.sessionStorage.set({
+        [JobTracker.RELEASED_KEY]: [...released, ...sessionIds.map(sessionId => ({ endpoint, sessionId }))]
+      });
+      const sessions = await this._sessions();
+      const running = jobs.filter(j => j.status === JOB_RUNNING).map(j => sessions[j.jobUuid]);
+      await this._deleteReleased(new Set(running.filter(Boolean)));
+      return null;
+    });
+  }
+
+  async _deleteReleased(inUse) {
+    const data = await this.sessionStorage.get(JobTracker.RELEASED_KEY);
+    const released = data[JobTracker.RELEASED_KEY] || [];
+    const done = released.filter(r => !inUse.has(r.sessionId));
+    if (!done.length) return;
+    await this.sessionStorage.set({ [JobTracker.RELEASED_KEY]: released.filter(r => inUse.has(r.sessionId)) });
+    await Promise.all(done.map(({ endpoint, sessionId }) => {
+      const client = new ZStackClient();
+      client.configure(endpoint);
+      return client._deleteSession(sessionId);
+    }));
+  }
+
+  /**
+   * 登记一个异步任务
+   * @param {object} job - { jobUuid, jobPath, endpoint, sessionId, path, envName }
+   */
+  async record({ jobUuid, jobPath, endpoint, sessionId, path = null, envName = this.envName }) {
+    if (!jobUuid) return;
+    this.pending.add(jobUuid);
+    await this._mutate(async jobs => {
+      if (jobs.some(j => j.jobUuid === jobUuid)) return null;
+      if (sessionId) {
+        const sessions = await this._sessions();
+        await this.sessionStorage.set({ [JobTracker.SESSION_KEY]: { ...sessions, [jobUuid]: sessionId } });
+      }
+      return [...jobs, {
+        jobUuid, jobPath, endpoint, path, envName,
+        status: JOB_RUNNING,
+        createdAt: Date.now(),
+        finishedAt: null,
+        result: null,
+        error: null,
+        injected: false
+      }];
+    });
+  }
+
+  /**
+   * 记录任务最终结果
+   * @param {string} jobUuid
+   * @param {object} outcome - { status, result, error }
+   */
+  async finish(jobUuid, { status, result = null, error = null }) {
+    this.pending.delete(jobUuid);
+    return this._update(jobUuid, {
+      status,
+      result: this._clip(result),
+      error,
+      finishedAt: Date.now()
+    });
+  }
+
+  async succeed(jobUuid, result) {
+    return this.finish(jobUuid, { status: JOB_SUCCEEDED, result });
+  }
+
+  async fail(jobUuid, error) {
+    return this.finish(jobUuid, { status: JOB_FAILED, error });
+  }
+
+  async markInjected(jobUuid) {
+    return this._update(jobUuid, { injected: true });
+  }
+
+  async remove(jobUuid) {
+    this.pending.delete(jobUuid);
+    await this._mutate(jobs => jobs.filter(j => j.jobUuid !== jobUuid));
+  }
+
+  async clearFinished() {
+    await this._mutate(jobs => jobs.filter(j => j.status === JOB_RUNNING));
+  }
+
+  /**
+   * 轮询所有运行中的任务一次（background.js 的 alarm 回调）
+   * @returns {Promise<number>} 仍在运行的任务数
+   */
+  async pollRunning() {
+    const jobs = await this.list();
+    const sessions = await this._sessions();
+    let running = 0;
+    for (const job of jobs.filter(j => j.status === JOB_RUNNING)) {
+      if (Date.now() - job.createdAt > JobTracker.MAX_TRACK_MS) {
+        await this.finish(job.jobUuid, { status: JOB_LOST, error: '跟踪超过 24 小时仍未结束，已停止轮询' });
+        continue;
+      }
+      if (!sessions[job.jobUuid]) {
+        await this.finish(job.jobUuid, { status: JOB_LOST, error: '浏览器重启后会话已清除，无法继续跟踪，请在云平台确认任务结果' });
+        continue;
+      }
+      const client = new ZStackClient();
+      client.configure(job.endpoint);
+      client.sessionId = sessions[job.jobUuid];
+      try {
+        const res = await client._fetchJob(job.jobPath, { path: job.path, jobUuid: job.jobUuid });
+        if (res.done) {
+          await this.succeed(job.jobUuid, res.data);
+        } else {
+          running++;
+        }
+      } catch (e) {
+        if (e instanceof ZStackError && e.isSessionExpired) {
+          await this.finish(job.jobUuid, { status: JOB_LOST, error: '会话已失效，无法继续跟踪，请在云平台确认任务结果' });
+        } else if (e instanceof ZStackError) {
+          await this.fail(job.jobUuid, e.toJSON());
+        } else {
+          // 网络错误：下次 alarm 再试
+          running++;
+        }
+      }
+    }
+    return running;
+  }
+
+  /**
+   * 生成注入对话的任务结果文本
+   */
+  static summarize(job) {
+    const lines = [
+      `[后台任务结果] 任务 ${job.jobUuid}${job.path ? `（${job.path}）` : ''}${job.envName ? ` @ ${job.envName}` : ''}`,
+      `状态: ${job.status}`,
+      `提交时间: ${new Date(job.createdAt).toLocaleString('zh-CN')}`
+    ];
+    if (job.finishedAt) lines.push(`结束时间: ${new Date(job.finishedAt).toLocaleString('zh-CN')}`);
+    if (job.error) lines.push(`错误: ${typeof job.error === 'string' ? job.error : JSON.stringify(job.error)}`);
+    if (job.result) lines.push(`结果: ${typeof job.result === 'string' ? job.result : JSON.stringify(job.result)}`);
+    return lines.join('\n');
+  }
+
+  _clip(result) {
+    if (result === null || result === undefined) return null;
+    const text = JSON.stringify(result);
+    return text.length > JobTracker.MAX_RESULT_CHARS
+      ? text.slice(0, JobTracker.MAX_RESULT_CHARS) + '...(已截断)'
+      : result;
+  }
+}
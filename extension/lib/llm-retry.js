@@ -0,0 +1,126 @@
+// LLM Retry — 模型调用失败时的重试策略
+// 限流（429）、服务端过载/故障（5xx、529）和网络错误按指数退避重试，优先遵循服务端的 Retry-After；
+// 重试用尽或不可重试的错误交给 LLMEngine 切换到备用模型
+
+export class LLMError extends Error {
+  constructor(message, { status = null, type = null, retryAfterMs = null, retryable = null } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.status = status;
+    // 服务端返回的错误类型，如 rate_limit_error、overloaded_error
+    this.type = type;
+    this.retryAfterMs = retryAfterMs;
+    // null 表示按状态码判断
+    this.retryable = retryable;
+  }
+
+  /**
+   * 从失败的 HTTP 响应构造错误（读取响应体和 Retry-After 头）
+   * @param {Response} res
+   */
+  static async fromResponse(res) {
+    const text = await res.text();
+    let message = text;
+    let type = null;
+    try {
+      const err = JSON.parse(text).error;
+      message = (typeof err === 'string' ? err : err?.message) || text;
+      type = err?.type || err?.code || null;
+    } catch { /* 非 JSON 响应体 */ }
+    return new LLMError(message || `HTTP ${res.status}`, {
+      status: res.status,
+      type,
+      retryAfterMs: RetryPolicy.parseRetryAfter(res.headers?.get?.('retry-after-ms'), true)
+        ?? RetryPolicy.parseRetryAfter(res.headers?.get?.('retry-after'))
+    });
+  }
+
+  /**
+   * 流式响应中途返回的错误事件（如 Anthropic 的 overloaded_error）
+   */
+  static fromStreamError(error, fallback) {
+    const type = error?.type || error?.code || null;
+    return new LLMError(error?.message || fallback || JSON.stringify(error), {
+      type,
+      retryable: RetryPolicy.RETRY_TYPES.has(type)
+    });
+  }
+}
+
+export class RetryPolicy {
+  // 同一模型最多重试次数（不含首次请求）
+  static MAX_RETRIES = 3;
+  static BASE_DELAY_MS = 1000;
+  static MAX_DELAY_MS = 30000;
+  // Retry-After 超过该值时不再等待，直接切换备用模型
+  static MAX_RETRY_AFTER_MS = 60000;
+  static RETRY_STATUS = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+  static RETRY_TYPES = new Set(['rate_limit_error', 'overloaded_error', 'api_error', 'server_error', 'rate_limit_exceeded']);
+
+  static isRetryable(e) {
+    if (!e || e.name === 'AbortError') return false;
+    if (e instanceof LLMError) {
+      if (e.retryable !== null) return e.retryable;
+      if (e.retryAfterMs > RetryPolicy.MAX_RETRY_AFTER_MS) return false;
+      return RetryPolicy.RETRY_STATUS.has(e.status);
+    }
+    // fetch 本身抛出的网络错误（断网、连接被重置、流读取中断），其它异常不重试
+    return /Failed to fetch|NetworkError|network error|Load failed|ECONNRESET|socket hang up|terminated/i.test(e.message || '');
+  }
+
+  /**
+   * 解析 Retry-After：秒数或 HTTP 日期；isMs 为 true 时按毫秒解析（retry-after-ms 头）
+   * @returns {number|null} 毫秒
+   */
+  static parseRetryAfter(value, isMs = false) {
+    if (value === null || value === undefined || value === '') return null;
+    const n = Number(value);
+    if (Number.isFinite(n)) return Math.max(0, Math.round(isMs ? n : n * 1000));
+    const date = Date.parse(value);
+    return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+  }
+
+  /**
+   * 第 attempt 次重试前的等待时间：有 Retry-After 时遵循它，否则指数退避加随机抖动
+   */
+  static delayFor(attempt, error) {
+    if (typeof error?.retryAfterMs === 'number') return error.retryAfterMs;
+    const base = Math.min(RetryPolicy.BASE_DELAY_MS * 2 ** (attempt - 1), RetryPolicy.MAX_DELAY_MS);
+    return Math.round(base / 2 + Math.random() * base / 2);
+  }
+
+  /**
+   * 执行 fn，可重试的错误按策略等待后重试
+   * @param {Function} fn - (attempt) => Promise，attempt 从 0 开始
+   * @param {object} options - { signal, maxRetries, onRetry({ attempt, delayMs, error }) }
+   */
+  static async run(fn, { signal, maxRetries = RetryPolicy.MAX_RETRIES, onRetry = null } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn(attempt);
+      } catch (e) {
+        if (signal?.aborted || attempt >= maxRetries || !RetryPolicy.isRetryable(e)) throw e;
+        const delayMs = RetryPolicy.delayFor(attempt + 1, e);
+        if (onRetry) onRetry({ attempt: attempt + 1, delayMs, error: e });
+        await RetryPolicy.sleep(delayMs, signal);
+      }
+    }
+  }
+
+  // 可被 AbortSignal 中断的等待
+  static sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('已停止生成', 'AbortError'));
+      };
+      if (signal?.aborted) return onAbort();
+      timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
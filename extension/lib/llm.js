@@ -1,6 +1,18 @@
 // LLM Engine with ZStack Full API Coverage + Streaming Support
 import { PlaybookEngine } from './playbooks.js';
 import { WorkflowEngine } from './workflow-engine.js';
+import { ToolPolicy, RISK_READ } from './tool-policy.js';
+import { ZStackError } from './zstack.js';
+import { AuditLog } from './audit-log.js';
+import { UndoStack } from './undo-stack.js';
+import { SnapshotGuard } from './snapshot-guard.js';
+import { ContextManager } from './context-manager.js';
+import { ModelCapabilities } from './model-capabilities.js';
+import { ResultShaper } from './result-shaper.js';
+import { TextToolProtocol } from './text-tools.js';
+import { ToolValidator } from './tool-validator.js';
+import { LLMError, RetryPolicy } from './llm-retry.js';
+import { MessageFormat } from './message-format.js';
 
 export class LLMEngine {
   constructor() {
@@ -14,9 +26,40 @@ export class LLMEngine {
     this._abortController = null;
     this.playbookEngine = new PlaybookEngine();
     this.workflowEngine = new WorkflowEngine();
+    this.toolPolicy = new ToolPolicy({
+      workflowEngine: this.workflowEngine,
+      resolveUndo: (changeId) => this._undoEntry(changeId)
+    });
+    // 用户选择加入对话的补充上下文（如后台任务结果），随下一条消息发送
+    this.pendingContext = [];
+    // 审计日志（AuditLog），记录每次访问云平台的工具调用
+    this.auditLog = null;
+    // 当前轮次的用户输入，写入审计记录
+    this._currentPrompt = null;
+    // 计划模式：变更类工具调用只记录到 plan，由用户审阅批准后再执行
+    this.planMode = false;
+    this.plan = [];
+    // 可逆操作成功后登记的逆操作，供"撤销"按钮和 undo_last_change 使用
+    this.undoStack = new UndoStack();
+    // 变更前自动快照（按环境开启）
+    this.snapshotGuard = false;
+    // 按上下文窗口组织历史，较早的轮次摘要为对话记忆
+    this.contextManager = new ContextManager({
+      summarize: (memory, transcript, context) => this._summarizeContext(memory, transcript, context)
+    });
+    // 大工具结果的本地缓存，模型用 fetch_result_page 翻页
+    this.resultShaper = new ResultShaper();
+    // 用户对模型能力的覆盖 { [模型名]: { 能力字段: 值 } }，用于代理/私有部署的自定义模型
+    this.modelOverrides = {};
+    // 本次会话中流式请求被服务端拒绝、已改用非流式的模型
+    this._nonStreamModels = new Set();
+    // 备用模型链 [{ provider, model, apiKey, baseUrl }]：当前模型重试后仍失败时按顺序切换，本轮结束后恢复主模型
+    this.fallbacks = [];
+    // Anthropic 扩展思考的预算（token），0 为关闭；只对注册表中标注了 reasoning 的 Claude 模型生效
+    this.thinkingBudget = 0;
   }
 
-  configure({ apiKey, baseUrl, provider, model, zstackClient, queryMode, mcpClient }) {
+  configure({ apiKey, baseUrl, provider, model, zstackClient, queryMode, mcpClient, planMode, modelOverrides, fallbacks, thinkingBudget }) {
     if (apiKey !== undefined) this.apiKey = apiKey;
     if (baseUrl !== undefined) this.baseUrl = baseUrl;
     if (provider) this.provider = provider;
@@ -24,14 +67,38 @@ export class LLMEngine {
     if (zstackClient) this.zstackClient = zstackClient;
     if (queryMode) this.queryMode = queryMode;
     if (mcpClient !== undefined) this.mcpClient = mcpClient;
+    if (planMode !== undefined) this.planMode = planMode;
+    if (modelOverrides !== undefined) this.modelOverrides = modelOverrides || {};
+    if (fallbacks !== undefined) this.fallbacks = (fallbacks || []).filter(f => f?.provider);
+    if (thinkingBudget !== undefined) this.thinkingBudget = Math.max(0, thinkingBudget || 0);
 
     // Validate model is configured
     if (!this.model) {
-      this.model = LLMEngine.DEFAULT_MODELS[this.provider] || 'gpt-4o-mini';
+      this.model = ModelCapabilities.defaultModel(this.provider);
     }
   }
 
-  clearHistory() { this.messages = []; }
+  // 当前模型的能力（注册表 + 用户覆盖）
+  _capabilities() {
+    return ModelCapabilities.of(this.model, this.modelOverrides, this.provider);
+  }
+
+  // 模型不支持原生工具调用时，改用文本协议（```action 代码块）调用工具
+  _useTextTools() {
+    return !this._capabilities().tools;
+  }
+
+  clearHistory() {
+    this.messages = [];
+    this.pendingContext = [];
+    this.plan = [];
+    this.contextManager.reset();
+    this.resultShaper.clear();
+  }
+
+  addContext(text) {
+    if (text) this.pendingContext.push(text);
+  }
 
   abort() {
     if (this._abortController) {
@@ -46,12 +113,56 @@ export class LLMEngine {
       : QUERY_MODE_COMPACT;
     const mcpAddon = this.mcpClient?.enabled ? MCP_PROMPT_ENABLED : MCP_PROMPT_DISABLED;
     const playbookAddon = this.playbookEngine.generatePromptAddon();
-    return SYSTEM_PROMPT_BASE + '\n' + modeInstructions + '\n' + mcpAddon + '\n' + playbookAddon;
+    const identityAddon = this._identityPrompt();
+    const readOnlyAddon = this.zstackClient?.readOnly ? READ_ONLY_PROMPT : '';
+    const planAddon = this.planMode ? PLAN_MODE_PROMPT : '';
+    const snapshotAddon = this.snapshotGuard ? SNAPSHOT_GUARD_PROMPT : '';
+    const memory = this.contextManager.memory;
+    const memoryAddon = memory ? `\n## 对话记忆（较早对话的摘要，原始消息已不在上下文中）\n${memory}\n` : '';
+    const textToolAddon = this._useTextTools() ? TextToolProtocol.prompt(this._getTools()) : '';
+    return SYSTEM_PROMPT_BASE + '\n' + modeInstructions + '\n' + LARGE_RESULT_PROMPT + '\n' + mcpAddon + '\n' + identityAddon + readOnlyAddon + planAddon + snapshotAddon + playbookAddon + textToolAddon + memoryAddon;
+  }
+
+  // 当前登录身份，帮助模型判断用户能做什么（平台管理员 / 普通账户 / 子用户 / IAM2 项目成员）
+  _identityPrompt() {
+    const id = this.zstackClient?.identity;
+    if (!id) return '';
+    const loginLabels = { account: '账户', user: '子用户', iam2: 'IAM2 虚拟 ID', ldap: 'LDAP' };
+    const lines = [`- 登录方式：${loginLabels[id.loginType] || id.loginType}（${id.loginName}）`];
+    if (id.account) {
+      lines.push(`- 所属账户：${id.account.name || id.account.uuid}${id.account.type ? `（${id.account.type}）` : ''}`);
+    }
+    if (id.user) lines.push(`- 子用户：${id.user.name}`);
+    if (id.virtualId) lines.push(`- 虚拟 ID：${id.virtualId.name}`);
+    if (id.projects.length) lines.push(`- 所属项目：${id.projects.map(p => p.name).join('、')}`);
+    if (id.roles.length) lines.push(`- 角色/权限：${id.roles.join('、')}`);
+    const project = this.zstackClient?.project;
+    if (project) {
+      lines.push(`- **当前工作项目：${project.name}**（${project.uuid}）——所有查询和操作都在该项目范围内执行，回答时注明结果仅限该项目，不代表整个平台`);
+    }
+    return `
+## 当前登录身份
+${lines.join('\n')}
+- 只有 SystemAdmin 账户和平台管理员能查看/修改全局资源（物理机、主存储、全局配置等）；其他身份只能操作自己有权限的资源
+- 遇到权限错误（如 ID.1002、403）时，说明是当前身份权限不足，不要反复重试，建议用户联系管理员或切换身份
+`;
   }
 
   _getTools() {
-    if (this.mcpClient?.enabled) return TOOLS;
-    return TOOLS.filter(t => !LLMEngine.MCP_TOOLS.has(t.function.name));
+    let tools = this.mcpClient?.enabled ? TOOLS : TOOLS.filter(t => !LLMEngine.MCP_TOOLS.has(t.function.name));
+    // 只读环境不向模型暴露任何变更类工具
+    if (this.zstackClient?.readOnly) tools = tools.filter(t => ToolPolicy.isReadOnlyTool(t.function.name));
+    return tools;
+  }
+
+  // Anthropic 请求中的工具参数；模型被标注为不支持工具时不带工具
+  _anthropicToolParams() {
+    const caps = this._capabilities();
+    if (!caps.tools) return {};
+    return {
+      tools: this._getToolsAnthropic(),
+      ...(caps.parallelTools ? {} : { tool_choice: { type: 'auto', disable_parallel_tool_use: true } })
+    };
   }
 
   _getToolsAnthropic() {
@@ -71,124 +182,151 @@ export class LLMEngine {
     qwen: 'https://dashscope.aliyuncs.com/compatible-mode/v1',
     minimax: 'https://api.minimax.chat/v1',
     kimi: 'https://api.moonshot.cn/v1',
-    bailian: 'https://coding.dashscope.aliyuncs.com/v1'
+    bailian: 'https://coding.dashscope.aliyuncs.com/v1',
+    'openai-responses': 'https://api.openai.com/v1',
+    gemini: 'https://generativelanguage.googleapis.com/v1beta',
+    // 本地推理服务的默认监听地址（OpenAI 兼容接口）
+    ollama: 'http://localhost:11434/v1',
+    vllm: 'http://localhost:8000/v1',
+    llamacpp: 'http://localhost:8080/v1'
   };
 
-  // Default model per provider
-  static DEFAULT_MODELS = {
+  // Providers that use OpenAI-compatible API format
+  static OPENAI_COMPAT = new Set(['openai', 'glm', 'deepseek', 'qwen', 'minimax', 'kimi', 'bailian', 'azure', 'ollama', 'vllm', 'llamacpp']);
+  // Azure OpenAI 未在 Base URL 中指定 api-version 时使用的版本
+  static AZURE_API_VERSION = '2024-10-21';
+
+  // 上下文窗口很小时，历史消息至少保留的 token 数
+  static MIN_HISTORY_TOKENS = 2000;
+  // 服务端拒绝"流式"或"流式 + 工具"时的错误信息，如 stream_options is not supported、streaming is not supported with tools：
+  // 同时提到流式/工具和"不支持"才算
+  static STREAM_FEATURE_PATTERN = /stream|tool_choice|tools?\b|function.?call|流式|工具/i;
+  static UNSUPPORTED_PATTERN = /support|not allowed|not permitted|unknown|unrecognized|不支持|不允许/i;
+  // 生成对话记忆用的低价模型；使用自定义 Base URL（代理/私有部署）或未列出的提供商时沿用当前模型
+  static SUMMARY_MODELS = {
     openai: 'gpt-4o-mini',
-    anthropic: 'claude-sonnet-4',
-    glm: 'glm-4',
+    anthropic: 'claude-haiku-4-5',
+    glm: 'glm-4-flash',
     deepseek: 'deepseek-chat',
     qwen: 'qwen-turbo',
-    minimax: 'MiniMax-Text-01',
-    kimi: 'kimi-k2.5',
-    bailian: 'qwen3-coder-plus'
+    gemini: 'gemini-2.5-flash-lite'
   };
-
-  // Providers that use OpenAI-compatible API format
-  static OPENAI_COMPAT = new Set(['openai', 'glm', 'deepseek', 'qwen', 'minimax', 'kimi', 'bailian']);
+  // 对话记忆的输出上限
+  static SUMMARY_MAX_TOKENS = 1024;
+  // Anthropic 扩展思考预算的下限（API 要求）
+  static MIN_THINKING_BUDGET = 1024;
 
   async chat(userMessage, onEvent) {
     const msgSnapshot = this.messages.length;
-    this.messages.push({ role: 'user', content: userMessage });
+    const planSnapshot = this.plan.length;
+    this._currentPrompt = userMessage;
+    const context = this.pendingContext.splice(0);
+    this.messages.push({ role: 'user', content: context.length ? `${context.join('\n\n')}\n\n${userMessage}` : userMessage });
     const emit = (type, data) => { if (onEvent) onEvent({ type, ...data }); };
 
     this._abortController = new AbortController();
     const signal = this._abortController.signal;
+    // 没有 UI 监听时无法确认，高危操作一律拒绝
+    const askUser = onEvent
+      ? (req) => new Promise(resolve => emit('confirm_required', { ...req, respond: resolve }))
+      : null;
+    // 异步任务轮询随"停止"按钮中断，并把进度推送到侧边栏
+    this.zstackClient?.setJobContext({ signal, onProgress: (p) => emit('job_progress', p) });
 
     const maxRounds = 25;
     const startTime = Date.now();
     const timeoutMs = 8 * 60 * 1000;
+    // 故障转移只影响本轮，结束后恢复主模型
+    const primary = this._target();
+    this._failoverIndex = 0;
+    // 文本协议下连续整轮解析失败的次数
+    let textRetries = 0;
 
     try {
+      // 本地推理服务未指定模型时，使用服务端加载的第一个模型
+      if (!this.model && ModelCapabilities.isLocal(this.provider)) {
+        this.model = (await LLMEngine.listModels(this._target(), signal))[0] || '';
+        primary.model = this.model;
+      }
       for (let i = 0; i < maxRounds; i++) {
         if (signal.aborted) {
           this.messages.length = msgSnapshot;
+          this.plan.length = planSnapshot;
           return '已停止生成。';
         }
         if (Date.now() - startTime > timeoutMs) {
           return '操作超时(8分钟)，部分操作可能已完成。请查看云平台确认状态。';
         }
 
-        const isAnthropic = this.provider === 'anthropic' && !LLMEngine.OPENAI_COMPAT.has(this.provider);
-        const response = isAnthropic
-          ? await this._callAnthropicStream(emit, signal)
-          : await this._callOpenAIStream(emit, signal);
+        await this.contextManager.prepare(this.messages, this._historyBudget(), { emit, signal });
+        const response = await this._callWithFailover(emit, signal, primary);
+        // 按实际应答的模型（可能已切换到备用模型）决定消息格式
+        const isAnthropic = this._isAnthropic();
 
         if (signal.aborted) {
           this.messages.length = msgSnapshot;
+          this.plan.length = planSnapshot;
           return '已停止生成。';
         }
 
-        if (!response.toolCalls || response.toolCalls.length === 0) {
+        // 不支持原生工具的模型从回复文本中解析 action 代码块
+        const textCalls = !response.toolCalls?.length && this._useTextTools()
+          ? TextToolProtocol.parse(response.content, this._getTools(), `text-${i + 1}`)
+          : [];
+        if (textCalls.length && textCalls.every(c => c.parseError)) {
+          textRetries++;
+        } else {
+          textRetries = 0;
+        }
+
+        // 文本协议的调用屡次无法解析时，不再要求重试，把回复当作最终回答
+        if ((!response.toolCalls || response.toolCalls.length === 0)
+          && (!textCalls.length || textRetries > TextToolProtocol.MAX_RETRIES)) {
           this.messages.push({ role: 'assistant', content: response.content });
           return response.content;
         }
 
         // Show what tools are being called with details
-        const toolNames = isAnthropic
-          ? response.toolCalls.map(tc => tc.name)
-          : response.toolCalls.map(tc => tc.function.name);
-        const toolDetails = isAnthropic
-          ? response.toolCalls.map(tc => {
-              const args = tc.input || {};
-              return this._formatToolDetail(tc.name, args);
-            })
-          : response.toolCalls.map(tc => {
-              try {
-                const args = JSON.parse(tc.function.arguments);
-                return this._formatToolDetail(tc.function.name, args);
-              } catch { return tc.function.name; }
-            });
+        const calls = textCalls.length ? textCalls : this._normalizeToolCalls(response.toolCalls, isAnthropic);
+        const toolNames = calls.map(c => c.name);
+        const toolDetails = calls.map(c => c.parseError ? c.name : this._formatToolDetail(c.name, c.args));
         emit('tool_start', { tools: toolNames, toolDetails, round: i + 1 });
 
+        if (textCalls.length) {
+          this.messages.push({ role: 'assistant', content: response.content });
+        } else {
+          this.messages.push(isAnthropic
+            ? { role: 'assistant', content: response.rawContent }
+            : response.rawMessage);
+        }
+
+        // 计划模式下变更类调用只加入变更计划；其余高危操作在执行前暂停，等待用户在侧边栏点击确认
+        const planned = this.planMode ? this._planToolCalls(calls) : new Map();
+        if (planned.size) emit('plan_updated', { steps: this.plan });
+        const denied = await this._guardToolCalls(calls.filter(c => !planned.has(c.id)), askUser, signal);
+
         // Execute tool calls
-        if (isAnthropic) {
-          this.messages.push({ role: 'assistant', content: response.rawContent });
-          const truncateLimit = this.queryMode === 'full' ? 80000 : 30000;
-          const results = await Promise.all(
-            response.toolCalls.map(async tc => {
-              try {
-                const result = await this._executeTool(tc.name, tc.input);
-                return {
-                  type: 'tool_result',
-                  tool_use_id: tc.id,
-                  content: JSON.stringify(result).slice(0, truncateLimit)
-                };
-              } catch (e) {
-                return {
-                  type: 'tool_result',
-                  tool_use_id: tc.id,
-                  content: JSON.stringify({ error: e.message })
-                };
-              }
-            })
-          );
-          this.messages.push({ role: 'user', content: results });
+        const outputs = await Promise.all(calls.map(async c => {
+          if (c.parseError) return JSON.stringify({ error: c.parseError });
+          if (planned.has(c.id)) return JSON.stringify(planned.get(c.id));
+          if (denied.has(c.id)) return JSON.stringify(denied.get(c.id));
+          try {
+            const result = await this._executeTool(c.name, c.args);
+            return JSON.stringify(this.resultShaper.shape(c.name, c.args, result, this._resultCharLimit()));
+          } catch (e) {
+            return JSON.stringify(this._toolError(e));
+          }
+        }));
+
+        if (textCalls.length) {
+          this.messages.push({ role: 'user', content: TextToolProtocol.formatResults(calls, outputs) });
+        } else if (isAnthropic) {
+          this.messages.push({
+            role: 'user',
+            content: calls.map((c, idx) => ({ type: 'tool_result', tool_use_id: c.id, content: outputs[idx] }))
+          });
         } else {
-          this.messages.push(response.rawMessage);
-          const truncateLimit = this.queryMode === 'full' ? 80000 : 30000;
-          const results = await Promise.all(
-            response.toolCalls.map(async tc => {
-              try {
-                const args = JSON.parse(tc.function.arguments);
-                const result = await this._executeTool(tc.function.name, args);
-                return {
-                  role: 'tool',
-                  tool_call_id: tc.id,
-                  content: JSON.stringify(result).slice(0, truncateLimit)
-                };
-              } catch (e) {
-                return {
-                  role: 'tool',
-                  tool_call_id: tc.id,
-                  content: JSON.stringify({ error: e.message })
-                };
-              }
-            })
-          );
-          results.forEach(r => this.messages.push(r));
+          calls.forEach((c, idx) => this.messages.push({ role: 'tool', tool_call_id: c.id, content: outputs[idx] }));
         }
         emit('tool_done', { tools: toolNames, round: i + 1 });
       }
@@ -196,18 +334,267 @@ export class LLMEngine {
     } catch (e) {
       if (e.name === 'AbortError') {
         this.messages.length = msgSnapshot;
+        this.plan.length = planSnapshot;
         return '已停止生成。';
       }
       throw e;
     } finally {
       this._abortController = null;
+      this.zstackClient?.setJobContext();
+      if (this._failoverIndex) this._applyTarget(primary);
+    }
+  }
+
+  _isAnthropic() {
+    return this.provider === 'anthropic' && !LLMEngine.OPENAI_COMPAT.has(this.provider);
+  }
+
+  // 当前使用的提供商配置
+  _target() {
+    return { provider: this.provider, model: this.model, apiKey: this.apiKey, baseUrl: this.baseUrl };
+  }
+
+  _applyTarget({ provider, model, apiKey, baseUrl }) {
+    this.provider = provider;
+    this.model = model || ModelCapabilities.defaultModel(provider);
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl || '';
+  }
+
+  /**
+   * 调用当前模型，可重试的错误按 RetryPolicy 退避重试；仍失败时依次切换到备用模型，
+   * 历史消息不变，由请求构造时转换成目标格式
+   * @param {object} primary - 本轮开始时的主模型配置，备用模型未填 API Key 且提供商相同时沿用
+   */
+  async _callWithFailover(emit, signal, primary) {
+    for (;;) {
+      // 失败的尝试可能已流式输出部分内容，重试/切换时通知界面丢弃
+      const streamed = { text: 0, thinking: 0 };
+      const attemptEmit = (type, data) => {
+        if (type === 'text_delta') streamed.text += data.text.length;
+        if (type === 'thinking_delta') streamed.thinking += data.text.length;
+        emit(type, data);
+      };
+      const discard = () => {
+        const out = { discardText: streamed.text, discardThinking: streamed.thinking };
+        streamed.text = streamed.thinking = 0;
+        return out;
+      };
+      try {
+        return await RetryPolicy.run(() => this._callProvider(attemptEmit, signal), {
+          signal,
+          onRetry: ({ attempt, delayMs, error }) => emit('retry', {
+            attempt, delayMs, model: this.model, error: error.message, ...discard()
+          })
+        });
+      } catch (e) {
+        if (e.name === 'AbortError' || signal.aborted) throw e;
+        const next = this.fallbacks[this._failoverIndex++];
+        if (!next) throw e;
+        const from = this.model;
+        this._applyTarget({
+          ...next,
+          apiKey: next.apiKey || (next.provider === primary.provider ? primary.apiKey : '')
+        });
+        emit('failover', { from, to: this.model, provider: this.provider, error: e.message, ...discard() });
+      }
+    }
+  }
+
+  /**
+   * 把变更类调用加入变更计划：按 ToolPolicy 分级，非只读的调用（含 execute_api、
+   * execute_workflow 中的变更）都不直接执行；只读 action 照常执行
+   * @returns {Map<string, object>} 已加入计划的 tool call id → 返回给模型的结果
+   */
+  _planToolCalls(calls) {
+    const planned = new Map();
+    for (const c of calls) {
+      if (c.parseError) continue;
+      const verdict = this.toolPolicy.classify(c.name, c.args);
+      if (verdict.level === RISK_READ) continue;
+      // 撤销固定到审阅时的记录，批准前又有新变更时不会撤销到别的操作
+      const args = c.name === 'undo_last_change' && !c.args.change_id
+        ? { ...c.args, change_id: this._undoEntry()?.id }
+        : c.args;
+      const detail = this._formatToolDetail(c.name, args);
+      this.plan.push({
+        tool: c.name, args, detail,
+        level: verdict.level, reason: verdict.reason,
+        prompt: this._currentPrompt,
+        scope: this._planScope()
+      });
+      planned.set(c.id, {
+        planned: true,
+        executed: false,
+        step: this.plan.length,
+        operation: detail,
+        message: '已加入变更计划（未执行），等待用户审阅批准'
+      });
+    }
+    return planned;
+  }
+
+  // 变更计划所属的环境和项目；计划只能在生成它的环境和项目中执行
+  _planScope() {
+    return { endpoint: this.zstackClient?.endpoint || null, project: this.zstackClient?.project?.uuid || null };
+  }
+
+  /**
+   * 按顺序执行用户批准的变更计划；某一步失败或点击停止后，其余步骤标记为跳过
+   * 计划生成后切换了环境或项目时不执行，整个计划作废
+   * @param {Array} steps - 审阅（可能已编辑）后的步骤 { tool, args, prompt, scope }
+   * @param {function} onStep - ({ index, status, result }) => void，status: running | done | error | skipped
+   * @returns {Promise<Array>} 每一步的 { ...step, status, result }
+   */
+  async executePlan(steps, onStep = () => {}) {
+    this.plan = [];
+    if (this.zstackClient?.readOnly) throw new Error('当前环境为只读模式，无法执行变更计划');
+    const scope = this._planScope();
+    if (steps.some(s => s.scope?.endpoint !== scope.endpoint || s.scope?.project !== scope.project)) {
+      this.addContext(`[变更计划] 计划生成后已切换环境或项目，${steps.length} 个步骤均未执行，计划已作废`);
+      throw new Error('变更计划是在其他环境或项目中生成的，已作废，未执行任何操作');
+    }
+    this._abortController = new AbortController();
+    const signal = this._abortController.signal;
+    this.zstackClient?.setJobContext({ signal });
+
+    const results = [];
+    let stopped = false;
+    try {
+      for (const [index, step] of steps.entries()) {
+        if (stopped || signal.aborted) {
+          results.push({ ...step, status: 'skipped', result: null });
+          onStep({ index, status: 'skipped', result: null });
+          continue;
+        }
+        onStep({ index, status: 'running', result: null });
+        this._currentPrompt = step.prompt || null;
+        let result;
+        try {
+          result = await this._executeTool(step.tool, step.args);
+        } catch (e) {
+          result = this._toolError(e);
+        }
+        const status = result?.error ? 'error' : 'done';
+        if (status === 'error') stopped = true;
+        results.push({ ...step, status, result });
+        onStep({ index, status, result });
+      }
+    } finally {
+      this._abortController = null;
+      this.zstackClient?.setJobContext();
+    }
+    this.addContext(this._summarizePlan(results));
+    return results;
+  }
+
+  discardPlan() {
+    if (!this.plan.length) return;
+    this.addContext(`[变更计划] 用户已放弃 ${this.plan.length} 个待执行步骤，这些操作均未执行`);
+    this.plan = [];
+  }
+
+  // 执行结果随下一条消息告知模型
+  _summarizePlan(results) {
+    const labels = { done: '✅ 成功', error: '❌ 失败', skipped: '⏭️ 跳过（未执行）' };
+    const lines = results.map((r, i) => {
+      const error = r.status === 'error' ? ` — ${r.result?.error}` : '';
+      return `${i + 1}. ${labels[r.status]} ${this._formatToolDetail(r.tool, r.args)}${error}`;
+    });
+    return `[变更计划执行结果]\n${lines.join('\n')}`;
+  }
+
+  // 统一 Anthropic / OpenAI 两种格式的 tool call
+  _normalizeToolCalls(toolCalls, isAnthropic) {
+    const calls = isAnthropic
+      ? toolCalls.map(tc => ({ id: tc.id, name: tc.name, args: tc.input || {} }))
+      : toolCalls.map(tc => {
+        try {
+          return { id: tc.id, name: tc.function.name, args: JSON.parse(tc.function.arguments || '{}') };
+        } catch (e) {
+          return { id: tc.id, name: tc.function.name, args: {}, parseError: e.message };
+        }
+      });
+    // 先按工具定义校验参数，格式错误的调用不进入变更计划和确认，错误返回给模型修正（_executeTool 执行前还会再校验）；
+    // 用完整工具表校验，只读模式等限制仍由 _guardToolCalls 给出明确的拒绝原因
+    for (const c of calls) {
+      const error = c.parseError ? null : ToolValidator.validate(c.name, c.args, TOOLS);
+      if (error) c.parseError = error;
     }
+    return calls;
+  }
+
+  /**
+   * 按 ToolPolicy 分级，逐个请求用户确认需要确认的调用
+   * @returns {Map<string, object>} 被拒绝的 tool call id → 返回给模型的结构化错误
+   */
+  async _guardToolCalls(calls, askUser, signal) {
+    const denied = new Map();
+    for (const c of calls) {
+      if (c.parseError) continue;
+      // 历史消息中的变更类工具仍可能被模型调用，只读环境下直接拒绝，不再询问用户
+      if (this.zstackClient?.readOnly && !ToolPolicy.isReadOnlyTool(c.name)) {
+        denied.set(c.id, {
+          error: '当前环境为只读模式，不允许执行变更操作',
+          code: 'READ_ONLY',
+          executed: false,
+          tool: c.name,
+          operation: this._formatToolDetail(c.name, c.args)
+        });
+        continue;
+      }
+      const verdict = this.toolPolicy.classify(c.name, c.args);
+      if (!this.toolPolicy.requiresConfirmation(verdict)) continue;
+
+      const detail = this._formatToolDetail(c.name, c.args);
+      const approved = askUser
+        ? await this._awaitConfirmation(askUser({
+            id: c.id, tool: c.name, args: c.args, detail,
+            level: verdict.level, method: verdict.method, action: verdict.action, reason: verdict.reason
+          }), signal)
+        : false;
+      if (!approved) {
+        denied.set(c.id, {
+          error: '用户未批准该操作，请求未发送到云平台',
+          code: 'USER_DENIED',
+          executed: false,
+          tool: c.name,
+          operation: detail,
+          level: verdict.level,
+          reason: verdict.reason
+        });
+      }
+    }
+    return denied;
+  }
+
+  // 等待用户点击；点击停止时以 AbortError 结束，交给 chat() 统一处理
+  _awaitConfirmation(pending, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(new DOMException('已停止生成', 'AbortError'));
+      if (signal.aborted) return onAbort();
+      signal.addEventListener('abort', onAbort, { once: true });
+      pending.then(approved => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(!!approved);
+      });
+    });
   }
 
+  // 工具进度/确认卡片中的描述，进入项目后对访问云平台的调用标注项目名
   _formatToolDetail(name, args) {
+    const detail = this._describeTool(name, args);
+    const project = this.zstackClient?.project;
+    const scoped = ToolPolicy.TOOL_METHODS[name] || name === 'execute_workflow';
+    return project && scoped ? `[${project.name}] ${detail}` : detail;
+  }
+
+  _describeTool(name, args) {
     switch (name) {
       case 'zstack_query':
         return `查询 ${args.resource_path || ''}${args.conditions?.length ? ' [' + args.conditions.join(', ') + ']' : ''}`;
+      case 'zstack_query_all':
+        return `全量查询 ${args.resource_path || ''}${args.conditions?.length ? ' [' + args.conditions.join(', ') + ']' : ''}`;
       case 'zstack_get':
         return `获取 ${args.resource_path || ''} ${(args.uuid || '').slice(0, 8)}...`;
       case 'zstack_create':
@@ -215,18 +602,27 @@ export class LLMEngine {
       case 'zstack_delete':
         return `删除 ${args.resource_path || ''} ${(args.uuid || '').slice(0, 8)}...`;
       case 'zstack_action':
-        const actionName = args.body ? Object.keys(args.body)[0] : '';
-        return `执行 ${actionName} on ${args.resource_path || ''}`;
+        return `执行 ${ToolPolicy.bodyActions(args.body).join(', ')} on ${args.resource_path || ''}`;
       case 'zstack_update':
         return `更新 ${args.resource_path || ''} ${(args.uuid || '').slice(0, 8)}...`;
       case 'zstack_zql':
         return `ZQL: ${(args.zql || '').slice(0, 60)}`;
+      case 'check_job':
+        return `查询异步任务 ${(args.job_uuid || '').slice(0, 8)}...`;
+      case 'undo_last_change': {
+        const entry = this._undoEntry(args.change_id);
+        return entry ? `撤销"${entry.detail}"：${entry.inverse.detail}` : '撤销最近一次变更';
+      }
+      case 'fetch_result_page':
+        return `翻页查看结果 ${args.result_id || ''}（从第 ${(args.offset || 0) + 1} 条起）`;
       case 'search_api':
         return `搜索 API: ${(args.keywords || []).join(', ')}`;
       case 'describe_api':
         return `查看 API 参数: ${args.api_name || ''}`;
       case 'execute_api':
         return `执行 API: ${args.api_name || ''}`;
+      case 'execute_workflow':
+        return `执行工作流: ${args.workflow_id || ''}`;
       case 'search_metric':
         return `搜索监控指标: ${(args.keywords || []).join(', ')}`;
       case 'get_metric_data':
@@ -238,75 +634,121 @@ export class LLMEngine {
     }
   }
 
-  // Models that don't support tool calling
-  static NO_TOOL_MODELS = new Set(['deepseek-reasoner', 'o1', 'o1-mini']);
-
   // Build request body with provider-specific adjustments
   _buildOpenAIBody(stream = true) {
-    const supportsTools = !LLMEngine.NO_TOOL_MODELS.has(this.model);
-    const compressed = this._compressMessages([...this.messages]);
+    const caps = this._capabilities();
+    const history = MessageFormat.toOpenAI(this.contextManager.select(this.messages, this._historyBudget()));
     const body = {
       model: this.model,
-      messages: [{ role: 'system', content: this._systemPrompt() }, ...compressed],
+      messages: [{ role: 'system', content: this._systemPrompt() }, ...history],
       stream
     };
+    // 流式响应默认不带 usage，要求在最后一个 chunk 返回真实用量
+    if (stream) body.stream_options = { include_usage: true };
 
     // 不传 max_tokens，让各 provider 用模型默认上限，避免限制大模型能力
 
-    if (supportsTools) {
+    if (caps.tools) {
       body.tools = this._getTools();
       body.tool_choice = 'auto';
+      // 只有 OpenAI 官方接口接受该参数，其它兼容接口按模型默认行为
+      if (!caps.parallelTools && (this.provider === 'openai' || this.provider === 'azure')) body.parallel_tool_calls = false;
     }
 
     return body;
   }
 
+  _openAIEndpoint(path) {
+    return LLMEngine.endpoint(this._target(), path);
+  }
+
+  /**
+   * OpenAI 格式接口的请求地址和请求头
+   * Azure OpenAI：Base URL 为资源终结点（模型名即部署名）或完整的部署 URL，可带 ?api-version=，鉴权用 api-key 头；
+   * 本地推理服务通常不校验 API Key，未填写时不带 Authorization 头
+   * @param {object} target - { provider, model, apiKey, baseUrl }
+   * @param {string} path - 如 chat/completions、responses、models
+   */
+  static endpoint({ provider, model, apiKey, baseUrl }, path) {
+    if (provider === 'azure') {
+      if (!baseUrl) throw new LLMError('Azure OpenAI 需要填写 API Base URL（资源终结点或部署 URL）', { retryable: false });
+      const url = new URL(baseUrl);
+      const apiVersion = url.searchParams.get('api-version') || LLMEngine.AZURE_API_VERSION;
+      let deployment = url.pathname.replace(/\/(chat\/completions|completions)?\/?$/, '');
+      if (!/\/openai\/deployments\/[^/]+$/.test(deployment)) {
+        deployment = `${deployment}/openai/deployments/${encodeURIComponent(model)}`;
+      }
+      return {
+        url: `${url.origin}${deployment}/${path}?api-version=${encodeURIComponent(apiVersion)}`,
+        headers: { 'Content-Type': 'application/json', 'api-key': apiKey }
+      };
+    }
+    const base = baseUrl || LLMEngine.BASE_URLS[provider] || LLMEngine.BASE_URLS.openai;
+    return {
+      url: `${base.replace(/\/$/, '')}/${path}`,
+      headers: { 'Content-Type': 'application/json', ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}) }
+    };
+  }
+
+  /**
+   * 从 OpenAI 兼容服务的 /models 接口获取可用模型（本地推理服务的模型发现）
+   * @param {object} target - { provider, apiKey, baseUrl }
+   * @returns {Promise<string[]>} 模型名列表
+   */
+  static async listModels(target, signal) {
+    const { url, headers } = LLMEngine.endpoint(target, 'models');
+    const res = await fetch(url, { headers, signal });
+    if (!res.ok) throw await LLMError.fromResponse(res);
+    const data = await res.json();
+    // OpenAI 格式为 { data: [{ id }] }，部分服务返回 { models: [{ name }] }
+    const list = data.data || data.models || [];
+    return list.map(m => m.id || m.name || m.model).filter(Boolean).sort();
+  }
+
+  // 按提供商选择接口：Anthropic Messages / OpenAI Responses / Gemini generateContent / OpenAI 兼容的 Chat Completions
+  async _callProvider(emit, signal) {
+    if (this._isAnthropic()) return this._callAnthropicStream(emit, signal);
+    if (this.provider === 'openai-responses') return this._callResponsesStream(emit, signal);
+    if (this.provider === 'gemini') return this._callGeminiStream(emit, signal);
+    const result = await this._callOpenAIStream(emit, signal);
+    return ModelCapabilities.isLocal(this.provider) && !this._useTextTools() ? this._extractEmbeddedToolCalls(result) : result;
+  }
+
   // ========== OpenAI-compatible Streaming ==========
   async _callOpenAIStream(emit, signal) {
-    const defaultBase = LLMEngine.BASE_URLS[this.provider] || LLMEngine.BASE_URLS.openai;
-    const base = this.baseUrl || defaultBase;
-    const url = `${base.replace(/\/$/, '')}/chat/completions`;
+    const { url, headers } = this._openAIEndpoint('chat/completions');
 
-    const body = this._buildOpenAIBody(true);
-
-    // Try streaming first; if provider rejects, fall back to non-streaming
-    let res;
-    try {
-      res = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${this.apiKey}` },
-        body: JSON.stringify(body),
-        signal
-      });
-    } catch (e) {
-      if (e.name === 'AbortError') throw e;
-      throw e;
+    // 能力表标注不支持"流式 + 工具"，或本次会话中已被服务端拒绝过，直接用非流式
+    const caps = this._capabilities();
+    if ((caps.tools && !caps.streamTools) || this._nonStreamModels.has(this.model)) {
+      return this._callOpenAINonStream(signal, emit);
     }
 
-    // If streaming fails with certain errors, retry without streaming
-    if (!res.ok) {
-      const errText = await res.text();
-      let errMsg;
-      try { errMsg = JSON.parse(errText).error?.message || errText; } catch { errMsg = errText; }
-
-      // Some providers reject stream+tools combo — fall back to non-streaming
-      const isStreamError = errMsg.toLowerCase().includes('stream') ||
-                            errMsg.toLowerCase().includes('not support');
-      if (isStreamError) {
-        return this._callOpenAINonStream(signal, emit);
-      }
-      throw new Error(errMsg);
-    }
+    const body = this._buildOpenAIBody(true);
+    const res = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal
+    });
 
     if (!res.ok) {
-      const errText = await res.text();
-      let errMsg;
-      try { errMsg = JSON.parse(errText).error?.message || errText; } catch { errMsg = errText; }
-      throw new Error(errMsg);
+      const error = await LLMError.fromResponse(res);
+      // 能力表未覆盖的模型（代理/私有部署）可能拒绝流式参数：用非流式重试一次，成功后本次会话内记住；
+      // 上下文超长、参数错误等与流式无关的 400 直接抛出
+      const detail = `${error.message} ${error.type || ''}`;
+      const unsupported = LLMEngine.STREAM_FEATURE_PATTERN.test(detail) && LLMEngine.UNSUPPORTED_PATTERN.test(detail);
+      if ((res.status === 400 || res.status === 422) && unsupported) {
+        const result = await this._callOpenAINonStream(signal, emit);
+        this._nonStreamModels.add(this.model);
+        return result;
+      }
+      throw error;
     }
 
     // Parse SSE stream
     let content = '';
+    let usage = null;
     const toolCalls = []; // { index -> { id, function: { name, arguments } } }
 
     const reader = res.body.getReader();
@@ -335,9 +777,13 @@ export class LLMEngine {
           }
 
           if (chunk.error) {
-            throw new Error(chunk.error.message || JSON.stringify(chunk.error));
+            throw LLMError.fromStreamError(chunk.error);
           }
 
+          // 用量在最后一个 chunk（choices 为空）；Kimi 等放在 choices[0].usage
+          const chunkUsage = chunk.usage || chunk.choices?.[0]?.usage;
+          if (chunkUsage) usage = LLMEngine._openAIUsage(chunkUsage);
+
           const delta = chunk.choices?.[0]?.delta;
           if (!delta) continue;
 
@@ -352,16 +798,18 @@ export class LLMEngine {
             emit('text_delta', { text: delta.content });
           }
 
-          // Tool calls
-          if (delta.tool_calls) {
-            for (const tc of delta.tool_calls) {
-              const idx = tc.index;
+          // Tool calls（兼容旧版的单个 function_call）
+          const deltaCalls = delta.tool_calls || (delta.function_call ? [{ index: 0, function: delta.function_call }] : null);
+          if (deltaCalls) {
+            for (const tc of deltaCalls) {
+              const idx = LLMEngine._toolCallIndex(toolCalls, tc);
               if (!toolCalls[idx]) {
                 toolCalls[idx] = { id: tc.id || '', type: 'function', function: { name: '', arguments: '' } };
               }
               if (tc.id) toolCalls[idx].id = tc.id;
               if (tc.function?.name) toolCalls[idx].function.name += tc.function.name;
-              if (tc.function?.arguments) toolCalls[idx].function.arguments += tc.function.arguments;
+              const args = tc.function?.arguments;
+              if (args) toolCalls[idx].function.arguments += typeof args === 'string' ? args : JSON.stringify(args);
             }
           }
         }
@@ -375,16 +823,18 @@ export class LLMEngine {
       throw e;
     }
 
-    const validToolCalls = toolCalls.filter(tc => tc && tc.id && tc.function.name);
+    const validToolCalls = LLMEngine._completeToolCalls(toolCalls);
     const rawMessage = {
       role: 'assistant',
       content: content || null,
       ...(validToolCalls.length > 0 ? { tool_calls: validToolCalls } : {})
     };
 
-    // Emit usage event with token counts (for streaming, estimate based on message content)
-    const estimatedUsage = { ...this._estimateUsage(content, this.messages), estimated: true };
-    emit('usage', estimatedUsage);
+    // provider 未返回用量时按字符数估算
+    emit('usage', {
+      ...(usage || { ...this._estimateUsage(content, this.messages), estimated: true }),
+      model: this.model
+    });
 
     return {
       content: content || '',
@@ -393,17 +843,329 @@ export class LLMEngine {
     };
   }
 
+  // ========== OpenAI Responses API Streaming ==========
+  _buildResponsesBody() {
+    const caps = this._capabilities();
+    const history = this.contextManager.select(this.messages, this._historyBudget());
+    const body = {
+      model: this.model,
+      instructions: this._systemPrompt(),
+      input: MessageFormat.toResponses(history),
+      stream: true,
+      // 历史由本地维护，不在服务端保存会话
+      store: false
+    };
+    if (caps.tools) {
+      body.tools = this._getTools().map(t => ({ type: 'function', ...t.function }));
+      body.tool_choice = 'auto';
+      if (!caps.parallelTools) body.parallel_tool_calls = false;
+    }
+    // 推理模型返回思考摘要，显示为思考过程
+    if (caps.reasoning) body.reasoning = { summary: 'auto' };
+    return body;
+  }
+
+  async _callResponsesStream(emit, signal) {
+    const { url, headers } = this._openAIEndpoint('responses');
+    const res = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(this._buildResponsesBody()),
+      signal
+    });
+    if (!res.ok) {
+      throw await LLMError.fromResponse(res);
+    }
+
+    // Parse SSE stream：每个 data 行是一个带 type 的事件
+    let content = '';
+    let usage = null;
+    const calls = new Map(); // item_id -> { id, type, function: { name, arguments } }
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (!trimmed.startsWith('data: ') || trimmed === 'data: [DONE]') continue;
+
+          let event;
+          try {
+            event = JSON.parse(trimmed.slice(6));
+          } catch {
+            continue;
+          }
+
+          switch (event.type) {
+            case 'response.output_text.delta':
+              content += event.delta;
+              emit('text_delta', { text: event.delta });
+              break;
+
+            case 'response.reasoning_summary_text.delta':
+            case 'response.reasoning_text.delta':
+              emit('thinking_delta', { text: event.delta });
+              break;
+
+            case 'response.output_item.added':
+            case 'response.output_item.done':
+              if (event.item?.type === 'function_call') {
+                const { id, call_id: callId, name, arguments: args = '' } = event.item;
+                const call = calls.get(id) || { id: callId, type: 'function', function: { name, arguments: args } };
+                // done 事件带完整参数，以它为准
+                if (event.type === 'response.output_item.done') call.function.arguments = args;
+                calls.set(id, call);
+              }
+              break;
+
+            case 'response.function_call_arguments.delta': {
+              const call = calls.get(event.item_id);
+              if (call) call.function.arguments += event.delta;
+              break;
+            }
+
+            case 'response.completed':
+            case 'response.incomplete':
+              if (event.response?.usage) usage = LLMEngine._responsesUsage(event.response.usage);
+              break;
+
+            case 'response.failed':
+              throw LLMError.fromStreamError(event.response?.error, 'Responses API 请求失败');
+
+            case 'error':
+              throw LLMError.fromStreamError(event.error || event);
+          }
+        }
+      }
+    } catch (e) {
+      if (e.name === 'AbortError') throw e;
+      if (content && !calls.size) {
+        return { content, toolCalls: null, rawMessage: { role: 'assistant', content } };
+      }
+      throw e;
+    }
+
+    // 与 Chat Completions 相同的结构保存到历史，工具调用流程无需区分
+    const toolCalls = [...calls.values()].filter(tc => tc.id && tc.function.name);
+    emit('usage', {
+      ...(usage || { ...this._estimateUsage(content, this.messages), estimated: true }),
+      model: this.model
+    });
+    return {
+      content,
+      toolCalls: toolCalls.length > 0 ? toolCalls : null,
+      rawMessage: {
+        role: 'assistant',
+        content: content || null,
+        ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {})
+      }
+    };
+  }
+
+  // 归一化 Responses API 的 usage；input_tokens 含命中缓存的部分
+  static _responsesUsage(u) {
+    const prompt = u.input_tokens || 0;
+    const completion = u.output_tokens || 0;
+    return {
+      prompt_tokens: prompt,
+      completion_tokens: completion,
+      total_tokens: u.total_tokens || prompt + completion,
+      cached_tokens: u.input_tokens_details?.cached_tokens || 0,
+      cache_creation_tokens: 0,
+      estimated: false
+    };
+  }
+
+  // ========== Gemini generateContent Streaming ==========
+  _geminiEndpoint(model, method) {
+    const base = (this.baseUrl || LLMEngine.BASE_URLS.gemini).replace(/\/$/, '');
+    return {
+      url: `${base}/models/${encodeURIComponent(model.replace(/^models\//, ''))}:${method}`,
+      headers: { 'Content-Type': 'application/json', 'x-goog-api-key': this.apiKey }
+    };
+  }
+
+  _buildGeminiBody() {
+    const caps = this._capabilities();
+    const history = this.contextManager.select(this.messages, this._historyBudget());
+    const body = {
+      systemInstruction: { parts: [{ text: this._systemPrompt() }] },
+      contents: MessageFormat.toGemini(history)
+    };
+    if (caps.tools) {
+      // parameters 只支持 OpenAPI 子集（不接受没有 properties 的 object，如 body 参数），改用 parametersJsonSchema 传完整的 JSON Schema
+      body.tools = [{
+        functionDeclarations: this._getTools().map(t => ({
+          name: t.function.name,
+          description: t.function.description,
+          parametersJsonSchema: t.function.parameters
+        }))
+      }];
+      body.toolConfig = { functionCallingConfig: { mode: 'AUTO' } };
+    }
+    // 思考模型返回思考摘要，显示为思考过程
+    if (caps.reasoning) body.generationConfig = { thinkingConfig: { includeThoughts: true } };
+    return body;
+  }
+
+  async _callGeminiStream(emit, signal) {
+    const { url, headers } = this._geminiEndpoint(this.model, 'streamGenerateContent?alt=sse');
+    const res = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(this._buildGeminiBody()),
+      signal
+    });
+    if (!res.ok) {
+      throw await LLMError.fromResponse(res);
+    }
+
+    // Parse SSE stream：每个 data 行是一个 GenerateContentResponse，函数调用整体出现在某个分片中
+    let content = '';
+    let usage = null;
+    let finishReason = null;
+    const toolCalls = [];
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (!trimmed.startsWith('data: ')) continue;
+
+          let chunk;
+          try {
+            chunk = JSON.parse(trimmed.slice(6));
+          } catch {
+            continue;
+          }
+          if (chunk.error) throw LLMError.fromStreamError(chunk.error);
+          // usageMetadata 是累计值，以最后一个为准
+          if (chunk.usageMetadata) usage = LLMEngine._geminiUsage(chunk.usageMetadata);
+          if (chunk.promptFeedback?.blockReason) finishReason = chunk.promptFeedback.blockReason;
+
+          const candidate = chunk.candidates?.[0];
+          if (candidate?.finishReason) finishReason = candidate.finishReason;
+          for (const part of candidate?.content?.parts || []) {
+            if (part.functionCall) {
+              const { id, name, args } = part.functionCall;
+              toolCalls.push({
+                id: id || '',
+                type: 'function',
+                function: { name, arguments: JSON.stringify(args || {}) },
+                // 思考模型的函数调用带 thought signature，后续请求必须原样带回
+                ...(part.thoughtSignature ? { extra_content: { google: { thought_signature: part.thoughtSignature } } } : {})
+              });
+            } else if (part.thought) {
+              if (part.text) emit('thinking_delta', { text: part.text });
+            } else if (part.text) {
+              content += part.text;
+              emit('text_delta', { text: part.text });
+            }
+          }
+        }
+      }
+    } catch (e) {
+      if (e.name === 'AbortError') throw e;
+      if (content && !toolCalls.length) {
+        return { content, toolCalls: null, rawMessage: { role: 'assistant', content } };
+      }
+      throw e;
+    }
+
+    // Gemini API 的函数调用通常不带 id，补上 id 后与 Chat Completions 相同的结构保存到历史
+    const calls = LLMEngine._completeToolCalls(toolCalls);
+    // 被安全策略拦截或函数调用格式错误时没有任何输出
+    if (!content && !calls.length && finishReason && !['STOP', 'MAX_TOKENS'].includes(finishReason)) {
+      throw new LLMError(`Gemini 未返回内容（finishReason: ${finishReason}）`, {
+        type: finishReason,
+        retryable: finishReason === 'MALFORMED_FUNCTION_CALL'
+      });
+    }
+    emit('usage', {
+      ...(usage || { ...this._estimateUsage(content, this.messages), estimated: true }),
+      model: this.model
+    });
+    return {
+      content,
+      toolCalls: calls.length > 0 ? calls : null,
+      rawMessage: {
+        role: 'assistant',
+        content: content || null,
+        ...(calls.length > 0 ? { tool_calls: calls } : {})
+      }
+    };
+  }
+
+  // 归一化 Gemini 的 usageMetadata；promptTokenCount 含命中缓存的部分，思考 token 按输出计
+  static _geminiUsage(u) {
+    const prompt = u.promptTokenCount || 0;
+    const completion = (u.candidatesTokenCount || 0) + (u.thoughtsTokenCount || 0);
+    return {
+      prompt_tokens: prompt,
+      completion_tokens: completion,
+      total_tokens: u.totalTokenCount || prompt + completion,
+      cached_tokens: u.cachedContentTokenCount || 0,
+      cache_creation_tokens: 0,
+      estimated: false
+    };
+  }
+
+  // 归一化 OpenAI 兼容接口的 usage；prompt_tokens 含命中缓存的部分
+  static _openAIUsage(u) {
+    const prompt = u.prompt_tokens || 0;
+    const completion = u.completion_tokens || 0;
+    return {
+      prompt_tokens: prompt,
+      completion_tokens: completion,
+      total_tokens: u.total_tokens || prompt + completion,
+      // OpenAI / 通义: prompt_tokens_details.cached_tokens；DeepSeek: prompt_cache_hit_tokens；Kimi: cached_tokens
+      cached_tokens: u.prompt_tokens_details?.cached_tokens ?? u.prompt_cache_hit_tokens ?? u.cached_tokens ?? 0,
+      cache_creation_tokens: 0,
+      estimated: false
+    };
+  }
+
+  // 归一化 Anthropic 的 usage；input_tokens 不含缓存部分，这里合并为 prompt_tokens
+  static _anthropicUsage(u) {
+    const cached = u.cache_read_input_tokens || 0;
+    const created = u.cache_creation_input_tokens || 0;
+    const prompt = (u.input_tokens || 0) + cached + created;
+    const completion = u.output_tokens || 0;
+    return {
+      prompt_tokens: prompt,
+      completion_tokens: completion,
+      total_tokens: prompt + completion,
+      cached_tokens: cached,
+      cache_creation_tokens: created,
+      estimated: false
+    };
+  }
+
   // ========== Estimate token usage ==========
   _estimateUsage(content, messages, emitLog = false) {
     // Rough estimation: ~1 token ≈ 2-3 chars for Chinese, ~3-4 chars for English
-    // 使用更准确的估算公式
-    const estimateChars = (text) => {
-      if (!text) return 0;
-      if (typeof text !== 'string') text = JSON.stringify(text) || '';
-      const chineseChars = (text.match(/[\u4e00-\u9fa5]/g) || []).length;
-      const otherChars = text.length - chineseChars;
-      return Math.ceil(chineseChars / 2.5 + otherChars / 3.5);
-    };
+    const estimateChars = ContextManager.estimateTokens;
 
     const promptTokens = messages.reduce((sum, m) => sum + estimateChars(m.content), 0);
     const completionTokens = estimateChars(content);
@@ -420,79 +1182,209 @@ export class LLMEngine {
     };
   }
 
-  _compressMessages(msgs) {
-    const MAX_TOKENS = 60000;
-    const KEEP_RECENT = 10;
-    const estimateChars = (text) => {
-      if (!text) return 0;
-      if (typeof text !== 'string') text = JSON.stringify(text) || '';
-      return Math.ceil(text.length / 3);
-    };
-    const totalTokens = () => msgs.reduce((s, m) => s + estimateChars(m.content), 0);
+  // 历史消息可用的 token 数：上下文窗口减去输出预留、系统提示词和工具定义
+  _historyBudget() {
+    const { contextWindow, maxOutput, tools } = this._capabilities();
+    const reserve = Math.min(maxOutput, Math.floor(contextWindow / 4));
+    const fixed = ContextManager.estimateTokens(this._systemPrompt())
+      + (tools ? ContextManager.estimateTokens(JSON.stringify(this._getTools())) : 0);
+    return Math.max(contextWindow - reserve - fixed, LLMEngine.MIN_HISTORY_TOKENS);
+  }
 
-    if (totalTokens() <= MAX_TOKENS) return msgs;
+  _anthropicHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': this.apiKey,
+      'anthropic-version': '2023-06-01',
+      'anthropic-dangerous-direct-browser-access': 'true'
+    };
+  }
 
-    for (let i = 0; i < msgs.length - KEEP_RECENT; i++) {
-      const m = msgs[i];
-      const c = typeof m.content === 'string' ? m.content : JSON.stringify(m.content) || '';
-      if (m.role === 'tool' && c.length > 500) {
-        msgs[i] = { ...m, content: c.slice(0, 300) + '...[截断]' };
-      } else if (m.role === 'assistant' && c.length > 1000) {
-        msgs[i] = { ...m, content: c.slice(0, 500) + '...[截断]' };
-      }
+  /**
+   * 把较早的对话并入对话记忆（不带工具的单次非流式调用），用量照常上报
+   * @param {object} context - { emit, signal }，由 chat() 经 ContextManager.prepare 透传
+   */
+  async _summarizeContext(memory, transcript, { emit = () => {}, signal } = {}) {
+    const model = (!this.baseUrl && LLMEngine.SUMMARY_MODELS[this.provider]) || this.model;
+    const prompt = `${memory ? `已有的对话记忆：\n${memory}\n\n` : ''}需要并入记忆的较早对话：\n${transcript}`;
+    if (this.provider === 'gemini') return this._summarizeGemini(model, prompt, emit, signal);
+    const isAnthropic = this.provider === 'anthropic';
+    // Responses API 的提供商同样支持 Chat Completions，摘要统一走后者
+    const endpoint = isAnthropic
+      ? { url: `${(this.baseUrl || LLMEngine.BASE_URLS.anthropic).replace(/\/$/, '')}/messages`, headers: this._anthropicHeaders() }
+      : this._openAIEndpoint('chat/completions');
+    const res = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: endpoint.headers,
+      body: JSON.stringify(isAnthropic
+        ? { model, system: CONTEXT_SUMMARY_PROMPT, messages: [{ role: 'user', content: prompt }], max_tokens: LLMEngine.SUMMARY_MAX_TOKENS }
+        : { model, messages: [{ role: 'system', content: CONTEXT_SUMMARY_PROMPT }, { role: 'user', content: prompt }], max_tokens: LLMEngine.SUMMARY_MAX_TOKENS }),
+      signal
+    });
+    if (!res.ok) {
+      throw await LLMError.fromResponse(res);
     }
-
-    while (totalTokens() > MAX_TOKENS && msgs.length > KEEP_RECENT) {
-      msgs.shift();
+    const data = await res.json();
+    if (data.usage) {
+      const usage = isAnthropic ? LLMEngine._anthropicUsage(data.usage) : LLMEngine._openAIUsage(data.usage);
+      emit('usage', { ...usage, model });
     }
+    return isAnthropic
+      ? (data.content || []).filter(b => b.type === 'text').map(b => b.text).join('')
+      : data.choices?.[0]?.message?.content || '';
+  }
 
-    return msgs;
+  async _summarizeGemini(model, prompt, emit, signal) {
+    const { url, headers } = this._geminiEndpoint(model, 'generateContent');
+    const res = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        systemInstruction: { parts: [{ text: CONTEXT_SUMMARY_PROMPT }] },
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: { maxOutputTokens: LLMEngine.SUMMARY_MAX_TOKENS }
+      }),
+      signal
+    });
+    if (!res.ok) {
+      throw await LLMError.fromResponse(res);
+    }
+    const data = await res.json();
+    if (data.usageMetadata) emit('usage', { ...LLMEngine._geminiUsage(data.usageMetadata), model });
+    return (data.candidates?.[0]?.content?.parts || []).filter(p => p.text && !p.thought).map(p => p.text).join('');
   }
 
   // ========== OpenAI Non-Streaming Fallback ==========
   async _callOpenAINonStream(signal, emit = () => {}) {
-    const defaultBase = LLMEngine.BASE_URLS[this.provider] || LLMEngine.BASE_URLS.openai;
-    const base = this.baseUrl || defaultBase;
-    const url = `${base.replace(/\/$/, '')}/chat/completions`;
-
+    const { url, headers } = this._openAIEndpoint('chat/completions');
     const body = this._buildOpenAIBody(false);
 
     const res = await fetch(url, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${this.apiKey}` },
+      headers,
       body: JSON.stringify(body),
       signal
     });
 
     if (!res.ok) {
-      const errText = await res.text();
-      let errMsg;
-      try { errMsg = JSON.parse(errText).error?.message || errText; } catch { errMsg = errText; }
-      throw new Error(errMsg);
+      throw await LLMError.fromResponse(res);
     }
 
     const data = await res.json();
-    if (data.error) throw new Error(data.error.message);
+    if (data.error) throw LLMError.fromStreamError(data.error);
     const msg = data.choices[0].message;
-    const toolCalls = msg.tool_calls?.map(tc => ({
-      ...tc,
-      type: tc.type || 'function'
-    })) || null;
+    const toolCalls = LLMEngine._completeToolCalls(
+      (msg.tool_calls || (msg.function_call ? [{ function: msg.function_call }] : [])).map(tc => ({
+        ...tc,
+        type: tc.type || 'function',
+        function: {
+          ...tc.function,
+          arguments: typeof tc.function?.arguments === 'string' ? tc.function.arguments : JSON.stringify(tc.function?.arguments || {})
+        }
+      }))
+    );
 
     // Emit usage from actual API response if available
-    const usage = data.usage 
-      ? { ...data.usage, estimated: false } 
+    const usage = data.usage
+      ? LLMEngine._openAIUsage(data.usage)
       : { ...this._estimateUsage(msg.content || '', this.messages), estimated: true };
-    emit('usage', usage);
+    emit('usage', { ...usage, model: this.model });
 
     return {
       content: msg.content || '',
       toolCalls: toolCalls?.length > 0 ? toolCalls : null,
-      rawMessage: { ...msg, tool_calls: toolCalls?.length > 0 ? toolCalls : undefined }
+      rawMessage: { ...msg, function_call: undefined, tool_calls: toolCalls?.length > 0 ? toolCalls : undefined }
+    };
+  }
+
+  // 流式工具调用分片所属的调用：部分本地服务不带 index，按 id 归并；
+  // 没有 id 时，带新工具名的分片开始新调用，其余续接最后一个调用
+  static _toolCallIndex(toolCalls, tc) {
+    if (typeof tc.index === 'number') return tc.index;
+    const byId = tc.id ? toolCalls.findIndex(t => t?.id === tc.id) : -1;
+    if (byId >= 0) return byId;
+    const last = toolCalls[toolCalls.length - 1];
+    return tc.id || !last || (tc.function?.name && last.function.name) ? toolCalls.length : toolCalls.length - 1;
+  }
+
+  // 去掉没有工具名的残缺调用；缺少 id（llama.cpp 等）时补一个，保证工具结果能对应上
+  static _completeToolCalls(toolCalls) {
+    const suffix = Date.now().toString(36);
+    return toolCalls
+      .filter(tc => tc?.function?.name)
+      .map((tc, i) => ({ ...tc, id: tc.id || `call_${suffix}_${i}`, function: { ...tc.function, arguments: tc.function.arguments || '{}' } }));
+  }
+
+  // 本地模型的工具调用有时以文本形式出现在正文中，转成标准 tool_calls
+  _extractEmbeddedToolCalls(result) {
+    if (result.toolCalls?.length || !result.content) return result;
+    const embedded = TextToolProtocol.extractEmbedded(result.content, this._getTools());
+    if (!embedded) return result;
+    const toolCalls = LLMEngine._completeToolCalls(embedded.calls.map(c => ({
+      type: 'function',
+      function: { name: c.name, arguments: JSON.stringify(c.args) }
+    })));
+    return {
+      content: embedded.text,
+      toolCalls,
+      rawMessage: { role: 'assistant', content: embedded.text || null, tool_calls: toolCalls }
     };
   }
 
   // ========== Anthropic Streaming ==========
+  // 系统提示词和工具定义在一轮内的多次调用中不变，加缓存断点后后续调用按缓存价计费。
+  // 缓存前缀按 tools → system → messages 计算：系统提示词上的断点覆盖两者，
+  // 工具定义上的断点使系统提示词变化（对话记忆更新、切换计划模式）时工具定义仍能命中
+  _buildAnthropicBody() {
+    const caps = this._capabilities();
+    let messages = MessageFormat.toAnthropic(this.contextManager.select(this.messages, this._historyBudget()));
+    const thinking = this._anthropicThinking(caps, messages);
+    if (!thinking) messages = LLMEngine._withoutThinking(messages);
+    const toolParams = this._anthropicToolParams();
+    if (toolParams.tools?.length) {
+      const last = toolParams.tools.length - 1;
+      toolParams.tools = toolParams.tools.map((t, i) => i === last ? { ...t, cache_control: { type: 'ephemeral' } } : t);
+    }
+    return {
+      model: this.model,
+      system: [{ type: 'text', text: this._systemPrompt(), cache_control: { type: 'ephemeral' } }],
+      messages,
+      ...toolParams,
+      ...(thinking ? { thinking } : {}),
+      max_tokens: caps.maxOutput,
+      stream: true
+    };
+  }
+
+  /**
+   * 扩展思考参数：预算不小于 1024 且小于 max_tokens，未开启或模型不支持时返回 null。
+   * 开启思考时，工具调用中途的最后一条 assistant 消息必须以思考块开头；
+   * 本轮中途才切换过来（历史来自备用模型）时缺少思考块，这次调用不开启
+   */
+  _anthropicThinking(caps, messages) {
+    if (!this.thinkingBudget || !caps.reasoning) return null;
+    const budget = Math.min(Math.max(this.thinkingBudget, LLMEngine.MIN_THINKING_BUDGET), caps.maxOutput - 1);
+    if (budget < LLMEngine.MIN_THINKING_BUDGET) return null;
+    const lastMessage = messages[messages.length - 1];
+    const inToolRound = Array.isArray(lastMessage?.content) && lastMessage.content.some(b => b.type === 'tool_result');
+    if (inToolRound) {
+      const first = messages.findLast(m => m.role === 'assistant')?.content?.[0];
+      if (first?.type !== 'thinking' && first?.type !== 'redacted_thinking') return null;
+    }
+    return { type: 'enabled', budget_tokens: budget };
+  }
+
+  // 未开启思考的请求去掉历史中的思考块
+  static _withoutThinking(messages) {
+    return messages.flatMap(m => {
+      if (m.role !== 'assistant' || !Array.isArray(m.content)) return [m];
+      const content = m.content.filter(b => b.type !== 'thinking' && b.type !== 'redacted_thinking');
+      if (content.length === m.content.length) return [m];
+      // 只有思考块的回复去掉后为空，接口不接受空的 assistant 消息，整条去掉（前后相邻的 user 消息由服务端合并）
+      return content.length ? [{ ...m, content }] : [];
+    });
+  }
+
   async _callAnthropicStream(emit, signal) {
     const defaultBase = LLMEngine.BASE_URLS.anthropic;
     const base = this.baseUrl || defaultBase;
@@ -500,36 +1392,23 @@ export class LLMEngine {
 
     const res = await fetch(url, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': this.apiKey,
-        'anthropic-version': '2023-06-01',
-        'anthropic-dangerous-direct-browser-access': 'true'
-      },
-      body: JSON.stringify({
-        model: this.model,
-        system: this._systemPrompt(),
-        messages: this._compressMessages([...this.messages]),
-        tools: this._getToolsAnthropic(),
-        max_tokens: 16384,
-        stream: true
-      }),
+      headers: this._anthropicHeaders(),
+      body: JSON.stringify(this._buildAnthropicBody()),
       signal
     });
 
     if (!res.ok) {
-      const errText = await res.text();
-      let errMsg;
-      try { errMsg = JSON.parse(errText).error?.message || errText; } catch { errMsg = errText; }
-      throw new Error(errMsg);
+      throw await LLMError.fromResponse(res);
     }
 
     // Parse Anthropic SSE stream
-    const contentBlocks = []; // Array of { type, text?, id?, name?, input? }
+    const contentBlocks = []; // Array of { type, text?, thinking?, signature?, id?, name?, input? }
     let currentBlockIndex = -1;
     let currentBlockType = '';
     let textContent = '';
     let inputJsonStr = '';
+    // message_start 带输入用量，message_delta 带累计输出用量
+    let rawUsage = null;
 
     const reader = res.body.getReader();
     const decoder = new TextDecoder();
@@ -558,7 +1437,7 @@ export class LLMEngine {
 
           switch (event.type) {
             case 'message_start':
-              // Message metadata, nothing to do
+              if (event.message?.usage) rawUsage = { ...event.message.usage };
               break;
 
             case 'content_block_start':
@@ -566,6 +1445,11 @@ export class LLMEngine {
               currentBlockType = event.content_block?.type || '';
               if (currentBlockType === 'text') {
                 contentBlocks[currentBlockIndex] = { type: 'text', text: '' };
+              } else if (currentBlockType === 'thinking') {
+                // 思考块连同签名原样保存到历史，工具调用的后续请求必须带回
+                contentBlocks[currentBlockIndex] = { type: 'thinking', thinking: '', signature: '' };
+              } else if (currentBlockType === 'redacted_thinking') {
+                contentBlocks[currentBlockIndex] = { ...event.content_block };
               } else if (currentBlockType === 'tool_use') {
                 contentBlocks[currentBlockIndex] = {
                   type: 'tool_use',
@@ -584,6 +1468,11 @@ export class LLMEngine {
                   contentBlocks[event.index].text += event.delta.text;
                 }
                 emit('text_delta', { text: event.delta.text });
+              } else if (event.delta?.type === 'thinking_delta' && event.delta.thinking) {
+                if (contentBlocks[event.index]) contentBlocks[event.index].thinking += event.delta.thinking;
+                emit('thinking_delta', { text: event.delta.thinking });
+              } else if (event.delta?.type === 'signature_delta' && contentBlocks[event.index]) {
+                contentBlocks[event.index].signature += event.delta.signature || '';
               } else if (event.delta?.type === 'input_json_delta' && event.delta.partial_json) {
                 inputJsonStr += event.delta.partial_json;
               }
@@ -601,14 +1490,17 @@ export class LLMEngine {
               break;
 
             case 'message_delta':
-              // stop_reason etc
+              if (event.usage) {
+                const counts = Object.entries(event.usage).filter(([, v]) => typeof v === 'number');
+                rawUsage = { ...rawUsage, ...Object.fromEntries(counts) };
+              }
               break;
 
             case 'message_stop':
               break;
 
             case 'error':
-              throw new Error(event.error?.message || 'Anthropic stream error');
+              throw LLMError.fromStreamError(event.error, 'Anthropic stream error');
           }
         }
       }
@@ -623,9 +1515,10 @@ export class LLMEngine {
     const toolBlocks = contentBlocks.filter(b => b?.type === 'tool_use');
     const rawContent = contentBlocks.filter(b => b != null);
 
-    // Estimate usage for Anthropic (no streaming usage data)
-    const usage = { ...this._estimateUsage(textContent, this.messages), estimated: true };
-    emit('usage', usage);
+    const usage = rawUsage
+      ? LLMEngine._anthropicUsage(rawUsage)
+      : { ...this._estimateUsage(textContent, this.messages), estimated: true };
+    emit('usage', { ...usage, model: this.model });
 
     return {
       content: textContent,
@@ -642,7 +1535,133 @@ export class LLMEngine {
     'search_docs', 'get_doc_stats'
   ]);
 
+  // 执行工具；高风险云盘变更前先自动快照，可逆操作在执行前保存原状态、成功后登记逆操作
   async _executeTool(name, args) {
+    // 所有执行入口（对话、变更计划中编辑过的参数、撤销按钮）统一在这里校验，不合法的调用不发往云平台
+    const invalid = ToolValidator.validate(name, args, TOOLS);
+    if (invalid) return { error: invalid, code: 'INVALID_ARGS' };
+
+    let snapshots = null;
+    const guardTarget = this.snapshotGuard && this.zstackClient?.isLoggedIn() ? SnapshotGuard.target(name, args) : null;
+    if (guardTarget) {
+      snapshots = await this._protectWithSnapshot(guardTarget, name, args);
+      if (snapshots.error) return snapshots;
+    }
+
+    const reversible = this.zstackClient ? UndoStack.match(name, args) : null;
+    const before = reversible ? await this.undoStack.prepare(reversible, this.zstackClient) : null;
+    const result = await this._auditedTool(name, args, snapshots ? { snapshots } : {});
+    if (before && !result?.error && !result?.stillRunning) {
+      this.undoStack.record(reversible, before, result, {
+        detail: this._formatToolDetail(name, args),
+        endpoint: this.zstackClient.endpoint
+      });
+    }
+    return snapshots && result && typeof result === 'object' ? { ...result, safeguardSnapshots: snapshots } : result;
+  }
+
+  // 创建变更前快照并写入审计日志；失败时返回错误结果，变更不再执行
+  async _protectWithSnapshot(target, name, args) {
+    const detail = this._formatToolDetail(name, args);
+    const startedAt = Date.now();
+    let snapshots = null;
+    let failure = null;
+    try {
+      snapshots = await SnapshotGuard.protect(target, this.zstackClient, detail);
+    } catch (e) {
+      failure = {
+        ...this._toolError(e),
+        error: `变更前自动快照失败，变更未执行: ${e.message}`,
+        code: 'SNAPSHOT_FAILED',
+        executed: false
+      };
+    }
+    this.auditLog?.append({
+      source: 'safeguard',
+      prompt: this._currentPrompt,
+      tool: 'auto_snapshot',
+      operation: `变更前自动快照（${detail}）`,
+      method: 'POST',
+      path: snapshots ? `v1/volumes/${snapshots[0].volumeUuid}/volume-snapshots` : null,
+      body: snapshots ? { name: snapshots[0].name } : null,
+      ...AuditLog.outcome(failure || snapshots[0]),
+      snapshots,
+      durationMs: Date.now() - startedAt
+    });
+    return failure || snapshots;
+  }
+
+  /**
+   * 撤销一次变更（侧边栏"撤销"按钮），结果随下一条消息告知模型
+   * @param {number} [changeId] - 撤销记录 ID，默认最近一次
+   */
+  async undoChange(changeId) {
+    const result = await this._executeTool('undo_last_change', { change_id: changeId });
+    if (!result?.error) this.addContext(`[撤销] 用户撤销了"${result.undone}"，已执行逆操作：${result.inverse}`);
+    return result;
+  }
+
+  // 当前环境中指定的撤销记录，未指定时取最近一次
+  _undoEntry(changeId) {
+    const endpoint = this.zstackClient?.endpoint;
+    if (!endpoint) return null;
+    return changeId ? this.undoStack.find(changeId, endpoint) : this.undoStack.latest(endpoint);
+  }
+
+  async _undoChange(changeId) {
+    const cli = this.zstackClient;
+    const entry = this._undoEntry(changeId);
+    if (!entry) {
+      return { error: changeId ? '该变更已撤销或不属于当前环境' : '没有可撤销的变更（只记录本次会话中成功执行的可逆操作）' };
+    }
+    const result = await cli[entry.inverse.op](...entry.inverse.args);
+    this.undoStack.remove(entry.id);
+    return { undone: entry.detail, inverse: entry.inverse.detail, result };
+  }
+
+  // 访问云平台的调用（直连工具、execute_api、execute_workflow、撤销）写入审计日志
+  async _auditedTool(name, args, extra = {}) {
+    const audited = this.auditLog
+      && (ToolPolicy.TOOL_METHODS[name] || ['execute_api', 'execute_workflow', 'undo_last_change'].includes(name));
+    if (!audited) return this._runTool(name, args);
+
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = await this._runTool(name, args);
+      return result;
+    } catch (e) {
+      result = this._toolError(e);
+      throw e;
+    } finally {
+      this.auditLog.append({
+        source: 'chat',
+        prompt: this._currentPrompt,
+        tool: name,
+        operation: this._formatToolDetail(name, args),
+        ...this._auditTarget(name, args),
+        body: args,
+        ...AuditLog.outcome(result, this.zstackClient),
+        ...extra,
+        durationMs: Date.now() - startedAt
+      });
+    }
+  }
+
+  // 审计记录中的 HTTP 方法和路径
+  _auditTarget(name, args) {
+    if (name === 'execute_api') return { method: 'API', path: args.api_name || null };
+    if (name === 'execute_workflow') return { method: 'WORKFLOW', path: args.workflow_id || null };
+    if (name === 'undo_last_change') return { method: 'UNDO', path: null };
+    const method = ToolPolicy.TOOL_METHODS[name];
+    if (name === 'zstack_zql') return { method, path: 'v1/zql' };
+    if (name === 'check_job') return { method, path: `v1/api-jobs/${args.job_uuid}` };
+    const resource = args.resource_path && !args.resource_path.startsWith('v1/') ? `v1/${args.resource_path}` : args.resource_path;
+    const path = [resource, args.uuid, name === 'zstack_action' ? 'actions' : null].filter(Boolean).join('/');
+    return { method, path: path || null };
+  }
+
+  async _runTool(name, args) {
     // Workflow tools
     if (name === 'list_workflows') {
       return { workflows: this.workflowEngine.list() };
@@ -664,14 +1683,18 @@ export class LLMEngine {
       try {
         const result = await this.workflowEngine.execute(
           args.workflow_id, args.params || {},
-          { zstackClient: this.zstackClient, mcpClient: this.mcpClient }
+          { zstackClient: this.zstackClient, mcpClient: this.mcpClient, auditLog: this.auditLog, prompt: this._currentPrompt }
         );
         return result;
       } catch (e) {
-        return { error: `工作流执行失败: ${e.message}` };
+        return { ...this._toolError(e), error: `工作流执行失败: ${e.message}` };
       }
     }
 
+    if (name === 'fetch_result_page') {
+      return this.resultShaper.page(args.result_id, { offset: args.offset, limit: args.limit, fields: args.fields }, this._resultCharLimit());
+    }
+
     if (LLMEngine.MCP_TOOLS.has(name)) {
       if (!this.mcpClient?.enabled) return { error: 'MCP Server 未启用，请在设置中开启并配置 MCP Server 地址' };
       try {
@@ -690,6 +1713,13 @@ export class LLMEngine {
       switch (name) {
         case 'zstack_query':
           return await cli.query(fixPath(args.resource_path), args.conditions || [], args.limit || 100, args.start || 0, args.sort_by, args.sort_direction);
+        case 'zstack_query_all':
+          return await cli.queryAll(fixPath(args.resource_path), args.conditions || [], {
+            pageSize: args.page_size || 100,
+            maxItems: args.max_items || 5000,
+            sortBy: args.sort_by,
+            sortDirection: args.sort_direction
+          });
         case 'zstack_get':
           return await cli.get(fixPath(args.resource_path), args.uuid);
         case 'zstack_create':
@@ -702,6 +1732,10 @@ export class LLMEngine {
           return await cli.update(fixPath(args.resource_path), args.uuid, args.body);
         case 'zstack_zql':
           return await cli.zql(args.zql);
+        case 'check_job':
+          return await cli.checkJob(args.job_uuid);
+        case 'undo_last_change':
+          return await this._undoChange(args.change_id);
         case 'query_vms': return await cli.queryVmInstances(args.conditions || []);
         case 'create_vm': return await cli.createVm(args.params);
         case 'start_vm': return await cli.startVm(args.uuid);
@@ -723,9 +1757,20 @@ export class LLMEngine {
           return { error: `未知工具: ${name}` };
       }
     } catch (e) {
-      return { error: e.message };
+      return this._toolError(e);
     }
   }
+
+  // 单个工具结果发给模型的长度上限，超出时由 ResultShaper 缓存并分页
+  _resultCharLimit() {
+    return this.queryMode === 'full' ? 80000 : 30000;
+  }
+
+  // 工具错误结果：ZStackError 附带 HTTP 状态码、错误码、API 路径和任务 UUID，便于模型判断下一步
+  _toolError(e) {
+    if (e instanceof ZStackError) return e.toJSON();
+    return { error: e.message };
+  }
 }
 
 // ========== System Prompt ==========
@@ -742,19 +1787,19 @@ const SYSTEM_PROMPT_BASE = `你是 ZStack Cloud 专业运维与技术专家，
 - 监控数据（如 CPU/内存指标）基于时间窗口采样，UUID 可能来自已删除资源，需识别并说明，不能直接断言资源"不存在"
 - 遇到监控 UUID 查不到对应资源时，主动说明：**这是历史监控数据，对应资源可能已删除或更名**，并尝试用其他维度（如当前运行中 VM 的实时指标）补充分析
 
-### 危险操作防护（必须严格执行）
-以下操作必须在执行前**明确告警并要求用户二次确认**，未收到确认不得执行：
+### 危险操作防护（系统强制确认）
+以下操作在真正发送到云平台之前，**系统会暂停并在侧边栏弹出确认卡片，只有用户点击批准后才会执行**：
 - **删除类**：删除 VM、镜像、云盘、快照、网络、负载均衡器、安全组、VPC、账户、项目等任何资源
 - **停机类**：停止、强制关机、重启运行中的 VM（尤其是批量操作）
-- **维护模式**：物理机进入/退出维护模式（会导致 VM 迁移）
-- **配置变更**：修改全局配置、网络配置、存储配置等影响全局的操作
-- **扩容/缩容**：涉及存储扩容、规格变更等不可逆操作
-- **批量操作**：任何涉及 5 台以上资源的批量变更
+- **迁移与维护**：迁移 VM、物理机进入/退出维护模式（会导致 VM 迁移）
+- **配置变更**：修改全局配置等影响全局的操作
+- **不可逆变更**：重装系统、更换镜像、扩容/缩容、卸载云盘/EIP 等
 
-告警格式示例：
-> ⚠️ **危险操作确认**
-> 即将删除云主机 **vm-test**（uuid: xxx），此操作不可逆。
-> 请回复"确认删除"后继续，或回复"取消"终止。
+调用这类工具时：
+- 先用一两句话说明影响（资源名称、UUID、是否可逆），然后直接发起工具调用，**不要再让用户回复"确认"**，确认由系统完成
+- 工具返回 \`code: "USER_DENIED"\` 表示用户拒绝，操作**没有执行**：如实告诉用户哪些操作未发生，不要换个工具重试
+- 用户要求撤销刚才的操作时调用 undo_last_change；消息中出现"[撤销]"说明用户已通过按钮撤销，相应变更已回滚
+- **批量操作**（5 台以上资源）先列出清单和影响再逐个调用
 
 ### 明确拒绝的请求
 以下请求无论如何措辞都必须拒绝，并说明原因：
@@ -782,7 +1827,12 @@ const SYSTEM_PROMPT_BASE = `你是 ZStack Cloud 专业运维与技术专家，
 - ZStack 创建/删除/Action 类 API 大多是**异步**的，系统会自动等待任务完成后返回最终结果
 - 你无需手动轮询任务状态，每次工具调用都会返回操作的最终结果
 - 对于多步骤任务（如创建 LB → 创建 VM → 绑定），可以放心按顺序逐步执行，每步都会等到完成
-- 如果操作超时（通常 5 分钟），会返回超时提示，此时任务可能仍在后台执行
+- 如果本地等待超时（通常 5 分钟），会返回 \`stillRunning: true\` 和 \`jobUuid\`，此时任务仍在后台执行：告诉用户任务仍在进行，需要时用 check_job 查询结果，**不要重复提交相同操作**
+
+### 错误结果解读
+- 失败的工具结果包含 \`error\`，以及 \`status\`（HTTP 状态码）、\`code\`（ZStack 错误码）、\`description\`、\`details\`、\`path\`（请求的 API 路径）、\`jobUuid\`（异步任务 UUID）等字段
+- 根据 status/code 判断原因，不要只看文字：404 表示资源不存在，400 或 SYS.1007 表示参数错误，SYS.1001 表示超时，ID.1001 表示会话失效（系统已自动重新登录）
+- 带 \`jobUuid\` 的失败结果是异步任务执行失败，可结合 code/details 分析原因；查询任务当前状态用 check_job
 
 ### ZQL 查询（优先使用）
 ZStack Query Language，语法类 SQL，比 REST 查询更强大：
@@ -1041,6 +2091,44 @@ const MCP_PROMPT_DISABLED = `
 回复示例："监控数据（CPU/内存使用率等）需要启用 MCP Server 后才能查询，请在设置页面的 MCP 标签页中启用。"
 不要用 zstack_query 尝试查询监控数据——ZStack REST API 不包含实时监控指标。`;
 
+const PLAN_MODE_PROMPT = `
+## 计划模式（📝 当前已开启）
+- 创建、修改、删除、Action、VM 快捷操作（create_vm、stop_vm 等），以及变更类的 execute_api 和含变更步骤的 execute_workflow **不会立即执行**，而是加入"变更计划"，工具返回 planned=true
+- 先用查询工具收集所需信息（UUID、当前状态、依赖关系），再按执行顺序逐个调用变更工具，一次性提出完整计划
+- 后续步骤依赖前面新建资源的 UUID 时无法预知，在说明中指出，计划执行后再补充
+- 全部步骤加入计划后，用表格总结：序号、操作、对象、影响、是否可逆，并提示用户在下方计划卡片中审阅、编辑后批准或放弃
+- 计划尚未执行，不要声称操作已经完成；收到"[变更计划执行结果]"后再根据结果汇报
+`;
+
+const LARGE_RESULT_PROMPT = `
+## 大结果分页
+- 工具结果带 resultId 表示结果过大：inventories 只是其中一页，且默认只含关键字段；count 是已获取条数，total（如有）是平台上的真实总数
+- 需要后续数据或更多字段时调用 fetch_result_page（传 nextOffset 或 fields），**不要为翻页重新查询云平台**
+- 回答时说明展示的是第几条到第几条，不要把单页条数当成总数
+`;
+
+// 生成对话记忆的系统提示词（单独的低价模型调用，不带工具）
+const CONTEXT_SUMMARY_PROMPT = `你负责整理云平台运维助手的对话记忆。把已有记忆和较早的对话合并成一份新的记忆，供后续对话参考。
+要求：
+- 用简洁的中文要点，不超过 800 字
+- 保留：用户的目标和偏好、涉及的环境/项目/资源名称和 UUID、已执行的变更及结果、查询得出的关键结论、尚未完成的事项
+- 删除：寒暄、重复内容、原始 JSON 和大段列表
+- 只输出记忆本身，不要加前言`;
+
+const SNAPSHOT_GUARD_PROMPT = `
+## 变更前自动快照（📸 当前环境已开启）
+- 重装系统（reimageVmInstance）、更换镜像（changeVmImage）、云盘扩容、删除数据云盘之前，系统会自动为受影响的云盘创建快照，不需要你手动创建
+- 工具结果中的 safeguardSnapshots 列出了快照名称和 UUID，回复时告诉用户，并说明可用该快照回滚
+- 返回 code=SNAPSHOT_FAILED 表示快照失败、变更**没有执行**，如实告知原因，不要绕过快照重试
+`;
+
+const READ_ONLY_PROMPT = `
+## 只读环境（🔒 当前环境已开启只读模式）
+- 你只能查询和分析，不能创建、修改、删除任何资源，变更类工具已被移除
+- 用户要求执行变更时，明确告知当前环境为只读，可给出操作步骤或 API 说明供有权限的人员执行
+- 工具返回 code=READ_ONLY 时不要换其它工具重试
+`;
+
 const QUERY_MODE_COMPACT = `
 ## 当前查询模式：⚡ 精简模式
 **查询资源的标准流程（必须严格遵守）：**
@@ -1055,12 +2143,10 @@ const QUERY_MODE_FULL = `
 **查询资源的标准流程（必须严格遵守）：**
 1. 第一步：用 ZQL count 获取真实总数，如 "count vminstance"，按状态分别统计
 2. 第二步：用概览告知用户（如：总数 705 台，运行中 500，已停止 180，其它 25）
-3. 第三步：分批查询并展示全部数据：
-   - 每批用 zstack_query（limit=100, start=0/100/200/...）翻页获取
-   - 或用 ZQL 翻页：query vminstance limit 100 offset 0, query vminstance limit 100 offset 100, ...
-   - 每批数据立即用表格展示，表格包含：序号、名称、状态、IP、关键属性
-   - 持续翻页直到获取全部数据，不要中途停下来问用户
-4. 如果总数超过 500 条，先展示前 500 条，然后告知用户剩余数量并询问是否继续
+3. 第三步：用 zstack_query_all 一次获取全部数据（系统自动翻页，sort_by 建议用 createDate），不要自己循环 start 翻页：
+   - 结果中的 total 是真实总数，truncated=true 表示因 max_items 截断，需如实告知
+   - 用表格展示，表格包含：序号、名称、状态、IP、关键属性
+4. 如果总数超过 500 条，先用 max_items=500 获取并展示前 500 条，然后告知用户剩余数量并询问是否继续
 ⚠️ 绝对禁止用 API 返回的数组长度当总数！API 默认只返回100条！
 ⚠️ 全量模式的核心目标是展示尽可能多的数据，不要缩减列数或行数`;
 
@@ -1085,6 +2171,25 @@ const TOOLS = [
       }
     }
   },
+  {
+    type: 'function',
+    function: {
+      name: 'zstack_query_all',
+      description: '全量查询：自动翻页获取符合条件的全部记录，返回 total（真实总数）、fetched（实际获取数）、truncated（是否因 max_items 截断）和 inventories。用于资源盘点、导出等需要完整数据的场景，无需自己循环 start 翻页',
+      parameters: {
+        type: 'object',
+        properties: {
+          resource_path: { type: 'string', description: 'API资源路径，如 vm-instances, volumes, hosts 等' },
+          conditions: { type: 'array', items: { type: 'string' }, description: '查询条件列表，如 ["state=Running"]' },
+          page_size: { type: 'integer', description: '每页数量，默认100' },
+          max_items: { type: 'integer', description: '最多获取条数，默认5000' },
+          sort_by: { type: 'string', description: '排序字段，如 createDate（翻页时建议指定以保证顺序稳定）' },
+          sort_direction: { type: 'string', enum: ['asc', 'desc'], description: '排序方向' }
+        },
+        required: ['resource_path']
+      }
+    }
+  },
   {
     type: 'function',
     function: {
@@ -1177,6 +2282,50 @@ const TOOLS = [
       }
     }
   },
+  {
+    type: 'function',
+    function: {
+      name: 'check_job',
+      description: '查询异步任务状态：当操作结果返回 stillRunning=true 时，用其中的 jobUuid 查询任务是否完成。返回 status=running（仍在执行）或 succeeded（含最终结果），失败时返回错误详情',
+      parameters: {
+        type: 'object',
+        properties: {
+          job_uuid: { type: 'string', description: '异步任务 UUID（来自 stillRunning 结果或错误中的 jobUuid）' }
+        },
+        required: ['job_uuid']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'fetch_result_page',
+      description: '翻页读取已缓存的大结果：工具结果带 resultId 时，说明结果过大只返回了第一页。用该工具按 offset 读取后续条目，或用 fields 取更多字段，数据来自本地缓存，不会重新请求云平台',
+      parameters: {
+        type: 'object',
+        properties: {
+          result_id: { type: 'string', description: '结果 ID，如 r3（来自工具结果中的 resultId）' },
+          offset: { type: 'integer', description: '起始位置：列表结果为条目序号（从0开始），其它结果为字符位置；取上一页结果中的 nextOffset' },
+          limit: { type: 'integer', description: '最多返回条数（列表）或字符数（其它），默认按长度上限自动决定' },
+          fields: { type: 'array', items: { type: 'string' }, description: '列表结果返回的字段，如 ["uuid","name","vmNics"]；["*"] 返回全部字段；默认只返回关键字段' }
+        },
+        required: ['result_id']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'undo_last_change',
+      description: '撤销本次会话中最近一次可逆变更，执行记录的逆操作：启动↔停止云主机、挂载↔卸载云盘、绑定↔解绑 EIP、添加↔删除安全组规则、更改计算规格→改回原规格。用户要求"撤销/回滚刚才的操作"时使用；不可逆的操作（删除、迁移、重启等）不会被记录',
+      parameters: {
+        type: 'object',
+        properties: {
+          change_id: { type: 'number', description: '撤销记录 ID（可选，默认最近一次）' }
+        }
+      }
+    }
+  },
   {
     type: 'function',
     function: {
@@ -0,0 +1,157 @@
+// Message Format — OpenAI / Anthropic 消息格式的相互转换
+// 对话历史按产生时的提供商格式保存；切换到另一种格式的模型（如故障转移到备用模型）时，
+// 发送前转换成目标格式，工具调用与工具结果保持成对；OpenAI Responses API 的 input 和 Gemini 的 contents 由 OpenAI 格式转换而来
+
+const parseArgs = (text) => {
+  try {
+    const args = JSON.parse(text || '{}');
+    return args && typeof args === 'object' ? args : {};
+  } catch {
+    return {};
+  }
+};
+
+const textOf = (content) => typeof content === 'string'
+  ? content
+  : JSON.stringify(content ?? '');
+
+// Gemini 的 functionResponse.response 必须是对象
+const responseOf = (content) => {
+  try {
+    const value = JSON.parse(textOf(content));
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : { result: value };
+  } catch {
+    return { result: textOf(content) };
+  }
+};
+
+export class MessageFormat {
+  /**
+   * 转成 OpenAI Chat Completions 格式；已是该格式的消息原样返回
+   */
+  static toOpenAI(messages) {
+    const out = [];
+    for (const m of messages) {
+      if (!Array.isArray(m.content)) {
+        // Gemini 的 thought signature 只对 Gemini 有效，其它接口会拒绝未知字段
+        out.push(m.tool_calls?.some(tc => tc.extra_content)
+          ? { ...m, tool_calls: m.tool_calls.map(({ extra_content: _, ...tc }) => tc) }
+          : m);
+        continue;
+      }
+      if (m.role === 'assistant') {
+        const text = m.content.filter(b => b.type === 'text').map(b => b.text).join('');
+        const toolCalls = m.content.filter(b => b.type === 'tool_use').map(b => ({
+          id: b.id,
+          type: 'function',
+          function: { name: b.name, arguments: JSON.stringify(b.input || {}) }
+        }));
+        out.push(toolCalls.length
+          ? { role: 'assistant', content: text || null, tool_calls: toolCalls }
+          : { role: 'assistant', content: text });
+        continue;
+      }
+      // user 消息：tool_result 块拆成 tool 消息，其余文本合并为一条 user 消息
+      const results = m.content.filter(b => b.type === 'tool_result');
+      for (const b of results) {
+        const content = Array.isArray(b.content)
+          ? b.content.filter(c => c.type === 'text').map(c => c.text).join('')
+          : textOf(b.content);
+        out.push({ role: 'tool', tool_call_id: b.tool_use_id, content });
+      }
+      const text = m.content.filter(b => b.type === 'text').map(b => b.text).join('\n');
+      if (text || !results.length) out.push({ role: m.role, content: text });
+    }
+    return out;
+  }
+
+  /**
+   * 转成 OpenAI Responses API 的 input 数组：工具调用和工具结果是独立的 function_call / function_call_output 项
+   */
+  static toResponses(messages) {
+    const items = [];
+    for (const m of MessageFormat.toOpenAI(messages)) {
+      if (m.role === 'tool') {
+        items.push({ type: 'function_call_output', call_id: m.tool_call_id, output: textOf(m.content) });
+      } else if (m.role === 'assistant') {
+        if (m.content) items.push({ role: 'assistant', content: m.content });
+        for (const tc of m.tool_calls || []) {
+          items.push({ type: 'function_call', call_id: tc.id, name: tc.function?.name, arguments: tc.function?.arguments || '{}' });
+        }
+      } else {
+        items.push({ role: m.role, content: m.content });
+      }
+    }
+    return items;
+  }
+
+  /**
+   * 转成 Gemini generateContent 的 contents：assistant 为 model 角色，工具调用和结果分别为 functionCall / functionResponse 部件，
+   * 结果按函数名与调用对应；工具调用的 thought signature 原样带回；连续的同角色消息合并为一条
+   */
+  static toGemini(messages) {
+    const contents = [];
+    const names = new Map(); // tool_call_id -> 函数名
+    const push = (role, parts) => {
+      if (!parts.length) return;
+      const prev = contents[contents.length - 1];
+      if (prev?.role === role) prev.parts.push(...parts);
+      else contents.push({ role, parts });
+    };
+    for (const m of messages.flatMap(m => Array.isArray(m.content) ? MessageFormat.toOpenAI([m]) : [m])) {
+      if (m.role === 'assistant') {
+        const parts = m.content ? [{ text: m.content }] : [];
+        for (const tc of m.tool_calls || []) {
+          names.set(tc.id, tc.function?.name);
+          const signature = tc.extra_content?.google?.thought_signature;
+          parts.push({
+            functionCall: { name: tc.function?.name, args: parseArgs(tc.function?.arguments) },
+            ...(signature ? { thoughtSignature: signature } : {})
+          });
+        }
+        push('model', parts);
+      } else if (m.role === 'tool') {
+        push('user', [{ functionResponse: { name: names.get(m.tool_call_id) || 'unknown', response: responseOf(m.content) } }]);
+      } else {
+        const text = textOf(m.content);
+        push('user', text ? [{ text }] : []);
+      }
+    }
+    return contents;
+  }
+
+  /**
+   * 转成 Anthropic Messages 格式：连续的 tool 消息合并为一条带 tool_result 块的 user 消息
+   */
+  static toAnthropic(messages) {
+    const out = [];
+    for (const m of messages) {
+      if (m.role === 'tool') {
+        const block = { type: 'tool_result', tool_use_id: m.tool_call_id, content: textOf(m.content) };
+        const prev = out[out.length - 1];
+        if (prev?.role === 'user' && Array.isArray(prev.content) && prev.content.every(b => b.type === 'tool_result')) {
+          prev.content = [...prev.content, block];
+        } else {
+          out.push({ role: 'user', content: [block] });
+        }
+        continue;
+      }
+      // Anthropic 不接受空的 assistant 消息（如被中断的空回复），直接去掉
+      if (m.role === 'assistant' && !m.tool_calls?.length && !m.content?.length) continue;
+      if (m.role === 'assistant' && !Array.isArray(m.content)) {
+        if (!m.tool_calls?.length) {
+          out.push({ role: 'assistant', content: m.content });
+          continue;
+        }
+        const blocks = m.content ? [{ type: 'text', text: m.content }] : [];
+        for (const tc of m.tool_calls) {
+          blocks.push({ type: 'tool_use', id: tc.id, name: tc.function?.name, input: parseArgs(tc.function?.arguments) });
+        }
+        out.push({ role: 'assistant', content: blocks });
+        continue;
+      }
+      out.push(m.role === 'user' || m.role === 'assistant' ? { role: m.role, content: m.content } : m);
+    }
+    return out;
+  }
+}
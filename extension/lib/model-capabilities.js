@@ -0,0 +1,179 @@
+// Model Capabilities — 模型能力注册表
+// 统一登记各提供商的预置模型和模型能力（上下文窗口、输出上限、工具调用、流式 + 工具等），
+// 供 LLMEngine 决定请求方式、设置页展示；代理/私有部署的自定义模型可由用户覆盖；
+// 本地推理服务（Ollama / vLLM / llama.cpp）的能力取决于服务端配置，按提供商给出保守的默认值
+
+export class ModelCapabilities {
+  /**
+   * 能力字段：
+   *   contextWindow  上下文窗口（token）
+   *   maxOutput      单次回复的输出上限（token）
+   *   tools          支持工具调用
+   *   parallelTools  一次回复可返回多个工具调用
+   *   reasoning      会输出推理/思考过程
+   *   vision         支持图片输入
+   *   streamTools    支持流式响应与工具调用同时使用
+   */
+  static DEFAULTS = {
+    contextWindow: 32000,
+    maxOutput: 4096,
+    tools: true,
+    parallelTools: true,
+    reasoning: false,
+    vision: false,
+    streamTools: true
+  };
+
+  // 设置页中可由用户覆盖的字段及显示名
+  static FIELD_LABELS = {
+    contextWindow: '上下文窗口',
+    maxOutput: '最大输出',
+    tools: '工具调用',
+    parallelTools: '并行工具调用',
+    reasoning: '推理输出',
+    vision: '图片输入',
+    streamTools: '流式 + 工具'
+  };
+
+  // 按模型名前缀匹配（不区分大小写），取最长的前缀；未写的字段继承 DEFAULTS
+  static MODELS = {
+    'gpt-4o': { contextWindow: 128000, maxOutput: 16384, vision: true },
+    'gpt-4-turbo': { contextWindow: 128000, maxOutput: 4096, vision: true },
+    'gpt-4.1': { contextWindow: 1000000, maxOutput: 32768, vision: true },
+    'o3': { contextWindow: 200000, maxOutput: 100000, reasoning: true, vision: true },
+    'o4-mini': { contextWindow: 200000, maxOutput: 100000, reasoning: true, vision: true },
+    'o1': { contextWindow: 200000, maxOutput: 100000, tools: false, reasoning: true, vision: true },
+    'o1-mini': { contextWindow: 128000, maxOutput: 65536, tools: false, reasoning: true },
+    'o3-mini': { contextWindow: 200000, maxOutput: 100000, reasoning: true },
+    'claude-': { contextWindow: 200000, maxOutput: 8192, vision: true },
+    'claude-opus-4': { contextWindow: 200000, maxOutput: 32000, reasoning: true, vision: true },
+    'claude-opus-4-5': { contextWindow: 200000, maxOutput: 64000, reasoning: true, vision: true },
+    'claude-opus-4-6': { contextWindow: 200000, maxOutput: 64000, reasoning: true, vision: true },
+    'claude-sonnet-4': { contextWindow: 200000, maxOutput: 64000, reasoning: true, vision: true },
+    'claude-haiku-4-5': { contextWindow: 200000, maxOutput: 64000, reasoning: true, vision: true },
+    'gemini-': { contextWindow: 1048576, maxOutput: 8192, vision: true },
+    'gemini-2.5-pro': { contextWindow: 1048576, maxOutput: 65536, reasoning: true, vision: true },
+    'gemini-2.5-flash': { contextWindow: 1048576, maxOutput: 65536, reasoning: true, vision: true },
+    'gemini-2.5-flash-lite': { contextWindow: 1048576, maxOutput: 65536, vision: true },
+    'deepseek-chat': { contextWindow: 64000, maxOutput: 8192 },
+    'deepseek-reasoner': { contextWindow: 64000, maxOutput: 32768, tools: false, reasoning: true },
+    'glm-5': { contextWindow: 128000, maxOutput: 16384, reasoning: true },
+    'glm-4': { contextWindow: 128000, maxOutput: 4096 },
+    'glm-4-long': { contextWindow: 1000000, maxOutput: 4096 },
+    'glm-4v': { contextWindow: 8000, maxOutput: 1024, tools: false, vision: true },
+    'qwen-max': { contextWindow: 32000, maxOutput: 8192, parallelTools: false },
+    'qwen-plus': { contextWindow: 131072, maxOutput: 8192, parallelTools: false },
+    'qwen-turbo': { contextWindow: 1000000, maxOutput: 8192, parallelTools: false },
+    'qwen3-coder-plus': { contextWindow: 1000000, maxOutput: 65536, parallelTools: false },
+    'minimax-m2': { contextWindow: 204800, maxOutput: 32768, reasoning: true },
+    'minimax-m1': { contextWindow: 1000000, maxOutput: 40000, reasoning: true },
+    'minimax-text-01': { contextWindow: 1000000, maxOutput: 8192 },
+    'kimi-k2': { contextWindow: 256000, maxOutput: 32768 },
+    'kimi-k2-thinking': { contextWindow: 256000, maxOutput: 32768, reasoning: true },
+    'kimi-k2.5': { contextWindow: 256000, maxOutput: 32768, reasoning: true, vision: true },
+    'moonshot-v1-auto': { contextWindow: 128000, maxOutput: 4096 },
+    'moonshot-v1-128k': { contextWindow: 128000, maxOutput: 4096 }
+  };
+
+  /**
+   * 各提供商在设置页中的预置模型，default 为未填写模型时使用的模型；
+   * local 表示数据中心内的本地推理服务：无需 API Key，模型列表从服务端获取，
+   * caps 为该提供商的能力默认值，优先于按模型名匹配的结果（上下文窗口由服务端启动参数决定）
+   */
+  static PROVIDERS = {
+    openai: { default: 'gpt-4o-mini', models: ['gpt-4o', 'gpt-4o-mini', 'gpt-4-turbo', 'o1', 'o3-mini'] },
+    'openai-responses': { default: 'gpt-4.1', models: ['gpt-4.1', 'gpt-4.1-mini', 'o3', 'o4-mini', 'gpt-4o'] },
+    // Azure 的模型名即部署名，这里给出常见的部署名
+    azure: { default: 'gpt-4o', models: ['gpt-4o', 'gpt-4o-mini', 'gpt-4.1', 'o3-mini'] },
+    anthropic: { default: 'claude-sonnet-4', models: ['claude-opus-4-6', 'claude-sonnet-4', 'claude-haiku-3.5'] },
+    gemini: { default: 'gemini-2.5-flash', models: ['gemini-2.5-pro', 'gemini-2.5-flash', 'gemini-2.5-flash-lite', 'gemini-2.0-flash'] },
+    glm: { default: 'glm-4-flash', models: ['GLM-5', 'glm-4-plus', 'glm-4', 'glm-4-flash', 'glm-4-long'] },
+    deepseek: { default: 'deepseek-chat', models: ['deepseek-chat', 'deepseek-reasoner'] },
+    qwen: { default: 'qwen-plus', models: ['qwen-max', 'qwen-plus', 'qwen-turbo'] },
+    minimax: {
+      default: 'MiniMax-M2.5',
+      models: ['MiniMax-M2.5', 'MiniMax-M2.5-highspeed', 'MiniMax-M2.1', 'MiniMax-M2.1-highspeed', 'MiniMax-M1', 'MiniMax-Text-01']
+    },
+    kimi: { default: 'kimi-k2.5', models: ['kimi-k2.5', 'kimi-k2-thinking', 'kimi-k2-turbo-preview', 'moonshot-v1-auto', 'moonshot-v1-128k'] },
+    bailian: { default: 'qwen3-coder-plus', models: ['qwen3-coder-plus'] },
+    // Ollama 默认上下文只有 4K，需用 OLLAMA_CONTEXT_LENGTH 调大到不小于这里的值
+    ollama: {
+      default: 'qwen2.5:14b',
+      models: ['qwen2.5:7b', 'qwen2.5:14b', 'qwen3:8b', 'llama3.1:8b'],
+      local: true,
+      caps: { contextWindow: 16384, maxOutput: 2048, parallelTools: false, vision: false }
+    },
+    // vLLM 的模型名为 --served-model-name，需从服务端获取
+    vllm: { default: '', models: [], local: true, caps: { contextWindow: 32768, maxOutput: 4096, vision: false } },
+    // llama.cpp server 只加载一个模型，忽略请求中的模型名
+    llamacpp: {
+      default: 'default',
+      models: [],
+      local: true,
+      caps: { contextWindow: 16384, maxOutput: 2048, parallelTools: false, vision: false }
+    }
+  };
+
+  static modelsOf(provider) {
+    return ModelCapabilities.PROVIDERS[provider]?.models || [];
+  }
+
+  static defaultModel(provider) {
+    const entry = ModelCapabilities.PROVIDERS[provider];
+    return entry ? entry.default : ModelCapabilities.PROVIDERS.openai.default;
+  }
+
+  static isLocal(provider) {
+    return ModelCapabilities.PROVIDERS[provider]?.local === true;
+  }
+
+  /**
+   * 注册表中的能力（不含用户覆盖）
+   * @param {string} model
+   * @param {string} [provider] - 本地提供商的能力默认值覆盖按模型名匹配的结果
+   */
+  static builtin(model, provider) {
+    const name = (model || '').toLowerCase();
+    const prefix = Object.keys(ModelCapabilities.MODELS)
+      .filter(p => name.startsWith(p))
+      .sort((a, b) => b.length - a.length)[0];
+    return {
+      ...ModelCapabilities.DEFAULTS,
+      ...(prefix ? ModelCapabilities.MODELS[prefix] : {}),
+      ...ModelCapabilities.PROVIDERS[provider]?.caps
+    };
+  }
+
+  /**
+   * 查询模型能力，用户覆盖优先
+   * @param {string} model
+   * @param {object} [overrides] - { [模型名]: { 能力字段: 值 } }
+   * @param {string} [provider]
+   */
+  static of(model, overrides = {}, provider) {
+    return { ...ModelCapabilities.builtin(model, provider), ...ModelCapabilities.sanitize(overrides?.[model]) };
+  }
+
+  /**
+   * 只保留合法的覆盖字段：数值字段为正整数，其余为布尔值
+   */
+  static sanitize(override) {
+    if (!override || typeof override !== 'object') return {};
+    const out = {};
+    for (const [key, value] of Object.entries(override)) {
+      const def = ModelCapabilities.DEFAULTS[key];
+      if (typeof def === 'number' && Number.isFinite(value) && value > 0) out[key] = Math.floor(value);
+      else if (typeof def === 'boolean' && typeof value === 'boolean') out[key] = value;
+    }
+    return out;
+  }
+
+  /**
+   * 与注册表不同的字段，即需要保存的用户覆盖；没有差异时返回 null
+   */
+  static diff(model, caps, provider) {
+    const builtin = ModelCapabilities.builtin(model, provider);
+    const changed = Object.entries(ModelCapabilities.sanitize(caps)).filter(([k, v]) => builtin[k] !== v);
+    return changed.length ? Object.fromEntries(changed) : null;
+  }
+}
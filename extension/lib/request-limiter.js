@@ -0,0 +1,82 @@
+// Request Limiter — 管理节点请求限流
+// 限制同时在途的请求数（并发）和每秒发出的请求数（令牌桶），超出的请求按先后顺序排队，
+// 避免批量操作（如一次创建 20 台云主机）瞬间压垮生产环境的管理节点
+
+export class RequestLimiter {
+  static DEFAULTS = { maxConcurrent: 4, ratePerSecond: 5 };
+
+  /**
+   * @param {object} options - { maxConcurrent, ratePerSecond, onChange }
+   *   onChange({ active, queued }) 在排队/执行数变化时回调
+   */
+  constructor({ maxConcurrent, ratePerSecond, onChange = null } = {}) {
+    this.active = 0;
+    this._queue = [];
+    this._timer = null;
+    this.onChange = onChange;
+    this._tokens = null;
+    this._lastRefill = Date.now();
+    this.configure({ maxConcurrent, ratePerSecond });
+  }
+
+  configure({ maxConcurrent, ratePerSecond } = {}) {
+    const positive = (v, fallback) => (Number.isFinite(v) && v > 0 ? v : fallback);
+    this.maxConcurrent = Math.floor(positive(maxConcurrent, RequestLimiter.DEFAULTS.maxConcurrent)) || 1;
+    this.ratePerSecond = positive(ratePerSecond, RequestLimiter.DEFAULTS.ratePerSecond);
+    this._tokens = Math.min(this._tokens ?? this.ratePerSecond, this.ratePerSecond);
+    this._drain();
+    this._notify();
+  }
+
+  get queued() {
+    return this._queue.length;
+  }
+
+  /**
+   * 在限流下执行 fn，返回 fn 的结果
+   * @param {Function} fn - 返回 Promise 的请求函数
+   */
+  run(fn) {
+    return new Promise((resolve, reject) => {
+      this._queue.push({ fn, resolve, reject });
+      this._drain();
+      this._notify();
+    });
+  }
+
+  _refill() {
+    const now = Date.now();
+    this._tokens = Math.min(this.ratePerSecond, this._tokens + (now - this._lastRefill) / 1000 * this.ratePerSecond);
+    this._lastRefill = now;
+  }
+
+  _drain() {
+    this._refill();
+    while (this._queue.length && this.active < this.maxConcurrent && this._tokens >= 1) {
+      this._tokens -= 1;
+      const { fn, resolve, reject } = this._queue.shift();
+      this.active++;
+      Promise.resolve()
+        .then(fn)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this._drain();
+          this._notify();
+        });
+    }
+    // 并发有空位但令牌不足：等下一个令牌
+    if (this._queue.length && this.active < this.maxConcurrent && !this._timer) {
+      const wait = Math.ceil((1 - this._tokens) / this.ratePerSecond * 1000);
+      this._timer = setTimeout(() => {
+        this._timer = null;
+        this._drain();
+        this._notify();
+      }, wait);
+    }
+  }
+
+  _notify() {
+    this.onChange?.({ active: this.active, queued: this._queue.length });
+  }
+}
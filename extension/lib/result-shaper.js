@@ -0,0 +1,219 @@
+// Result Shaper — 大工具结果的结构化处理
+// 超过阈值的查询结果按资源类型只保留关键字段、注明总数，完整结果存入本地缓存并分配 resultId，
+// 模型用 fetch_result_page 按条目（列表结果）或按字符（其它结果）翻页，无需重新请求云平台
+
+const normalizePath = (p) => (p || '').replace(/^\/?(v1\/)?/, '').replace(/\?.*$/, '').replace(/\/$/, '');
+
+export class ResultShaper {
+  // 原始结果序列化后不超过该长度时原样返回
+  static SHAPE_THRESHOLD_CHARS = 8000;
+  // 最多缓存的结果数，超出时淘汰最早的
+  static MAX_CACHED = 20;
+  // 每页之外为 resultId、总数、翻页提示等字段预留的长度
+  static PAGE_OVERHEAD_CHARS = 1000;
+
+  // 快捷查询工具对应的资源路径
+  static TOOL_PATHS = {
+    query_vms: 'vm-instances',
+    query_hosts: 'hosts',
+    query_images: 'images',
+    query_l3_networks: 'l3-networks',
+    query_instance_offerings: 'instance-offerings',
+    query_volumes: 'volumes',
+    query_load_balancers: 'load-balancers',
+    query_vips: 'vips',
+    query_eips: 'eips',
+    query_security_groups: 'security-groups',
+    query_vpc_routers: 'vpc/virtual-routers'
+  };
+
+  /**
+   * 各资源类型列表中保留的字段；"a.b" 表示数组/对象字段 a 中每项只保留 b
+   */
+  static FIELDS = {
+    'vm-instances': ['uuid', 'name', 'state', 'type', 'hypervisorType', 'platform', 'architecture', 'cpuNum', 'memorySize',
+      'hostUuid', 'clusterUuid', 'zoneUuid', 'imageUuid', 'instanceOfferingUuid', 'rootVolumeUuid', 'defaultL3NetworkUuid',
+      'vmNics.uuid', 'vmNics.ip', 'vmNics.l3NetworkUuid', 'vmNics.mac', 'createDate'],
+    'vm-instances/appliances': ['uuid', 'name', 'state', 'status', 'applianceVmType', 'haStatus', 'hostUuid', 'zoneUuid',
+      'managementNetworkUuid', 'vmNics.ip', 'vmNics.l3NetworkUuid', 'createDate'],
+    'vpc/virtual-routers': ['uuid', 'name', 'state', 'status', 'haStatus', 'hostUuid', 'zoneUuid', 'publicNetworkUuid',
+      'managementNetworkUuid', 'vmNics.ip', 'vmNics.l3NetworkUuid', 'createDate'],
+    'hosts': ['uuid', 'name', 'state', 'status', 'managementIp', 'hypervisorType', 'architecture', 'zoneUuid', 'clusterUuid',
+      'cpuNum', 'totalCpuCapacity', 'availableCpuCapacity', 'totalMemoryCapacity', 'availableMemoryCapacity'],
+    'clusters': ['uuid', 'name', 'state', 'type', 'hypervisorType', 'architecture', 'zoneUuid'],
+    'zones': ['uuid', 'name', 'state', 'type'],
+    'volumes': ['uuid', 'name', 'type', 'state', 'status', 'format', 'size', 'actualSize', 'vmInstanceUuid',
+      'primaryStorageUuid', 'diskOfferingUuid', 'isShareable', 'createDate'],
+    'volume-snapshots': ['uuid', 'name', 'state', 'status', 'type', 'volumeUuid', 'volumeType', 'size',
+      'primaryStorageUuid', 'createDate'],
+    'images': ['uuid', 'name', 'state', 'status', 'platform', 'guestOsType', 'architecture', 'format', 'mediaType',
+      'size', 'actualSize', 'backupStorageRefs.backupStorageUuid', 'createDate'],
+    'l2-networks': ['uuid', 'name', 'type', 'physicalInterface', 'vlan', 'zoneUuid', 'attachedClusterUuids'],
+    'l3-networks': ['uuid', 'name', 'state', 'type', 'category', 'ipVersion', 'l2NetworkUuid', 'zoneUuid',
+      'ipRanges.startIp', 'ipRanges.endIp', 'ipRanges.netmask', 'ipRanges.gateway'],
+    'instance-offerings': ['uuid', 'name', 'state', 'type', 'cpuNum', 'memorySize', 'allocatorStrategy'],
+    'disk-offerings': ['uuid', 'name', 'state', 'type', 'diskSize'],
+    'primary-storage': ['uuid', 'name', 'type', 'state', 'status', 'url', 'zoneUuid', 'totalCapacity', 'availableCapacity',
+      'totalPhysicalCapacity', 'availablePhysicalCapacity', 'attachedClusterUuids'],
+    'backup-storage': ['uuid', 'name', 'type', 'state', 'status', 'url', 'totalCapacity', 'availableCapacity', 'attachedZoneUuids'],
+    'eips': ['uuid', 'name', 'state', 'vipIp', 'vipUuid', 'guestIp', 'vmNicUuid'],
+    'vips': ['uuid', 'name', 'state', 'ip', 'l3NetworkUuid', 'useFor', 'serviceProvider'],
+    'security-groups': ['uuid', 'name', 'state', 'ipVersion', 'attachedL3NetworkUuids',
+      'rules.type', 'rules.protocol', 'rules.startPort', 'rules.endPort', 'rules.allowedCidr'],
+    'load-balancers': ['uuid', 'name', 'state', 'type', 'vipUuid',
+      'listeners.uuid', 'listeners.name', 'listeners.protocol', 'listeners.loadBalancerPort', 'listeners.instancePort'],
+    'accounts': ['uuid', 'name', 'type', 'state', 'createDate']
+  };
+
+  constructor() {
+    this._cache = new Map();
+    this._nextId = 1;
+  }
+
+  clear() {
+    this._cache.clear();
+  }
+
+  /**
+   * 按资源类型取保留字段，未收录的类型返回 null（不做字段精简）
+   */
+  static fieldsFor(name, args = {}) {
+    const path = ResultShaper.TOOL_PATHS[name] || normalizePath(args.resource_path);
+    return ResultShaper.FIELDS[path] || null;
+  }
+
+  static project(item, fields) {
+    if (!fields || !item || typeof item !== 'object') return item;
+    const out = {};
+    for (const f of fields) {
+      const [head, sub] = f.split('.');
+      const value = item[head];
+      if (value === undefined) continue;
+      if (!sub) {
+        out[head] = value;
+      } else if (Array.isArray(value)) {
+        out[head] = value.map((v, i) => ({ ...out[head]?.[i], ...(v?.[sub] !== undefined ? { [sub]: v[sub] } : {}) }));
+      } else if (value && typeof value === 'object' && value[sub] !== undefined) {
+        out[head] = { ...out[head], [sub]: value[sub] };
+      }
+    }
+    // 字段表与实际结构对不上时保留原样，避免丢数据
+    return Object.keys(out).length ? out : item;
+  }
+
+  // 取出结果中的资源列表：普通查询的 inventories，或单条 ZQL 的 results[0].inventories
+  static _listOf(result) {
+    if (Array.isArray(result?.inventories)) return { items: result.inventories, total: result.total };
+    if (Array.isArray(result?.results) && result.results.length === 1 && Array.isArray(result.results[0]?.inventories)) {
+      return { items: result.results[0].inventories, total: result.results[0].total };
+    }
+    return null;
+  }
+
+  /**
+   * 把工具结果整理成适合发给模型的大小
+   * @param {string} name - 工具名
+   * @param {object} args - 工具参数
+   * @param {*} result - 工具原始结果
+   * @param {number} maxChars - 返回内容的长度上限
+   * @returns {*} 小结果原样返回；大结果返回带 resultId 的第一页
+   */
+  shape(name, args, result, maxChars) {
+    // 翻页结果本身已按长度上限切好，不再二次缓存
+    if (result === undefined || result === null || name === 'fetch_result_page') return result;
+    const raw = JSON.stringify(result);
+    if (raw.length <= Math.min(ResultShaper.SHAPE_THRESHOLD_CHARS, maxChars) || result.error) {
+      return raw.length <= maxChars ? result : this._store({ kind: 'text', text: raw, name }, maxChars);
+    }
+    const list = ResultShaper._listOf(result);
+    if (!list) return this._store({ kind: 'text', text: raw, name }, maxChars);
+
+    // 列表以外的字段（total、fetched、truncated 等）原样保留
+    const { inventories, results, ...extra } = result;
+    return this._store({
+      kind: 'list',
+      name,
+      items: list.items,
+      total: typeof list.total === 'number' ? list.total : null,
+      fields: ResultShaper.fieldsFor(name, args),
+      extra
+    }, maxChars);
+  }
+
+  _store(entry, maxChars) {
+    const id = `r${this._nextId++}`;
+    this._cache.set(id, entry);
+    if (this._cache.size > ResultShaper.MAX_CACHED) {
+      this._cache.delete(this._cache.keys().next().value);
+    }
+    return this.page(id, { offset: 0 }, maxChars);
+  }
+
+  /**
+   * 读取缓存结果的一页
+   * @param {string} id - resultId
+   * @param {object} options - { offset, limit, fields }；fields 为 ["*"] 时返回全部字段
+   * @param {number} maxChars - 返回内容的长度上限
+   */
+  page(id, { offset = 0, limit, fields } = {}, maxChars) {
+    const entry = this._cache.get(id);
+    if (!entry) return { error: `结果 ${id} 不在缓存中（已过期或对话已清空），请重新查询`, code: 'RESULT_NOT_FOUND' };
+    const budget = Math.max(maxChars - ResultShaper.PAGE_OVERHEAD_CHARS, 1000);
+    offset = Math.max(0, Math.floor(offset) || 0);
+
+    if (entry.kind === 'text') {
+      const size = Math.min(limit > 0 ? limit : budget, budget);
+      const text = entry.text.slice(offset, offset + size);
+      const nextOffset = offset + text.length < entry.text.length ? offset + text.length : null;
+      return {
+        resultId: id,
+        totalChars: entry.text.length,
+        offset,
+        nextOffset,
+        text,
+        note: nextOffset === null
+          ? '已到结果末尾'
+          : `结果过长，这里是第 ${offset}-${nextOffset} 个字符的原始 JSON 片段；用 fetch_result_page(result_id="${id}", offset=${nextOffset}) 继续读取`
+      };
+    }
+
+    const useFields = Array.isArray(fields) && fields.length
+      ? (fields.includes('*') ? null : fields)
+      : entry.fields;
+    const items = [];
+    let used = 0;
+    const max = limit > 0 ? limit : Infinity;
+    for (let i = offset; i < entry.items.length && items.length < max; i++) {
+      let item = ResultShaper.project(entry.items[i], useFields);
+      let size = JSON.stringify(item).length + 1;
+      if (used + size > budget) {
+        if (items.length) break;
+        // 单条就超出上限时截断为片段，保证至少返回一条
+        item = { _truncated: true, preview: JSON.stringify(item).slice(0, budget) };
+        size = budget;
+      }
+      items.push(item);
+      used += size;
+    }
+    const nextOffset = offset + items.length < entry.items.length ? offset + items.length : null;
+    const count = entry.items.length;
+    const totalNote = entry.total !== null && entry.total !== count ? `，平台上共 ${entry.total} 条` : '';
+    return {
+      ...entry.extra,
+      resultId: id,
+      // 只有平台返回了总数时才给出 total，避免把本页条数当成总数
+      ...(entry.total !== null ? { total: entry.total } : {}),
+      count,
+      offset,
+      returned: items.length,
+      nextOffset,
+      fields: useFields || 'all',
+      inventories: items,
+      note: items.length === 0
+        ? `已获取 ${count} 条${totalNote}，offset=${offset} 之后没有更多数据`
+        : `已获取 ${count} 条${totalNote}；本页为第 ${offset + 1}-${offset + items.length} 条`
+        + (useFields ? '，只含关键字段（fields=["*"] 可取全部字段）' : '')
+        + (nextOffset === null ? '' : `；用 fetch_result_page(result_id="${id}", offset=${nextOffset}) 查看后续，不要重新查询`)
+    };
+  }
+}
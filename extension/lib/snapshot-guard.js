@@ -0,0 +1,83 @@
+// Snapshot Guard — 变更前自动快照
+// 重装系统、更换镜像、云盘扩容、删除数据云盘之前，先为受影响的云盘创建一个命名快照，
+// 快照创建失败时不执行变更；快照信息写入工具结果和审计日志，便于出问题时回滚
+import { UndoStack } from './undo-stack.js';
+import { ToolPolicy } from './tool-policy.js';
+
+export class SnapshotGuard {
+  // 云主机上需要保护根云盘的 action
+  static VM_ACTIONS = new Set(['reimageVmInstance', 'changeVmImage']);
+  // 云盘上需要保护的 action
+  static VOLUME_ACTIONS = new Set(['resizeRootVolume', 'resizeDataVolume']);
+  // execute_api 需要保护的 API：API 名称 → [kind, 参数中资源 UUID 的字段]
+  static API_TARGETS = {
+    ReimageVmInstance: ['vm', 'vmInstanceUuid'],
+    ChangeVmImage: ['vm', 'vmInstanceUuid'],
+    ResizeRootVolume: ['volume', 'uuid'],
+    ResizeDataVolume: ['volume', 'uuid'],
+    DeleteDataVolume: ['volume', 'uuid']
+  };
+
+  /**
+   * 判断工具调用是否需要变更前快照
+   * @returns {{ kind: 'vm'|'volume', uuid: string, action: string }|null}
+   */
+  static target(name, args) {
+    args = args || {};
+    if (name === 'execute_api') return SnapshotGuard._apiTarget(args);
+    const t = UndoStack.target(name, args);
+    if (!t) return null;
+    // 请求体可以带多个 action（及 systemTags 等标签字段），逐个检查
+    const actions = name === 'zstack_action' ? ToolPolicy.bodyActions(args.body) : [t.action];
+    const vm = /^v1\/vm-instances\/([^/]+)$/.exec(t.path || '');
+    const vmAction = actions.find(a => SnapshotGuard.VM_ACTIONS.has(a));
+    if (vm && t.method === 'PUT' && vmAction) {
+      return { kind: 'vm', uuid: vm[1], action: vmAction };
+    }
+    // 扩容 API 路径形如 v1/volumes/resize/{uuid}、v1/volumes/data/resize/{uuid}
+    const volume = /^v1\/volumes\/(?:data\/)?(?:resize\/)?([^/?]+)$/.exec(t.path || '');
+    const volumeAction = actions.find(a => SnapshotGuard.VOLUME_ACTIONS.has(a));
+    if (volume && t.method === 'PUT' && volumeAction) {
+      return { kind: 'volume', uuid: volume[1], action: volumeAction };
+    }
+    if (volume && t.method === 'DELETE') {
+      return { kind: 'volume', uuid: volume[1], action: 'deleteDataVolume' };
+    }
+    return null;
+  }
+
+  // API 名称可带 API 前缀和 Msg 后缀（APIReimageVmInstanceMsg）；action 取首字母小写的名称，与直连工具一致
+  static _apiTarget({ api_name: apiName, parameters }) {
+    const api = String(apiName || '').replace(/^API/, '').replace(/Msg$/, '');
+    const spec = SnapshotGuard.API_TARGETS[api];
+    const uuid = spec && parameters?.[spec[1]];
+    if (!uuid) return null;
+    return { kind: spec[0], uuid, action: api[0].toLowerCase() + api.slice(1) };
+  }
+
+  /**
+   * 为受影响的云盘创建快照；任一快照失败时抛出异常
+   * @param {object} target - target() 的返回值
+   * @param {ZStackClient} client
+   * @param {string} detail - 变更描述，写入快照说明
+   * @returns {Promise<Array<{ uuid, name, volumeUuid }>>}
+   */
+  static async protect(target, client, detail) {
+    let volumeUuid = target.uuid;
+    if (target.kind === 'vm') {
+      const vm = await client.get('v1/vm-instances', target.uuid);
+      volumeUuid = vm.inventory?.rootVolumeUuid;
+      if (!volumeUuid) throw new Error(`未找到云主机 ${target.uuid} 的根云盘`);
+    }
+    const name = `auto-before-${target.action}-${SnapshotGuard._timestamp()}`;
+    const res = await client.createVolumeSnapshot(volumeUuid, name, `ZStack AI 变更前自动快照：${detail}`);
+    if (res?.stillRunning) throw new Error(`快照创建超时仍未完成（任务 ${res.jobUuid}），请确认快照结果后再执行变更`);
+    return [{ uuid: res?.inventory?.uuid || null, name, volumeUuid }];
+  }
+
+  static _timestamp() {
+    const d = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
+  }
+}
@@ -0,0 +1,159 @@
+// Text Tool Protocol — 不支持原生工具调用的模型使用的文本工具协议
+// 系统提示词中列出可用工具，模型在回复中输出 ```action 代码块（JSON：tool + args），
+// 解析后按工具定义校验，执行结果以"[工具结果]"用户消息返回给模型
+// 另外识别本地模型以文本形式输出的原生工具调用（<tool_call>、[TOOL_CALLS] 等），供 LLMEngine 转成标准 tool_calls
+import { ToolValidator } from './tool-validator.js';
+
+export class TextToolProtocol {
+  // 工具结果消息的前缀，用于与真正的用户输入区分
+  static RESULT_PREFIX = '[工具结果]';
+  // 工具调用全部解析失败时，连续要求模型重试的最多次数
+  static MAX_RETRIES = 2;
+  // ```action 代码块，兼容部分模型习惯的 <tool_call> 标签
+  static BLOCK_PATTERN = /```action[ \t]*\r?\n?([\s\S]*?)```|<tool_call>([\s\S]*?)<\/tool_call>/g;
+
+  /**
+   * 生成系统提示词中的工具协议说明和工具清单
+   * @param {Array} tools - OpenAI 格式的工具定义
+   */
+  static prompt(tools) {
+    const lines = tools.map(t => {
+      const { name, description, parameters = {} } = t.function;
+      const required = new Set(parameters.required || []);
+      const params = Object.entries(parameters.properties || {}).map(([key, schema]) => {
+        const type = schema.enum ? schema.enum.join('|') : schema.type === 'array' ? `${schema.items?.type || 'any'}[]` : schema.type;
+        return `${key}${required.has(key) ? '*' : ''}: ${type}`;
+      });
+      return `- ${name}(${params.join(', ')}) — ${description}`;
+    });
+    return `
+## 工具调用（文本协议）
+当前模型不支持原生工具调用。需要查询或操作云平台时，在回复中输出 action 代码块，系统执行后会以"${TextToolProtocol.RESULT_PREFIX}"消息把结果返回给你：
+\`\`\`action
+{"tool": "zstack_query", "args": {"resource_path": "vm-instances", "limit": 20}}
+\`\`\`
+规则：
+- 每个代码块只放一个 JSON 对象，包含 tool 和 args 两个字段；需要多个调用时输出多个代码块
+- 输出 action 代码块后立即结束本次回复，等待工具结果，**绝对不要自己编造工具结果**
+- 参数必须符合下面的定义（* 为必填，a|b 为可选值）；结果返回 error 时按提示修正后重新调用
+- 得到足够信息后直接回答用户，最终回答中不要再包含 action 代码块
+
+可用工具：
+${lines.join('\n')}
+`;
+  }
+
+  /**
+   * 从模型回复中解析工具调用
+   * @param {string} content - 模型回复文本
+   * @param {Array} tools - 可用工具定义，用于校验
+   * @param {string} idPrefix - 生成调用 ID 的前缀
+   * @returns {Array<{ id, name, args, parseError? }>} 无 action 代码块时返回空数组
+   */
+  static parse(content, tools, idPrefix = 'text') {
+    const text = (content || '').replace(/<think>[\s\S]*?<\/think>/g, '');
+    const calls = [];
+    const addError = (name, parseError) =>
+      calls.push({ id: `${idPrefix}-${calls.length}`, name: name || 'invalid_action', args: {}, parseError });
+
+    for (const m of text.matchAll(TextToolProtocol.BLOCK_PATTERN)) {
+      const raw = (m[1] ?? m[2] ?? '').trim();
+      let obj;
+      try {
+        obj = TextToolProtocol._parseJSON(raw);
+      } catch (e) {
+        addError(null, `action 代码块不是合法的 JSON（${e.message}），请输出 {"tool": "...", "args": {...}}`);
+        continue;
+      }
+      const name = obj?.tool ?? obj?.name ?? obj?.action;
+      let args = obj?.args ?? obj?.arguments ?? obj?.parameters ?? obj?.input ?? {};
+      if (typeof args === 'string') {
+        try { args = TextToolProtocol._parseJSON(args); } catch { /* 交给校验报错 */ }
+      }
+      if (typeof name !== 'string' || !name) {
+        addError(null, 'action 代码块缺少 tool 字段');
+        continue;
+      }
+      const error = ToolValidator.validate(name, args, tools);
+      if (error) {
+        addError(name, error);
+        continue;
+      }
+      calls.push({ id: `${idPrefix}-${calls.length}`, name, args });
+    }
+
+    // 模型在代码块中途停止输出
+    const opened = (text.match(/```action/g) || []).length;
+    const closed = [...text.matchAll(/```action[ \t]*\r?\n?[\s\S]*?```/g)].length;
+    if (opened > closed) addError(null, 'action 代码块没有闭合（缺少结尾的 ```）');
+    return calls;
+  }
+
+  /**
+   * 提取本地模型以文本形式输出的原生工具调用：Hermes/Qwen 的 <tool_call>{...}</tool_call>、
+   * Mistral 的 [TOOL_CALLS][...]，以及整段回复只是一个 {"name", "arguments"|"parameters"} 对象（Llama 3.1）
+   * @param {string} content - 模型回复文本
+   * @param {Array} tools - 可用工具定义，整段 JSON 的形式只接受已知工具名
+   * @returns {{ calls: Array<{ name, args }>, text: string }|null} 没有工具调用时返回 null
+   */
+  static extractEmbedded(content, tools) {
+    const toCall = (obj) => {
+      const name = obj?.name ?? obj?.function?.name;
+      let args = obj?.arguments ?? obj?.parameters ?? obj?.function?.arguments ?? {};
+      if (typeof args === 'string') {
+        try { args = TextToolProtocol._parseJSON(args); } catch { args = {}; }
+      }
+      return typeof name === 'string' && name ? { name, args } : null;
+    };
+    const calls = [];
+    let text = content.replace(/<tool_call>([\s\S]*?)<\/tool_call>/g, (_, raw) => {
+      try { calls.push(toCall(TextToolProtocol._parseJSON(raw.trim()))); } catch { /* 无法解析的块忽略 */ }
+      return '';
+    });
+    const mistral = text.indexOf('[TOOL_CALLS]');
+    if (mistral >= 0) {
+      try {
+        const list = TextToolProtocol._parseJSON(text.slice(mistral + '[TOOL_CALLS]'.length).trim());
+        calls.push(...(Array.isArray(list) ? list : [list]).map(toCall));
+        text = text.slice(0, mistral);
+      } catch { /* 不完整时按普通文本处理 */ }
+    }
+    if (!calls.length) {
+      const trimmed = text.trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+      if (trimmed.startsWith('{') && trimmed.endsWith('}')) {
+        try {
+          const call = toCall(TextToolProtocol._parseJSON(trimmed));
+          if (call && tools.some(t => t.function.name === call.name)) return { calls: [call], text: '' };
+        } catch { /* 普通 JSON 回复 */ }
+      }
+      return null;
+    }
+    const valid = calls.filter(Boolean);
+    return valid.length ? { calls: valid, text: text.trim() } : null;
+  }
+
+  // 容忍常见的格式问题：中文引号、结尾多余的逗号
+  static _parseJSON(raw) {
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      const repaired = raw.replace(/[“”]/g, '"').replace(/,\s*([}\]])/g, '$1');
+      if (repaired === raw) throw e;
+      return JSON.parse(repaired);
+    }
+  }
+
+  /**
+   * 把工具结果整理成返回给模型的用户消息
+   * @param {Array} calls - parse() 返回的调用
+   * @param {string[]} outputs - 每个调用的结果（JSON 字符串）
+   */
+  static formatResults(calls, outputs) {
+    const blocks = calls.map((c, i) => `\`\`\`result\n{"tool": ${JSON.stringify(c.name)}, "result": ${outputs[i] ?? 'null'}}\n\`\`\``);
+    return `${TextToolProtocol.RESULT_PREFIX}\n${blocks.join('\n')}\n请根据以上结果继续：需要更多信息就再输出 action 代码块，否则直接回答用户。`;
+  }
+
+  static isResultMessage(m) {
+    return m.role === 'user' && typeof m.content === 'string' && m.content.startsWith(TextToolProtocol.RESULT_PREFIX);
+  }
+}
@@ -0,0 +1,212 @@
+// Tool Policy — 工具调用风险分级
+// 按工具名、HTTP 方法和 action 名称把每次工具调用分为 read / mutate / destructive，
+// 由 LLMEngine 在调用 ZStackClient 之前据此决定是否需要用户在侧边栏点击确认
+
+export const RISK_READ = 'read';
+export const RISK_MUTATE = 'mutate';
+export const RISK_DESTRUCTIVE = 'destructive';
+
+// 风险级别的高低，用于取多个操作中风险最高的一个
+const RISK_RANK = { [RISK_READ]: 0, [RISK_MUTATE]: 1, [RISK_DESTRUCTIVE]: 2 };
+
+export class ToolPolicy {
+  /**
+   * @param {object} options - { workflowEngine, resolveUndo }：用于按步骤给 execute_workflow 分级，
+   *   按将要执行的逆操作给 undo_last_change 分级；resolveUndo(changeId) 返回撤销记录或 null
+   */
+  constructor({ workflowEngine = null, resolveUndo = null } = {}) {
+    // 需要用户确认的风险级别
+    this.confirmLevels = new Set([RISK_DESTRUCTIVE]);
+    this.workflowEngine = workflowEngine;
+    this.resolveUndo = resolveUndo;
+  }
+
+  // 各工具对应的 HTTP 方法（未列出的工具不直接访问 ZStack）
+  static TOOL_METHODS = {
+    zstack_query: 'GET',
+    zstack_query_all: 'GET',
+    zstack_get: 'GET',
+    zstack_zql: 'GET',
+    check_job: 'GET',
+    zstack_create: 'POST',
+    zstack_update: 'PUT',
+    zstack_action: 'PUT',
+    zstack_delete: 'DELETE',
+    query_vms: 'GET',
+    query_hosts: 'GET',
+    query_images: 'GET',
+    query_l3_networks: 'GET',
+    query_instance_offerings: 'GET',
+    query_volumes: 'GET',
+    query_load_balancers: 'GET',
+    query_vips: 'GET',
+    query_eips: 'GET',
+    query_security_groups: 'GET',
+    query_vpc_routers: 'GET',
+    create_vm: 'POST',
+    start_vm: 'PUT',
+    stop_vm: 'PUT',
+    reboot_vm: 'PUT',
+    migrate_vm: 'PUT',
+    delete_vm: 'DELETE'
+  };
+
+  // 不访问 ZStack 或只读的辅助工具
+  static READ_TOOLS = new Set([
+    'search_api', 'describe_api',
+    'search_metric', 'get_metric_data', 'get_metric_summary',
+    'search_docs', 'get_doc_stats',
+    'list_workflows', 'describe_workflow',
+    'fetch_result_page'
+  ]);
+
+  // 快捷工具中的高危操作（停机、重启、迁移会中断业务）
+  static DESTRUCTIVE_TOOLS = new Set(['delete_vm', 'stop_vm', 'reboot_vm', 'migrate_vm']);
+
+  // 只读 action，如 getVersion、checkIpAvailability
+  static READ_ACTION_PATTERN = /^(get|check|calculate|query|describe)/i;
+
+  // 高危 action：删除/销毁/卸载/停机/迁移/重装/回滚等
+  static DESTRUCTIVE_ACTION_PATTERN = /^(delete|destroy|expunge|remove|detach|stop|reboot|shutdown|poweroff|migrate|reimage|revert|rollback|reset|clean|change(Vm)?Image|resize|shrink)/i;
+
+  // 维护模式、禁用等会影响其上所有资源的状态变更
+  static DESTRUCTIVE_STATE_EVENTS = new Set(['maintain', 'disable', 'preMaintain']);
+
+  // 全局性配置，修改会影响整个平台
+  static GLOBAL_CONFIG_PATHS = /^\/?(v1\/)?(global-configurations|resource-configurations)/;
+
+  // action 请求体中与 action 并列的标签字段
+  static BODY_TAG_KEYS = new Set(['systemTags', 'userTags']);
+
+  /**
+   * action 请求体中的 action 名称，去掉 systemTags / userTags
+   * @param {object} body - 如 { stopVmInstance: {}, systemTags: [] }
+   * @returns {string[]}
+   */
+  static bodyActions(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return [];
+    return Object.keys(body).filter(key => !ToolPolicy.BODY_TAG_KEYS.has(key));
+  }
+
+  /**
+   * 对一次工具调用进行风险分级
+   * @param {string} name - 工具名
+   * @param {object} args - 工具参数
+   * @returns {{ level: string, method: string|null, action: string|null, reason: string }}
+   */
+  classify(name, args = {}) {
+    args = args || {};
+    const method = ToolPolicy.TOOL_METHODS[name] || null;
+    const result = (level, reason, action = null) => ({ level, method, action, reason });
+
+    if (ToolPolicy.READ_TOOLS.has(name)) return result(RISK_READ, '只读查询');
+    if (ToolPolicy.DESTRUCTIVE_TOOLS.has(name)) return result(RISK_DESTRUCTIVE, '会中断业务或删除资源');
+
+    if (name === 'execute_api') return this._classifyApiName(args.api_name);
+    if (name === 'execute_workflow') return this._classifyWorkflow(args.workflow_id);
+    if (name === 'undo_last_change') return this._classifyUndo(args.change_id);
+
+    switch (method) {
+      case 'GET':
+        return result(RISK_READ, '只读查询');
+      case 'DELETE':
+        return result(RISK_DESTRUCTIVE, '删除资源，操作不可逆');
+      case 'POST':
+        return result(RISK_MUTATE, '创建资源');
+      case 'PUT':
+        break;
+      default:
+        // MCP 服务端的其它工具等未知工具无法判断影响，宁严勿宽，需要用户确认
+        return result(RISK_DESTRUCTIVE, `未知工具 ${name}，无法判断影响范围`);
+    }
+
+    // 全局配置的修改可以是 zstack_update，也可以是 updateGlobalConfig 等 action
+    if (ToolPolicy.GLOBAL_CONFIG_PATHS.test(args.resource_path || '')) {
+      return result(RISK_DESTRUCTIVE, '修改全局配置，影响整个平台', ToolPolicy.bodyActions(args.body)[0] || null);
+    }
+    if (name !== 'zstack_action') return result(RISK_MUTATE, '修改资源属性');
+
+    // 请求体可以带多个 action，按风险最高的一个分级
+    let worst = result(RISK_MUTATE, '修改资源');
+    ToolPolicy.bodyActions(args.body).forEach((action, i) => {
+      const [level, reason] = ToolPolicy._classifyAction(action, args.body[action]);
+      if (i === 0 || RISK_RANK[level] > RISK_RANK[worst.level]) worst = result(level, reason, action);
+    });
+    return worst;
+  }
+
+  // 单个 action 的风险级别和原因
+  static _classifyAction(action, params) {
+    if (ToolPolicy.READ_ACTION_PATTERN.test(action)) return [RISK_READ, '只读 action'];
+    if (ToolPolicy.DESTRUCTIVE_ACTION_PATTERN.test(action)) {
+      return [RISK_DESTRUCTIVE, `${action} 会中断业务或造成数据变更`];
+    }
+    if (/maintenance/i.test(action)) return [RISK_DESTRUCTIVE, '维护模式会触发 VM 迁移'];
+    const stateEvent = params?.stateEvent;
+    if (stateEvent && ToolPolicy.DESTRUCTIVE_STATE_EVENTS.has(stateEvent)) {
+      return [RISK_DESTRUCTIVE, `状态变更 ${stateEvent} 会影响其上运行的资源`];
+    }
+    return [RISK_MUTATE, `执行 ${action}`];
+  }
+
+  /**
+   * 只读环境中可用的工具：辅助工具和 GET 类工具
+   */
+  static isReadOnlyTool(name) {
+    return ToolPolicy.READ_TOOLS.has(name) || ToolPolicy.TOOL_METHODS[name] === 'GET';
+  }
+
+  /**
+   * 是否需要用户确认
+   */
+  requiresConfirmation(classification) {
+    return this.confirmLevels.has(classification.level);
+  }
+
+  // 工作流按风险最高的步骤分级；循环中的变更步骤会批量创建或修改资源，按高危处理
+  _classifyWorkflow(workflowId) {
+    const workflow = this.workflowEngine?.get(workflowId);
+    const result = (level, reason) => ({ level, method: null, action: null, reason });
+    if (!workflow) return result(RISK_MUTATE, '未知工作流');
+
+    let worst = result(RISK_READ, '工作流只包含只读步骤');
+    for (const step of workflow.steps) {
+      for (const sub of step.parallel || [step]) {
+        const params = sub.params || {};
+        let verdict = sub.action === 'mcp_call'
+          ? this.classify(params.tool_name, params.arguments)
+          : this.classify(sub.action, params);
+        if (step.loop && verdict.level !== RISK_READ) {
+          verdict = { ...verdict, level: RISK_DESTRUCTIVE, reason: `循环批量执行：${verdict.reason}` };
+        }
+        if (RISK_RANK[verdict.level] > RISK_RANK[worst.level]) {
+          worst = result(verdict.level, `工作流 ${workflow.name} 的步骤 ${sub.id || step.id}：${verdict.reason}`);
+        }
+      }
+    }
+    return worst;
+  }
+
+  // 撤销按逆操作分级：卸载、停止、删除规则等逆操作与直接执行同样高危
+  _classifyUndo(changeId) {
+    const entry = this.resolveUndo?.(changeId);
+    if (!entry) return { level: RISK_MUTATE, method: null, action: null, reason: '未找到可撤销的变更' };
+    const op = entry.inverse.op;
+    const level = ToolPolicy.DESTRUCTIVE_ACTION_PATTERN.test(op) ? RISK_DESTRUCTIVE : RISK_MUTATE;
+    return { level, method: null, action: op, reason: `撤销将执行：${entry.inverse.detail}` };
+  }
+
+  // execute_api 按 ZStack API 名称分级，如 QueryVmInstance / DestroyVmInstance
+  _classifyApiName(apiName = '') {
+    const api = String(apiName || '').replace(/^API/, '');
+    const result = (level, reason) => ({ level, method: null, action: api || null, reason });
+    if (/^(Query|Get|Describe|Check|Calculate)/.test(api)) return result(RISK_READ, '只读 API');
+    if (/^(Delete|Destroy|Expunge|Remove|Detach|Stop|Reboot|Migrate|Reimage|Revert|Change(Vm)?Image|Resize|Clean)/.test(api)) {
+      return result(RISK_DESTRUCTIVE, `${api} 会中断业务或删除资源`);
+    }
+    if (/^(ChangeHostState|UpdateGlobalConfig|UpdateResourceConfig)/.test(api)) {
+      return result(RISK_DESTRUCTIVE, `${api} 影响范围较大`);
+    }
+    return result(RISK_MUTATE, api ? `执行 ${api}` : '未知 API');
+  }
+}
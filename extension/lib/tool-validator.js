@@ -0,0 +1,93 @@
+// Tool Validator — 按工具定义（JSON Schema）校验工具调用参数
+// 检查必填字段、类型和枚举值，以及 UUID 格式和资源路径的写法，
+// 在请求发往云平台之前拦下格式错误的调用，错误信息直接返回给模型，便于它修正后重新调用
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+export class ToolValidator {
+  // ZStack UUID 为 32 位十六进制，兼容带连字符的标准格式
+  static UUID_PATTERN = /^[0-9a-f]{8}(-?[0-9a-f]{4}){3}-?[0-9a-f]{12}$/i;
+  // 按 UUID 格式校验的参数名：uuid、xxxUuid、xxx_uuid
+  static UUID_KEY_PATTERN = /^uuid$|Uuid$|_uuid$/;
+
+  // resource_path 第一段（v1 API 的顶层路径）的写法，如 vm-instances、vpcfirewalls、affinityGroup；
+  // 不按资源名单校验，各版本和插件的 API 路径并不固定
+  static RESOURCE_ROOT_PATTERN = /^[a-z][\w-]*$/i;
+  /**
+   * 校验一次工具调用
+   * @param {string} name - 工具名
+   * @param {object} args - 参数
+   * @param {Array} tools - OpenAI 格式的工具定义
+   * @returns {string|null} 错误信息，通过时返回 null
+   */
+  static validate(name, args, tools) {
+    const tool = tools.find(t => t.function.name === name);
+    if (!tool) return `未知工具: ${name}`;
+    if (!args || typeof args !== 'object' || Array.isArray(args)) return '参数必须是 JSON 对象';
+    const errors = ToolValidator._check(args, tool.function.parameters || {}, '');
+    return errors.length ? `参数错误（${name}）: ${errors.join('；')}` : null;
+  }
+
+  static _check(value, schema, path) {
+    const errors = [];
+    const label = path || '参数';
+    if (schema.type && !ToolValidator._matchType(value, schema.type)) {
+      return [`${label} 应为 ${schema.type}，实际为 ${typeOf(value)}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${label} 只能是 ${schema.enum.join(' / ')} 之一`);
+    }
+    if (schema.type === 'object' && schema.properties) {
+      for (const key of schema.required || []) {
+        if (value[key] === undefined || value[key] === null || value[key] === '') errors.push(`缺少必填参数 ${path ? `${path}.` : ''}${key}`);
+      }
+      for (const [key, sub] of Object.entries(schema.properties)) {
+        if (value[key] !== undefined && value[key] !== null) {
+          const subPath = path ? `${path}.${key}` : key;
+          const subErrors = ToolValidator._check(value[key], sub, subPath);
+          if (!subErrors.length && typeof value[key] === 'string') {
+            const formatError = ToolValidator._checkFormat(key, value[key], subPath);
+            if (formatError) subErrors.push(formatError);
+          }
+          errors.push(...subErrors);
+        }
+      }
+    }
+    if (schema.type === 'array' && schema.items) {
+      value.forEach((item, i) => errors.push(...ToolValidator._check(item, schema.items, `${label}[${i}]`)));
+    }
+    return errors;
+  }
+
+  // 按参数名约定的格式：UUID 字段和 resource_path
+  static _checkFormat(key, value, path) {
+    if (ToolValidator.UUID_KEY_PATTERN.test(key) && value !== '' && !ToolValidator.UUID_PATTERN.test(value)) {
+      return `${path} 不是合法的 UUID（应为 32 位十六进制字符串）: ${value}`;
+    }
+    if (key === 'resource_path') return ToolValidator._checkResourcePath(value, path);
+    return null;
+  }
+
+  static _checkResourcePath(value, path) {
+    const normalized = value.trim().replace(/^\/?(v1\/)?/, '').replace(/\?.*$/, '');
+    if (/^https?:/i.test(normalized) || /[\s{}<>]|\bundefined\b|\bnull\b/.test(normalized)) {
+      return `${path} 格式错误，应为不含主机地址和占位符的 API 路径，如 vm-instances: ${value}`;
+    }
+    const root = normalized.split('/')[0];
+    if (!ToolValidator.RESOURCE_ROOT_PATTERN.test(root)) {
+      return `${path} 格式错误，应以资源类型开头，如 vm-instances、hosts、volumes、l3-networks: ${value}`;
+    }
+    return null;
+  }
+
+  static _matchType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+  }
+}
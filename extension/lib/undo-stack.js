@@ -0,0 +1,212 @@
+// Undo Stack — 可逆操作的撤销记录
+// 启停云主机、挂载/卸载云盘、绑定/解绑 EIP、增删安全组规则、更改计算规格等操作成功后，
+// 登记对应的逆操作（ZStackClient 方法名 + 参数），用户可一键撤销或让 AI 调用 undo_last_change
+
+const fixPath = (p) => p && !p.startsWith('v1/') ? `v1/${p}` : p;
+
+// 从路径中按正则取出命名参数，不匹配返回 null
+const matchPath = (pattern, path, names) => {
+  const m = pattern.exec(path || '');
+  return m ? Object.fromEntries(names.map((n, i) => [n, m[i + 1]])) : null;
+};
+
+// 重新添加安全组规则时保留的字段
+const RULE_FIELDS = ['type', 'protocol', 'startPort', 'endPort', 'allowedCidr', 'remoteSecurityGroupUuid',
+  'ipVersion', 'srcIpRange', 'dstIpRange', 'dstPortRange', 'action', 'priority', 'description'];
+
+const short = (uuid) => (uuid || '').slice(0, 8);
+
+export class UndoStack {
+  // 每个环境最多保留的可撤销记录
+  static MAX_ENTRIES = 20;
+
+  /**
+   * 逆操作规则
+   *   match(target) → 参数对象 | null
+   *   prepare(params, client) → 执行前需要保存的原状态（可选）
+   *   inverse(params, before, result) → { op, args, detail } | null
+   */
+  static RULES = [
+    {
+      // 启动云主机 → 停止
+      match: t => t.action === 'startVmInstance' && matchPath(/^v1\/vm-instances\/([^/]+)$/, t.path, ['vmUuid']),
+      inverse: ({ vmUuid }) => ({ op: 'stopVm', args: [vmUuid], detail: `停止云主机 ${short(vmUuid)}` })
+    },
+    {
+      // 停止云主机 → 启动
+      match: t => t.action === 'stopVmInstance' && matchPath(/^v1\/vm-instances\/([^/]+)$/, t.path, ['vmUuid']),
+      inverse: ({ vmUuid }) => ({ op: 'startVm', args: [vmUuid], detail: `启动云主机 ${short(vmUuid)}` })
+    },
+    {
+      // 更改计算规格 → 改回原规格
+      match: t => t.action === 'changeInstanceOffering' && matchPath(/^v1\/vm-instances\/([^/]+)$/, t.path, ['vmUuid']),
+      prepare: async ({ vmUuid }, client) => {
+        const res = await client.get('v1/vm-instances', vmUuid);
+        return { instanceOfferingUuid: res.inventory?.instanceOfferingUuid };
+      },
+      inverse: ({ vmUuid }, { instanceOfferingUuid }) => instanceOfferingUuid && {
+        op: 'changeInstanceOffering', args: [vmUuid, instanceOfferingUuid],
+        detail: `恢复云主机 ${short(vmUuid)} 的计算规格 ${short(instanceOfferingUuid)}`
+      }
+    },
+    {
+      // 挂载云盘 → 卸载
+      match: t => t.method === 'POST' && matchPath(/^v1\/volumes\/([^/]+)\/vm-instances\/([^/?]+)$/, t.path, ['volumeUuid', 'vmUuid']),
+      inverse: ({ volumeUuid, vmUuid }) => ({
+        op: 'detachVolume', args: [volumeUuid, vmUuid],
+        detail: `从云主机 ${short(vmUuid)} 卸载云盘 ${short(volumeUuid)}`
+      })
+    },
+    {
+      // 卸载云盘 → 重新挂载到原云主机
+      match: t => t.method === 'DELETE' && matchPath(/^v1\/volumes\/([^/]+)\/vm-instances/, t.path, ['volumeUuid']),
+      prepare: async ({ volumeUuid }, client) => {
+        const res = await client.get('v1/volumes', volumeUuid);
+        return { vmUuid: res.inventory?.vmInstanceUuid };
+      },
+      inverse: ({ volumeUuid }, { vmUuid }) => vmUuid && {
+        op: 'attachVolume', args: [volumeUuid, vmUuid],
+        detail: `将云盘 ${short(volumeUuid)} 重新挂载到云主机 ${short(vmUuid)}`
+      }
+    },
+    {
+      // 绑定 EIP → 解绑
+      match: t => t.method === 'POST' && matchPath(/^v1\/eips\/([^/]+)\/vm-instances\/nics\/([^/?]+)$/, t.path, ['eipUuid', 'vmNicUuid']),
+      inverse: ({ eipUuid }) => ({ op: 'detachEip', args: [eipUuid], detail: `解绑 EIP ${short(eipUuid)}` })
+    },
+    {
+      // 解绑 EIP → 重新绑定到原网卡
+      match: t => t.method === 'DELETE' && matchPath(/^v1\/eips\/([^/]+)\/vm-instances\/nics/, t.path, ['eipUuid']),
+      prepare: async ({ eipUuid }, client) => {
+        const res = await client.get('v1/eips', eipUuid);
+        return { vmNicUuid: res.inventory?.vmNicUuid };
+      },
+      inverse: ({ eipUuid }, { vmNicUuid }) => vmNicUuid && {
+        op: 'attachEip', args: [eipUuid, vmNicUuid],
+        detail: `将 EIP ${short(eipUuid)} 重新绑定到网卡 ${short(vmNicUuid)}`
+      }
+    },
+    {
+      // 添加安全组规则 → 删除新增的规则
+      match: t => t.method === 'POST' && matchPath(/^v1\/security-groups\/([^/]+)\/rules$/, t.path, ['securityGroupUuid']),
+      prepare: async ({ securityGroupUuid }, client) => {
+        const res = await client.get('v1/security-groups', securityGroupUuid);
+        return { ruleUuids: (res.inventory?.rules || []).map(r => r.uuid) };
+      },
+      inverse: ({ securityGroupUuid }, { ruleUuids }, result) => {
+        const added = (result?.inventory?.rules || []).map(r => r.uuid).filter(uuid => !ruleUuids.includes(uuid));
+        return added.length > 0 && {
+          op: 'deleteSecurityGroupRules', args: [added],
+          detail: `删除安全组 ${short(securityGroupUuid)} 新增的 ${added.length} 条规则`
+        };
+      }
+    },
+    {
+      // 删除安全组规则 → 按原规则重新添加（仅限同一安全组）
+      match: t => {
+        if (t.method !== 'DELETE' || !/^v1\/security-groups\/rules/.test(t.path)) return null;
+        const ruleUuids = [...t.path.matchAll(/ruleUuids=([^&?]+)/g)].flatMap(m => decodeURIComponent(m[1]).split(','));
+        return ruleUuids.length ? { ruleUuids } : null;
+      },
+      prepare: async ({ ruleUuids }, client) => {
+        const res = await client.querySecurityGroupRules([`uuid?=${ruleUuids.join(',')}`]);
+        return { rules: res.inventories || [] };
+      },
+      inverse: (params, { rules }) => {
+        const groups = new Set(rules.map(r => r.securityGroupUuid));
+        if (rules.length === 0 || groups.size !== 1) return null;
+        const [securityGroupUuid] = groups;
+        const specs = rules.map(r => Object.fromEntries(RULE_FIELDS.filter(f => r[f] !== undefined && r[f] !== null).map(f => [f, r[f]])));
+        return {
+          op: 'addSecurityGroupRules', args: [securityGroupUuid, specs],
+          detail: `向安全组 ${short(securityGroupUuid)} 重新添加 ${specs.length} 条规则`
+        };
+      }
+    }
+  ];
+
+  constructor() {
+    this.entries = [];
+    this._nextId = 1;
+    // 登记新的可撤销记录时回调 (entry) => void，供侧边栏显示撤销按钮
+    this.onRecord = null;
+  }
+
+  /**
+   * 把工具调用归一化为 { method, path, action }，非变更工具返回 null
+   */
+  static target(name, args = {}) {
+    const join = (...parts) => parts.filter(Boolean).join('/');
+    switch (name) {
+      case 'start_vm':
+        return { method: 'PUT', path: `v1/vm-instances/${args.uuid}`, action: 'startVmInstance' };
+      case 'stop_vm':
+        return { method: 'PUT', path: `v1/vm-instances/${args.uuid}`, action: 'stopVmInstance' };
+      case 'zstack_action':
+        return {
+          method: 'PUT',
+          path: join(fixPath(args.resource_path), args.uuid),
+          action: args.body && typeof args.body === 'object' ? Object.keys(args.body)[0] : null
+        };
+      case 'zstack_create':
+        return { method: 'POST', path: fixPath(args.resource_path), action: null };
+      case 'zstack_delete':
+        return { method: 'DELETE', path: join(fixPath(args.resource_path), args.uuid), action: null };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 查找工具调用对应的逆操作规则，不可逆时返回 null
+   */
+  static match(name, args) {
+    const target = UndoStack.target(name, args || {});
+    if (!target) return null;
+    for (const rule of UndoStack.RULES) {
+      const params = rule.match(target);
+      if (params) return { rule, params };
+    }
+    return null;
+  }
+
+  /**
+   * 执行前保存原状态；查询失败时返回 null（该次操作不登记撤销）
+   */
+  async prepare(match, client) {
+    if (!match.rule.prepare) return {};
+    try {
+      return await match.rule.prepare(match.params, client);
+    } catch (e) {
+      console.warn('Undo prepare failed:', e.message);
+      return null;
+    }
+  }
+
+  /**
+   * 操作成功后登记逆操作
+   * @param {object} info - { detail, endpoint } 原操作描述和所属环境
+   */
+  record(match, before, result, { detail, endpoint }) {
+    const inverse = before && match.rule.inverse(match.params, before, result);
+    if (!inverse) return null;
+    const entry = { id: this._nextId++, endpoint, detail, inverse, createdAt: Date.now() };
+    this.entries.push(entry);
+    const sameEnv = this.entries.filter(e => e.endpoint === endpoint);
+    if (sameEnv.length > UndoStack.MAX_ENTRIES) this.remove(sameEnv[0].id);
+    this.onRecord?.(entry);
+    return entry;
+  }
+
+  find(id, endpoint) {
+    return this.entries.find(e => e.id === id && e.endpoint === endpoint) || null;
+  }
+
+  latest(endpoint) {
+    return this.entries.filter(e => e.endpoint === endpoint).at(-1) || null;
+  }
+
+  remove(id) {
+    this.entries = this.entries.filter(e => e.id !== id);
+  }
+}
@@ -0,0 +1,164 @@
+// Usage Tracker — Token 用量与费用统计
+// 按模型价格表把 provider 返回的 usage 折算为费用，按天累计并持久化到 chrome.storage.local，
+// 供侧边栏显示本轮 / 本次对话 / 今日费用，并在本月费用接近或超出预算时提醒
+
+export class UsageTracker {
+  static STORAGE_KEY = 'usageLedger';
+  // 按天记录保留的天数（覆盖上月和本月）
+  static KEEP_DAYS = 62;
+  // 本月费用达到预算的该比例时开始提醒
+  static BUDGET_WARN_RATIO = 0.8;
+
+  /**
+   * 模型价格，单位：美元 / 百万 token；按模型名前缀匹配，取最长的前缀
+   *   input: 未命中缓存的输入  output: 输出
+   *   cacheRead: 命中缓存的输入（缺省按 input 计）  cacheWrite: 写入缓存的输入（Anthropic，缺省按 input 计）
+   * 国内模型按官方人民币定价折算（约 7.2:1），仅供参考
+   */
+  static PRICES = {
+    'gpt-4o': { input: 2.5, output: 10, cacheRead: 1.25 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6, cacheRead: 0.075 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4.1': { input: 2, output: 8, cacheRead: 0.5 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6, cacheRead: 0.1 },
+    'o3': { input: 2, output: 8, cacheRead: 0.5 },
+    'o4-mini': { input: 1.1, output: 4.4, cacheRead: 0.275 },
+    'o1': { input: 15, output: 60, cacheRead: 7.5 },
+    'o1-mini': { input: 1.1, output: 4.4, cacheRead: 0.55 },
+    'o3-mini': { input: 1.1, output: 4.4, cacheRead: 0.55 },
+    'gemini-2.5-pro': { input: 1.25, output: 10, cacheRead: 0.31 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5, cacheRead: 0.075 },
+    'gemini-2.5-flash-lite': { input: 0.1, output: 0.4, cacheRead: 0.025 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4, cacheRead: 0.025 },
+    'claude-opus-4': { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+    'claude-opus-4-5': { input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 },
+    'claude-opus-4-6': { input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 },
+    'claude-sonnet-4': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+    'claude-haiku-4-5': { input: 1, output: 5, cacheRead: 0.1, cacheWrite: 1.25 },
+    'claude-haiku-3.5': { input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 },
+    'claude-3-5-haiku': { input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 },
+    'deepseek-chat': { input: 0.27, output: 1.1, cacheRead: 0.07 },
+    'deepseek-reasoner': { input: 0.55, output: 2.19, cacheRead: 0.14 },
+    'glm-4-plus': { input: 0.69, output: 0.69 },
+    'glm-4-flash': { input: 0, output: 0 },
+    'glm-4-long': { input: 0.14, output: 0.14 },
+    'qwen-max': { input: 0.33, output: 1.33 },
+    'qwen-plus': { input: 0.11, output: 0.28 },
+    'qwen-turbo': { input: 0.04, output: 0.08 },
+    'qwen3-coder-plus': { input: 0.56, output: 2.22 },
+    'minimax-m2': { input: 0.3, output: 1.2, cacheRead: 0.03 },
+    'minimax-m1': { input: 0.4, output: 2.2 },
+    'minimax-text-01': { input: 0.2, output: 1.1 },
+    'kimi-k2': { input: 0.6, output: 2.5, cacheRead: 0.15 },
+    'moonshot-v1-auto': { input: 1.1, output: 1.1 },
+    'moonshot-v1-128k': { input: 8.33, output: 8.33 }
+  };
+
+  constructor(storage = chrome.storage.local) {
+    this.storage = storage;
+    this._ledger = null;
+    // 串行化写入，避免并发的读-改-写互相覆盖
+    this._writeQueue = Promise.resolve();
+  }
+
+  /**
+   * 查找模型价格，未收录的模型返回 null
+   */
+  static priceOf(model) {
+    const name = (model || '').toLowerCase();
+    const prefix = Object.keys(UsageTracker.PRICES)
+      .filter(p => name.startsWith(p))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? UsageTracker.PRICES[prefix] : null;
+  }
+
+  /**
+   * 计算一次调用的费用（美元），模型未收录价格时返回 null
+   * @param {object} usage - { prompt_tokens, completion_tokens, cached_tokens, cache_creation_tokens }
+   *   prompt_tokens 含命中缓存和写入缓存的部分
+   */
+  static cost(usage, model) {
+    const price = UsageTracker.priceOf(model);
+    if (!price) return null;
+    const cached = usage.cached_tokens || 0;
+    const created = usage.cache_creation_tokens || 0;
+    const fresh = Math.max(0, (usage.prompt_tokens || 0) - cached - created);
+    return (fresh * price.input
+      + cached * (price.cacheRead ?? price.input)
+      + created * (price.cacheWrite ?? price.input)
+      + (usage.completion_tokens || 0) * price.output) / 1e6;
+  }
+
+  static formatCost(cost) {
+    if (cost === null || cost === undefined) return '未知';
+    if (cost === 0) return '$0';
+    return cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+  }
+
+  static _dayKey(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  async _load() {
+    if (!this._ledger) {
+      const data = await this.storage.get(UsageTracker.STORAGE_KEY);
+      this._ledger = data[UsageTracker.STORAGE_KEY] || {};
+    }
+    return this._ledger;
+  }
+
+  /**
+   * 记入当天的用量，返回本次费用
+   * @param {object} usage - LLMEngine 'usage' 事件
+   * @param {string} model
+   */
+  record(usage, model) {
+    const cost = UsageTracker.cost(usage, model);
+    this._writeQueue = this._writeQueue.then(async () => {
+      const ledger = await this._load();
+      const key = UsageTracker._dayKey();
+      const day = ledger[key] || (ledger[key] = { tokens: 0, cost: 0, calls: 0, unpriced: 0 });
+      day.tokens += usage.total_tokens || 0;
+      day.calls++;
+      if (cost === null) day.unpriced++;
+      else day.cost += cost;
+      const oldest = UsageTracker._dayKey(new Date(Date.now() - UsageTracker.KEEP_DAYS * 86400000));
+      for (const k of Object.keys(ledger)) {
+        if (k < oldest) delete ledger[k];
+      }
+      await this.storage.set({ [UsageTracker.STORAGE_KEY]: ledger });
+    }).catch(e => console.warn('Usage ledger write failed:', e));
+    return cost;
+  }
+
+  /**
+   * 今日和本月累计 { today: { tokens, cost, unpriced }, month: { tokens, cost, unpriced } }
+   */
+  async summary() {
+    await this._writeQueue;
+    const ledger = await this._load();
+    const today = UsageTracker._dayKey();
+    const month = today.slice(0, 8);
+    const sum = (keys) => keys.reduce((acc, k) => ({
+      tokens: acc.tokens + ledger[k].tokens,
+      cost: acc.cost + ledger[k].cost,
+      unpriced: acc.unpriced + ledger[k].unpriced
+    }), { tokens: 0, cost: 0, unpriced: 0 });
+    return {
+      today: sum(ledger[today] ? [today] : []),
+      month: sum(Object.keys(ledger).filter(k => k.startsWith(month)))
+    };
+  }
+
+  /**
+   * 月度预算状态：null（未设置预算或未到提醒线）| { level: 'warn'|'over', ratio }
+   */
+  static budgetStatus(monthCost, budget) {
+    if (!(budget > 0)) return null;
+    const ratio = monthCost / budget;
+    if (ratio >= 1) return { level: 'over', ratio };
+    if (ratio >= UsageTracker.BUDGET_WARN_RATIO) return { level: 'warn', ratio };
+    return null;
+  }
+}
@@ -1,5 +1,7 @@
 // Workflow Engine — 可编排的多步操作执行器
 // 支持 JSON 定义的工作流模板：串行/并行/循环/条件分支
+import { ToolPolicy } from './tool-policy.js';
+import { AuditLog } from './audit-log.js';
 
 export class WorkflowEngine {
   constructor() {
@@ -52,7 +54,8 @@ export class WorkflowEngine {
    * 执行 workflow
    * @param {string} workflowId
    * @param {object} params - 用户提供的参数
-   * @param {object} executors - { zstackClient, mcpClient } 用于实际执行 API 调用
+   * @param {object} executors - { zstackClient, mcpClient, auditLog, prompt } 用于实际执行 API 调用，
+   *   auditLog 存在时每个步骤写入一条审计记录
    * @param {function} onProgress - 进度回调 (stepId, status, result)
    * @returns {object} 执行上下文（包含所有步骤结果）
    */
@@ -76,6 +79,7 @@ export class WorkflowEngine {
     }
 
     const results = [];
+    executors = { ...executors, workflowId };
 
     for (const step of wf.steps) {
       onProgress(step.id, 'running', null);
@@ -146,13 +150,47 @@ export class WorkflowEngine {
   }
 
   /**
-   * 执行单个步骤
+   * 执行单个步骤，并写入审计日志
    */
   async _executeStep(step, ctx, executors) {
-    const { zstackClient, mcpClient } = executors;
-    const action = step.action;
     const params = this._resolveParams(step.params || {}, ctx);
+    const { auditLog } = executors;
+    if (!auditLog) return this._runStep(step.action, params, executors);
+
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = await this._runStep(step.action, params, executors);
+      return result;
+    } catch (e) {
+      result = e.toJSON ? e.toJSON() : { error: e.message };
+      throw e;
+    } finally {
+      auditLog.append({
+        source: 'workflow',
+        prompt: executors.prompt || null,
+        tool: step.action,
+        operation: `工作流 ${executors.workflowId} / ${step.id || step.output || step.action}${ctx._loop ? ` #${ctx._loop.index + 1}` : ''}`,
+        ...this._auditTarget(step.action, params),
+        body: params,
+        ...AuditLog.outcome(result, executors.zstackClient),
+        durationMs: Date.now() - startedAt
+      });
+    }
+  }
 
+  // 审计记录中的 HTTP 方法和路径
+  _auditTarget(action, params) {
+    if (action === 'mcp_call') return { method: 'MCP', path: params.tool_name || null };
+    const method = ToolPolicy.TOOL_METHODS[action] || null;
+    if (action === 'zstack_zql') return { method, path: 'v1/zql' };
+    const path = [this._fixPath(params.resource_path), params.uuid, action === 'zstack_action' ? 'actions' : null]
+      .filter(Boolean).join('/');
+    return { method, path: path || null };
+  }
+
+  async _runStep(action, params, executors) {
+    const { zstackClient, mcpClient } = executors;
     switch (action) {
       case 'zstack_query':
         return zstackClient.query(
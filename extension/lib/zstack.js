@@ -1,47 +1,392 @@
 // ZStack API Client - Full Coverage
+import { RequestLimiter } from './request-limiter.js';
+import { ToolPolicy } from './tool-policy.js';
+
+/**
+ * ZStack API 错误
+ * 保留 HTTP 状态码、ZStack 错误码（如 SYS.1001、ID.1001）、描述、详情、请求路径和异步任务 UUID，
+ * 供会话过期判断和 LLM 推理使用
+ */
+export class ZStackError extends Error {
+  constructor(message, { status = null, code = null, globalErrorCode = null, description = null, details = null, path = null, jobUuid = null, cause = null } = {}) {
+    super(message);
+    this.name = 'ZStackError';
+    this.status = status;
+    this.code = code;
+    this.globalErrorCode = globalErrorCode;
+    this.description = description;
+    this.details = details;
+    this.path = path;
+    this.jobUuid = jobUuid;
+    this.cause = cause;
+  }
+
+  // 会话失效的错误码（与 mcp-server 的 _is_session_invalid_error 保持一致）
+  static SESSION_EXPIRED_CODES = new Set(['ID.1001', 'ORG_ZSTACK_IDENTITY_10020']);
+
+  /**
+   * 从 ZStack 响应体构造错误
+   * @param {number} status - HTTP 状态码
+   * @param {object|string} data - 解析后的响应体
+   * @param {object} context - { path, jobUuid, fallback }
+   */
+  static fromResponse(status, data, { path = null, jobUuid = null, fallback } = {}) {
+    const err = data && typeof data === 'object' ? data.error : null;
+    const message = err?.details || err?.description
+      || (typeof data === 'string' && data && data.length < 200 ? data : null)
+      || fallback || `HTTP ${status}`;
+    return new ZStackError(message, {
+      status,
+      code: err?.code || null,
+      globalErrorCode: err?.globalErrorCode || null,
+      description: err?.description || null,
+      details: err?.details || null,
+      path,
+      jobUuid,
+      cause: err?.cause || null
+    });
+  }
+
+  get isSessionExpired() {
+    if (this.status === 401) return true;
+    const codes = [this.code, this.globalErrorCode, this.cause?.code, this.cause?.globalErrorCode];
+    return codes.some(c => c && ZStackError.SESSION_EXPIRED_CODES.has(c));
+  }
+
+  // 返回给 LLM 的结构化错误
+  toJSON() {
+    const out = { error: this.message };
+    for (const key of ['status', 'code', 'globalErrorCode', 'description', 'details', 'path', 'jobUuid']) {
+      if (this[key] !== null && this[key] !== undefined) out[key] = this[key];
+    }
+    if (this.cause?.code || this.cause?.details) {
+      out.cause = { code: this.cause.code, details: this.cause.details || this.cause.description };
+    }
+    return out;
+  }
+}
+
 export class ZStackClient {
   constructor() {
     this.endpoint = '';
     this.sessionId = null;
+    // 会话预计过期时间（本地时钟毫秒），由登录/续期响应推算
+    this.sessionExpiresAt = null;
+    // 登录名（账户名 / 子用户名 / IAM2 虚拟 ID 名 / LDAP uid）
     this._accountName = null;
-    this._password = null;
-    this._relogging = false;
+    // 登录方式及附加参数，见 LOGIN_TYPES
+    this._loginOptions = { loginType: 'account', accountName: null };
+    // 仅保存提交给登录 API 的密码形式（SHA-512，LDAP 除外），用于会话过期自动重连；keepPassword=false 时不保存
+    this._passwordHash = null;
+    // 当前登录身份（账户、用户/虚拟 ID、项目、角色），登录后加载
+    this.identity = null;
+    // 当前工作项目 { uuid, name }；IAM2 虚拟 ID 进入项目后，请求使用项目会话
+    this.project = null;
+    // 进入项目前的虚拟 ID 会话，退出项目时恢复
+    this._baseSessionId = null;
+    this.keepPassword = true;
+    // 会话过期且未保存密码时调用，返回用户重新输入的密码（null 表示取消）
+    this.onReauthRequired = null;
+    this._reloginPromise = null;
+    // 当前对话的异步任务上下文：停止信号与进度回调，由 LLMEngine 在执行工具前设置
+    this._jobContext = { signal: null, onProgress: null };
+    // 异步任务登记表（JobTracker），侧边栏关闭后由 background.js 继续跟踪
+    this.jobRegistry = null;
+    // 每个环境（endpoint）独立的并发/速率限制
+    this._limiters = new Map();
+    this._limits = new Map();
+    // 排队状态变化回调 ({ endpoint, active, queued }) => void，供侧边栏显示
+    this.onQueueChange = null;
+    // 只读环境：拒绝除登录、会话管理和只读 action 以外的 POST/PUT/DELETE
+    this.readOnly = false;
+    // 异步 API 结果 → 任务 UUID，供审计日志关联，不改变返回给调用方的数据
+    this._resultJobs = new WeakMap();
   }
 
-  configure(endpoint) {
+  // 支持的登录方式：API 路径、请求体 key、是否需要 SHA-512 密码
+  static LOGIN_TYPES = {
+    account: {
+      label: '账户', path: '/v1/accounts/login', action: 'logInByAccount', hashPassword: true,
+      body: (name, password) => ({ accountName: name, password })
+    },
+    user: {
+      label: '子用户', path: '/v1/accounts/users/login', action: 'logInByUser', hashPassword: true,
+      body: (name, password, { accountName }) => ({ accountName, userName: name, password })
+    },
+    iam2: {
+      label: 'IAM2 虚拟 ID', path: '/v1/iam2/virtual-ids/login', action: 'logInByIAM2VirtualID', hashPassword: true,
+      body: (name, password) => ({ name, password })
+    },
+    ldap: {
+      label: 'LDAP', path: '/v1/ldap/login', action: 'logInByLdap', hashPassword: false,
+      body: (name, password) => ({ uid: name, password })
+    }
+  };
+
+  // 距预计过期不足该时长时提前续期/重连
+  static SESSION_REFRESH_MARGIN = 60000;
+
+  /**
+   * @param {string} endpoint - API 地址
+   * @param {object} [limits] - 该环境的限流配置 { maxConcurrent, ratePerSecond }
+   */
+  configure(endpoint, limits) {
     this.endpoint = endpoint.replace(/\/+$/, '');
+    if (limits) this.setRequestLimits(limits);
+  }
+
+  /**
+   * 设置当前环境的并发上限和每秒请求数
+   */
+  setRequestLimits(limits = {}) {
+    this._limits.set(this.endpoint, limits);
+    this._limiter().configure(limits);
+  }
+
+  // 当前环境的限流器（按 endpoint 懒创建）
+  _limiter() {
+    const endpoint = this.endpoint;
+    let limiter = this._limiters.get(endpoint);
+    if (!limiter) {
+      limiter = new RequestLimiter({
+        ...this._limits.get(endpoint),
+        onChange: (stats) => this.onQueueChange?.({ endpoint, ...stats })
+      });
+      this._limiters.set(endpoint, limiter);
+    }
+    return limiter;
+  }
+
+  // 所有发往管理节点的请求都经过限流（注销除外，关闭侧边栏时不能排队）
+  _fetch(url, init) {
+    return this._limiter().run(() => fetch(url, init));
   }
 
   isLoggedIn() {
     return !!this.sessionId;
   }
 
-  logout() {
+  /**
+   * 注销：调用 DELETE /v1/accounts/sessions/{uuid} 删除服务端会话，再清理本地状态
+   * 服务端删除失败（如会话已过期、网络中断）不影响本地注销
+   */
+  async logout() {
+    const { endpoint, sessionIds } = this.detachSession();
+    if (!endpoint) return;
+    await Promise.all(sessionIds.map(id => this._deleteSession(id)));
+  }
+
+  /**
+   * 只清理本地会话状态，不删除服务端会话
+   * 会话仍被后台任务使用时，由调用方交给 JobTracker，任务结束后再删除
+   * @returns {{endpoint: string|null, sessionIds: string[]}}
+   */
+  detachSession() {
+    const sessionIds = [...new Set([this.sessionId, this._baseSessionId].filter(Boolean))];
     this.sessionId = null;
+    this._baseSessionId = null;
+    this.sessionExpiresAt = null;
     this._accountName = null;
-    this._password = null;
+    this._passwordHash = null;
+    this.identity = null;
+    this.project = null;
+    return { endpoint: this.endpoint, sessionIds };
   }
 
-  async login(accountName, password) {
-    // Save credentials for auto-reconnect on session expiry
-    this._accountName = accountName;
-    this._password = password;
+  async _deleteSession(sessionId) {
+    try {
+      // keepalive 保证侧边栏关闭时请求仍能发出
+      await fetch(`${this.endpoint}/zstack/v1/accounts/sessions/${sessionId}`, {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `OAuth ${sessionId}` },
+        mode: "cors", cache: "no-cache", keepalive: true
+      });
+    } catch (e) {
+      console.warn('Logout request failed:', e.message);
+    }
+  }
+
+  /**
+   * 切换工作项目（仅 IAM2 虚拟 ID 登录）
+   * 进入项目：PUT /v1/iam2/projects/login 换取项目会话，之后所有请求都在该项目范围内执行；
+   * 传 null 退出项目，注销项目会话并恢复虚拟 ID 会话
+   * @param {{uuid: string, name: string}|null} project
+   */
+  async useProject(project) {
+    if (this._loginOptions.loginType !== 'iam2') {
+      throw new ZStackError('只有 IAM2 虚拟 ID 登录才能切换项目');
+    }
+    if (this.project && this._baseSessionId) {
+      const projectSession = this.sessionId;
+      this.sessionId = this._baseSessionId;
+      this._baseSessionId = null;
+      if (projectSession !== this.sessionId) this._deleteSession(projectSession);
+    }
+    this.project = null;
+    if (project) {
+      await this._enterProject(project);
+    }
+    return this.project;
+  }
+
+  async _enterProject(project) {
+    // 与登录一样不走自动重连（重连流程本身会调用这里）
+    const path = '/v1/iam2/projects/login';
+    const res = await this._handleResponse(await this._fetch(`${this.endpoint}/zstack${path}`, {
+      method: 'PUT',
+      headers: this._headers(), mode: "cors", cache: "no-cache", redirect: "follow",
+      body: JSON.stringify({ loginIAM2Project: { projectName: project.name } })
+    }), path);
+    const sessionId = res.inventory?.uuid;
+    if (!sessionId) throw new ZStackError(`进入项目失败：${project.name}`, { path });
+    this._baseSessionId = this.sessionId;
+    this.sessionId = sessionId;
+    this.project = { uuid: project.uuid, name: project.name };
+    const expiresAt = this._predictExpiry(res.inventory);
+    if (expiresAt) this.sessionExpiresAt = expiresAt;
+  }
+
+  /**
+   * 登录
+   * @param {string} name - 登录名：账户名、子用户名、IAM2 虚拟 ID 名或 LDAP uid
+   * @param {string} password - 明文密码
+   * @param {object} [options] - { loginType: 'account'|'user'|'iam2'|'ldap', accountName: 子用户所属账户 }
+   */
+  async login(name, password, { loginType = 'account', accountName = null } = {}) {
+    if (!ZStackClient.LOGIN_TYPES[loginType]) throw new ZStackError(`不支持的登录方式: ${loginType}`);
+    this._loginOptions = { loginType, accountName };
+    this.project = null;
+    this._baseSessionId = null;
+    const res = await this._loginWithHash(name, await this._encodePassword(password));
+    // 自动重连不改变身份，只在主动登录时加载
+    this.identity = await this._loadIdentity(name, res.inventory);
+    return res;
+  }
+
+  // 按登录方式转换密码：LDAP 由服务端绑定校验，需要原文
+  async _encodePassword(password) {
+    return ZStackClient.LOGIN_TYPES[this._loginOptions.loginType].hashPassword
+      ? this._hashPassword(password)
+      : password;
+  }
 
+  async _hashPassword(password) {
     // ZStack requires SHA-512 hashed password
     const encoder = new TextEncoder();
     const data = encoder.encode(password);
     const hashBuffer = await crypto.subtle.digest('SHA-512', data);
     const hashArray = Array.from(new Uint8Array(hashBuffer));
-    const hashedPassword = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+  }
 
-    const res = await this._rawPost('/v1/accounts/login', {
-      logInByAccount: { accountName, password: hashedPassword }
+  async _loginWithHash(name, hashedPassword) {
+    const type = ZStackClient.LOGIN_TYPES[this._loginOptions.loginType];
+    const res = await this._rawPost(type.path, {
+      [type.action]: type.body(name, hashedPassword, this._loginOptions)
     });
     this.sessionId = res.inventory?.uuid;
-    if (!this.sessionId) throw new Error('登录失败：未获取到 session');
+    if (!this.sessionId) throw new ZStackError('登录失败：未获取到 session', { path: type.path });
+
+    // Save credentials for auto-reconnect on session expiry
+    this._accountName = name;
+    this._passwordHash = this.keepPassword ? hashedPassword : null;
+    this.sessionExpiresAt = this._predictExpiry(res.inventory);
+    return res;
+  }
+
+  /**
+   * 加载登录身份：账户、子用户/虚拟 ID、所属项目和角色
+   * 各项查询互不依赖，权限不足或版本不支持时跳过该项
+   */
+  async _loadIdentity(name, session) {
+    const { loginType } = this._loginOptions;
+    const identity = {
+      loginType,
+      loginName: name,
+      account: null,
+      user: null,
+      virtualId: null,
+      projects: [],
+      roles: []
+    };
+    const first = async (path, conditions) => {
+      try {
+        return (await this.query(path, conditions, 1)).inventories?.[0] || null;
+      } catch {
+        return null;
+      }
+    };
+    const all = async (path, conditions) => {
+      try {
+        return (await this.query(path, conditions, 100)).inventories || [];
+      } catch {
+        return [];
+      }
+    };
+
+    if (session?.accountUuid) {
+      const account = await first('v1/accounts', [`uuid=${session.accountUuid}`]);
+      identity.account = account
+        ? { uuid: account.uuid, name: account.name, type: account.type }
+        : { uuid: session.accountUuid };
+    }
+
+    if (loginType === 'user' && session?.userUuid) {
+      const user = await first('v1/accounts/users', [`uuid=${session.userUuid}`]);
+      identity.user = { uuid: session.userUuid, name: user?.name || name };
+      const policies = await all('v1/accounts/policies', [`user.uuid=${session.userUuid}`]);
+      identity.roles = policies.map(p => p.name);
+    }
+
+    if (loginType === 'iam2' && session?.userUuid) {
+      const vid = await first('v1/iam2/virtual-ids', [`uuid=${session.userUuid}`]);
+      identity.virtualId = { uuid: session.userUuid, name: vid?.name || name };
+      // 平台管理员、项目管理员等以属性形式挂在虚拟 ID 上
+      const attrs = (vid?.attributes || []).map(a => a.name).filter(Boolean);
+      const projects = await all('v1/iam2/projects', [`virtualIDs.uuid=${session.userUuid}`]);
+      identity.projects = projects.map(p => ({ uuid: p.uuid, name: p.name }));
+      const roles = await all('v1/identities/roles', [`virtualIDs.uuid=${session.userUuid}`]);
+      identity.roles = [...attrs, ...roles.map(r => r.name)];
+    }
+
+    return identity;
+  }
+
+  /**
+   * 续期当前会话：PUT /v1/accounts/sessions/{uuid}/renew
+   * @param {number} [duration] - 续期时长（秒），不传则使用平台默认会话时长
+   */
+  async renewSession(duration) {
+    if (!this.sessionId) throw new ZStackError('未登录，无法续期会话');
+    const res = await this._put(`/v1/accounts/sessions/${this.sessionId}/renew`, {
+      renewSession: duration ? { duration } : {}
+    });
+    const expiresAt = this._predictExpiry(res.inventory);
+    if (expiresAt) this.sessionExpiresAt = expiresAt;
     return res;
   }
 
+  /**
+   * 会话剩余有效时间（毫秒），未知时返回 null
+   */
+  sessionRemaining() {
+    return this.sessionExpiresAt ? this.sessionExpiresAt - Date.now() : null;
+  }
+
+  // 用服务端的 createDate → expiredDate 时长推算本地过期时间，避免客户端与服务端时钟/时区不一致
+  _predictExpiry(inventory) {
+    const toTime = (v) => {
+      if (v === null || v === undefined) return NaN;
+      return typeof v === 'number' ? v : Date.parse(v);
+    };
+    const expired = toTime(inventory?.expiredDate);
+    if (!Number.isFinite(expired)) return null;
+    const created = toTime(inventory?.createDate || inventory?.lastOpDate);
+    return Number.isFinite(created) && expired > created
+      ? Date.now() + (expired - created)
+      : expired;
+  }
+
   // 获取 ZStack 版本
   async getVersion() {
     // PUT /v1/management-nodes/actions with {"getVersion": {}}
@@ -50,29 +395,97 @@ export class ZStackClient {
   }
 
   // Re-login when session expires, returns true if successful
+  // 并发请求同时过期时共用同一次重新登录
   async _relogin() {
-    if (this._relogging || !this._accountName || !this._password) return false;
-    this._relogging = true;
+    if (!this._accountName) return false;
+    if (!this._reloginPromise) {
+      this._reloginPromise = this._doRelogin().finally(() => { this._reloginPromise = null; });
+    }
+    return this._reloginPromise;
+  }
+
+  async _doRelogin() {
+    const accountName = this._accountName;
     try {
+      let hash = this._passwordHash;
+      if (!hash) {
+        // 未保存密码：请用户重新输入
+        const password = this.onReauthRequired ? await this.onReauthRequired(accountName) : null;
+        if (!password) throw new Error('用户取消重新登录');
+        hash = await this._encodePassword(password);
+      }
       this.sessionId = null;
-      await this.login(this._accountName, this._password);
+      const project = this.project;
+      this.project = null;
+      this._baseSessionId = null;
+      await this._loginWithHash(accountName, hash);
+      // 重新登录后回到原项目
+      if (project) await this._enterProject(project);
       return true;
     } catch {
+      // 放弃本次预测，之后只在服务端明确返回会话过期时再重连，避免反复提示
+      this.sessionExpiresAt = null;
       return false;
-    } finally {
-      this._relogging = false;
     }
   }
 
   // ========== Generic API Methods ==========
 
   async query(resourcePath, conditions = [], limit = 100, start = 0, sortBy, sortDirection) {
+    const params = this._queryParams(conditions, limit, start, sortBy, sortDirection);
+    return this._get(`/${resourcePath}?${params}`);
+  }
+
+  /**
+   * 自动翻页获取全部记录
+   * 首页带 replyWithCount=true 拿到 total，之后按 start 偏移逐页获取，
+   * 直到取满 total、某页不足 pageSize 或达到 maxItems 上限
+   *
+   * @param {string} resourcePath - 资源路径，如 v1/vm-instances
+   * @param {string[]} conditions - 查询条件
+   * @param {object} options - { pageSize, maxItems, sortBy, sortDirection }
+   * @returns {{ inventories: object[], total: number, fetched: number, pages: number, truncated: boolean }}
+   */
+  async queryAll(resourcePath, conditions = [], { pageSize = 100, maxItems = 5000, sortBy, sortDirection } = {}) {
+    pageSize = Math.max(1, Math.min(pageSize, 1000));
+    const inventories = [];
+    let total = null;
+    let start = 0;
+    let pages = 0;
+
+    while (inventories.length < maxItems) {
+      const limit = Math.min(pageSize, maxItems - inventories.length);
+      const params = this._queryParams(conditions, limit, start, sortBy, sortDirection);
+      params.set('replyWithCount', 'true');
+      const page = await this._get(`/${resourcePath}?${params}`);
+      pages++;
+
+      if (total === null && typeof page.total === 'number') total = page.total;
+      const items = page.inventories || [];
+      inventories.push(...items);
+      start += items.length;
+
+      if (items.length < limit) break;
+      if (total !== null && start >= total) break;
+    }
+
+    if (total === null) total = inventories.length;
+    return {
+      inventories,
+      total,
+      fetched: inventories.length,
+      pages,
+      truncated: inventories.length < total
+    };
+  }
+
+  _queryParams(conditions = [], limit = 100, start = 0, sortBy, sortDirection) {
     const params = new URLSearchParams();
     params.set('limit', String(limit));
     if (start) params.set('start', String(start));
     if (sortBy) params.set('sort', `${sortDirection === 'desc' ? '-' : '+'}${sortBy}`);
     conditions.forEach(c => params.append('q', c));
-    return this._get(`/${resourcePath}?${params}`);
+    return params;
   }
 
   async get(resourcePath, uuid) {
@@ -127,6 +540,9 @@ export class ZStackClient {
   async rebootVm(uuid) { return this.action('v1/vm-instances', uuid, { rebootVmInstance: {} }); }
   async deleteVm(uuid) { return this.remove('v1/vm-instances', uuid); }
   async migrateVm(uuid, hostUuid) { return this.action('v1/vm-instances', uuid, { migrateVm: { hostUuid } }); }
+  async changeInstanceOffering(uuid, instanceOfferingUuid) {
+    return this.action('v1/vm-instances', uuid, { changeInstanceOffering: { instanceOfferingUuid } });
+  }
 
   async createVm(params) {
     return this._rawPost('/v1/vm-instances', { params });
@@ -147,6 +563,13 @@ export class ZStackClient {
   async queryBackupStorage(conditions = []) { return this.query('v1/backup-storage', conditions); }
   async queryVolumes(conditions = []) { return this.query('v1/volumes', conditions); }
   async queryVolumeSnapshots(conditions = []) { return this.query('v1/volume-snapshots', conditions); }
+  async createVolumeSnapshot(volumeUuid, name, description = '') {
+    return this._rawPost(`/v1/volumes/${volumeUuid}/volume-snapshots`, { params: { name, description } });
+  }
+  async attachVolume(volumeUuid, vmUuid) { return this._rawPost(`/v1/volumes/${volumeUuid}/vm-instances/${vmUuid}`, {}); }
+  async detachVolume(volumeUuid, vmUuid) {
+    return this._delete(`/v1/volumes/${volumeUuid}/vm-instances${vmUuid ? `?vmUuid=${vmUuid}` : ''}`);
+  }
 
   // Offerings
   async queryInstanceOfferings(conditions = []) { return this.query('v1/instance-offerings', conditions); }
@@ -164,10 +587,21 @@ export class ZStackClient {
   // VIP / EIP / Port Forwarding
   async queryVips(conditions = []) { return this.query('v1/vips', conditions); }
   async queryEips(conditions = []) { return this.query('v1/eips', conditions); }
+  async attachEip(eipUuid, vmNicUuid) { return this._rawPost(`/v1/eips/${eipUuid}/vm-instances/nics/${vmNicUuid}`, {}); }
+  async detachEip(eipUuid) { return this._delete(`/v1/eips/${eipUuid}/vm-instances/nics`); }
   async queryPortForwarding(conditions = []) { return this.query('v1/port-forwarding', conditions); }
 
   // Security Group
   async querySecurityGroups(conditions = []) { return this.query('v1/security-groups', conditions); }
+  async querySecurityGroupRules(conditions = []) { return this.query('v1/security-groups/rules', conditions); }
+  async addSecurityGroupRules(securityGroupUuid, rules) {
+    return this._rawPost(`/v1/security-groups/${securityGroupUuid}/rules`, { params: { rules } });
+  }
+  async deleteSecurityGroupRules(ruleUuids) {
+    const params = new URLSearchParams();
+    ruleUuids.forEach(uuid => params.append('ruleUuids', uuid));
+    return this._delete(`/v1/security-groups/rules?${params}`);
+  }
 
   // VPC / VRouter
   async queryVpcRouters(conditions = []) { return this.query('v1/vpc/virtual-routers', conditions); }
@@ -205,45 +639,69 @@ export class ZStackClient {
 
   async _get(path) {
     return this._withRetry(async () => {
-      const res = await fetch(`${this.endpoint}/zstack${path}`, {
+      const res = await this._fetch(`${this.endpoint}/zstack${path}`, {
         headers: this._headers(), mode: "cors", cache: "no-cache", redirect: "follow"
       });
-      return this._handleResponse(res);
+      return this._handleResponse(res, path);
     });
   }
 
+  // 只读模式下放行的写请求：进入项目和 ZQL；登录和本客户端自己会话的续期/注销另行判断
+  static READ_ONLY_ALLOWED_PATHS = /^\/v1\/(iam2\/projects\/login$|zql)/;
+
+  _assertWritable(method, path, body) {
+    if (!this.readOnly) return;
+    if (Object.values(ZStackClient.LOGIN_TYPES).some(t => t.path === path)) return;
+    if (ZStackClient.READ_ONLY_ALLOWED_PATHS.test(path)) return;
+    if (this._isOwnSessionPath(path)) return;
+    // getVersion、checkIpAvailability 等只读 action；请求体中的每个 action 都必须是只读的
+    const actions = method === 'PUT' ? ToolPolicy.bodyActions(body) : [];
+    if (actions.length && /\/actions$/.test(path) && actions.every(a => ToolPolicy.READ_ACTION_PATTERN.test(a))) return;
+    throw new ZStackError('当前环境为只读模式，禁止执行变更操作', { code: 'READ_ONLY', path });
+  }
+
+  // 当前会话的续期和注销（PUT .../renew、DELETE /v1/accounts/sessions/{uuid}），不放行对其它会话的操作
+  _isOwnSessionPath(path) {
+    if (!this.sessionId) return false;
+    const own = `/v1/accounts/sessions/${this.sessionId}`;
+    return path === own || path === `${own}/renew`;
+  }
+
   async _rawPost(path, body) {
+    this._assertWritable('POST', path, body);
     // Login requests should not retry (avoid infinite loop)
-    const isLogin = path.includes('/accounts/login');
+    const isLogin = Object.values(ZStackClient.LOGIN_TYPES).some(t => t.path === path);
     const doRequest = async () => {
-      const res = await fetch(`${this.endpoint}/zstack${path}`, {
+      const res = await this._fetch(`${this.endpoint}/zstack${path}`, {
         method: 'POST',
         headers: this._headers(), mode: "cors", cache: "no-cache", redirect: "follow",
         body: JSON.stringify(body)
       });
-      return this._handleResponse(res);
+      return this._handleResponse(res, path);
     };
     return isLogin ? doRequest() : this._withRetry(doRequest);
   }
 
   async _put(path, body) {
+    this._assertWritable('PUT', path, body);
     return this._withRetry(async () => {
-      const res = await fetch(`${this.endpoint}/zstack${path}`, {
+      const res = await this._fetch(`${this.endpoint}/zstack${path}`, {
         method: 'PUT',
         headers: this._headers(), mode: "cors", cache: "no-cache", redirect: "follow",
         body: JSON.stringify(body)
       });
-      return this._handleResponse(res);
+      return this._handleResponse(res, path);
     });
   }
 
   async _delete(path) {
+    this._assertWritable('DELETE', path);
     return this._withRetry(async () => {
-      const res = await fetch(`${this.endpoint}/zstack${path}`, {
+      const res = await this._fetch(`${this.endpoint}/zstack${path}`, {
         method: 'DELETE',
         headers: this._headers(), mode: "cors", cache: "no-cache", redirect: "follow"
       });
-      return this._handleResponse(res);
+      return this._handleResponse(res, path);
     });
   }
 
@@ -253,15 +711,7 @@ export class ZStackClient {
     return h;
   }
 
-  _isSessionExpired(res, data) {
-    if (res.status === 401 || res.status === 403) return true;
-    const errMsg = (data?.error?.details || data?.error?.description || '').toLowerCase();
-    if (errMsg.includes('session') && (errMsg.includes('expired') || errMsg.includes('invalid'))) return true;
-    if (errMsg.includes('token') && errMsg.includes('invalid')) return true;
-    return false;
-  }
-
-  async _handleResponse(res) {
+  async _handleResponse(res, path = null) {
     const text = await res.text();
     let data;
     try { data = JSON.parse(text); } catch { data = text; }
@@ -269,18 +719,31 @@ export class ZStackClient {
     // ZStack 异步 API：HTTP 202 + body 包含 location 字段
     // 响应格式: {"apiTimeout": 1800000, "location": "http://.../zstack/v1/api-jobs/UUID"}
     if (res.status === 202 && data?.location) {
-      return this._pollAsyncJob(data.location, data.apiTimeout);
+      this._trackJob(data.location, path);
+      return this._pollAsyncJob(data.location, data.apiTimeout, path);
     }
 
     if (!res.ok) {
-      const msg = data?.error?.details || data?.error?.description
-        || (typeof data === 'string' && data.length < 200 ? data : null)
-        || `HTTP ${res.status}`;
-      throw new Error(msg);
+      throw ZStackError.fromResponse(res.status, data, { path });
     }
     return data;
   }
 
+  /**
+   * 设置异步任务轮询上下文
+   * @param {object} ctx - { signal: AbortSignal, onProgress: (progress) => void }
+   */
+  setJobContext({ signal = null, onProgress = null } = {}) {
+    this._jobContext = { signal, onProgress };
+  }
+
+  // 轮询间隔：从 1 秒开始逐步放大到 10 秒，短任务快速返回，长任务（镜像上传、热迁移）减少请求
+  static JOB_POLL_MIN_INTERVAL = 1000;
+  static JOB_POLL_MAX_INTERVAL = 10000;
+  static JOB_POLL_BACKOFF = 1.5;
+  // 本地最长等待时间，超时后返回"仍在执行"的任务句柄，可用 checkJob 继续查询
+  static JOB_LOCAL_TIMEOUT = 300000;
+
   /**
    * 轮询 ZStack 异步任务直到完成
    * ZStack 异步 API 返回 location URL，需要 GET 轮询：
@@ -291,83 +754,174 @@ export class ZStackClient {
    * @param {string} locationUrl - ZStack 返回的 job URL（可能是内部 IP）
    * @param {number} apiTimeout - ZStack 给出的超时时间（毫秒），默认 3 分钟
    */
-  async _pollAsyncJob(locationUrl, apiTimeout = 180000) {
-    // ZStack 返回的 location 可能指向内部 IP（如 192.168.x.x），
-    // 需要替换为我们配置的 endpoint
-    const jobPath = locationUrl.replace(/^https?:\/\/[^/]+/, '');
-    const pollUrl = `${this.endpoint}${jobPath}`;
+  async _pollAsyncJob(locationUrl, apiTimeout = 180000, path = null) {
+    const { jobPath, jobUuid } = this._jobRef(locationUrl);
+    const { signal, onProgress } = this._jobContext;
 
-    const pollInterval = 2000;   // 每 2 秒轮询一次
-    const maxWait = Math.min(apiTimeout || 180000, 300000); // 最多等 5 分钟
+    let interval = ZStackClient.JOB_POLL_MIN_INTERVAL;
+    const maxWait = Math.min(apiTimeout || 180000, ZStackClient.JOB_LOCAL_TIMEOUT);
     const startTime = Date.now();
+    let lastStatus = 202;
+    let attempt = 0;
 
     while (Date.now() - startTime < maxWait) {
-      await new Promise(r => setTimeout(r, pollInterval));
+      await this._sleep(interval, signal);
+      attempt++;
 
       try {
-        const res = await fetch(pollUrl, {
-          headers: this._headers(), mode: "cors", cache: "no-cache", redirect: "follow"
-        });
-
-        const text = await res.text();
-        let data;
-        try { data = JSON.parse(text); } catch { data = text; }
-
-        // 202 = 仍在执行
-        if (res.status === 202) continue;
-
-        // 200 = 完成（但要排除空 body 的情况）
-        if (res.status === 200) {
-          if (data && typeof data === 'object') {
-            // 检查是否有错误
-            if (data.error) {
-              throw new Error(data.error.details || data.error.description || JSON.stringify(data.error));
-            }
-            return data;
-          }
-          // 空 body 或非 JSON 的 200，视为完成
-          return data || { success: true };
+        const job = await this._fetchJob(jobPath, { path, jobUuid }, signal);
+        if (job.done) {
+          this._registry('succeed', jobUuid, job.data);
+          if (job.data && typeof job.data === 'object') this._resultJobs.set(job.data, jobUuid);
+          return job.data;
         }
-
-        // 503 在 ZStack 中有两种含义：
-        // 1. 任务仍在执行（无 error）→ 继续轮询
-        // 2. 任务失败（有 error body）→ 抛错
-        if (res.status === 503) {
-          if (data?.error) {
-            throw new Error(data.error.details || data.error.description || `任务失败: HTTP 503`);
-          }
-          continue; // 无 error body，视为仍在执行
-        }
-
-        // 其他错误状态
-        if (!res.ok) {
-          const msg = data?.error?.details || data?.error?.description || `任务失败: HTTP ${res.status}`;
-          throw new Error(msg);
-        }
-
-        return data;
+        lastStatus = job.status;
       } catch (e) {
         // 网络错误时继续重试，而非立即失败
         if (e.name === 'TypeError' && e.message.includes('fetch')) {
           console.warn('Poll network error, retrying...', e.message);
-          continue;
+          lastStatus = 'network_error';
+        } else {
+          if (e instanceof ZStackError) this._registry('fail', jobUuid, e.toJSON());
+          throw e;
         }
-        throw e;
       }
+
+      onProgress?.({ jobUuid, path, elapsed: Date.now() - startTime, lastStatus, attempt });
+      interval = Math.min(interval * ZStackClient.JOB_POLL_BACKOFF, ZStackClient.JOB_POLL_MAX_INTERVAL);
+    }
+
+    return {
+      stillRunning: true,
+      jobUuid,
+      path,
+      elapsed: Date.now() - startTime,
+      lastStatus,
+      message: `任务已等待 ${Math.round(maxWait / 1000)} 秒仍在执行，可稍后用 check_job 查询结果，不要重复提交`
+    };
+  }
+
+  /**
+   * 异步 API 结果对应的任务 UUID（同步 API 或非对象结果返回 null）
+   */
+  jobUuidOf(result) {
+    return result && typeof result === 'object' ? this._resultJobs.get(result) || null : null;
+  }
+
+  // ZStack 返回的 location 可能指向内部 IP（如 192.168.x.x），
+  // 需要替换为我们配置的 endpoint
+  _jobRef(locationUrl) {
+    const jobPath = locationUrl.replace(/^https?:\/\/[^/]+/, '');
+    const jobUuid = jobPath.split('?')[0].split('/').filter(Boolean).pop() || null;
+    return { jobPath, jobUuid };
+  }
+
+  _trackJob(locationUrl, path) {
+    const { jobPath, jobUuid } = this._jobRef(locationUrl);
+    this._registry('record', { jobUuid, jobPath, path, endpoint: this.endpoint, sessionId: this.sessionId });
+  }
+
+  // 按顺序写入登记表（避免"完成"先于"登记"落盘），写入失败不影响请求本身
+  _registry(method, ...args) {
+    if (!this.jobRegistry) return;
+    this._registryQueue = (this._registryQueue || Promise.resolve())
+      .then(() => this.jobRegistry[method](...args))
+      .catch(e => console.warn('Job registry error:', e));
+  }
+
+  /**
+   * 查询一次异步任务状态（不等待）
+   * @param {string} jobUuid - 任务 UUID（202 响应 location 的最后一段）
+   * @returns {Promise<{jobUuid: string, status: string, result?: object}>}
+   */
+  async checkJob(jobUuid) {
+    const jobPath = `/zstack/v1/api-jobs/${jobUuid}`;
+    let job;
+    try {
+      job = await this._withRetry(() => this._fetchJob(jobPath, { path: `/v1/api-jobs/${jobUuid}`, jobUuid }));
+    } catch (e) {
+      if (e instanceof ZStackError && !e.isSessionExpired) this._registry('fail', jobUuid, e.toJSON());
+      throw e;
+    }
+    if (job.done) this._registry('succeed', jobUuid, job.data);
+    return job.done
+      ? { jobUuid, status: 'succeeded', result: job.data }
+      : { jobUuid, status: 'running', lastStatus: job.status };
+  }
+
+  // 请求一次任务状态：完成返回 { done: true, data }，仍在执行返回 { done: false, status }，失败抛出 ZStackError
+  async _fetchJob(jobPath, errContext, signal = null) {
+    const res = await this._fetch(`${this.endpoint}${jobPath}`, {
+      headers: this._headers(), mode: "cors", cache: "no-cache", redirect: "follow", signal
+    });
+
+    const text = await res.text();
+    let data;
+    try { data = JSON.parse(text); } catch { data = text; }
+
+    // 202 = 仍在执行
+    if (res.status === 202) return { done: false, status: 202 };
+
+    // 200 = 完成（但要排除空 body 的情况）
+    if (res.status === 200) {
+      if (data && typeof data === 'object') {
+        // 检查是否有错误
+        if (data.error) {
+          throw ZStackError.fromResponse(res.status, data, { ...errContext, fallback: JSON.stringify(data.error) });
+        }
+        return { done: true, data };
+      }
+      // 空 body 或非 JSON 的 200，视为完成
+      return { done: true, data: data || { success: true } };
+    }
+
+    // 503 在 ZStack 中有两种含义：
+    // 1. 任务仍在执行（无 error）→ 继续轮询
+    // 2. 任务失败（有 error body）→ 抛错
+    if (res.status === 503) {
+      if (data?.error) {
+        throw ZStackError.fromResponse(res.status, data, { ...errContext, fallback: '任务失败: HTTP 503' });
+      }
+      return { done: false, status: 503 };
     }
 
-    throw new Error(`异步任务超时（已等待 ${Math.round(maxWait / 1000)} 秒）。任务可能仍在后台执行，请在云平台确认。`);
+    // 其他错误状态
+    if (!res.ok) {
+      throw ZStackError.fromResponse(res.status, data, { ...errContext, fallback: `任务失败: HTTP ${res.status}` });
+    }
+
+    return { done: true, data };
+  }
+
+  // 可被 AbortSignal 中断的等待
+  _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('已停止等待异步任务', 'AbortError'));
+      };
+      if (signal?.aborted) return onAbort();
+      timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
   // Wrap a request fn with auto-retry on session expiry
   async _withRetry(requestFn) {
+    // 根据登录响应预测会话即将过期时提前重连，避免对话中途失败
+    const remaining = this.sessionRemaining();
+    if (remaining !== null && remaining < ZStackClient.SESSION_REFRESH_MARGIN) {
+      await this._relogin();
+    }
     try {
       return await requestFn();
     } catch (e) {
-      // Check if this looks like a session expiry error
-      const msg = (e.message || '').toLowerCase();
-      const isExpiry = msg.includes('session') || msg.includes('token') || msg.includes('401') || msg.includes('403');
-      if (isExpiry && !this._relogging) {
+      // 仅根据 HTTP 状态码 / ZStack 错误码判断会话过期
+      if (e instanceof ZStackError && e.isSessionExpired) {
         const ok = await this._relogin();
         if (ok) return await requestFn();
       }
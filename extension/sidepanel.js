@@ -2,11 +2,25 @@ import { ZStackClient } from './lib/zstack.js';
 import { ICONS } from './icons.js';
 import { LLMEngine } from './lib/llm.js';
 import { MCPClient } from './lib/mcp-client.js';
+import { JobTracker, JOB_RUNNING, JOB_SUCCEEDED, JOB_FAILED } from './lib/job-tracker.js';
+import { AuditLog, AUDIT_SUCCESS, AUDIT_ERROR } from './lib/audit-log.js';
+import { UsageTracker } from './lib/usage-tracker.js';
+import { ModelCapabilities } from './lib/model-capabilities.js';
 
 const zstack = new ZStackClient();
+const jobTracker = new JobTracker();
+zstack.jobRegistry = jobTracker;
+zstack.onReauthRequired = (account) => requestPassword(account);
+zstack.onQueueChange = (stats) => updateQueueBadge(stats);
 const llm = new LLMEngine();
+const auditLog = new AuditLog();
+const usageTracker = new UsageTracker();
+llm.auditLog = auditLog;
+llm.undoStack.onRecord = (entry) => attachUndoButton(entry);
+// 撤销按钮挂在产生该记录的调用上：(entry) => 放按钮的元素，对话中是工具进度气泡里的调用，执行计划时是计划卡片中的步骤
+let undoTarget = null;
 const mcpClient = new MCPClient();
-let sessionUsage = { prompt: 0, completion: 0, total: 0, estimated: false };
+let sessionUsage = { prompt: 0, completion: 0, total: 0, cached: 0, cost: 0, estimated: false, unpriced: false };
 
 // Markdown renderer
 const md = typeof marked !== 'undefined' ? marked : null;
@@ -68,13 +82,22 @@ const btnStop = document.getElementById('btn-stop');
 
 let isProcessing = false;
 let queryMode = 'compact';
+let planMode = false;  // 计划模式：变更操作先生成计划，批准后再执行
 let chatHistory = [];
 let lastFailedMsg = null;
 let responseStartTime = 0;
 let environments = [];  // 环境列表
 let currentEnvId = null;  // 当前选中环境 ID
-let currentUsage = null;  // 当前任务的 token 消耗
-sessionUsage = { prompt: 0, completion: 0, total: 0, estimated: false };  // 会话累计 token 消耗
+let currentUsage = null;  // 当前任务（本轮对话）的 token 消耗和费用
+let monthlyBudget = 0;  // 月度预算（美元），0 表示不提醒
+let modelOverrides = {};  // 用户覆盖的模型能力 { [模型名]: { 能力字段: 值 } }
+let llmFallbacks = [];  // 备用模型链 [{ provider, model, baseUrl, apiKey }]
+const discoveredModels = {};  // 本地推理服务上发现的模型 { provider: [model] }
+const pendingConfirms = new Map();  // 等待用户点击的危险操作确认卡片 → respond 回调
+let runningJobCount = 0;  // 运行中的后台任务数
+const SESSION_KEEPALIVE_INTERVAL = 5 * 60 * 1000;  // 会话保活检查间隔
+const SESSION_RENEW_THRESHOLD = 15 * 60 * 1000;  // 剩余有效期低于该值时续期
+sessionUsage = { prompt: 0, completion: 0, total: 0, cached: 0, cost: 0, estimated: false, unpriced: false };  // 会话累计 token 消耗
 
 // 应用主题
 function applyTheme(theme) {
@@ -92,10 +115,14 @@ async function init() {
     setupEventListeners();
     setupEnvEventListeners();
     setupMCPEventListeners();
+    setupJobsDrawer();
+    setupAuditDrawer();
+    setupSessionLifecycle();
     // Render SVG icons for import/export buttons
     document.getElementById('icon-export').innerHTML = ICONS.download || '';
     document.getElementById('icon-import').innerHTML = ICONS.upload || '';
     await loadChatHistory();
+    promptForUnsavedPassword();
     chrome.runtime.sendMessage({ type: 'GET_DETECTED_ENDPOINT' }, (res) => {
       if (res?.endpoint && !document.getElementById('zstack-endpoint').value) {
         document.getElementById('zstack-endpoint').value = res.endpoint;
@@ -110,9 +137,9 @@ async function loadSettings() {
   const data = await chrome.storage.local.get([
     'zstackEndpoint', 'zstackAccount', 'zstackPassword',
     'llmProvider', 'llmBaseUrl', 'llmApiKey', 'llmModel',
-    'initialized', 'queryMode',
+    'initialized', 'queryMode', 'planMode',
     'environments', 'currentEnvId',
-    'themeColor',
+    'themeColor', 'monthlyBudget', 'modelOverrides', 'llmFallbacks', 'llmThinkingBudget',
     'mcpEnabled', 'mcpServerUrl'
   ]);
 
@@ -167,20 +194,33 @@ async function loadSettings() {
   
   // 填充环境名称（如果有选中环境）
   if (env?.name) document.getElementById('env-name').value = env.name;
+  document.getElementById('zstack-remember-password').checked = env?.rememberPassword !== false;
+  document.getElementById('zstack-read-only').checked = env?.readOnly === true;
+  document.getElementById('zstack-snapshot-guard').checked = env?.snapshotGuard === true;
+  setLoginTypeFields(env?.loginType, env?.parentAccount);
+  setRequestLimitFields(env?.limits);
   if (env?.platform) document.getElementById('platform-type').value = env.platform;
   if (data.llmProvider) document.getElementById('llm-provider').value = data.llmProvider;
   if (data.llmBaseUrl) document.getElementById('llm-baseurl').value = data.llmBaseUrl;
   if (data.llmApiKey) document.getElementById('llm-apikey').value = data.llmApiKey;
   if (data.llmModel) document.getElementById('llm-model').value = data.llmModel;
+  monthlyBudget = data.monthlyBudget || 0;
+  modelOverrides = data.modelOverrides || {};
+  llmFallbacks = data.llmFallbacks || [];
+  renderFallbacks(llmFallbacks);
+  document.getElementById('llm-monthly-budget').value = monthlyBudget || '';
+  document.getElementById('llm-thinking-budget').value = data.llmThinkingBudget || '';
 
   queryMode = data.queryMode || 'compact';
   updateModeButton();
+  planMode = data.planMode === true;
+  updatePlanButton();
   updateModelPlaceholder();
 
   if (zstackEndpoint && zstackPassword) {
     try { await connectZStack(); } catch (e) { console.error('Auto-connect failed:', e); }
   }
-  if (data.llmApiKey) configureLLM();
+  if (data.llmApiKey || ModelCapabilities.isLocal(data.llmProvider)) configureLLM();
 
   // MCP settings
   const mcpEnabled = data.mcpEnabled || false;
@@ -195,8 +235,14 @@ async function loadSettings() {
   checkSetupGuide();
 }
 
+// 已配置 API Key，或使用无需 Key 的本地推理服务
+function llmKeyReady() {
+  return !!document.getElementById('llm-apikey')?.value?.trim()
+    || ModelCapabilities.isLocal(document.getElementById('llm-provider')?.value);
+}
+
 function checkSetupGuide() {
-  const apiKey = document.getElementById('llm-apikey').value.trim();
+  const apiKey = llmKeyReady();
   const endpoint = document.getElementById('zstack-endpoint').value.trim();
   const guideEl = document.getElementById('setup-guide');
   if (guideEl) {
@@ -212,6 +258,7 @@ function setupEventListeners() {
   btnSettings.addEventListener('click', () => settingsPanel.classList.toggle('hidden'));
   btnClear.addEventListener('click', clearChat);
   btnConnect.addEventListener('click', connectZStack);
+  document.getElementById('zstack-login-type').addEventListener('change', (e) => setLoginTypeFields(e.target.value));
   btnSaveLLM.addEventListener('click', saveLLMSettings);
 
   document.getElementById('btn-save-theme').addEventListener('click', async () => {
@@ -232,18 +279,26 @@ function setupEventListeners() {
     }
     const data = await chrome.storage.local.get([
       'llmProvider', 'llmBaseUrl', 'llmApiKey', 'llmModel',
-      'environments', 'currentEnvId', 'themeColor', 'queryMode',
-      'mcpEnabled', 'mcpServerUrl'
+      'environments', 'currentEnvId', 'themeColor', 'queryMode', 'monthlyBudget', 'modelOverrides', 'llmFallbacks',
+      'llmThinkingBudget', 'mcpEnabled', 'mcpServerUrl'
     ]);
     // 敏感信息使用 AES-GCM 加密
     const sensitiveData = {
       llmApiKey: data.llmApiKey || '',
+      // 备用模型含 API Key，整体加密
+      llmFallbacks: data.llmFallbacks || [],
       environments: (data.environments || []).map(e => ({
         name: e.name,
         platform: e.platform,
         endpoint: e.endpoint,
         account: e.account,
-        password: e.password || ''
+        password: e.password || '',
+        rememberPassword: e.rememberPassword !== false,
+        loginType: e.loginType || 'account',
+        parentAccount: e.parentAccount || null,
+        limits: e.limits || null,
+        readOnly: e.readOnly === true,
+        snapshotGuard: e.snapshotGuard === true
       }))
     };
     const encrypted = await encryptConfig(sensitiveData, password);
@@ -259,6 +314,9 @@ function setupEventListeners() {
       currentEnvId: data.currentEnvId,
       themeColor: data.themeColor || 'system',
       queryMode: data.queryMode || 'compact',
+      monthlyBudget: data.monthlyBudget || 0,
+      modelOverrides: data.modelOverrides || {},
+      llmThinkingBudget: data.llmThinkingBudget || 0,
       mcpEnabled: data.mcpEnabled || false,
       mcpServerUrl: data.mcpServerUrl || ''
     };
@@ -310,10 +368,14 @@ function setupEventListeners() {
         llmBaseUrl: config.llmBaseUrl,
         llmApiKey: decrypted?.llmApiKey || '',
         llmModel: config.llmModel,
+        llmFallbacks: decrypted?.llmFallbacks || [],
         environments: decrypted?.environments || [],
         currentEnvId: config.currentEnvId,
         themeColor: config.themeColor,
         queryMode: config.queryMode,
+        monthlyBudget: config.monthlyBudget || 0,
+        modelOverrides: config.modelOverrides || {},
+        llmThinkingBudget: config.llmThinkingBudget || 0,
         mcpEnabled: config.mcpEnabled || false,
         mcpServerUrl: config.mcpServerUrl || ''
       };
@@ -333,6 +395,7 @@ function setupEventListeners() {
   if (btnStop) {
     btnStop.addEventListener('click', () => {
       llm.abort();
+      pendingConfirms.forEach((_, card) => settleConfirmCard(card, false, '已停止'));
       setStopButtonVisible(false);
       isProcessing = false;
       input.disabled = false;
@@ -360,10 +423,21 @@ function setupEventListeners() {
     updateModeButton();
     configureLLM();
   });
+  document.getElementById('btn-plan').addEventListener('click', async () => {
+    planMode = !planMode;
+    await chrome.storage.local.set({ planMode });
+    updatePlanButton();
+    configureLLM();
+  });
   btnMode.addEventListener('mouseenter', () => modeTooltip.classList.remove('hidden'));
   btnMode.addEventListener('mouseleave', () => modeTooltip.classList.add('hidden'));
 
-  document.getElementById('llm-provider').addEventListener('change', updateModelPlaceholder);
+  document.getElementById('llm-provider').addEventListener('change', () => {
+    updateModelPlaceholder();
+    const provider = document.getElementById('llm-provider').value;
+    if (ModelCapabilities.isLocal(provider) && !discoveredModels[provider]) discoverModels(true);
+  });
+  document.getElementById('btn-discover-models').addEventListener('click', () => discoverModels());
 
   document.getElementById('llm-model-select').addEventListener('change', () => {
     const sel = document.getElementById('llm-model-select');
@@ -376,6 +450,15 @@ function setupEventListeners() {
       inp.style.display = 'none';
       inp.value = sel.value;
     }
+    renderModelCaps();
+  });
+  document.getElementById('llm-model').addEventListener('input', () => renderModelCaps());
+  document.getElementById('btn-reset-caps').addEventListener('click', () => {
+    renderModelCaps(ModelCapabilities.builtin(selectedModel(), document.getElementById('llm-provider').value));
+  });
+  document.getElementById('btn-add-fallback').addEventListener('click', () => {
+    appendFallbackRow();
+    updateFallbackSummary();
   });
 
   input.addEventListener('input', () => {
@@ -411,7 +494,7 @@ function clearChat() {
   llm.clearHistory();
   chatHistory = [];
   currentUsage = null;
-  sessionUsage = { prompt: 0, completion: 0, total: 0, estimated: false };
+  sessionUsage = { prompt: 0, completion: 0, total: 0, cached: 0, cost: 0, estimated: false, unpriced: false };
   chrome.storage.local.remove('chatHistory');
   chatArea.innerHTML = buildWelcomeHTML();
   bindQuickButtons();
@@ -419,7 +502,7 @@ function clearChat() {
 }
 
 function buildWelcomeHTML() {
-  const apiKey = document.getElementById('llm-apikey')?.value?.trim();
+  const apiKey = llmKeyReady();
   const endpoint = document.getElementById('zstack-endpoint')?.value?.trim();
   const needsSetup = !apiKey || !endpoint;
 
@@ -475,6 +558,12 @@ function updateModeButton() {
   }
 }
 
+function updatePlanButton() {
+  const btn = document.getElementById('btn-plan');
+  btn.classList.toggle('plan-on', planMode);
+  btn.textContent = planMode ? '📝 计划' : '▶ 直接执行';
+}
+
 function bindQuickButtons() {
   document.querySelectorAll('.quick-btn').forEach(btn => {
     btn.addEventListener('click', () => {
@@ -484,34 +573,11 @@ function bindQuickButtons() {
   });
 }
 
-// Provider presets
-const PROVIDER_MODELS = {
-  openai: ['gpt-4o', 'gpt-4o-mini', 'gpt-4-turbo', 'o1', 'o3-mini'],
-  anthropic: ['claude-opus-4-6', 'claude-sonnet-4', 'claude-haiku-3.5'],
-  glm: ['GLM-5', 'glm-4-plus', 'glm-4', 'glm-4-flash', 'glm-4-long'],
-  deepseek: ['deepseek-chat', 'deepseek-reasoner'],
-  qwen: ['qwen-max', 'qwen-plus', 'qwen-turbo'],
-  minimax: ['MiniMax-M2.5', 'MiniMax-M2.5-highspeed', 'MiniMax-M2.1', 'MiniMax-M2.1-highspeed', 'MiniMax-M1', 'MiniMax-Text-01'],
-  kimi: ['kimi-k2.5', 'kimi-k2-thinking', 'kimi-k2-turbo-preview', 'moonshot-v1-auto', 'moonshot-v1-128k'],
-  bailian: ['qwen3-coder-plus']
-};
-
-const PROVIDER_DEFAULTS = {
-  openai: 'gpt-4o-mini',
-  anthropic: 'claude-sonnet-4',
-  glm: 'glm-4-flash',
-  deepseek: 'deepseek-chat',
-  qwen: 'qwen-plus',
-  minimax: 'MiniMax-M2.5',
-  kimi: 'kimi-k2.5',
-  bailian: 'qwen3-coder-plus'
-};
-
 function updateModelPlaceholder() {
   const provider = document.getElementById('llm-provider').value;
   const modelSelect = document.getElementById('llm-model-select');
   const modelInput = document.getElementById('llm-model');
-  const models = PROVIDER_MODELS[provider] || [];
+  const models = [...new Set([...(discoveredModels[provider] || []), ...ModelCapabilities.modelsOf(provider)])];
 
   modelSelect.innerHTML = '';
   models.forEach(m => {
@@ -538,18 +604,197 @@ function updateModelPlaceholder() {
     modelInput.style.display = modelSelect.value === '__custom__' ? '' : 'none';
   }
 
-  modelInput.placeholder = PROVIDER_DEFAULTS[provider] || '输入模型名';
+  modelInput.placeholder = ModelCapabilities.defaultModel(provider);
+  // Azure 没有官方地址，必须填写资源终结点（模型名即部署名）或完整的部署 URL
+  const isLocal = ModelCapabilities.isLocal(provider);
+  document.getElementById('llm-baseurl').placeholder = provider === 'azure'
+    ? 'https://资源名.openai.azure.com（或部署 URL，可带 ?api-version=）'
+    : isLocal || provider === 'gemini' ? LLMEngine.BASE_URLS[provider] : 'https://api.openai.com';
+  document.getElementById('llm-apikey').placeholder = isLocal ? '可不填' : provider === 'gemini' ? 'AIza...' : 'sk-...';
+  document.getElementById('llm-local').classList.toggle('hidden', !isLocal);
+  document.getElementById('field-thinking-budget').classList.toggle('hidden', provider !== 'anthropic');
+  renderModelCaps();
+}
+
+// 从本地推理服务的 /models 接口获取已加载的模型；quiet 为 true 时（切换提供商自动获取）失败不提示
+async function discoverModels(quiet = false) {
+  const provider = document.getElementById('llm-provider').value;
+  const status = document.getElementById('llm-discover-status');
+  const target = {
+    provider,
+    baseUrl: document.getElementById('llm-baseurl').value.trim(),
+    apiKey: document.getElementById('llm-apikey').value.trim()
+  };
+  status.textContent = '正在获取...';
+  try {
+    // 切换提供商时自动获取不是用户点击，不能弹出授权，没有权限时请求失败、静默忽略
+    if (!quiet && !await requestLLMHostPermissions([target])) {
+      status.textContent = '需要授权访问本地推理服务地址';
+      return;
+    }
+    const models = await LLMEngine.listModels(target, AbortSignal.timeout(5000));
+    discoveredModels[provider] = models;
+    status.textContent = models.length ? `发现 ${models.length} 个模型` : '服务器上没有已加载的模型';
+    if (document.getElementById('llm-provider').value !== provider) return;
+    const modelInput = document.getElementById('llm-model');
+    if (models.length && !models.includes(modelInput.value.trim())) modelInput.value = models[0];
+    updateModelPlaceholder();
+  } catch (e) {
+    status.textContent = quiet ? '' : `获取失败：${e.message}（请确认服务已启动，地址为 ${LLMEngine.endpoint(target, 'models').url}）`;
+  }
+}
+
+// 设置页中选中的模型，未填写时为提供商默认模型
+function selectedModel() {
+  const provider = document.getElementById('llm-provider').value;
+  const modelSelect = document.getElementById('llm-model-select').value;
+  const modelInput = document.getElementById('llm-model').value.trim();
+  return (modelSelect === '__custom__' ? modelInput : modelSelect) || ModelCapabilities.defaultModel(provider);
+}
+
+// 按选中模型填充能力表单（注册表 + 已保存的覆盖）
+function renderModelCaps(caps) {
+  const model = selectedModel();
+  caps = caps || ModelCapabilities.of(model, modelOverrides, document.getElementById('llm-provider').value);
+  for (const [key, def] of Object.entries(ModelCapabilities.DEFAULTS)) {
+    const el = document.getElementById(`cap-${key}`);
+    if (typeof def === 'boolean') el.checked = caps[key];
+    else el.value = caps[key];
+  }
+  const custom = modelOverrides[model] ? '，已自定义' : '';
+  document.getElementById('model-caps-summary').textContent =
+    `（${model}：上下文 ${Math.round(caps.contextWindow / 1000)}K${caps.tools ? '' : '，不支持工具'}${custom}）`;
+}
+
+// 读取能力表单
+function getModelCapsForm() {
+  const caps = {};
+  for (const [key, def] of Object.entries(ModelCapabilities.DEFAULTS)) {
+    const el = document.getElementById(`cap-${key}`);
+    caps[key] = typeof def === 'boolean' ? el.checked : parseInt(el.value, 10);
+  }
+  return caps;
+}
+
+// 备用模型列表：每行为提供商、模型、Base URL、API Key
+function renderFallbacks(list) {
+  document.getElementById('llm-fallback-list').innerHTML = '';
+  list.forEach(f => appendFallbackRow(f));
+  updateFallbackSummary();
+}
+
+function appendFallbackRow(fallback = {}) {
+  const row = document.createElement('div');
+  row.className = 'fallback-row';
+  const provider = document.getElementById('llm-provider').cloneNode(true);
+  provider.removeAttribute('id');
+  provider.className = 'fallback-provider';
+  provider.value = fallback.provider || 'openai';
+  const model = document.createElement('input');
+  model.type = 'text';
+  model.className = 'fallback-model';
+  model.value = fallback.model || '';
+  model.placeholder = ModelCapabilities.defaultModel(provider.value);
+  provider.addEventListener('change', () => { model.placeholder = ModelCapabilities.defaultModel(provider.value); });
+  const remove = document.createElement('button');
+  remove.className = 'icon-btn fallback-remove';
+  remove.title = '移除';
+  remove.textContent = '✕';
+  remove.addEventListener('click', () => {
+    row.remove();
+    updateFallbackSummary();
+  });
+  const baseUrl = document.createElement('input');
+  baseUrl.type = 'text';
+  baseUrl.className = 'fallback-baseurl';
+  baseUrl.value = fallback.baseUrl || '';
+  baseUrl.placeholder = 'Base URL（留空用官方地址）';
+  const apiKey = document.createElement('input');
+  apiKey.type = 'password';
+  apiKey.className = 'fallback-apikey';
+  apiKey.value = fallback.apiKey || '';
+  apiKey.placeholder = 'API Key';
+  row.append(provider, model, remove, baseUrl, apiKey);
+  document.getElementById('llm-fallback-list').appendChild(row);
+}
+
+function getFallbacksForm() {
+  return [...document.querySelectorAll('#llm-fallback-list .fallback-row')].map(row => ({
+    provider: row.querySelector('.fallback-provider').value,
+    model: row.querySelector('.fallback-model').value.trim(),
+    baseUrl: row.querySelector('.fallback-baseurl').value.trim(),
+    apiKey: row.querySelector('.fallback-apikey').value.trim()
+  }));
+}
+
+function updateFallbackSummary() {
+  const count = document.querySelectorAll('#llm-fallback-list .fallback-row').length;
+  document.getElementById('llm-fallbacks-summary').textContent = count ? `（${count} 个）` : '（未配置）';
 }
 
 // --- ZStack Connection ---
+const LOGIN_NAME_LABELS = { account: '账号', user: '用户名', iam2: '虚拟 ID 名称', ldap: 'LDAP 用户名' };
+
+// 按登录方式切换表单：子用户需要填写所属账户
+function setLoginTypeFields(loginType = 'account', parentAccount) {
+  loginType = LOGIN_NAME_LABELS[loginType] ? loginType : 'account';
+  document.getElementById('zstack-login-type').value = loginType;
+  document.getElementById('field-parent-account').classList.toggle('hidden', loginType !== 'user');
+  if (parentAccount !== undefined) document.getElementById('zstack-parent-account').value = parentAccount || '';
+  document.getElementById('zstack-account-label').textContent = LOGIN_NAME_LABELS[loginType];
+}
+
+function getLoginTypeFields() {
+  const loginType = document.getElementById('zstack-login-type').value || 'account';
+  const parentAccount = loginType === 'user'
+    ? document.getElementById('zstack-parent-account').value.trim()
+    : null;
+  return { loginType, parentAccount };
+}
+
+// 每个环境的请求限流配置，留空使用默认值
+function setRequestLimitFields(limits) {
+  document.getElementById('zstack-max-concurrent').value = limits?.maxConcurrent ?? '';
+  document.getElementById('zstack-rate-per-second').value = limits?.ratePerSecond ?? '';
+}
+
+function getRequestLimits() {
+  const read = (id) => {
+    const value = parseFloat(document.getElementById(id).value);
+    return value > 0 ? value : null;
+  };
+  const limits = { maxConcurrent: read('zstack-max-concurrent'), ratePerSecond: read('zstack-rate-per-second') };
+  return limits.maxConcurrent || limits.ratePerSecond ? limits : null;
+}
+
+// 只读环境在状态栏显示标记
+function setReadOnly(readOnly) {
+  zstack.readOnly = readOnly;
+  document.getElementById('status-readonly').classList.toggle('hidden', !readOnly);
+}
+
+// 状态栏显示当前环境排队中的请求数
+function updateQueueBadge({ endpoint, active, queued }) {
+  if (endpoint !== zstack.endpoint) return;
+  const badge = document.getElementById('status-queue');
+  badge.textContent = `排队 ${queued}`;
+  badge.title = `进行中 ${active} 个请求，排队 ${queued} 个`;
+  badge.classList.toggle('hidden', queued === 0);
+}
+
 async function connectZStack() {
   const platform = document.getElementById('platform-type').value;
   const envName = document.getElementById('env-name').value || `环境 ${environments.length + 1}`;
   const endpoint = document.getElementById('zstack-endpoint').value.trim();
   const account = document.getElementById('zstack-account').value.trim();
   const password = document.getElementById('zstack-password').value;
+  const rememberPassword = document.getElementById('zstack-remember-password').checked;
+  const { loginType, parentAccount } = getLoginTypeFields();
+  const limits = getRequestLimits();
+  const readOnly = document.getElementById('zstack-read-only').checked;
+  const snapshotGuard = document.getElementById('zstack-snapshot-guard').checked;
 
-  if (!endpoint || !account || !password) {
+  if (!endpoint || !account || !password || (loginType === 'user' && !parentAccount)) {
     showError('请填写完整的连接信息');
     return;
   }
@@ -572,8 +817,18 @@ async function connectZStack() {
 
   // 先尝试连接，连接成功后再保存
   try {
-    zstack.configure(endpoint);
-    await zstack.login(account, password);
+    // 重新登录前交出旧会话（此时旧的 endpoint 和会话 ID 仍在）
+    await releaseZStackSession();
+    zstack.configure(endpoint, limits || {});
+    zstack.keepPassword = rememberPassword;
+    setReadOnly(readOnly);
+    llm.snapshotGuard = snapshotGuard;
+    await zstack.login(account, password, { loginType, accountName: parentAccount });
+    jobTracker.envName = envName;
+    auditLog.envName = envName;
+    auditLog.endpoint = endpoint;
+    const existing = environments.find(e => e.endpoint === endpoint && e.account === account);
+    await refreshProjects(existing?.projectUuid);
     setStatus('connected', `已连接 ${endpoint}`);
     configureLLM();
     settingsPanel.classList.add('hidden');
@@ -585,15 +840,20 @@ async function connectZStack() {
   }
 
   // 连接成功后，检测重复环境
-  const existingIdx = environments.findIndex(e => e.endpoint === endpoint);
+  // 不记住密码时，存储和表单中都不保留密码
+  const savedPassword = rememberPassword ? password : '';
+  if (!rememberPassword) document.getElementById('zstack-password').value = '';
+  // 同一平台可用不同身份登录，按地址 + 登录方式 + 登录名区分环境
+  const existingIdx = environments.findIndex(e =>
+    e.endpoint === endpoint && e.account === account && (e.loginType || 'account') === loginType);
   if (existingIdx >= 0) {
     // 已有该环境，更新配置并提示
-    environments[existingIdx] = { platform, name: envName, endpoint, account, password };
+    environments[existingIdx] = { platform, name: envName, endpoint, account, password: savedPassword, rememberPassword, loginType, parentAccount, limits, readOnly, snapshotGuard, projectUuid: zstack.project?.uuid || null };
     currentEnvId = existingIdx;
     showMessage(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="16" height="16" fill="currentColor"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z"/></svg> 已更新环境配置: ${envName}`);
   } else {
     // 新增环境
-    environments.push({ platform, name: envName, endpoint, account, password });
+    environments.push({ platform, name: envName, endpoint, account, password: savedPassword, rememberPassword, loginType, parentAccount, limits, readOnly, snapshotGuard, projectUuid: zstack.project?.uuid || null });
     currentEnvId = environments.length - 1;
     showMessage(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="16" height="16" fill="currentColor"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z"/></svg> 已保存环境: ${envName}`);
   }
@@ -603,7 +863,7 @@ async function connectZStack() {
     currentEnvId,
     zstackEndpoint: endpoint,
     zstackAccount: account,
-    zstackPassword: password
+    zstackPassword: savedPassword
   });
   renderEnvSelector();
   document.getElementById('env-select').value = currentEnvId;
@@ -615,9 +875,10 @@ function configureLLM() {
   const apiKey = document.getElementById('llm-apikey').value.trim();
   const modelSelect = document.getElementById('llm-model-select').value;
   const modelInput = document.getElementById('llm-model').value.trim();
-  const model = (modelSelect === '__custom__' ? modelInput : modelSelect) || PROVIDER_DEFAULTS[provider];
+  const model = (modelSelect === '__custom__' ? modelInput : modelSelect) || ModelCapabilities.defaultModel(provider);
+  const thinkingBudget = parseInt(document.getElementById('llm-thinking-budget').value, 10) || 0;
 
-  llm.configure({ apiKey, baseUrl, provider, model, zstackClient: zstack, queryMode, mcpClient });
+  llm.configure({ apiKey, baseUrl, provider, model, zstackClient: zstack, queryMode, mcpClient, planMode, modelOverrides, fallbacks: llmFallbacks, thinkingBudget });
 
   if (statusModel) statusModel.textContent = model ? `· ${model}` : '';
 }
@@ -629,13 +890,45 @@ async function saveLLMSettings() {
   const modelSelect = document.getElementById('llm-model-select').value;
   const modelInput = document.getElementById('llm-model').value.trim();
   const model = modelSelect === '__custom__' ? modelInput : modelSelect;
+  const fallbacks = getFallbacksForm();
 
-  await chrome.storage.local.set({ llmProvider: provider, llmBaseUrl: baseUrl, llmApiKey: apiKey, llmModel: model });
+  // 自定义 API 地址（如 Azure 资源终结点）和本地推理服务只在 optional_host_permissions 内，保存前请求访问权限
+  try {
+    if (!await requestLLMHostPermissions([{ provider, baseUrl }, ...fallbacks])) {
+      showError('需要授权访问 LLM API 地址，请在弹窗中允许');
+      return;
+    }
+  } catch (e) {
+    showError(`API Base URL 格式不正确: ${e.message}`);
+    return;
+  }
+
+  const budget = parseFloat(document.getElementById('llm-monthly-budget').value);
+  monthlyBudget = Number.isFinite(budget) && budget > 0 ? budget : 0;
+  // 只保存与注册表不同的能力字段
+  const capsModel = selectedModel();
+  const override = ModelCapabilities.diff(capsModel, getModelCapsForm(), provider);
+  modelOverrides = { ...modelOverrides };
+  if (override) modelOverrides[capsModel] = override;
+  else delete modelOverrides[capsModel];
+
+  llmFallbacks = fallbacks;
+  const llmThinkingBudget = parseInt(document.getElementById('llm-thinking-budget').value, 10) || 0;
+
+  await chrome.storage.local.set({ llmProvider: provider, llmBaseUrl: baseUrl, llmApiKey: apiKey, llmModel: model, monthlyBudget, modelOverrides, llmFallbacks, llmThinkingBudget });
   configureLLM();
   settingsPanel.classList.add('hidden');
   checkSetupGuide();
 }
 
+// 请求访问各模型 API 地址所在主机的权限，已授权的主机不会再弹窗；本地推理服务未填地址时用默认监听地址
+async function requestLLMHostPermissions(targets) {
+  const urls = targets.map(t => t.baseUrl || (ModelCapabilities.isLocal(t.provider) ? LLMEngine.BASE_URLS[t.provider] : null));
+  const origins = [...new Set(urls.filter(Boolean).map(url => new URL(url).origin + '/*'))];
+  if (!origins.length) return true;
+  return chrome.permissions.request({ origins });
+}
+
 // --- MCP Settings ---
 function applyMcpState(enabled, url) {
   mcpClient.serverUrl = url;
@@ -710,7 +1003,7 @@ async function sendMessage() {
     showError(`请先连接 ZStack（点击 <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="16" height="16" fill="currentColor"><path d="M19.14 12.94c.04-.31.06-.63.06-.94 0-.31-.02-.63-.06-.94l2.03-1.58c.18-.14.23-.41.12-.61l-1.92-3.32c-.12-.22-.37-.29-.59-.22l-2.39.96c-.5-.38-1.03-.7-1.62-.94l-.36-2.54c-.04-.24-.24-.41-.48-.41h-3.84c-.24 0-.43.17-.47.41l-.36 2.54c-.59.24-1.13.57-1.62.94l-2.39-.96c-.22-.08-.47 0-.59.22L2.74 8.87c-.12.21-.08.47.12.61l2.03 1.58c-.04.31-.06.63-.06.94s.02.63.06.94l-2.03 1.58c-.18.14-.23.41-.12.61l1.92 3.32c.12.22.37.29.59.22l2.39-.96c.5.38 1.03.7 1.62.94l.36 2.54c.05.24.24.41.48.41h3.84c.24 0 .44-.17.47-.41l.36-2.54c.59-.24 1.13-.56 1.62-.94l2.39.96c.22.08.47 0 .59-.22l1.92-3.32c.12-.22.07-.47-.12-.61l-2.01-1.58zM12 15.6c-1.98 0-3.6-1.62-3.6-3.6s1.62-3.6 3.6-3.6 3.6 1.62 3.6 3.6-1.62 3.6-3.6 3.6z"/></svg> 配置）`);
     return;
   }
-  if (!llm.apiKey) {
+  if (!llm.apiKey && !ModelCapabilities.isLocal(llm.provider)) {
     showError(`请先配置 AI 模型 API Key（点击 <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="16" height="16" fill="currentColor"><path d="M19.14 12.94c.04-.31.06-.63.06-.94 0-.31-.02-.63-.06-.94l2.03-1.58c.18-.14.23-.41.12-.61l-1.92-3.32c-.12-.22-.37-.29-.59-.22l-2.39.96c-.5-.38-1.03-.7-1.62-.94l-.36-2.54c-.04-.24-.24-.41-.48-.41h-3.84c-.24 0-.43.17-.47.41l-.36 2.54c-.59.24-1.13.57-1.62.94l-2.39-.96c-.22-.08-.47 0-.59.22L2.74 8.87c-.12.21-.08.47.12.61l2.03 1.58c-.04.31-.06.63-.06.94s.02.63.06.94l-2.03 1.58c-.18.14-.23.41-.12.61l1.92 3.32c.12.22.37.29.59.22l2.39-.96c.5.38 1.03.7 1.62.94l.36 2.54c.05.24.24.41.48.41h3.84c.24 0 .44-.17.47-.41l.36-2.54c.59-.24 1.13-.56 1.62-.94l2.39.96c.22.08.47 0 .59-.22l1.92-3.32c.12-.22.07-.47-.12-.61l-2.01-1.58zM12 15.6c-1.98 0-3.6-1.62-3.6-3.6s1.62-3.6 3.6-3.6 3.6 1.62 3.6 3.6-1.62 3.6-3.6 3.6z"/></svg> 配置）`);
     return;
   }
@@ -738,6 +1031,9 @@ async function sendMessage() {
   let thinkingEl = null;
   let thinkingText = '';
   let accumulatedText = '';
+  let planUpdated = false;
+  currentUsage = null;
+  undoTarget = null;
 
   try {
     const response = await llm.chat(text, (event) => {
@@ -761,7 +1057,7 @@ async function sendMessage() {
       }
       if (event.type === 'text_delta') {
         if (typingEl.parentNode) typingEl.remove();
-        if (toolIndicator?.parentNode) toolIndicator.remove();
+        dismissToolIndicator(toolIndicator);
         // 收到正文后，折叠思考过程
         if (thinkingEl) {
           const details = thinkingEl.querySelector('details');
@@ -787,7 +1083,7 @@ async function sendMessage() {
       if (event.type === 'text') {
         // Non-streaming fallback: full text at once
         if (typingEl.parentNode) typingEl.remove();
-        if (toolIndicator?.parentNode) toolIndicator.remove();
+        dismissToolIndicator(toolIndicator);
         accumulatedText = event.text;
         if (!assistantBubble) {
           assistantBubble = appendMessage('assistant', '', now);
@@ -799,35 +1095,66 @@ async function sendMessage() {
       }
       if (event.type === 'tool_start') {
         if (typingEl.parentNode) typingEl.remove();
-        if (toolIndicator?.parentNode) toolIndicator.remove();
+        dismissToolIndicator(toolIndicator);
         toolIndicator = document.createElement('div');
         toolIndicator.className = 'message assistant';
         const details = event.toolDetails || event.tools.map(t => t.replace(/_/g, ' '));
         const elapsed = ((Date.now() - responseStartTime) / 1000).toFixed(0);
         const detailsHtml = details.map(d => `<div class="tool-detail-item">→ ${escapeHtml(d)}</div>`).join('');
         toolIndicator.innerHTML = `<div class="message-bubble tool-progress"><div class="tool-spinner"></div><div class="tool-details"><div class="tool-round">第${event.round}轮调用 (${elapsed}s)</div>${detailsHtml}</div></div>`;
+        // 同一轮的调用并行执行，按描述找到对应的调用
+        const items = [...toolIndicator.querySelectorAll('.tool-detail-item')];
+        undoTarget = (entry) => items.find((el, i) => details[i] === entry.detail && !el.classList.contains('has-undo')) || null;
         chatArea.appendChild(toolIndicator);
         scrollToBottom();
       }
+      if (event.type === 'retry' || event.type === 'failover') {
+        // 失败的那次请求已流式输出的内容作废，重试/切换后重新输出
+        if (event.discardText) {
+          accumulatedText = accumulatedText.slice(0, -event.discardText);
+          if (assistantBubble) assistantBubble.querySelector('.message-bubble').innerHTML = renderMarkdown(accumulatedText);
+        }
+        if (event.discardThinking) {
+          thinkingText = thinkingText.slice(0, -event.discardThinking);
+          thinkingEl?.querySelector('.thinking-content')?.replaceChildren(thinkingText);
+        }
+        showError(escapeHtml(event.type === 'retry'
+          ? `⚠️ 模型请求失败（${event.error}），${Math.ceil(event.delayMs / 1000)} 秒后第 ${event.attempt} 次重试`
+          : `⚠️ ${event.from} 请求失败（${event.error}），本轮已切换到备用模型 ${event.to}`));
+      }
+      if (event.type === 'confirm_required') {
+        if (typingEl.parentNode) typingEl.remove();
+        appendConfirmCard(event);
+      }
+      if (event.type === 'job_progress') {
+        updateJobProgress(toolIndicator, event);
+      }
+      if (event.type === 'plan_updated') {
+        planUpdated = true;
+      }
       if (event.type === 'usage') {
-        // 保存当前任务的 token 消耗统计
-        currentUsage = {
-          prompt_tokens: event.prompt_tokens || 0,
-          completion_tokens: event.completion_tokens || 0,
-          total_tokens: event.total_tokens || 0,
-          estimated: event.estimated || false
-        };
+        // 一轮对话可能包含多次模型调用（工具轮次），逐次累加
+        const cost = usageTracker.record(event, event.model || llm.model);
+        currentUsage = currentUsage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cached_tokens: 0, cost: 0, estimated: false, unpriced: false };
+        currentUsage.prompt_tokens += event.prompt_tokens || 0;
+        currentUsage.cached_tokens += event.cached_tokens || 0;
+        currentUsage.completion_tokens += event.completion_tokens || 0;
+        currentUsage.total_tokens += event.total_tokens || 0;
+        currentUsage.cost += cost || 0;
         // 累加到会话总量
-        sessionUsage.prompt += currentUsage.prompt_tokens;
-        sessionUsage.completion += currentUsage.completion_tokens;
-        sessionUsage.total += currentUsage.total_tokens;
-        // 如果任意一次是估算的，标记为估算
-        if (event.estimated) sessionUsage.estimated = true;
+        sessionUsage.prompt += event.prompt_tokens || 0;
+        sessionUsage.completion += event.completion_tokens || 0;
+        sessionUsage.total += event.total_tokens || 0;
+        sessionUsage.cached += event.cached_tokens || 0;
+        sessionUsage.cost += cost || 0;
+        // 如果任意一次是估算的 / 模型未收录价格，标记出来
+        if (event.estimated) currentUsage.estimated = sessionUsage.estimated = true;
+        if (cost === null) currentUsage.unpriced = sessionUsage.unpriced = true;
       }
     });
 
     if (typingEl.parentNode) typingEl.remove();
-    if (toolIndicator?.parentNode) toolIndicator.remove();
+    dismissToolIndicator(toolIndicator);
 
     const finalText = accumulatedText || response || '';
     const elapsed = ((Date.now() - responseStartTime) / 1000).toFixed(1);
@@ -845,21 +1172,14 @@ async function sendMessage() {
 
     chatHistory.push({ role: 'assistant', text: finalText, time: now });
     
-    // 显示 token 消耗统计（精简版）
-    const isEst = currentUsage?.estimated;
-    const reason = isEst ? (currentUsage?.total_tokens ? ' (流式)' : ' (API无返回)') : '';
-    const usageIndicator = document.createElement('div');
-    usageIndicator.className = 'message assistant';
-    usageIndicator.innerHTML = `<div class="message-bubble token-stats">
-      📊 Token: ${currentUsage?.total_tokens || 0}${reason} | 累计 Token: ${sessionUsage.total}
-    </div>`;
-    chatArea.appendChild(usageIndicator);
+    await appendUsageStats();
+    if (planUpdated && llm.plan.length) appendPlanCard(llm.plan);
     scrollToBottom();
     
     saveChatHistory();
   } catch (e) {
     if (typingEl.parentNode) typingEl.remove();
-    if (toolIndicator?.parentNode) toolIndicator.remove();
+    dismissToolIndicator(toolIndicator);
 
     if (e.name === 'AbortError' || (e.message && e.message.includes('已停止'))) {
       // 用户主动停止 — 保存已有内容，不显示错误
@@ -962,6 +1282,182 @@ function appendMessage(role, text, time) {
   return div;
 }
 
+// 危险操作确认卡片：用户点击后才把请求发送到云平台
+function appendConfirmCard(event) {
+  const div = document.createElement('div');
+  div.className = 'message assistant';
+  const argsJson = JSON.stringify(event.args || {}, null, 2);
+  div.innerHTML = `<div class="message-bubble confirm-card">
+    <div class="confirm-title">⚠️ 危险操作确认</div>
+    <div class="confirm-detail">${escapeHtml(event.detail || event.tool)}</div>
+    <div class="confirm-reason">${escapeHtml(event.reason || '')}${event.method ? ` · ${escapeHtml(event.method)}` : ''}</div>
+    <details class="confirm-args"><summary>请求参数</summary><pre>${escapeHtml(argsJson)}</pre></details>
+    <div class="confirm-actions">
+      <button class="confirm-btn confirm-deny">拒绝</button>
+      <button class="confirm-btn confirm-approve">批准执行</button>
+    </div>
+  </div>`;
+  div.querySelector('.confirm-approve').addEventListener('click', () => settleConfirmCard(div, true, '已批准执行'));
+  div.querySelector('.confirm-deny').addEventListener('click', () => settleConfirmCard(div, false, '已拒绝，未执行'));
+  pendingConfirms.set(div, event.respond);
+  chatArea.appendChild(div);
+  scrollToBottom();
+}
+
+// 在工具进度气泡中显示异步任务等待状态（每个任务一行，随轮询更新）
+function updateJobProgress(indicator, { jobUuid, elapsed, lastStatus }) {
+  const container = indicator?.querySelector('.tool-details');
+  if (!container || !jobUuid) return;
+  let row = container.querySelector(`[data-job="${CSS.escape(jobUuid)}"]`);
+  if (!row) {
+    row = document.createElement('div');
+    row.className = 'tool-job-item';
+    row.dataset.job = jobUuid;
+    container.appendChild(row);
+  }
+  const status = lastStatus === 'network_error' ? '网络重试中' : `HTTP ${lastStatus}`;
+  row.textContent = `⏳ 异步任务 ${jobUuid.slice(0, 8)}... 已等待 ${Math.round(elapsed / 1000)}s（${status}）`;
+  scrollToBottom();
+}
+
+// 本轮工具调用结束后移除进度气泡；挂了撤销按钮的气泡去掉转圈和任务进度后保留
+function dismissToolIndicator(indicator) {
+  if (!indicator?.parentNode) return;
+  if (!indicator.querySelector('.has-undo')) {
+    indicator.remove();
+    return;
+  }
+  indicator.querySelectorAll('.tool-spinner, .tool-job-item').forEach(el => el.remove());
+}
+
+// 可逆操作成功后，在该调用旁显示"撤销"按钮
+function attachUndoButton(entry) {
+  const target = undoTarget?.(entry);
+  if (!target) return;
+  target.classList.add('has-undo');
+  const btn = document.createElement('button');
+  btn.className = 'undo-btn';
+  btn.title = `撤销：${entry.inverse.detail}`;
+  btn.textContent = '撤销';
+  btn.addEventListener('click', async () => {
+    if (isProcessing) {
+      showError('请等待当前回复完成后再撤销');
+      return;
+    }
+    btn.disabled = true;
+    btn.textContent = '撤销中...';
+    const result = await llm.undoChange(entry.id);
+    const label = document.createElement('span');
+    label.className = `undo-result${result.error ? ' error' : ''}`;
+    label.textContent = result.error ? `撤销失败: ${result.error}` : `↩️ 已撤销（${entry.inverse.detail}）`;
+    btn.replaceWith(label);
+  });
+  target.appendChild(btn);
+}
+
+// ========== Change Plan ==========
+
+const PLAN_LEVEL_LABELS = { destructive: '高危', mutate: '变更' };
+const PLAN_STATUS_LABELS = { pending: '待执行', running: '⏳ 执行中', done: '✅ 成功', error: '❌ 失败', skipped: '⏭️ 跳过' };
+
+// 变更计划卡片：可编辑参数、移除步骤，整体批准或放弃
+function appendPlanCard(plan) {
+  // 新计划包含之前未处理的步骤，旧卡片作废
+  chatArea.querySelectorAll('.plan-card .confirm-actions').forEach(el => {
+    if (el.querySelector('button')) el.innerHTML = '<span class="confirm-result denied">已被新计划取代</span>';
+  });
+
+  const steps = plan.map(s => ({ ...s }));
+  const div = document.createElement('div');
+  div.className = 'message assistant';
+  div.innerHTML = `<div class="message-bubble confirm-card plan-card">
+    <div class="confirm-title plan-title">📝 变更计划（${steps.length} 步，尚未执行）</div>
+    <table class="plan-table">
+      <thead><tr><th>#</th><th>操作</th><th>风险</th><th>状态</th><th></th></tr></thead>
+      <tbody>${steps.map((s, i) => `<tr data-index="${i}">
+        <td>${i + 1}</td>
+        <td><div class="plan-detail">${escapeHtml(s.detail)}</div>
+          <details class="confirm-args"><summary>参数（可编辑）</summary><textarea class="plan-args">${escapeHtml(JSON.stringify(s.args, null, 2))}</textarea></details></td>
+        <td class="plan-level-${s.level}">${PLAN_LEVEL_LABELS[s.level] || s.level}</td>
+        <td class="plan-status">${PLAN_STATUS_LABELS.pending}</td>
+        <td><button class="plan-remove" title="移除该步骤">✕</button></td>
+      </tr>`).join('')}</tbody>
+    </table>
+    <div class="confirm-actions">
+      <button class="confirm-btn confirm-deny">放弃计划</button>
+      <button class="confirm-btn confirm-approve">批准并按顺序执行</button>
+    </div>
+  </div>`;
+
+  div.querySelectorAll('.plan-remove').forEach(btn => btn.addEventListener('click', () => {
+    const row = btn.closest('tr');
+    steps[row.dataset.index] = null;
+    row.remove();
+  }));
+  div.querySelector('.confirm-deny').addEventListener('click', () => {
+    llm.discardPlan();
+    div.querySelector('.confirm-actions').innerHTML = '<span class="confirm-result denied">已放弃，未执行任何操作</span>';
+  });
+  div.querySelector('.confirm-approve').addEventListener('click', () => runPlan(div, steps));
+  chatArea.appendChild(div);
+}
+
+async function runPlan(card, steps) {
+  if (isProcessing) {
+    showError('请等待当前回复完成后再执行计划');
+    return;
+  }
+  // 读取编辑后的参数
+  const approved = [];
+  for (const row of card.querySelectorAll('tbody tr')) {
+    const step = steps[row.dataset.index];
+    try {
+      approved.push({ ...step, args: JSON.parse(row.querySelector('.plan-args').value), row });
+    } catch (e) {
+      showError(`第 ${Number(row.dataset.index) + 1} 步参数不是合法的 JSON: ${escapeHtml(e.message)}`);
+      return;
+    }
+  }
+  if (approved.length === 0) {
+    showError('计划中没有剩余步骤');
+    return;
+  }
+
+  card.querySelector('.confirm-actions').innerHTML = '<span class="confirm-result approved">已批准，执行中...</span>';
+  card.querySelectorAll('.plan-remove, .plan-args').forEach(el => { el.disabled = true; });
+  isProcessing = true;
+  setStopButtonVisible(true);
+  try {
+    const results = await llm.executePlan(approved.map(({ row, ...step }) => step), ({ index, status, result }) => {
+      // 步骤按顺序执行，撤销按钮挂在正在执行的步骤上
+      if (status === 'running') undoTarget = () => approved[index].row.querySelector('.plan-detail');
+      const cell = approved[index].row.querySelector('.plan-status');
+      cell.textContent = PLAN_STATUS_LABELS[status];
+      cell.className = `plan-status ${status}`;
+      cell.title = status === 'error' ? result?.error || '' : '';
+    });
+    const failed = results.filter(r => r.status !== 'done').length;
+    card.querySelector('.confirm-actions').innerHTML = failed
+      ? `<span class="confirm-result denied">执行中断：${failed} 步失败或跳过，结果将随下一条消息告知 AI</span>`
+      : '<span class="confirm-result approved">全部执行完成，结果将随下一条消息告知 AI</span>';
+  } catch (e) {
+    card.querySelector('.confirm-actions').innerHTML = `<span class="confirm-result denied">${escapeHtml(e.message)}</span>`;
+  }
+  undoTarget = null;
+  isProcessing = false;
+  setStopButtonVisible(false);
+  scrollToBottom();
+}
+
+function settleConfirmCard(card, approved, label) {
+  const respond = pendingConfirms.get(card);
+  if (!respond) return;
+  pendingConfirms.delete(card);
+  const actions = card.querySelector('.confirm-actions');
+  actions.innerHTML = `<span class="confirm-result ${approved ? 'approved' : 'denied'}">${escapeHtml(label)}</span>`;
+  respond(approved);
+}
+
 function appendTyping() {
   const div = document.createElement('div');
   div.className = 'message assistant';
@@ -1039,6 +1535,26 @@ function scrollToBottom() {
   chatArea.scrollTop = chatArea.scrollHeight;
 }
 
+// 显示本轮 / 本次对话 / 今日的 token 消耗和费用，本月费用接近预算时提醒
+async function appendUsageStats() {
+  const { today, month } = await usageTracker.summary();
+  const costText = (usage) => usage.unpriced && !usage.cost ? '价格未知' : UsageTracker.formatCost(usage.cost) + (usage.unpriced ? '+' : '');
+  const reason = currentUsage?.estimated ? ' (估算)' : '';
+  // 输入中命中提示词缓存的部分
+  const cacheText = (cached, prompt) => cached ? `（缓存命中 ${cached}，${Math.round(cached / Math.max(prompt, 1) * 100)}%）` : '';
+  const budget = UsageTracker.budgetStatus(month.cost, monthlyBudget);
+  const budgetHtml = budget
+    ? `<div class="token-budget-${budget.level}">⚠️ 本月已用 ${UsageTracker.formatCost(month.cost)}，${budget.level === 'over' ? '已超出' : '已达到'}月度预算 ${UsageTracker.formatCost(monthlyBudget)} 的 ${Math.round(budget.ratio * 100)}%</div>`
+    : '';
+  const usageIndicator = document.createElement('div');
+  usageIndicator.className = 'message assistant';
+  usageIndicator.innerHTML = `<div class="message-bubble token-stats">
+      📊 本轮: ${currentUsage?.total_tokens || 0} Token${reason}${cacheText(currentUsage?.cached_tokens, currentUsage?.prompt_tokens)} · ${costText(currentUsage || { cost: 0 })} | 本次对话: ${sessionUsage.total} Token${cacheText(sessionUsage.cached, sessionUsage.prompt)} · ${costText(sessionUsage)} | 今日: ${costText(today)}
+      ${budgetHtml}
+    </div>`;
+  chatArea.appendChild(usageIndicator);
+}
+
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
@@ -1061,7 +1577,7 @@ async function loadChatHistory() {
     if (!data.chatHistory || data.chatHistory.length === 0) return;
 
     chatHistory = data.chatHistory;
-    sessionUsage = { prompt: 0, completion: 0, total: 0, estimated: false };
+    sessionUsage = { prompt: 0, completion: 0, total: 0, cached: 0, cost: 0, estimated: false, unpriced: false };
     const welcome = chatArea.querySelector('.welcome-msg');
     if (welcome) welcome.remove();
 
@@ -1082,6 +1598,275 @@ async function loadChatHistory() {
 // --- Start ---
 init();
 
+// ========== Session Lifecycle ==========
+
+function setupSessionLifecycle() {
+  // 侧边栏打开期间定期续期，避免会话在对话中途过期
+  setInterval(async () => {
+    if (!zstack.isLoggedIn()) return;
+    const remaining = zstack.sessionRemaining();
+    if (remaining !== null && remaining > SESSION_RENEW_THRESHOLD) return;
+    try {
+      await zstack.renewSession();
+    } catch (e) {
+      console.warn('Session renew failed:', e.message);
+    }
+  }, SESSION_KEEPALIVE_INTERVAL);
+
+  // 关闭侧边栏时注销服务端会话；仍有后台任务时把会话交给 background.js，继续轮询并在任务结束后删除。
+  // runningJobCount 随存储变更异步刷新，刚登记的任务要看 jobTracker.pending。
+  // 限制：pagehide 不会等待异步操作，这里只能同步发出 keepalive 请求或消息；页面在发出前就被销毁时，
+  // 会话保留到服务端超时。刚登记的任务尚未写入存储时，background 可能先删除会话，该任务随后轮询失败
+  window.addEventListener('pagehide', () => {
+    if (runningJobCount === 0 && jobTracker.pending.size === 0) {
+      zstack.logout();
+      return;
+    }
+    const { endpoint, sessionIds } = zstack.detachSession();
+    chrome.runtime.sendMessage({ type: 'RELEASE_ZSTACK_SESSIONS', endpoint, sessionIds }).catch(() => {});
+  });
+}
+
+// 交出当前 ZStack 会话：没有后台任务使用时立即删除，否则由 jobTracker 在任务结束后删除
+async function releaseZStackSession() {
+  const { endpoint, sessionIds } = zstack.detachSession();
+  await jobTracker.releaseSessions(endpoint, sessionIds);
+}
+
+// 当前环境未保存密码时，提示输入后再连接（不阻塞初始化）
+function promptForUnsavedPassword() {
+  const env = currentEnvId !== null ? environments[currentEnvId] : null;
+  if (!env?.endpoint || env.rememberPassword !== false || zstack.isLoggedIn()) return;
+  requestPassword(env.account, env.name).then(password => {
+    if (!password) return;
+    document.getElementById('zstack-password').value = password;
+    connectZStack().catch(e => console.error('Auto-connect failed:', e));
+  });
+}
+
+// 在对话中显示密码输入卡片，返回用户输入的密码（取消返回 null）
+function requestPassword(account, envName) {
+  return new Promise(resolve => {
+    const div = document.createElement('div');
+    div.className = 'message assistant';
+    div.innerHTML = `<div class="message-bubble confirm-card reauth-card">
+      <div class="confirm-title reauth-title">🔒 ${envName ? '请输入密码' : '会话已过期，请重新输入密码'}</div>
+      <div class="confirm-detail">${escapeHtml(account || '')}${envName ? ` @ ${escapeHtml(envName)}` : ''}</div>
+      <input type="password" class="reauth-input" placeholder="密码">
+      <div class="confirm-actions">
+        <button class="confirm-btn confirm-deny">取消</button>
+        <button class="confirm-btn reauth-submit">登录</button>
+      </div>
+    </div>`;
+    const pwInput = div.querySelector('.reauth-input');
+    pendingConfirms.set(div, (ok) => resolve(ok && pwInput.value ? pwInput.value : null));
+    div.querySelector('.reauth-submit').addEventListener('click', () => settleConfirmCard(div, true, '已提交'));
+    div.querySelector('.confirm-deny').addEventListener('click', () => settleConfirmCard(div, false, '已取消'));
+    pwInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') settleConfirmCard(div, true, '已提交');
+    });
+    const welcome = chatArea.querySelector('.welcome-msg');
+    if (welcome) welcome.remove();
+    chatArea.appendChild(div);
+    scrollToBottom();
+    pwInput.focus();
+  });
+}
+
+// ========== Background Jobs ==========
+
+function setupJobsDrawer() {
+  const drawer = document.getElementById('jobs-drawer');
+  document.getElementById('btn-jobs').addEventListener('click', () => {
+    drawer.classList.toggle('hidden');
+    if (!drawer.classList.contains('hidden')) renderJobs();
+  });
+  document.getElementById('btn-clear-jobs').addEventListener('click', () => jobTracker.clearFinished());
+  // 任务状态由本页或 background.js 写入 storage，统一在这里刷新
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[JobTracker.STORAGE_KEY]) renderJobs();
+  });
+  renderJobs();
+}
+
+async function renderJobs() {
+  const jobs = (await jobTracker.list()).slice().reverse();
+  const running = jobs.filter(j => j.status === JOB_RUNNING).length;
+  runningJobCount = running;
+  // background.js 轮询结束的任务不再占用本页会话
+  for (const job of jobs) {
+    if (job.status !== JOB_RUNNING) jobTracker.pending.delete(job.jobUuid);
+  }
+  const countEl = document.getElementById('jobs-count');
+  countEl.textContent = running;
+  countEl.classList.toggle('hidden', running === 0);
+
+  const listEl = document.getElementById('jobs-list');
+  if (document.getElementById('jobs-drawer').classList.contains('hidden')) return;
+  if (jobs.length === 0) {
+    listEl.innerHTML = '<div class="jobs-empty">暂无后台任务。耗时较长的操作（迁移、镜像导入等）会自动出现在这里。</div>';
+    return;
+  }
+
+  const statusLabel = {
+    [JOB_RUNNING]: '⏳ 执行中',
+    [JOB_SUCCEEDED]: '✅ 成功',
+    [JOB_FAILED]: '❌ 失败'
+  };
+  listEl.innerHTML = '';
+  for (const job of jobs) {
+    const item = document.createElement('div');
+    item.className = 'job-item';
+    const elapsed = Math.round(((job.finishedAt || Date.now()) - job.createdAt) / 1000);
+    const error = job.error ? (typeof job.error === 'string' ? job.error : job.error.error) : '';
+    item.innerHTML = `
+      <div class="job-title">${statusLabel[job.status] || '⚠️ 已停止跟踪'} · ${escapeHtml(job.path || job.jobUuid)}</div>
+      <div class="job-meta">${escapeHtml(job.envName || '')} ${new Date(job.createdAt).toLocaleTimeString('zh-CN')} · ${elapsed}s · ${job.jobUuid.slice(0, 8)}</div>
+      ${error ? `<div class="job-error">${escapeHtml(error)}</div>` : ''}
+      <div class="job-actions"></div>`;
+    const actions = item.querySelector('.job-actions');
+    if (job.status !== JOB_RUNNING) {
+      const btnInject = document.createElement('button');
+      btnInject.className = 'btn';
+      btnInject.textContent = job.injected ? '已加入对话' : '加入对话';
+      btnInject.disabled = job.injected;
+      btnInject.addEventListener('click', async () => {
+        llm.addContext(JobTracker.summarize(job));
+        await jobTracker.markInjected(job.jobUuid);
+        showMessage('任务结果将随下一条消息发送给 AI');
+      });
+      actions.appendChild(btnInject);
+    }
+    const btnRemove = document.createElement('button');
+    btnRemove.className = 'btn';
+    btnRemove.textContent = '移除';
+    btnRemove.addEventListener('click', () => jobTracker.remove(job.jobUuid));
+    actions.appendChild(btnRemove);
+    listEl.appendChild(item);
+  }
+}
+
+// ========== Audit Log ==========
+
+function setupAuditDrawer() {
+  const drawer = document.getElementById('audit-drawer');
+  document.getElementById('btn-audit').addEventListener('click', () => {
+    drawer.classList.toggle('hidden');
+    if (!drawer.classList.contains('hidden')) renderAudit();
+  });
+  for (const id of ['audit-env', 'audit-status', 'audit-source', 'audit-range']) {
+    document.getElementById(id).addEventListener('change', renderAudit);
+  }
+  let searchTimer = null;
+  document.getElementById('audit-search').addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(renderAudit, 300);
+  });
+  document.getElementById('btn-audit-csv').addEventListener('click', () => exportAudit('csv'));
+  document.getElementById('btn-audit-json').addEventListener('click', () => exportAudit('json'));
+}
+
+function getAuditFilter() {
+  const days = parseInt(document.getElementById('audit-range').value);
+  return {
+    envName: document.getElementById('audit-env').value || undefined,
+    status: document.getElementById('audit-status').value || undefined,
+    source: document.getElementById('audit-source').value || undefined,
+    text: document.getElementById('audit-search').value.trim() || undefined,
+    from: days ? Date.now() - days * 24 * 60 * 60 * 1000 : undefined
+  };
+}
+
+const AUDIT_SOURCE_LABELS = { chat: '对话', workflow: '工作流', safeguard: '自动快照' };
+
+async function renderAudit() {
+  const envSelect = document.getElementById('audit-env');
+  const selectedEnv = envSelect.value;
+  envSelect.innerHTML = '<option value="">全部环境</option>';
+  for (const name of new Set(environments.map(e => e.name))) {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    envSelect.appendChild(option);
+  }
+  envSelect.value = selectedEnv;
+
+  const listEl = document.getElementById('audit-list');
+  let entries;
+  try {
+    entries = await auditLog.query({ ...getAuditFilter(), limit: 200 });
+  } catch (e) {
+    listEl.innerHTML = `<div class="jobs-empty">读取审计日志失败: ${escapeHtml(e.message)}</div>`;
+    return;
+  }
+  if (entries.length === 0) {
+    listEl.innerHTML = '<div class="jobs-empty">没有匹配的记录。助手每次访问云平台的操作都会记录在这里。</div>';
+    return;
+  }
+
+  const statusLabel = { [AUDIT_SUCCESS]: '✅', [AUDIT_ERROR]: '❌' };
+  listEl.innerHTML = entries.map(e => `
+    <div class="job-item" title="${escapeHtml(e.prompt || '')}">
+      <div class="job-title">${statusLabel[e.status] || '⏳'} ${escapeHtml(e.operation || e.tool)}</div>
+      <div class="job-meta">${new Date(e.timestamp).toLocaleString('zh-CN')} · ${escapeHtml(e.envName || '')} · ${AUDIT_SOURCE_LABELS[e.source] || e.source}${e.method ? ` · ${escapeHtml(e.method)}` : ''} ${escapeHtml(e.path || '')}${e.jobUuid ? ` · ${e.jobUuid.slice(0, 8)}` : ''}</div>
+      ${e.error ? `<div class="job-error">${escapeHtml(e.error)}</div>` : ''}
+      ${e.snapshots?.length ? `<div class="job-meta">📸 ${e.snapshots.map(sn => escapeHtml(`${sn.name}${sn.uuid ? ` (${sn.uuid.slice(0, 8)})` : ''}`)).join('，')}</div>` : ''}
+      ${e.body ? `<div class="audit-body">${escapeHtml(typeof e.body === 'string' ? e.body : JSON.stringify(e.body))}</div>` : ''}
+    </div>`).join('');
+}
+
+// 导出当前筛选条件下的全部记录，供变更评审
+async function exportAudit(format) {
+  const entries = await auditLog.query({ ...getAuditFilter(), limit: Infinity });
+  const content = format === 'csv' ? AuditLog.toCSV(entries) : AuditLog.toJSON(entries);
+  const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `zstack-audit-${new Date().toISOString().slice(0,10)}.${format}`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// ========== IAM2 Projects ==========
+
+let projectList = [];  // 当前身份可进入的项目
+
+// 登录后加载项目列表（仅 IAM2 虚拟 ID），并恢复上次选择的项目
+async function refreshProjects(projectUuid) {
+  projectList = [];
+  if (zstack.identity?.loginType === 'iam2') {
+    try {
+      const res = await zstack.queryIAM2Projects(['state=Enabled']);
+      projectList = (res.inventories || []).map(p => ({ uuid: p.uuid, name: p.name }));
+    } catch (e) {
+      console.warn('Query IAM2 projects failed:', e.message);
+    }
+  }
+  const saved = projectList.find(p => p.uuid === projectUuid);
+  if (saved) {
+    try {
+      await zstack.useProject(saved);
+    } catch (e) {
+      showError(`进入项目 ${escapeHtml(saved.name)} 失败: ${escapeHtml(e.message)}`);
+    }
+  }
+  renderProjectSelector(projectList);
+}
+
+function renderProjectSelector(projects) {
+  const select = document.getElementById('project-select');
+  select.innerHTML = '<option value="">全部项目</option>';
+  projects.forEach(p => {
+    const option = document.createElement('option');
+    option.value = p.uuid;
+    option.textContent = p.name;
+    select.appendChild(option);
+  });
+  select.value = zstack.project?.uuid || '';
+  select.classList.toggle('hidden', projects.length === 0);
+}
+
 // ========== Environment Management ==========
 
 function renderEnvSelector() {
@@ -1105,6 +1890,24 @@ function renderEnvSelector() {
 
 function setupEnvEventListeners() {
   const envSelect = document.getElementById('env-select');
+
+  // 切换工作项目 — 之后的查询和操作都在该项目内执行
+  document.getElementById('project-select').addEventListener('change', async (e) => {
+    const project = projectList.find(p => p.uuid === e.target.value) || null;
+    try {
+      await zstack.useProject(project);
+      showMessage(project ? `已进入项目: ${escapeHtml(project.name)}` : '已退出项目，恢复全局范围');
+    } catch (err) {
+      showError(`切换项目失败: ${err.message}`);
+      e.target.value = zstack.project?.uuid || '';
+      return;
+    }
+    const env = currentEnvId !== null ? environments[currentEnvId] : null;
+    if (env) {
+      env.projectUuid = zstack.project?.uuid || null;
+      await chrome.storage.local.set({ environments });
+    }
+  });
   
   const btnAddEnv = document.getElementById('btn-add-env');
   
@@ -1118,6 +1921,11 @@ function setupEnvEventListeners() {
       document.getElementById('zstack-account').value = 'admin';
       document.getElementById('zstack-password').value = '';
       document.getElementById('platform-type').value = 'zstack';
+      setLoginTypeFields('account');
+      setRequestLimitFields(null);
+      document.getElementById('zstack-read-only').checked = false;
+      document.getElementById('zstack-snapshot-guard').checked = false;
+      renderProjectSelector([]);
       currentEnvId = null;
       setStatus('disconnected', '请添加环境');
     } else {
@@ -1130,12 +1938,30 @@ function setupEnvEventListeners() {
         document.getElementById('zstack-endpoint').value = env.endpoint || '';
         document.getElementById('zstack-account').value = env.account || 'admin';
         document.getElementById('zstack-password').value = env.password || '';
+        document.getElementById('zstack-remember-password').checked = env.rememberPassword !== false;
+        document.getElementById('zstack-read-only').checked = env.readOnly === true;
+        document.getElementById('zstack-snapshot-guard').checked = env.snapshotGuard === true;
+        setLoginTypeFields(env.loginType, env.parentAccount);
+        setRequestLimitFields(env.limits);
         
         // 自动连接
         setStatus('connecting', '连接中...');
         try {
-          zstack.configure(env.endpoint);
-          await zstack.login(env.account, env.password);
+          const password = env.password || await requestPassword(env.account, env.name);
+          if (!password) {
+            setStatus('disconnected', '未输入密码');
+            return;
+          }
+          await releaseZStackSession();
+          zstack.configure(env.endpoint, env.limits || {});
+          zstack.keepPassword = env.rememberPassword !== false;
+          setReadOnly(env.readOnly === true);
+          llm.snapshotGuard = env.snapshotGuard === true;
+          await zstack.login(env.account, password, { loginType: env.loginType || 'account', accountName: env.parentAccount || null });
+          jobTracker.envName = env.name;
+          auditLog.envName = env.name;
+          auditLog.endpoint = env.endpoint;
+          await refreshProjects(env.projectUuid);
           setStatus('connected', `已连接 ${env.endpoint}`);
           
           // 清空对话历史
@@ -1183,8 +2009,8 @@ function setupEnvEventListeners() {
     currentEnvId = null;
     await chrome.storage.local.set({ environments, currentEnvId });
     
-    // 清除连接状态
-    zstack.logout();
+    // 清除连接状态（同时删除服务端会话）
+    await releaseZStackSession();
     await chrome.storage.local.remove(['zstackEndpoint', 'zstackAccount', 'zstackPassword']);
     
     renderEnvSelector();
@@ -1193,6 +2019,13 @@ function setupEnvEventListeners() {
     document.getElementById('zstack-endpoint').value = '';
     document.getElementById('zstack-account').value = 'admin';
     document.getElementById('zstack-password').value = '';
+    setLoginTypeFields('account');
+    setRequestLimitFields(null);
+    document.getElementById('zstack-read-only').checked = false;
+    document.getElementById('zstack-snapshot-guard').checked = false;
+    setReadOnly(false);
+    llm.snapshotGuard = false;
+    renderProjectSelector([]);
     setStatus('disconnected', '环境已删除');
     showMessage(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="16" height="16" fill="currentColor"><path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/></svg> 环境已删除`);
   });
@@ -0,0 +1,160 @@
+// Audit Log 单元测试
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { AuditLog, AUDIT_SUCCESS, AUDIT_ERROR, AUDIT_RUNNING } from '../../lib/audit-log.js';
+
+// 最小的 IndexedDB 模拟：一个按自增 id 保存的对象仓库，游标按 timestamp 倒序遍历
+function fakeIndexedDB() {
+  const rows = [];
+  const later = (fn) => setTimeout(fn, 0);
+  const db = {
+    transaction: () => {
+      const tx = {
+        objectStore: () => ({
+          add: (record) => {
+            rows.push({ ...record, id: rows.length + 1 });
+            later(() => tx.oncomplete?.());
+          },
+          index: () => ({
+            openCursor: (range) => {
+              const req = {};
+              const items = rows
+                .filter(r => !range || (r.timestamp >= range.lower && r.timestamp <= range.upper))
+                .sort((a, b) => b.timestamp - a.timestamp);
+              let i = 0;
+              const step = () => later(() => {
+                req.result = i < items.length
+                  ? { value: items[i], continue: () => { i++; step(); } }
+                  : null;
+                req.onsuccess();
+              });
+              step();
+              return req;
+            }
+          })
+        })
+      };
+      return tx;
+    },
+    createObjectStore: () => ({ createIndex: () => {} })
+  };
+  return {
+    rows,
+    open: () => {
+      const req = { result: db };
+      later(() => {
+        req.onupgradeneeded?.();
+        req.onsuccess();
+      });
+      return req;
+    }
+  };
+}
+
+describe('AuditLog', () => {
+  let idb;
+  let log;
+
+  beforeEach(() => {
+    idb = fakeIndexedDB();
+    log = new AuditLog(idb);
+    vi.stubGlobal('IDBKeyRange', { bound: (lower, upper) => ({ lower, upper }) });
+  });
+
+  describe('写入和查询', () => {
+    it('写入时附带当前环境并对请求体脱敏', async () => {
+      log.envName = '生产';
+      log.endpoint = 'http://zstack.local:8080';
+      const record = await log.append({ tool: 'zstack_create', body: { params: { name: 'vm', password: 'p@ss' } } });
+      expect(record).toMatchObject({ envName: '生产', endpoint: 'http://zstack.local:8080', tool: 'zstack_create' });
+      expect(idb.rows[0].body).toEqual({ params: { name: 'vm', password: '******' } });
+    });
+
+    it('写入失败不应抛出', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const broken = new AuditLog({ open: () => { throw new Error('quota exceeded'); } });
+      await expect(broken.append({ tool: 'zstack_delete' })).resolves.toMatchObject({ tool: 'zstack_delete' });
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+
+    it('查询结果最新的在前，并按条件和关键字筛选', async () => {
+      const now = vi.spyOn(Date, 'now');
+      now.mockReturnValueOnce(1000);
+      await log.append({ tool: 'zstack_create', status: AUDIT_SUCCESS, operation: '创建 vm-instances' });
+      now.mockReturnValueOnce(2000);
+      await log.append({ tool: 'zstack_delete', status: AUDIT_ERROR, operation: '删除 volumes', error: 'SYS.1006' });
+      now.mockReturnValueOnce(3000);
+      await log.append({ tool: 'zstack_create', status: AUDIT_SUCCESS, operation: '创建 volumes' });
+      now.mockRestore();
+
+      expect((await log.query()).map(e => e.timestamp)).toEqual([3000, 2000, 1000]);
+      expect((await log.query({ tool: 'zstack_create' })).map(e => e.timestamp)).toEqual([3000, 1000]);
+      expect((await log.query({ text: 'VOLUMES' })).map(e => e.timestamp)).toEqual([3000, 2000]);
+      expect((await log.query({ text: 'sys.1006' })).map(e => e.timestamp)).toEqual([2000]);
+      expect((await log.query({ from: 1500, to: 2500 })).map(e => e.timestamp)).toEqual([2000]);
+      expect(await log.query({ limit: 1 })).toHaveLength(1);
+    });
+  });
+
+  describe('outcome', () => {
+    it('应该区分成功、失败和仍在执行', () => {
+      expect(AuditLog.outcome({ inventory: {} })).toEqual({ status: AUDIT_SUCCESS, error: null, jobUuid: null });
+      expect(AuditLog.outcome({ error: '无权限', code: 'READ_ONLY' })).toMatchObject({ status: AUDIT_ERROR, error: 'READ_ONLY: 无权限' });
+      expect(AuditLog.outcome({ stillRunning: true, jobUuid: 'job-1' })).toEqual({ status: AUDIT_RUNNING, error: null, jobUuid: 'job-1' });
+    });
+
+    it('结果中没有任务 UUID 时向客户端查询', () => {
+      const client = { jobUuidOf: vi.fn(() => 'job-2') };
+      const result = { inventory: {} };
+      expect(AuditLog.outcome(result, client).jobUuid).toBe('job-2');
+      expect(client.jobUuidOf).toHaveBeenCalledWith(result);
+    });
+  });
+
+  describe('sanitize', () => {
+    it('应该对嵌套对象和数组中的敏感字段打码，空值保持原样', () => {
+      const body = {
+        logInByAccount: { accountName: 'admin', password: 'x' },
+        items: [{ accessKeySecret: 's', token: '' }],
+        privateKey: null
+      };
+      expect(AuditLog.sanitize(body)).toEqual({
+        logInByAccount: { accountName: 'admin', password: '******' },
+        items: [{ accessKeySecret: '******', token: '' }],
+        privateKey: null
+      });
+    });
+
+    it('超长请求体截断为字符串', () => {
+      const text = AuditLog.sanitize({ data: 'x'.repeat(AuditLog.MAX_BODY_CHARS) });
+      expect(typeof text).toBe('string');
+      expect(text.endsWith('...(已截断)')).toBe(true);
+      expect(text.length).toBe(AuditLog.MAX_BODY_CHARS + '...(已截断)'.length);
+    });
+
+    it('空请求体记为 null', () => {
+      expect(AuditLog.sanitize(undefined)).toBeNull();
+      expect(AuditLog.sanitize(null)).toBeNull();
+    });
+  });
+
+  describe('导出', () => {
+    it('CSV 带 BOM 和表头，并转义逗号、引号和换行', () => {
+      const csv = AuditLog.toCSV([{
+        timestamp: Date.UTC(2026, 0, 1), tool: 'zstack_action', operation: '执行 "stopVmInstance", 强制',
+        prompt: '第一行\n第二行', body: { a: 1 }
+      }]);
+      expect(csv.startsWith('\uFEFF' + AuditLog.CSV_COLUMNS.join(','))).toBe(true);
+      const row = csv.split('\r\n')[1];
+      expect(row.startsWith('2026-01-01T00:00:00.000Z,')).toBe(true);
+      expect(row).toContain('"执行 ""stopVmInstance"", 强制"');
+      expect(row).toContain('"第一行\n第二行"');
+      expect(row).toContain('"{""a"":1}"');
+    });
+
+    it('JSON 导出保留全部字段', () => {
+      const entries = [{ id: 1, tool: 'zstack_get' }];
+      expect(JSON.parse(AuditLog.toJSON(entries))).toEqual(entries);
+    });
+  });
+});
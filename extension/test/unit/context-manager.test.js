@@ -0,0 +1,189 @@
+// Context Manager 单元测试
+import { describe, it, expect, vi } from 'vitest';
+import { ContextManager } from '../../lib/context-manager.js';
+import { TextToolProtocol } from '../../lib/text-tools.js';
+
+const big = (n) => 'x'.repeat(n);
+
+// OpenAI 格式的一轮：用户提问 → 工具调用 → 工具结果 → 回答
+function openAITurn(i, resultChars = 2000) {
+  return [
+    { role: 'user', content: `问题 ${i}` },
+    { role: 'assistant', content: null, tool_calls: [
+      { id: `call-${i}-a`, type: 'function', function: { name: 'zstack_query', arguments: '{"resource_path":"vm-instances"}' } },
+      { id: `call-${i}-b`, type: 'function', function: { name: 'zstack_query', arguments: '{"resource_path":"hosts"}' } }
+    ] },
+    { role: 'tool', tool_call_id: `call-${i}-a`, content: big(resultChars) },
+    { role: 'tool', tool_call_id: `call-${i}-b`, content: big(resultChars) },
+    { role: 'assistant', content: `回答 ${i}` }
+  ];
+}
+
+// Anthropic 格式的一轮：tool_result 装在 user 消息里
+function anthropicTurn(i, resultChars = 2000) {
+  return [
+    { role: 'user', content: `问题 ${i}` },
+    { role: 'assistant', content: [{ type: 'tool_use', id: `tu-${i}`, name: 'zstack_query', input: {} }] },
+    { role: 'user', content: [{ type: 'tool_result', tool_use_id: `tu-${i}`, content: big(resultChars) }] },
+    { role: 'assistant', content: [{ type: 'text', text: `回答 ${i}` }] }
+  ];
+}
+
+// 每个工具调用都有结果，每个结果都有对应的调用
+function expectPaired(messages) {
+  const calls = new Set();
+  const results = new Set();
+  for (const m of messages) {
+    for (const tc of m.tool_calls || []) calls.add(tc.id);
+    if (m.role === 'tool') results.add(m.tool_call_id);
+    if (Array.isArray(m.content)) {
+      for (const b of m.content) {
+        if (b.type === 'tool_use') calls.add(b.id);
+        if (b.type === 'tool_result') results.add(b.tool_use_id);
+      }
+    }
+  }
+  expect([...results].sort()).toEqual([...calls].sort());
+}
+
+const total = (messages) => messages.reduce((s, m) => s + ContextManager.estimateMessage(m), 0);
+
+describe('ContextManager', () => {
+  describe('估算', () => {
+    it('中文和其他字符按不同比例估算 token', () => {
+      expect(ContextManager.estimateTokens('')).toBe(0);
+      expect(ContextManager.estimateTokens('中文中文中')).toBe(2);
+      expect(ContextManager.estimateTokens('abcdefg')).toBe(2);
+      expect(ContextManager.estimateTokens({ a: 1 })).toBe(ContextManager.estimateTokens('{"a":1}'));
+    });
+  });
+
+  describe('轮次切分', () => {
+    it('tool_result 和文本协议的工具结果不算新的一轮', () => {
+      const messages = [
+        ...anthropicTurn(1),
+        { role: 'user', content: '问题 2' },
+        { role: 'assistant', content: '```action\n{}\n```' },
+        { role: 'user', content: `${TextToolProtocol.RESULT_PREFIX}\n...` },
+        ...openAITurn(3)
+      ];
+      expect(ContextManager.turnStarts(messages)).toEqual([0, 4, 7]);
+    });
+  });
+
+  describe('折叠', () => {
+    it('未超预算时不摘要', async () => {
+      const summarize = vi.fn();
+      const cm = new ContextManager({ summarize });
+      const messages = openAITurn(1, 10);
+      await cm.prepare(messages, 10000);
+      expect(summarize).not.toHaveBeenCalled();
+      expect(cm.select(messages, 10000)).toEqual(messages);
+    });
+
+    it('只整轮折叠，保留的历史中工具调用和结果成对', async () => {
+      for (const turn of [openAITurn, anthropicTurn]) {
+        const summarize = vi.fn(async () => '记忆');
+        const cm = new ContextManager({ summarize });
+        const messages = [1, 2, 3, 4, 5].flatMap(i => turn(i));
+        const budget = Math.floor(total(messages) / 2);
+        await cm.prepare(messages, budget, { round: 1 });
+
+        expect(summarize).toHaveBeenCalledWith('', expect.stringContaining('用户: 问题 1'), { round: 1 });
+        expect(cm.memory).toBe('记忆');
+        expect(ContextManager._isUserTurn(messages[cm.foldedCount])).toBe(true);
+        const kept = cm.select(messages, budget);
+        expect(total(kept)).toBeLessThanOrEqual(budget);
+        expectPaired(kept);
+      }
+    });
+
+    it('最后一轮始终保留原文', async () => {
+      const cm = new ContextManager({ summarize: async () => '记忆' });
+      const messages = [...openAITurn(1), ...openAITurn(2, 20000)];
+      await cm.prepare(messages, 100);
+      expect(cm.foldedCount).toBe(5);
+      await cm.prepare(messages, 100);
+      expect(cm.foldedCount).toBe(5);
+    });
+
+    it('再次折叠时把已有记忆交给摘要', async () => {
+      const summarize = vi.fn(async (memory) => `${memory}+新`);
+      const cm = new ContextManager({ summarize });
+      const messages = [1, 2, 3].flatMap(i => openAITurn(i));
+      await cm.prepare(messages, total(messages) - 10);
+      messages.push(...openAITurn(4), ...openAITurn(5));
+      await cm.prepare(messages, total(messages.slice(cm.foldedCount)) - 10);
+      expect(summarize).toHaveBeenCalledTimes(2);
+      expect(summarize.mock.calls[1][0]).toBe('+新');
+      expect(cm.memory).toBe('+新+新');
+    });
+
+    it('摘要失败时退化为截断的对话记录，仍然折叠', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const cm = new ContextManager({ summarize: async () => { throw new Error('429'); } });
+      const messages = [1, 2, 3].flatMap(i => openAITurn(i));
+      await cm.prepare(messages, total(messages) / 2);
+      expect(cm.foldedCount).toBeGreaterThan(0);
+      expect(cm.memory).toContain('用户: 问题 1');
+      expect(cm.memory.length).toBeLessThanOrEqual(ContextManager.MAX_TRANSCRIPT_CHARS / 4);
+      warn.mockRestore();
+    });
+
+    it('停止生成时不吞掉 AbortError', async () => {
+      const cm = new ContextManager({ summarize: async () => { throw new DOMException('stop', 'AbortError'); } });
+      const messages = [1, 2, 3].flatMap(i => openAITurn(i));
+      await expect(cm.prepare(messages, total(messages) / 2)).rejects.toThrow('stop');
+      expect(cm.foldedCount).toBe(0);
+    });
+
+    it('历史被清空后重置记忆', async () => {
+      const cm = new ContextManager({ summarize: async () => '记忆' });
+      const messages = [1, 2, 3].flatMap(i => openAITurn(i));
+      await cm.prepare(messages, total(messages) / 2);
+      await cm.prepare(openAITurn(9, 10), 100000);
+      expect(cm.memory).toBe('');
+      expect(cm.foldedCount).toBe(0);
+    });
+  });
+
+  describe('截断', () => {
+    it('当前轮次超预算时从最早的工具结果开始截断，不删除消息也不修改原消息', () => {
+      const cm = new ContextManager();
+      const messages = openAITurn(1, 10000);
+      const budget = total(messages) - 1000;
+      const out = cm.select(messages, budget);
+      expect(out).toHaveLength(messages.length);
+      expect(out[2].content).toMatch(/\.\.\.\[已截断，原文 10000 字符\]$/);
+      expect(out[3]).toBe(messages[3]);
+      expect(messages[2].content).toHaveLength(10000);
+      expectPaired(out);
+    });
+
+    it('截断 Anthropic tool_result 块和文本协议结果', () => {
+      const block = ContextManager._clipToolResults(anthropicTurn(1, 5000)[2], 300);
+      expect(block.content[0].content).toMatch(/^x{300}\.\.\.\[已截断/);
+      const text = { role: 'user', content: `${TextToolProtocol.RESULT_PREFIX}\n${big(5000)}` };
+      expect(ContextManager._clipToolResults(text, 300).content.length).toBeLessThan(400);
+      const user = { role: 'user', content: big(5000) };
+      expect(ContextManager._clipToolResults(user, 300)).toBe(user);
+    });
+  });
+
+  describe('对话记录', () => {
+    it('按角色整理三种格式的消息', () => {
+      const text = ContextManager.transcript([...openAITurn(1, 10), ...anthropicTurn(2, 10)]);
+      expect(text).toContain('用户: 问题 1');
+      expect(text).toContain('工具调用: zstack_query({"resource_path":"vm-instances"})');
+      expect(text).toContain('工具结果: xxxxxxxxxx');
+      expect(text).toContain('助手: 回答 2');
+    });
+
+    it('超长记录只保留最近的内容', () => {
+      const messages = Array.from({ length: 40 }, (_, i) => ({ role: 'user', content: `${i}:${big(1990)}` }));
+      const text = ContextManager.transcript(messages);
+      expect(text.startsWith('...（更早的内容已省略）')).toBe(true);
+      expect(text).toContain('39:');
+    });
+  });
+});
@@ -0,0 +1,198 @@
+// Job Tracker 单元测试
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { JobTracker, JOB_RUNNING, JOB_SUCCEEDED, JOB_FAILED, JOB_LOST } from '../../lib/job-tracker.js';
+
+// 模拟 chrome.storage 的 get/set，读写之间让出事件循环以暴露并发覆盖问题
+function fakeStorage() {
+  const data = {};
+  return {
+    data,
+    async get(key) {
+      await new Promise(r => setTimeout(r, 0));
+      return key in data ? { [key]: structuredClone(data[key]) } : {};
+    },
+    async set(items) {
+      await new Promise(r => setTimeout(r, 0));
+      Object.assign(data, structuredClone(items));
+    }
+  };
+}
+
+function jobResponse(status, body = {}) {
+  return {
+    ok: status < 400,
+    status,
+    headers: { get: () => null },
+    text: async () => JSON.stringify(body),
+    json: async () => body
+  };
+}
+
+describe('JobTracker', () => {
+  let local;
+  let session;
+  let tracker;
+
+  beforeEach(() => {
+    vi.unstubAllGlobals();
+    local = fakeStorage();
+    session = fakeStorage();
+    tracker = new JobTracker(local, session);
+  });
+
+  const record = (jobUuid, extra = {}) => tracker.record({
+    jobUuid,
+    jobPath: `/v1/api-jobs/${jobUuid}`,
+    endpoint: 'http://zstack.local:8080',
+    sessionId: `session-${jobUuid}`,
+    ...extra
+  });
+
+  describe('登记', () => {
+    it('并发登记时不应互相覆盖', async () => {
+      await Promise.all(['a', 'b', 'c', 'd'].map(uuid => record(uuid)));
+      const jobs = await tracker.list();
+      expect(jobs.map(j => j.jobUuid).sort()).toEqual(['a', 'b', 'c', 'd']);
+    });
+
+    it('并发的登记和结束不应丢失结果', async () => {
+      await record('a');
+      await Promise.all([tracker.succeed('a', { ok: true }), record('b')]);
+      const jobs = await tracker.list();
+      expect(jobs.find(j => j.jobUuid === 'a').status).toBe(JOB_SUCCEEDED);
+      expect(jobs.find(j => j.jobUuid === 'b').status).toBe(JOB_RUNNING);
+    });
+
+    it('会话 ID 不写入 storage.local，只存在 storage.session', async () => {
+      await record('a');
+      expect(JSON.stringify(local.data)).not.toContain('session-a');
+      expect(session.data[JobTracker.SESSION_KEY]).toEqual({ a: 'session-a' });
+    });
+
+    it('任务结束后清除对应会话 ID', async () => {
+      await record('a');
+      await record('b');
+      await tracker.fail('a', { message: 'boom' });
+      expect(session.data[JobTracker.SESSION_KEY]).toEqual({ b: 'session-b' });
+    });
+
+    it('pending 记录本实例登记但未结束的任务', async () => {
+      const pending = record('a');
+      expect(tracker.pending.has('a')).toBe(true);
+      await pending;
+      await tracker.succeed('a', {});
+      expect(tracker.pending.size).toBe(0);
+    });
+
+    it('重复登记同一任务只保留一条', async () => {
+      await record('a');
+      await record('a');
+      expect(await tracker.list()).toHaveLength(1);
+    });
+
+    it('写回时去掉旧版本遗留的会话 ID', async () => {
+      local.data[JobTracker.STORAGE_KEY] = [{ jobUuid: 'old', status: JOB_RUNNING, sessionId: 'secret', createdAt: 1 }];
+      await record('a');
+      expect(JSON.stringify(local.data)).not.toContain('secret');
+    });
+  });
+
+  describe('容量上限', () => {
+    it('运行中任务达到上限时丢弃全部已结束任务', async () => {
+      const jobs = Array.from({ length: JobTracker.MAX_JOBS }, (_, i) => ({
+        jobUuid: `r${i}`, status: JOB_RUNNING, createdAt: i
+      }));
+      jobs.push({ jobUuid: 'done', status: JOB_SUCCEEDED, createdAt: 100 });
+      await tracker._save(jobs);
+      const saved = await tracker.list();
+      expect(saved).toHaveLength(JobTracker.MAX_JOBS);
+      expect(saved.every(j => j.status === JOB_RUNNING)).toBe(true);
+    });
+
+    it('超出上限时保留最近结束的任务', async () => {
+      const jobs = Array.from({ length: JobTracker.MAX_JOBS + 5 }, (_, i) => ({
+        jobUuid: `f${i}`, status: JOB_SUCCEEDED, createdAt: i
+      }));
+      await tracker._save(jobs);
+      const saved = await tracker.list();
+      expect(saved).toHaveLength(JobTracker.MAX_JOBS);
+      expect(saved[0].jobUuid).toBe('f5');
+    });
+  });
+
+  describe('后台轮询', () => {
+    it('没有会话 ID 的任务标记为丢失', async () => {
+      await record('a');
+      session.data[JobTracker.SESSION_KEY] = {};
+      expect(await tracker.pollRunning()).toBe(0);
+      const [job] = await tracker.list();
+      expect(job.status).toBe(JOB_LOST);
+    });
+
+    it('使用 storage.session 中的会话 ID 轮询并记录结果', async () => {
+      const fetch = vi.fn().mockResolvedValue(jobResponse(200, { inventory: { uuid: 'vm-1' } }));
+      vi.stubGlobal('fetch', fetch);
+      await record('a');
+      expect(await tracker.pollRunning()).toBe(0);
+      expect(fetch.mock.calls[0][1].headers.Authorization).toBe('OAuth session-a');
+      const [job] = await tracker.list();
+      expect(job.status).toBe(JOB_SUCCEEDED);
+    });
+
+    it('任务仍在运行时计入返回值', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(jobResponse(202, {})));
+      await record('a');
+      expect(await tracker.pollRunning()).toBe(1);
+      const [job] = await tracker.list();
+      expect(job.status).toBe(JOB_RUNNING);
+    });
+
+    it('任务失败时记录错误', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(jobResponse(503, { error: { code: 'SYS.1000', description: 'failed' } })));
+      await record('a');
+      await tracker.pollRunning();
+      const [job] = await tracker.list();
+      expect(job.status).toBe(JOB_FAILED);
+    });
+  });
+
+  describe('交出会话', () => {
+    const deleted = (fetch) => fetch.mock.calls
+      .filter(([, init]) => init.method === 'DELETE')
+      .map(([url]) => url);
+
+    it('没有运行中任务使用的会话立即删除', async () => {
+      const fetch = vi.fn().mockResolvedValue(jobResponse(200, {}));
+      vi.stubGlobal('fetch', fetch);
+      await record('a');
+      await tracker.releaseSessions('http://zstack.local:8080', ['session-x']);
+      expect(deleted(fetch)).toEqual(['http://zstack.local:8080/zstack/v1/accounts/sessions/session-x']);
+      expect(session.data[JobTracker.RELEASED_KEY]).toEqual([]);
+    });
+
+    it('仍被任务使用的会话在任务结束后删除', async () => {
+      const fetch = vi.fn().mockResolvedValue(jobResponse(200, {}));
+      vi.stubGlobal('fetch', fetch);
+      await record('a');
+      await record('b', { sessionId: 'session-a' });
+      await tracker.releaseSessions('http://zstack.local:8080', ['session-a']);
+      expect(deleted(fetch)).toEqual([]);
+
+      await tracker.succeed('a', {});
+      expect(deleted(fetch)).toEqual([]);
+      await tracker.fail('b', { message: 'boom' });
+      expect(deleted(fetch)).toEqual(['http://zstack.local:8080/zstack/v1/accounts/sessions/session-a']);
+      expect(session.data[JobTracker.RELEASED_KEY]).toEqual([]);
+    });
+
+    it('后台轮询得到结果后删除交出的会话', async () => {
+      const fetch = vi.fn().mockResolvedValue(jobResponse(200, { inventory: {} }));
+      vi.stubGlobal('fetch', fetch);
+      await record('a');
+      await tracker.releaseSessions('http://zstack.local:8080', ['session-a']);
+      expect(deleted(fetch)).toEqual([]);
+      expect(await tracker.pollRunning()).toBe(0);
+      expect(deleted(fetch)).toEqual(['http://zstack.local:8080/zstack/v1/accounts/sessions/session-a']);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+// LLM 对话循环单元测试：工具调用的确认与拒绝、变更计划
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { LLMEngine } from '../../lib/llm.js';
+
+const VM = 'a1b2c3d4e5f60718293a4b5c6d7e8f90';
+
+// OpenAI 格式的模型回复：带工具调用，或只有文本
+const toolReply = (...calls) => {
+  const toolCalls = calls.map(([name, args], i) => ({
+    id: `call_${i + 1}`, type: 'function', function: { name, arguments: JSON.stringify(args) }
+  }));
+  return { content: '', toolCalls, rawMessage: { role: 'assistant', content: null, tool_calls: toolCalls } };
+};
+const textReply = (content) => ({ content, toolCalls: null, rawMessage: { role: 'assistant', content } });
+
+const DESTROY = ['zstack_action', { resource_path: 'v1/vm-instances', uuid: VM, body: { systemTags: [], destroyVmInstance: {} } }];
+const QUERY = ['zstack_query', { resource_path: 'v1/vm-instances' }];
+const START = ['zstack_action', { resource_path: 'v1/vm-instances', uuid: VM, body: { startVmInstance: {} } }];
+
+describe('LLMEngine 对话循环', () => {
+  let llm;
+  let execute;
+
+  beforeEach(() => {
+    llm = new LLMEngine();
+    llm.configure({ provider: 'openai', model: 'gpt-4o', apiKey: 'k' });
+    execute = vi.spyOn(llm, '_executeTool').mockResolvedValue({ inventories: [] });
+  });
+
+  // 依次返回给定的模型回复
+  const replies = (...list) => vi.spyOn(llm, '_callWithFailover').mockImplementation(async () => list.shift());
+  const toolResults = () => Object.fromEntries(llm.messages.filter(m => m.role === 'tool').map(m => [m.tool_call_id, JSON.parse(m.content)]));
+
+  describe('高危操作确认', () => {
+    it('用户拒绝时返回结构化错误，不执行该调用', async () => {
+      replies(toolReply(QUERY, DESTROY), textReply('已取消'));
+      const confirms = [];
+      const answer = await llm.chat('删除 vm-1', (event) => {
+        if (event.type === 'confirm_required') {
+          confirms.push(event);
+          event.respond(false);
+        }
+      });
+
+      expect(answer).toBe('已取消');
+      expect(confirms).toHaveLength(1);
+      expect(confirms[0]).toMatchObject({ tool: 'zstack_action', level: 'destructive', action: 'destroyVmInstance' });
+      expect(confirms[0].detail).toContain('destroyVmInstance');
+      expect(execute).toHaveBeenCalledTimes(1);
+      expect(execute).toHaveBeenCalledWith('zstack_query', QUERY[1]);
+
+      const results = toolResults();
+      expect(results.call_1).toEqual({ inventories: [] });
+      expect(results.call_2).toMatchObject({ code: 'USER_DENIED', executed: false, tool: 'zstack_action', level: 'destructive' });
+    });
+
+    it('用户批准后执行', async () => {
+      replies(toolReply(DESTROY), textReply('已删除'));
+      await llm.chat('删除 vm-1', (event) => {
+        if (event.type === 'confirm_required') event.respond(true);
+      });
+      expect(execute).toHaveBeenCalledWith('zstack_action', DESTROY[1]);
+      expect(toolResults().call_1).toEqual({ inventories: [] });
+    });
+
+    it('没有界面可确认时拒绝高危操作', async () => {
+      replies(toolReply(DESTROY), textReply('无法执行'));
+      await llm.chat('删除 vm-1');
+      expect(execute).not.toHaveBeenCalled();
+      expect(toolResults().call_1).toMatchObject({ code: 'USER_DENIED', executed: false });
+    });
+
+    it('等待确认时点击停止，不执行并回滚本轮历史', async () => {
+      replies(toolReply(DESTROY));
+      const answer = await llm.chat('删除 vm-1', (event) => {
+        if (event.type === 'confirm_required') llm.abort();
+      });
+      expect(answer).toBe('已停止生成。');
+      expect(execute).not.toHaveBeenCalled();
+      expect(llm.messages).toEqual([]);
+    });
+  });
+
+  describe('只读环境', () => {
+    it('变更类调用直接拒绝，不询问用户', async () => {
+      llm.zstackClient = { readOnly: true, project: null, setJobContext: () => {} };
+      replies(toolReply(['zstack_action', { resource_path: 'v1/vm-instances', uuid: VM, body: { startVmInstance: {} } }]), textReply('只读'));
+      const onEvent = vi.fn();
+      await llm.chat('启动 vm-1', onEvent);
+      expect(onEvent.mock.calls.some(([e]) => e.type === 'confirm_required')).toBe(false);
+      expect(execute).not.toHaveBeenCalled();
+      expect(toolResults().call_1).toMatchObject({ code: 'READ_ONLY', executed: false });
+    });
+  });
+
+  describe('变更计划', () => {
+    beforeEach(() => {
+      llm.configure({ planMode: true });
+      llm.zstackClient = { endpoint: 'http://zstack-a:8080', project: null, readOnly: false, setJobContext: () => {} };
+    });
+
+    // 生成包含两个变更步骤的计划，查询照常执行
+    const makePlan = async () => {
+      replies(toolReply(QUERY, DESTROY, START), textReply('计划已生成'));
+      const onEvent = vi.fn();
+      await llm.chat('删除 vm-1 再启动', onEvent);
+      return onEvent.mock.calls.map(([e]) => e);
+    };
+    const steps = () => llm.plan.map(step => ({ ...step }));
+
+    it('变更类调用加入计划，不确认也不执行', async () => {
+      const events = await makePlan();
+      expect(events.some(e => e.type === 'confirm_required')).toBe(false);
+      expect(events.find(e => e.type === 'plan_updated').steps).toHaveLength(2);
+      expect(execute).toHaveBeenCalledTimes(1);
+      expect(execute).toHaveBeenCalledWith('zstack_query', QUERY[1]);
+      expect(llm.plan.map(s => s.tool)).toEqual(['zstack_action', 'zstack_action']);
+      expect(llm.plan[0]).toMatchObject({ level: 'destructive', prompt: '删除 vm-1 再启动' });
+      expect(toolResults().call_2).toMatchObject({ planned: true, executed: false, step: 1 });
+      expect(toolResults().call_3).toMatchObject({ planned: true, executed: false, step: 2 });
+    });
+
+    it('批准后按顺序执行编辑过的参数，结果随下一条消息告知模型', async () => {
+      await makePlan();
+      execute.mockClear();
+      const approved = steps();
+      approved[1].args = { ...START[1], uuid: 'f'.repeat(32) };
+      const onStep = vi.fn();
+      const results = await llm.executePlan(approved, onStep);
+
+      expect(execute.mock.calls).toEqual([['zstack_action', DESTROY[1]], ['zstack_action', approved[1].args]]);
+      expect(results.map(r => r.status)).toEqual(['done', 'done']);
+      expect(onStep.mock.calls.map(([e]) => `${e.index}:${e.status}`)).toEqual(['0:running', '0:done', '1:running', '1:done']);
+      expect(llm.plan).toEqual([]);
+      expect(llm.pendingContext.join('\n')).toContain('[变更计划执行结果]');
+    });
+
+    it('某一步失败后其余步骤跳过', async () => {
+      await makePlan();
+      execute.mockClear();
+      execute.mockResolvedValueOnce({ error: 'boom' });
+      const results = await llm.executePlan(steps());
+      expect(execute).toHaveBeenCalledTimes(1);
+      expect(results.map(r => r.status)).toEqual(['error', 'skipped']);
+    });
+
+    it('放弃计划时不执行任何步骤', async () => {
+      await makePlan();
+      execute.mockClear();
+      llm.discardPlan();
+      expect(llm.plan).toEqual([]);
+      expect(execute).not.toHaveBeenCalled();
+      expect(llm.pendingContext.join('\n')).toContain('用户已放弃 2 个待执行步骤');
+    });
+
+    it('切换环境或项目后计划作废，不执行', async () => {
+      await makePlan();
+      execute.mockClear();
+      const planned = steps();
+      llm.zstackClient.endpoint = 'http://zstack-b:8080';
+      await expect(llm.executePlan(planned)).rejects.toThrow('其他环境或项目');
+      llm.zstackClient.endpoint = 'http://zstack-a:8080';
+      llm.zstackClient.project = { uuid: 'p1', name: 'proj' };
+      await expect(llm.executePlan(planned)).rejects.toThrow('其他环境或项目');
+      expect(execute).not.toHaveBeenCalled();
+      expect(llm.plan).toEqual([]);
+    });
+
+    it('生成计划时点击停止，回滚本轮加入的步骤', async () => {
+      const list = [toolReply(START)];
+      vi.spyOn(llm, '_callWithFailover').mockImplementation(async () => {
+        if (list.length) return list.shift();
+        llm.abort();
+        return textReply('不会返回');
+      });
+      const answer = await llm.chat('启动 vm-1');
+      expect(answer).toBe('已停止生成。');
+      expect(llm.plan).toEqual([]);
+      expect(llm.messages).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+// LLM Retry 单元测试
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { LLMError, RetryPolicy } from '../../lib/llm-retry.js';
+
+const response = (status, body, headers = {}) => ({
+  status,
+  headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+  text: async () => body
+});
+
+describe('RetryPolicy', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('isRetryable', () => {
+    it('按状态码判断 HTTP 错误', () => {
+      for (const status of [408, 409, 429, 500, 502, 503, 504, 529]) {
+        expect(RetryPolicy.isRetryable(new LLMError('x', { status }))).toBe(true);
+      }
+      for (const status of [400, 401, 403, 404, 422]) {
+        expect(RetryPolicy.isRetryable(new LLMError('x', { status }))).toBe(false);
+      }
+    });
+
+    it('显式的 retryable 优先于状态码', () => {
+      expect(RetryPolicy.isRetryable(new LLMError('x', { status: 400, retryable: true }))).toBe(true);
+      expect(RetryPolicy.isRetryable(new LLMError('x', { status: 503, retryable: false }))).toBe(false);
+    });
+
+    it('Retry-After 过长时不重试，交给备用模型', () => {
+      expect(RetryPolicy.isRetryable(new LLMError('x', { status: 429, retryAfterMs: RetryPolicy.MAX_RETRY_AFTER_MS + 1 }))).toBe(false);
+      expect(RetryPolicy.isRetryable(new LLMError('x', { status: 429, retryAfterMs: RetryPolicy.MAX_RETRY_AFTER_MS }))).toBe(true);
+    });
+
+    it('网络错误重试，停止生成和其它异常不重试', () => {
+      expect(RetryPolicy.isRetryable(new TypeError('Failed to fetch'))).toBe(true);
+      expect(RetryPolicy.isRetryable(new Error('read ECONNRESET'))).toBe(true);
+      expect(RetryPolicy.isRetryable(new TypeError('terminated'))).toBe(true);
+      expect(RetryPolicy.isRetryable(new DOMException('已停止生成', 'AbortError'))).toBe(false);
+      expect(RetryPolicy.isRetryable(new SyntaxError('Unexpected token < in JSON'))).toBe(false);
+      expect(RetryPolicy.isRetryable(null)).toBe(false);
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('解析秒数和毫秒数', () => {
+      expect(RetryPolicy.parseRetryAfter('5')).toBe(5000);
+      expect(RetryPolicy.parseRetryAfter('1.5')).toBe(1500);
+      expect(RetryPolicy.parseRetryAfter('250', true)).toBe(250);
+      expect(RetryPolicy.parseRetryAfter('-3')).toBe(0);
+    });
+
+    it('解析 HTTP 日期，过去的时间为 0', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+      expect(RetryPolicy.parseRetryAfter('Thu, 01 Jan 2026 00:00:30 GMT')).toBe(30000);
+      expect(RetryPolicy.parseRetryAfter('Wed, 31 Dec 2025 23:59:00 GMT')).toBe(0);
+    });
+
+    it('空值和无法解析的值返回 null', () => {
+      expect(RetryPolicy.parseRetryAfter(null)).toBeNull();
+      expect(RetryPolicy.parseRetryAfter(undefined)).toBeNull();
+      expect(RetryPolicy.parseRetryAfter('')).toBeNull();
+      expect(RetryPolicy.parseRetryAfter('soon')).toBeNull();
+    });
+  });
+
+  describe('delayFor', () => {
+    it('有 Retry-After 时遵循它', () => {
+      expect(RetryPolicy.delayFor(3, { retryAfterMs: 0 })).toBe(0);
+      expect(RetryPolicy.delayFor(1, { retryAfterMs: 7000 })).toBe(7000);
+    });
+
+    it('否则指数退避并带抖动，不超过上限', () => {
+      const random = vi.spyOn(Math, 'random');
+      random.mockReturnValue(0);
+      expect(RetryPolicy.delayFor(1)).toBe(500);
+      expect(RetryPolicy.delayFor(3)).toBe(2000);
+      random.mockReturnValue(0.999999);
+      expect(RetryPolicy.delayFor(3)).toBe(4000);
+      expect(RetryPolicy.delayFor(20)).toBe(RetryPolicy.MAX_DELAY_MS);
+      random.mockRestore();
+    });
+  });
+
+  describe('run', () => {
+    it('可重试的错误按策略重试，成功后返回结果', async () => {
+      const fn = vi.fn()
+        .mockRejectedValueOnce(new LLMError('busy', { status: 529, retryAfterMs: 0 }))
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+        .mockResolvedValueOnce('ok');
+      const onRetry = vi.fn();
+      vi.spyOn(RetryPolicy, 'delayFor').mockReturnValue(0);
+      await expect(RetryPolicy.run(fn, { onRetry })).resolves.toBe('ok');
+      expect(fn.mock.calls.map(c => c[0])).toEqual([0, 1, 2]);
+      expect(onRetry.mock.calls.map(c => c[0].attempt)).toEqual([1, 2]);
+      vi.restoreAllMocks();
+    });
+
+    it('不可重试的错误直接抛出', async () => {
+      const error = new LLMError('bad request', { status: 400 });
+      const fn = vi.fn().mockRejectedValue(error);
+      await expect(RetryPolicy.run(fn)).rejects.toBe(error);
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it('超过最大重试次数后抛出最后一次错误', async () => {
+      const fn = vi.fn().mockRejectedValue(new LLMError('busy', { status: 503, retryAfterMs: 0 }));
+      await expect(RetryPolicy.run(fn, { maxRetries: 2 })).rejects.toThrow('busy');
+      expect(fn).toHaveBeenCalledTimes(3);
+    });
+
+    it('等待期间点击停止时以 AbortError 结束', async () => {
+      const controller = new AbortController();
+      const fn = vi.fn().mockRejectedValue(new LLMError('busy', { status: 503, retryAfterMs: 60000 }));
+      const run = RetryPolicy.run(fn, { signal: controller.signal });
+      setTimeout(() => controller.abort(), 0);
+      await expect(run).rejects.toMatchObject({ name: 'AbortError' });
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+  });
+});
+
+describe('LLMError', () => {
+  it('从 OpenAI/Anthropic 格式的错误响应中取出消息、类型和 Retry-After', async () => {
+    const error = await LLMError.fromResponse(response(429,
+      JSON.stringify({ error: { message: 'Rate limit reached', type: 'rate_limit_error' } }),
+      { 'retry-after': '2' }));
+    expect(error).toMatchObject({ name: 'LLMError', message: 'Rate limit reached', status: 429, type: 'rate_limit_error', retryAfterMs: 2000 });
+  });
+
+  it('retry-after-ms 优先于 retry-after，错误码作为类型', async () => {
+    const error = await LLMError.fromResponse(response(503,
+      JSON.stringify({ error: { message: 'busy', code: 'server_error' } }),
+      { 'retry-after-ms': '150', 'retry-after': '9' }));
+    expect(error.retryAfterMs).toBe(150);
+    expect(error.type).toBe('server_error');
+  });
+
+  it('非 JSON 和字符串形式的错误', async () => {
+    expect((await LLMError.fromResponse(response(502, '<html>Bad Gateway</html>'))).message).toBe('<html>Bad Gateway</html>');
+    expect((await LLMError.fromResponse(response(400, '{"error": "invalid model"}'))).message).toBe('invalid model');
+    expect((await LLMError.fromResponse(response(500, ''))).message).toBe('HTTP 500');
+  });
+
+  it('流式错误事件按类型判断是否可重试', () => {
+    expect(LLMError.fromStreamError({ type: 'overloaded_error', message: 'Overloaded' }).retryable).toBe(true);
+    const error = LLMError.fromStreamError({ type: 'invalid_request_error' }, 'Anthropic stream error');
+    expect(error.retryable).toBe(false);
+    expect(error.message).toBe('Anthropic stream error');
+  });
+});
@@ -0,0 +1,416 @@
+// LLM 流式响应解析单元测试
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { LLMEngine } from '../../lib/llm.js';
+
+// 按给定分片返回 SSE 响应体；分片边界可以落在一行中间
+const sse = (chunks) => {
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    start(controller) {
+      for (const chunk of chunks) controller.enqueue(encoder.encode(chunk));
+      controller.close();
+    }
+  });
+};
+
+// 读完给定分片后连接断开
+const broken = (chunk) => {
+  const encoder = new TextEncoder();
+  let sent = false;
+  return new ReadableStream({
+    pull(controller) {
+      if (sent) return controller.error(new TypeError('terminated'));
+      controller.enqueue(encoder.encode(chunk));
+      sent = true;
+    }
+  });
+};
+
+const events = (list) => list.map(e => `data: ${JSON.stringify(e)}\n\n`).join('');
+
+const streamResponse = (chunks) => ({ ok: true, status: 200, body: sse(chunks) });
+
+const engine = (provider, model) => {
+  const llm = new LLMEngine();
+  llm.configure({ provider, model, apiKey: 'k' });
+  return llm;
+};
+
+describe('LLMEngine 流式解析', () => {
+  let emitted;
+  const emit = (type, data) => emitted.push([type, data]);
+  const texts = (type) => emitted.filter(([t]) => t === type).map(([, d]) => d.text).join('');
+
+  beforeEach(() => {
+    emitted = [];
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('OpenAI Responses API', () => {
+    it('拼接文本和思考摘要，上报真实用量', async () => {
+      const body = events([
+        { type: 'response.reasoning_summary_text.delta', delta: '先查主机' },
+        { type: 'response.output_text.delta', delta: '共 ' },
+        { type: 'response.output_text.delta', delta: '3 台主机' },
+        { type: 'response.completed', response: { usage: { input_tokens: 100, output_tokens: 20, input_tokens_details: { cached_tokens: 40 } } } }
+      ]);
+      const fetch = vi.fn().mockResolvedValue(streamResponse([body.slice(0, 37), body.slice(37)]));
+      vi.stubGlobal('fetch', fetch);
+
+      const result = await engine('openai-responses', 'gpt-5')._callResponsesStream(emit);
+      expect(fetch.mock.calls[0][0]).toBe('https://api.openai.com/v1/responses');
+      expect(result).toEqual({ content: '共 3 台主机', toolCalls: null, rawMessage: { role: 'assistant', content: '共 3 台主机' } });
+      expect(texts('thinking_delta')).toBe('先查主机');
+      expect(texts('text_delta')).toBe('共 3 台主机');
+      expect(emitted.find(([t]) => t === 'usage')[1]).toMatchObject({
+        prompt_tokens: 100, completion_tokens: 20, total_tokens: 120, cached_tokens: 40, estimated: false, model: 'gpt-5'
+      });
+    });
+
+    it('按 item_id 归并并行工具调用的参数分片，以 done 事件的完整参数为准', async () => {
+      const item = (id, callId, name, args = '') => ({ type: 'function_call', id, call_id: callId, name, arguments: args });
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(streamResponse([events([
+        { type: 'response.output_item.added', item: item('fc_1', 'call_1', 'zstack_query') },
+        { type: 'response.output_item.added', item: item('fc_2', 'call_2', 'list_workflows') },
+        { type: 'response.function_call_arguments.delta', item_id: 'fc_1', delta: '{"resource_path":' },
+        { type: 'response.function_call_arguments.delta', item_id: 'fc_2', delta: '{}' },
+        { type: 'response.function_call_arguments.delta', item_id: 'fc_1', delta: '"hos' },
+        { type: 'response.output_item.done', item: item('fc_1', 'call_1', 'zstack_query', '{"resource_path":"hosts"}') },
+        { type: 'response.function_call_arguments.delta', item_id: 'unknown', delta: 'x' }
+      ])])));
+
+      const result = await engine('openai-responses', 'gpt-5')._callResponsesStream(emit);
+      expect(result.toolCalls).toEqual([
+        { id: 'call_1', type: 'function', function: { name: 'zstack_query', arguments: '{"resource_path":"hosts"}' } },
+        { id: 'call_2', type: 'function', function: { name: 'list_workflows', arguments: '{}' } }
+      ]);
+      expect(result.rawMessage).toEqual({ role: 'assistant', content: null, tool_calls: result.toolCalls });
+    });
+
+    it('没有用量时按字符数估算', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(streamResponse([events([
+        { type: 'response.output_text.delta', delta: 'ok' }
+      ]) + 'data: [DONE]\n\n'])));
+      await engine('openai-responses', 'gpt-5')._callResponsesStream(emit);
+      expect(emitted.find(([t]) => t === 'usage')[1]).toMatchObject({ estimated: true, model: 'gpt-5' });
+    });
+
+    it('response.failed 和 error 事件抛出 LLMError', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(streamResponse([events([
+        { type: 'response.failed', response: { error: { code: 'server_error', message: 'boom' } } }
+      ])])));
+      await expect(engine('openai-responses', 'gpt-5')._callResponsesStream(emit))
+        .rejects.toMatchObject({ name: 'LLMError', message: 'boom' });
+
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(streamResponse([events([
+        { type: 'error', error: { type: 'invalid_request_error', message: 'bad input' } }
+      ])])));
+      await expect(engine('openai-responses', 'gpt-5')._callResponsesStream(emit))
+        .rejects.toMatchObject({ message: 'bad input', retryable: false });
+    });
+
+    it('中途断开时保留已输出的文本', async () => {
+      const body = broken(events([{ type: 'response.output_text.delta', delta: '部分回复' }]));
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: true, status: 200, body }));
+      const result = await engine('openai-responses', 'gpt-5')._callResponsesStream(emit);
+      expect(result.content).toBe('部分回复');
+    });
+  });
+
+  describe('本地推理服务', () => {
+    const chunk = (delta) => ({ choices: [{ delta }] });
+
+    it('llama.cpp 不带 index 和 id 的工具调用分片：新工具名开始新调用，补上 id', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(streamResponse([events([
+        chunk({ tool_calls: [{ function: { name: 'zstack_query', arguments: '' } }] }),
+        chunk({ tool_calls: [{ function: { arguments: '{"resource_path":' } }] }),
+        chunk({ tool_calls: [{ function: { arguments: '"hosts"}' } }] }),
+        chunk({ tool_calls: [{ function: { name: 'list_workflows' } }] })
+      ]) + 'data: [DONE]\n\n'])));
+
+      const result = await engine('llamacpp', 'default')._callProvider(emit);
+      expect(result.toolCalls.map(tc => tc.function)).toEqual([
+        { name: 'zstack_query', arguments: '{"resource_path":"hosts"}' },
+        { name: 'list_workflows', arguments: '{}' }
+      ]);
+      expect(result.toolCalls[0].id).toMatch(/^call_/);
+      expect(result.toolCalls[1].id).not.toBe(result.toolCalls[0].id);
+      expect(result.rawMessage.tool_calls).toEqual(result.toolCalls);
+    });
+
+    it('不带 index 的分片按 id 归并，对象形式的参数序列化', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(streamResponse([events([
+        chunk({ tool_calls: [{ id: 'a', function: { name: 'zstack_query', arguments: '{"resource_path":' } }] }),
+        chunk({ tool_calls: [{ id: 'b', function: { name: 'zstack_get', arguments: { resource_path: 'zones' } } }] }),
+        chunk({ tool_calls: [{ id: 'a', function: { arguments: '"hosts"}' } }] })
+      ])])));
+
+      const result = await engine('vllm', 'qwen3')._callProvider(emit);
+      expect(result.toolCalls).toEqual([
+        { id: 'a', type: 'function', function: { name: 'zstack_query', arguments: '{"resource_path":"hosts"}' } },
+        { id: 'b', type: 'function', function: { name: 'zstack_get', arguments: '{"resource_path":"zones"}' } }
+      ]);
+    });
+
+    it('正文中的 <tool_call> 转为标准工具调用', async () => {
+      const fetch = vi.fn().mockResolvedValue(streamResponse([events([
+        chunk({ content: '我来查询。\n<tool_call>{"name": "zstack_query", ' }),
+        chunk({ content: '"arguments": {"resource_path": "hosts"}}</tool_call>' })
+      ])]));
+      vi.stubGlobal('fetch', fetch);
+
+      const result = await engine('ollama', 'qwen2.5:7b')._callProvider(emit);
+      expect(fetch.mock.calls[0][0]).toBe('http://localhost:11434/v1/chat/completions');
+      expect(result.content).toBe('我来查询。');
+      expect(result.toolCalls).toHaveLength(1);
+      expect(result.toolCalls[0].function).toEqual({ name: 'zstack_query', arguments: '{"resource_path":"hosts"}' });
+      expect(result.rawMessage).toEqual({ role: 'assistant', content: '我来查询。', tool_calls: result.toolCalls });
+    });
+
+    it('云端服务不解析正文中的工具调用', async () => {
+      const content = '<tool_call>{"name": "zstack_query", "arguments": {"resource_path": "hosts"}}</tool_call>';
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(streamResponse([events([chunk({ content })])])));
+      const result = await engine('deepseek', 'deepseek-chat')._callProvider(emit);
+      expect(result).toMatchObject({ content, toolCalls: null });
+    });
+
+    describe('listModels', () => {
+      const json = (data, ok = true) => ({ ok, status: ok ? 200 : 404, headers: { get: () => null }, json: async () => data, text: async () => JSON.stringify(data) });
+
+      it('读取 OpenAI 格式的模型列表，未填写 API Key 时不带 Authorization', async () => {
+        const fetch = vi.fn().mockResolvedValue(json({ data: [{ id: 'qwen3:8b' }, { id: 'llama3.1:8b' }] }));
+        vi.stubGlobal('fetch', fetch);
+        expect(await LLMEngine.listModels({ provider: 'ollama' })).toEqual(['llama3.1:8b', 'qwen3:8b']);
+        expect(fetch.mock.calls[0][0]).toBe('http://localhost:11434/v1/models');
+        expect(fetch.mock.calls[0][1].headers).not.toHaveProperty('Authorization');
+      });
+
+      it('兼容 { models: [{ name }] } 格式和自定义地址', async () => {
+        const fetch = vi.fn().mockResolvedValue(json({ models: [{ name: 'b' }, { model: 'a' }, {}] }));
+        vi.stubGlobal('fetch', fetch);
+        expect(await LLMEngine.listModels({ provider: 'vllm', baseUrl: 'http://gpu:9000/v1/', apiKey: 'k' })).toEqual(['a', 'b']);
+        expect(fetch.mock.calls[0][0]).toBe('http://gpu:9000/v1/models');
+        expect(fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer k');
+      });
+
+      it('请求失败时抛出 LLMError', async () => {
+        vi.stubGlobal('fetch', vi.fn().mockResolvedValue(json({ error: { message: 'not found' } }, false)));
+        await expect(LLMEngine.listModels({ provider: 'llamacpp' })).rejects.toMatchObject({ name: 'LLMError', status: 404, message: 'not found' });
+      });
+    });
+  });
+
+  describe('Gemini', () => {
+    const chunk = (parts, extra = {}) => ({ candidates: [{ content: { role: 'model', parts }, ...extra }] });
+
+    it('区分思考和正文，usageMetadata 以最后一个为准', async () => {
+      const fetch = vi.fn().mockResolvedValue(streamResponse([events([
+        chunk([{ text: '先查主机', thought: true }]),
+        { ...chunk([{ text: '共 3 ' }]), usageMetadata: { promptTokenCount: 50, candidatesTokenCount: 1 } },
+        { ...chunk([{ text: '台主机' }], { finishReason: 'STOP' }), usageMetadata: { promptTokenCount: 50, candidatesTokenCount: 6, thoughtsTokenCount: 10 } }
+      ])]));
+      vi.stubGlobal('fetch', fetch);
+
+      const result = await engine('gemini', 'gemini-2.5-flash')._callGeminiStream(emit);
+      expect(fetch.mock.calls[0][0]).toBe('https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse');
+      expect(fetch.mock.calls[0][1].headers['x-goog-api-key']).toBe('k');
+      expect(result).toEqual({ content: '共 3 台主机', toolCalls: null, rawMessage: { role: 'assistant', content: '共 3 台主机' } });
+      expect(texts('thinking_delta')).toBe('先查主机');
+      expect(emitted.find(([t]) => t === 'usage')[1]).toMatchObject({ prompt_tokens: 50, completion_tokens: 16, estimated: false });
+    });
+
+    it('函数调用补上 id 并保留 thought signature', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(streamResponse([events([
+        chunk([
+          { functionCall: { name: 'zstack_query', args: { resource_path: 'hosts' } }, thoughtSignature: 'sig' },
+          { functionCall: { id: 'g2', name: 'list_workflows' } }
+        ], { finishReason: 'STOP' })
+      ])])));
+
+      const { content, toolCalls, rawMessage } = await engine('gemini', 'gemini-2.5-flash')._callGeminiStream(emit);
+      expect(content).toBe('');
+      expect(toolCalls[0]).toMatchObject({
+        type: 'function',
+        function: { name: 'zstack_query', arguments: '{"resource_path":"hosts"}' },
+        extra_content: { google: { thought_signature: 'sig' } }
+      });
+      expect(toolCalls[0].id).toMatch(/^call_/);
+      expect(toolCalls[1]).toEqual({ id: 'g2', type: 'function', function: { name: 'list_workflows', arguments: '{}' } });
+      expect(rawMessage).toEqual({ role: 'assistant', content: null, tool_calls: toolCalls });
+    });
+
+    it('没有输出且 finishReason 异常时抛出错误，函数调用格式错误可重试', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(streamResponse([events([
+        chunk([], { finishReason: 'MALFORMED_FUNCTION_CALL' })
+      ])])));
+      await expect(engine('gemini', 'gemini-2.5-flash')._callGeminiStream(emit))
+        .rejects.toMatchObject({ name: 'LLMError', type: 'MALFORMED_FUNCTION_CALL', retryable: true });
+
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(streamResponse([events([
+        { promptFeedback: { blockReason: 'SAFETY' } }
+      ])])));
+      await expect(engine('gemini', 'gemini-2.5-flash')._callGeminiStream(emit))
+        .rejects.toMatchObject({ type: 'SAFETY', retryable: false });
+    });
+
+    it('MAX_TOKENS 截断时返回已有内容', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(streamResponse([events([
+        chunk([{ text: '部分' }], { finishReason: 'MAX_TOKENS' })
+      ])])));
+      expect((await engine('gemini', 'gemini-2.5-flash')._callGeminiStream(emit)).content).toBe('部分');
+    });
+
+    it('流中的 error 抛出 LLMError', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(streamResponse([events([
+        { error: { code: 503, status: 'UNAVAILABLE', message: 'The model is overloaded.' } }
+      ])])));
+      await expect(engine('gemini', 'gemini-2.5-flash')._callGeminiStream(emit))
+        .rejects.toMatchObject({ name: 'LLMError', message: 'The model is overloaded.' });
+    });
+
+    it('请求体带工具声明，历史按 Gemini 格式转换', () => {
+      const llm = engine('gemini', 'gemini-2.5-flash');
+      llm.messages = [
+        { role: 'user', content: '查主机' },
+        { role: 'assistant', content: null, tool_calls: [{ id: 'c1', type: 'function', function: { name: 'zstack_query', arguments: '{"resource_path":"hosts"}' } }] },
+        { role: 'tool', tool_call_id: 'c1', content: '{"inventories":[]}' }
+      ];
+      const body = llm._buildGeminiBody();
+      expect(body.contents.map(c => c.role)).toEqual(['user', 'model', 'user']);
+      expect(body.contents[2].parts[0].functionResponse.name).toBe('zstack_query');
+      expect(body.tools[0].functionDeclarations.map(f => f.name)).toContain('zstack_query');
+      expect(body.toolConfig).toEqual({ functionCallingConfig: { mode: 'AUTO' } });
+    });
+  });
+
+  describe('Anthropic', () => {
+    const block = (index, content_block) => ({ type: 'content_block_start', index, content_block });
+    const delta = (index, d) => ({ type: 'content_block_delta', index, delta: d });
+    const stop = (index) => ({ type: 'content_block_stop', index });
+
+    it('思考块连同签名保存，工具参数分片拼接，用量合并 message_start 和 message_delta', async () => {
+      const fetch = vi.fn().mockResolvedValue(streamResponse([events([
+        { type: 'message_start', message: { usage: { input_tokens: 10, cache_read_input_tokens: 90, output_tokens: 1 } } },
+        block(0, { type: 'thinking', thinking: '' }),
+        delta(0, { type: 'thinking_delta', thinking: '需要查' }),
+        delta(0, { type: 'thinking_delta', thinking: '主机' }),
+        delta(0, { type: 'signature_delta', signature: 'EqQB' }),
+        stop(0),
+        block(1, { type: 'text', text: '' }),
+        delta(1, { type: 'text_delta', text: '我来查询。' }),
+        stop(1),
+        block(2, { type: 'tool_use', id: 'toolu_1', name: 'zstack_query', input: {} }),
+        delta(2, { type: 'input_json_delta', partial_json: '{"resource_path"' }),
+        delta(2, { type: 'input_json_delta', partial_json: ': "hosts"}' }),
+        stop(2),
+        { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 42 } },
+        { type: 'message_stop' }
+      ]).replace(/data: \{"type":"(\w+)"/g, 'event: $1\ndata: {"type":"$1"')]));
+      vi.stubGlobal('fetch', fetch);
+
+      const result = await engine('anthropic', 'claude-sonnet-4')._callAnthropicStream(emit);
+      expect(fetch.mock.calls[0][0]).toBe('https://api.anthropic.com/v1/messages');
+      expect(result.content).toBe('我来查询。');
+      expect(result.toolCalls).toEqual([{ id: 'toolu_1', name: 'zstack_query', input: { resource_path: 'hosts' } }]);
+      expect(result.rawContent).toEqual([
+        { type: 'thinking', thinking: '需要查主机', signature: 'EqQB' },
+        { type: 'text', text: '我来查询。' },
+        { type: 'tool_use', id: 'toolu_1', name: 'zstack_query', input: { resource_path: 'hosts' } }
+      ]);
+      expect(texts('thinking_delta')).toBe('需要查主机');
+      expect(emitted.find(([t]) => t === 'usage')[1]).toMatchObject({
+        prompt_tokens: 100, completion_tokens: 42, cached_tokens: 90, estimated: false
+      });
+    });
+
+    it('redacted_thinking 原样保存，无法解析的工具参数为空对象', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(streamResponse([events([
+        block(0, { type: 'redacted_thinking', data: 'opaque' }),
+        stop(0),
+        block(1, { type: 'tool_use', id: 'toolu_2', name: 'zstack_get', input: {} }),
+        delta(1, { type: 'input_json_delta', partial_json: '{"resource_' }),
+        stop(1)
+      ])])));
+
+      const result = await engine('anthropic', 'claude-sonnet-4')._callAnthropicStream(emit);
+      expect(result.rawContent).toEqual([
+        { type: 'redacted_thinking', data: 'opaque' },
+        { type: 'tool_use', id: 'toolu_2', name: 'zstack_get', input: {} }
+      ]);
+    });
+
+    it('error 事件抛出 LLMError，过载可重试', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(streamResponse([events([
+        { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }
+      ])])));
+      await expect(engine('anthropic', 'claude-sonnet-4')._callAnthropicStream(emit))
+        .rejects.toMatchObject({ name: 'LLMError', message: 'Overloaded', retryable: true });
+    });
+
+    describe('扩展思考', () => {
+      const thinking = { type: 'thinking', thinking: '…', signature: 's' };
+      const toolUse = { type: 'tool_use', id: 't1', name: 'zstack_query', input: { resource_path: 'hosts' } };
+      const toolResult = { role: 'user', content: [{ type: 'tool_result', tool_use_id: 't1', content: '{}' }] };
+
+      it('_withoutThinking 去掉思考块，只有思考块的 assistant 消息整条去掉', () => {
+        expect(LLMEngine._withoutThinking([
+          { role: 'user', content: 'a' },
+          { role: 'assistant', content: [thinking, { type: 'redacted_thinking', data: 'x' }] },
+          { role: 'user', content: 'b' },
+          { role: 'assistant', content: [thinking, { type: 'text', text: '答' }] },
+          { role: 'assistant', content: '纯文本' }
+        ])).toEqual([
+          { role: 'user', content: 'a' },
+          { role: 'user', content: 'b' },
+          { role: 'assistant', content: [{ type: 'text', text: '答' }] },
+          { role: 'assistant', content: '纯文本' }
+        ]);
+      });
+
+      it('未开启思考时请求体不带思考块，也没有空的 assistant 消息', () => {
+        const llm = engine('anthropic', 'claude-sonnet-4');
+        llm.messages = [
+          { role: 'user', content: '查主机' },
+          { role: 'assistant', content: [thinking] },
+          { role: 'user', content: '继续' }
+        ];
+        const body = llm._buildAnthropicBody();
+        expect(body).not.toHaveProperty('thinking');
+        expect(body.messages).toEqual([{ role: 'user', content: '查主机' }, { role: 'user', content: '继续' }]);
+      });
+
+      it('开启后按预算设置，预算不低于下限且小于 max_tokens', () => {
+        const llm = engine('anthropic', 'claude-sonnet-4');
+        llm.configure({ thinkingBudget: 100 });
+        llm.messages = [{ role: 'user', content: '查主机' }];
+        expect(llm._buildAnthropicBody().thinking).toEqual({ type: 'enabled', budget_tokens: LLMEngine.MIN_THINKING_BUDGET });
+        llm.configure({ thinkingBudget: 1000000 });
+        const body = llm._buildAnthropicBody();
+        expect(body.thinking.budget_tokens).toBe(body.max_tokens - 1);
+      });
+
+      it('不支持思考的模型不开启', () => {
+        const llm = engine('anthropic', 'claude-3-5-sonnet');
+        llm.configure({ thinkingBudget: 4096 });
+        llm.messages = [{ role: 'user', content: '查主机' }];
+        expect(llm._buildAnthropicBody()).not.toHaveProperty('thinking');
+      });
+
+      it('工具调用中途：上一条回复以思考块开头时保留思考，否则本次不开启', () => {
+        const llm = engine('anthropic', 'claude-sonnet-4');
+        llm.configure({ thinkingBudget: 4096 });
+        llm.messages = [{ role: 'user', content: '查主机' }, { role: 'assistant', content: [thinking, toolUse] }, toolResult];
+        const withThinking = llm._buildAnthropicBody();
+        expect(withThinking.thinking).toEqual({ type: 'enabled', budget_tokens: 4096 });
+        expect(withThinking.messages[1].content[0]).toEqual(thinking);
+
+        // 本轮前半段来自不带思考的备用模型
+        llm.messages = [{ role: 'user', content: '查主机' }, { role: 'assistant', content: [toolUse] }, toolResult];
+        expect(llm._buildAnthropicBody()).not.toHaveProperty('thinking');
+      });
+    });
+  });
+});
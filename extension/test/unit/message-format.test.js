@@ -0,0 +1,167 @@
+// Message Format 单元测试
+import { describe, it, expect } from 'vitest';
+import { MessageFormat } from '../../lib/message-format.js';
+
+// 同一段对话的 OpenAI 格式：两个并行工具调用及结果
+const OPENAI = [
+  { role: 'user', content: '查一下主机和云主机' },
+  { role: 'assistant', content: '好的', tool_calls: [
+    { id: 'call_1', type: 'function', function: { name: 'zstack_query', arguments: '{"resource_path":"hosts"}' } },
+    { id: 'call_2', type: 'function', function: { name: 'zstack_query', arguments: '{"resource_path":"vm-instances","limit":5}' } }
+  ] },
+  { role: 'tool', tool_call_id: 'call_1', content: '{"inventories":[{"uuid":"h1"}]}' },
+  { role: 'tool', tool_call_id: 'call_2', content: '{"inventories":[]}' },
+  { role: 'assistant', content: '共 1 台主机，没有云主机。' }
+];
+
+// 同一段对话的 Anthropic 格式
+const ANTHROPIC = [
+  { role: 'user', content: '查一下主机和云主机' },
+  { role: 'assistant', content: [
+    { type: 'text', text: '好的' },
+    { type: 'tool_use', id: 'call_1', name: 'zstack_query', input: { resource_path: 'hosts' } },
+    { type: 'tool_use', id: 'call_2', name: 'zstack_query', input: { resource_path: 'vm-instances', limit: 5 } }
+  ] },
+  { role: 'user', content: [
+    { type: 'tool_result', tool_use_id: 'call_1', content: '{"inventories":[{"uuid":"h1"}]}' },
+    { type: 'tool_result', tool_use_id: 'call_2', content: '{"inventories":[]}' }
+  ] },
+  { role: 'assistant', content: '共 1 台主机，没有云主机。' }
+];
+
+describe('MessageFormat', () => {
+  describe('往返转换', () => {
+    it('OpenAI → Anthropic → OpenAI 保持不变', () => {
+      const anthropic = MessageFormat.toAnthropic(OPENAI);
+      expect(anthropic).toEqual(ANTHROPIC);
+      expect(MessageFormat.toOpenAI(anthropic)).toEqual(OPENAI);
+    });
+
+    it('Anthropic → OpenAI → Anthropic 保持不变', () => {
+      const openai = MessageFormat.toOpenAI(ANTHROPIC);
+      expect(openai).toEqual(OPENAI);
+      expect(MessageFormat.toAnthropic(openai)).toEqual(ANTHROPIC);
+    });
+
+    it('已是目标格式的消息原样返回', () => {
+      expect(MessageFormat.toOpenAI(OPENAI)).toEqual(OPENAI);
+      expect(MessageFormat.toAnthropic(ANTHROPIC)).toEqual(ANTHROPIC);
+    });
+
+    it('混合格式的历史（故障转移后）转换后工具调用与结果成对', () => {
+      const mixed = [...OPENAI, ...ANTHROPIC];
+      const openai = MessageFormat.toOpenAI(mixed);
+      const callIds = openai.flatMap(m => (m.tool_calls || []).map(tc => tc.id));
+      const resultIds = openai.filter(m => m.role === 'tool').map(m => m.tool_call_id);
+      expect(resultIds).toEqual(callIds);
+    });
+  });
+
+  describe('toOpenAI', () => {
+    it('只有工具调用的 assistant 消息 content 为 null', () => {
+      const [m] = MessageFormat.toOpenAI([{ role: 'assistant', content: [{ type: 'tool_use', id: 't', name: 'list_workflows', input: {} }] }]);
+      expect(m).toEqual({ role: 'assistant', content: null, tool_calls: [
+        { id: 't', type: 'function', function: { name: 'list_workflows', arguments: '{}' } }
+      ] });
+    });
+
+    it('丢弃思考块，结构化的 tool_result 内容取文本', () => {
+      const out = MessageFormat.toOpenAI([
+        { role: 'assistant', content: [{ type: 'thinking', thinking: '…', signature: 's' }, { type: 'text', text: '答' }] },
+        { role: 'user', content: [
+          { type: 'tool_result', tool_use_id: 't', content: [{ type: 'text', text: 'a' }, { type: 'image' }, { type: 'text', text: 'b' }] },
+          { type: 'text', text: '继续' }
+        ] }
+      ]);
+      expect(out).toEqual([
+        { role: 'assistant', content: '答' },
+        { role: 'tool', tool_call_id: 't', content: 'ab' },
+        { role: 'user', content: '继续' }
+      ]);
+    });
+
+    it('去掉 Gemini 的 thought signature', () => {
+      const [m] = MessageFormat.toOpenAI([{ role: 'assistant', content: null, tool_calls: [
+        { id: 'g', type: 'function', function: { name: 'x', arguments: '{}' }, extra_content: { google: { thought_signature: 'sig' } } }
+      ] }]);
+      expect(m.tool_calls[0]).not.toHaveProperty('extra_content');
+    });
+  });
+
+  describe('toAnthropic', () => {
+    it('去掉空的 assistant 消息', () => {
+      expect(MessageFormat.toAnthropic([
+        { role: 'user', content: 'a' },
+        { role: 'assistant', content: '' },
+        { role: 'assistant', content: null },
+        { role: 'assistant', content: [] },
+        { role: 'user', content: 'b' }
+      ])).toEqual([{ role: 'user', content: 'a' }, { role: 'user', content: 'b' }]);
+    });
+
+    it('无法解析的工具参数转为空对象，非字符串的工具结果序列化', () => {
+      const out = MessageFormat.toAnthropic([
+        { role: 'assistant', content: null, tool_calls: [{ id: 't', function: { name: 'x', arguments: '{broken' } }] },
+        { role: 'tool', tool_call_id: 't', content: { ok: true } }
+      ]);
+      expect(out[0].content).toEqual([{ type: 'tool_use', id: 't', name: 'x', input: {} }]);
+      expect(out[1].content).toEqual([{ type: 'tool_result', tool_use_id: 't', content: '{"ok":true}' }]);
+    });
+  });
+
+  describe('toResponses', () => {
+    it('工具调用和结果转为独立的 function_call / function_call_output 项', () => {
+      expect(MessageFormat.toResponses(ANTHROPIC)).toEqual([
+        { role: 'user', content: '查一下主机和云主机' },
+        { role: 'assistant', content: '好的' },
+        { type: 'function_call', call_id: 'call_1', name: 'zstack_query', arguments: '{"resource_path":"hosts"}' },
+        { type: 'function_call', call_id: 'call_2', name: 'zstack_query', arguments: '{"resource_path":"vm-instances","limit":5}' },
+        { type: 'function_call_output', call_id: 'call_1', output: '{"inventories":[{"uuid":"h1"}]}' },
+        { type: 'function_call_output', call_id: 'call_2', output: '{"inventories":[]}' },
+        { role: 'assistant', content: '共 1 台主机，没有云主机。' }
+      ]);
+    });
+  });
+
+  describe('toGemini', () => {
+    it('结果按调用 ID 对应函数名，连续的工具结果合并为一条 user 消息', () => {
+      expect(MessageFormat.toGemini(OPENAI)).toEqual([
+        { role: 'user', parts: [{ text: '查一下主机和云主机' }] },
+        { role: 'model', parts: [
+          { text: '好的' },
+          { functionCall: { name: 'zstack_query', args: { resource_path: 'hosts' } } },
+          { functionCall: { name: 'zstack_query', args: { resource_path: 'vm-instances', limit: 5 } } }
+        ] },
+        { role: 'user', parts: [
+          { functionResponse: { name: 'zstack_query', response: { inventories: [{ uuid: 'h1' }] } } },
+          { functionResponse: { name: 'zstack_query', response: { inventories: [] } } }
+        ] },
+        { role: 'model', parts: [{ text: '共 1 台主机，没有云主机。' }] }
+      ]);
+    });
+
+    it('Anthropic 格式的历史得到相同结果', () => {
+      expect(MessageFormat.toGemini(ANTHROPIC)).toEqual(MessageFormat.toGemini(OPENAI));
+    });
+
+    it('带回 thought signature，非对象的工具结果包成 result', () => {
+      const contents = MessageFormat.toGemini([
+        { role: 'assistant', content: null, tool_calls: [
+          { id: 'g', function: { name: 'check_job', arguments: '{}' }, extra_content: { google: { thought_signature: 'sig' } } }
+        ] },
+        { role: 'tool', tool_call_id: 'g', content: '[1,2]' },
+        { role: 'tool', tool_call_id: 'missing', content: 'plain text' }
+      ]);
+      expect(contents[0].parts[0]).toEqual({ functionCall: { name: 'check_job', args: {} }, thoughtSignature: 'sig' });
+      expect(contents[1].parts).toEqual([
+        { functionResponse: { name: 'check_job', response: { result: [1, 2] } } },
+        { functionResponse: { name: 'unknown', response: { result: 'plain text' } } }
+      ]);
+    });
+
+    it('空的用户消息不产生内容', () => {
+      expect(MessageFormat.toGemini([{ role: 'user', content: '' }, { role: 'user', content: 'hi' }]))
+        .toEqual([{ role: 'user', parts: [{ text: 'hi' }] }]);
+    });
+  });
+});
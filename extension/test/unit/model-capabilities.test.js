@@ -0,0 +1,72 @@
+// Model Capabilities 单元测试
+import { describe, it, expect } from 'vitest';
+import { ModelCapabilities } from '../../lib/model-capabilities.js';
+
+describe('ModelCapabilities', () => {
+  describe('注册表', () => {
+    it('按最长前缀匹配，未写的字段继承默认值', () => {
+      const caps = ModelCapabilities.builtin('claude-opus-4-5-20251101');
+      expect(caps).toMatchObject({ contextWindow: 200000, maxOutput: 64000, reasoning: true, tools: true, streamTools: true });
+      expect(ModelCapabilities.builtin('claude-3-7-sonnet').maxOutput).toBe(8192);
+      expect(ModelCapabilities.builtin('GLM-4-Long').contextWindow).toBe(1000000);
+    });
+
+    it('未收录的模型使用默认值', () => {
+      expect(ModelCapabilities.builtin('my-private-model')).toEqual(ModelCapabilities.DEFAULTS);
+      expect(ModelCapabilities.builtin(undefined)).toEqual(ModelCapabilities.DEFAULTS);
+    });
+
+    it('本地提供商的默认值优先于按模型名匹配的结果', () => {
+      const caps = ModelCapabilities.builtin('gpt-4o', 'ollama');
+      expect(caps.contextWindow).toBe(16384);
+      expect(caps.parallelTools).toBe(false);
+      expect(caps.vision).toBe(false);
+    });
+
+    it('不支持工具调用的模型', () => {
+      expect(ModelCapabilities.builtin('o1-preview').tools).toBe(false);
+      expect(ModelCapabilities.builtin('deepseek-reasoner').tools).toBe(false);
+      expect(ModelCapabilities.builtin('o1-mini').tools).toBe(false);
+    });
+  });
+
+  describe('用户覆盖', () => {
+    it('覆盖优先，只对同名模型生效', () => {
+      const overrides = { 'proxy-model': { contextWindow: 64000, streamTools: false } };
+      expect(ModelCapabilities.of('proxy-model', overrides)).toMatchObject({ contextWindow: 64000, streamTools: false });
+      expect(ModelCapabilities.of('other-model', overrides).contextWindow).toBe(ModelCapabilities.DEFAULTS.contextWindow);
+      expect(ModelCapabilities.of('gpt-4o', null).contextWindow).toBe(128000);
+    });
+
+    it('丢弃非法字段和值，数值取整', () => {
+      expect(ModelCapabilities.sanitize({
+        contextWindow: 1000.7, maxOutput: -1, tools: 'yes', vision: true, unknown: 1, streamTools: NaN
+      })).toEqual({ contextWindow: 1000, vision: true });
+      expect(ModelCapabilities.sanitize(null)).toEqual({});
+      expect(ModelCapabilities.sanitize('x')).toEqual({});
+    });
+
+    it('diff 只返回与注册表不同的字段', () => {
+      const builtin = ModelCapabilities.builtin('gpt-4o');
+      expect(ModelCapabilities.diff('gpt-4o', builtin)).toBeNull();
+      expect(ModelCapabilities.diff('gpt-4o', { ...builtin, streamTools: false })).toEqual({ streamTools: false });
+      expect(ModelCapabilities.diff('qwen2.5:7b', { contextWindow: 16384 }, 'ollama')).toBeNull();
+    });
+  });
+
+  describe('提供商', () => {
+    it('预置模型和默认模型', () => {
+      expect(ModelCapabilities.modelsOf('deepseek')).toEqual(['deepseek-chat', 'deepseek-reasoner']);
+      expect(ModelCapabilities.modelsOf('nope')).toEqual([]);
+      expect(ModelCapabilities.defaultModel('gemini')).toBe('gemini-2.5-flash');
+      expect(ModelCapabilities.defaultModel('nope')).toBe(ModelCapabilities.PROVIDERS.openai.default);
+    });
+
+    it('区分本地推理服务', () => {
+      expect(ModelCapabilities.isLocal('ollama')).toBe(true);
+      expect(ModelCapabilities.isLocal('vllm')).toBe(true);
+      expect(ModelCapabilities.isLocal('openai')).toBe(false);
+      expect(ModelCapabilities.isLocal(undefined)).toBe(false);
+    });
+  });
+});
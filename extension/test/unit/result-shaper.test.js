@@ -0,0 +1,159 @@
+// Result Shaper 单元测试
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ResultShaper } from '../../lib/result-shaper.js';
+
+const vm = (i) => ({
+  uuid: `vm-${i}`, name: `vm-${i}`, state: 'Running', hostUuid: 'host-1',
+  vmNics: [{ uuid: `nic-${i}`, ip: `10.0.0.${i}`, l3NetworkUuid: 'l3-1', mac: 'fa:16', deviceId: 0 }],
+  allVolumes: [{ uuid: `vol-${i}`, size: 1 }],
+  description: 'd'.repeat(200)
+});
+
+describe('ResultShaper', () => {
+  let shaper;
+
+  beforeEach(() => {
+    shaper = new ResultShaper();
+  });
+
+  describe('shape', () => {
+    it('小结果原样返回', () => {
+      const result = { inventories: [vm(1)] };
+      expect(shaper.shape('query_vms', {}, result, 20000)).toBe(result);
+      expect(shaper.shape('zstack_get', {}, null, 20000)).toBeNull();
+    });
+
+    it('大列表只保留关键字段并注明总数', () => {
+      const items = Array.from({ length: 100 }, (_, i) => vm(i));
+      const page = shaper.shape('zstack_query', { resource_path: 'v1/vm-instances' }, { inventories: items, total: 250 }, 20000);
+      expect(page.resultId).toBe('r1');
+      expect(page.total).toBe(250);
+      expect(page.count).toBe(100);
+      expect(page.offset).toBe(0);
+      expect(page.inventories[0]).toEqual({
+        uuid: 'vm-0', name: 'vm-0', state: 'Running', hostUuid: 'host-1',
+        vmNics: [{ uuid: 'nic-0', ip: '10.0.0.0', l3NetworkUuid: 'l3-1', mac: 'fa:16' }]
+      });
+      expect(page.note).toContain('平台上共 250 条');
+      expect(JSON.stringify(page).length).toBeLessThanOrEqual(20000);
+    });
+
+    it('没有总数时不给出 total，保留列表以外的字段', () => {
+      const items = Array.from({ length: 100 }, (_, i) => vm(i));
+      const page = shaper.shape('zstack_query_all', { resource_path: 'vm-instances' }, { inventories: items, fetched: 100, truncated: true }, 20000);
+      expect(page).not.toHaveProperty('total');
+      expect(page).toMatchObject({ fetched: 100, truncated: true });
+    });
+
+    it('单条 ZQL 结果按列表处理', () => {
+      const items = Array.from({ length: 100 }, (_, i) => vm(i));
+      const page = shaper.shape('zstack_zql', {}, { results: [{ inventories: items, total: 100 }] }, 20000);
+      expect(page.count).toBe(100);
+      expect(page.inventories.length).toBeGreaterThan(0);
+    });
+
+    it('非列表的大结果按字符分页', () => {
+      const result = { inventory: { data: 'x'.repeat(30000) } };
+      const page = shaper.shape('zstack_get', {}, result, 10000);
+      expect(page.totalChars).toBe(JSON.stringify(result).length);
+      expect(page.text).toHaveLength(10000 - ResultShaper.PAGE_OVERHEAD_CHARS);
+      expect(page.nextOffset).toBe(page.text.length);
+    });
+
+    it('翻页结果不再缓存', () => {
+      const result = { inventories: Array.from({ length: 100 }, (_, i) => vm(i)) };
+      expect(shaper.shape('fetch_result_page', {}, result, 1000)).toBe(result);
+    });
+  });
+
+  describe('page', () => {
+    let id;
+    const items = Array.from({ length: 25 }, (_, i) => vm(i));
+
+    beforeEach(() => {
+      id = shaper._store({ kind: 'list', name: 'query_vms', items, total: null, fields: ResultShaper.FIELDS['vm-instances'], extra: {} }, 20000).resultId;
+    });
+
+    it('按 offset 和 limit 连续翻页，不重复也不遗漏', () => {
+      const seen = [];
+      let offset = 0;
+      while (offset !== null) {
+        const page = shaper.page(id, { offset, limit: 7 }, 20000);
+        expect(page.offset).toBe(offset);
+        expect(page.note).toContain(`第 ${offset + 1}-${offset + page.returned} 条`);
+        seen.push(...page.inventories.map(v => v.uuid));
+        offset = page.nextOffset;
+      }
+      expect(seen).toEqual(items.map(v => v.uuid));
+    });
+
+    it('最后一页的 nextOffset 为 null', () => {
+      const page = shaper.page(id, { offset: 20, limit: 5 }, 20000);
+      expect(page.returned).toBe(5);
+      expect(page.nextOffset).toBeNull();
+    });
+
+    it('超出末尾的 offset 返回空页', () => {
+      const page = shaper.page(id, { offset: 100 }, 20000);
+      expect(page.inventories).toEqual([]);
+      expect(page.nextOffset).toBeNull();
+      expect(page.note).toContain('offset=100 之后没有更多数据');
+    });
+
+    it('负数和小数 offset 按整数处理', () => {
+      expect(shaper.page(id, { offset: -3, limit: 1 }, 20000).offset).toBe(0);
+      expect(shaper.page(id, { offset: 2.7, limit: 1 }, 20000).inventories[0].uuid).toBe('vm-2');
+    });
+
+    it('按长度上限切页，下一页从未返回的第一条开始', () => {
+      const first = shaper.page(id, { offset: 0, fields: ['*'] }, 3000);
+      expect(first.returned).toBeLessThan(items.length);
+      expect(first.fields).toBe('all');
+      const second = shaper.page(id, { offset: first.nextOffset, fields: ['*'] }, 3000);
+      expect(second.inventories[0].uuid).toBe(`vm-${first.returned}`);
+    });
+
+    it('可指定返回字段', () => {
+      const page = shaper.page(id, { offset: 0, limit: 1, fields: ['uuid', 'allVolumes.uuid'] }, 20000);
+      expect(page.inventories[0]).toEqual({ uuid: 'vm-0', allVolumes: [{ uuid: 'vol-0' }] });
+    });
+
+    it('单条超出上限时截断为片段', () => {
+      const huge = shaper._store({ kind: 'list', items: [{ data: 'x'.repeat(5000) }], total: null, fields: null, extra: {} }, 20000).resultId;
+      const page = shaper.page(huge, {}, 1500);
+      expect(page.inventories[0]._truncated).toBe(true);
+      expect(page.returned).toBe(1);
+    });
+
+    it('按字符翻页时 offset 连续', () => {
+      const text = 'abcdefghij'.repeat(500);
+      const textId = shaper._store({ kind: 'text', text, name: 'zstack_get' }, 20000).resultId;
+      const a = shaper.page(textId, { offset: 0, limit: 1200 }, 20000);
+      const b = shaper.page(textId, { offset: a.nextOffset, limit: 1200 }, 20000);
+      expect(a.text + b.text).toBe(text.slice(0, 2400));
+      const last = shaper.page(textId, { offset: 4900 }, 20000);
+      expect(last.text).toHaveLength(100);
+      expect(last.nextOffset).toBeNull();
+    });
+
+    it('缓存淘汰或清空后返回结构化错误', () => {
+      for (let i = 0; i < ResultShaper.MAX_CACHED; i++) shaper._store({ kind: 'text', text: 'x' }, 20000);
+      expect(shaper.page(id, {}, 20000)).toMatchObject({ code: 'RESULT_NOT_FOUND' });
+      shaper.clear();
+      expect(shaper.page('r2', {}, 20000)).toMatchObject({ code: 'RESULT_NOT_FOUND' });
+    });
+  });
+
+  describe('project', () => {
+    it('字段表对不上时保留原样', () => {
+      const item = { foo: 1 };
+      expect(ResultShaper.project(item, ['uuid'])).toBe(item);
+      expect(ResultShaper.project('text', ['uuid'])).toBe('text');
+    });
+
+    it('对象字段只保留子字段', () => {
+      expect(ResultShaper.project({ uuid: 'a', owner: { uuid: 'o', name: 'n' } }, ['uuid', 'owner.name']))
+        .toEqual({ uuid: 'a', owner: { name: 'n' } });
+    });
+  });
+});
@@ -0,0 +1,97 @@
+// Snapshot Guard 单元测试
+import { describe, it, expect, vi } from 'vitest';
+import { SnapshotGuard } from '../../lib/snapshot-guard.js';
+
+const VM = 'a1b2c3d4e5f60718293a4b5c6d7e8f90';
+const VOLUME = 'b1b2c3d4e5f60718293a4b5c6d7e8f90';
+
+describe('SnapshotGuard', () => {
+  describe('target', () => {
+    it('重装系统和更换镜像保护云主机的根云盘', () => {
+      expect(SnapshotGuard.target('zstack_action', {
+        resource_path: 'vm-instances', uuid: VM, body: { reimageVmInstance: {} }
+      })).toEqual({ kind: 'vm', uuid: VM, action: 'reimageVmInstance' });
+      expect(SnapshotGuard.target('zstack_action', {
+        resource_path: 'v1/vm-instances', uuid: VM, body: { changeVmImage: { imageUuid: 'x' } }
+      })).toEqual({ kind: 'vm', uuid: VM, action: 'changeVmImage' });
+    });
+
+    it('扩容根云盘和数据云盘保护该云盘', () => {
+      expect(SnapshotGuard.target('zstack_action', {
+        resource_path: 'volumes/resize', uuid: VOLUME, body: { resizeRootVolume: { size: 1 } }
+      })).toEqual({ kind: 'volume', uuid: VOLUME, action: 'resizeRootVolume' });
+      expect(SnapshotGuard.target('zstack_action', {
+        resource_path: 'volumes/data/resize', uuid: VOLUME, body: { resizeDataVolume: { size: 1 } }
+      })).toEqual({ kind: 'volume', uuid: VOLUME, action: 'resizeDataVolume' });
+    });
+
+    it('删除云盘前保护该云盘', () => {
+      expect(SnapshotGuard.target('zstack_delete', { resource_path: 'volumes', uuid: VOLUME }))
+        .toEqual({ kind: 'volume', uuid: VOLUME, action: 'deleteDataVolume' });
+    });
+
+    it('检查请求体中的所有 action，忽略标签字段', () => {
+      expect(SnapshotGuard.target('zstack_action', {
+        resource_path: 'vm-instances', uuid: VM, body: { systemTags: ['x'], reimageVmInstance: {} }
+      })).toEqual({ kind: 'vm', uuid: VM, action: 'reimageVmInstance' });
+      expect(SnapshotGuard.target('zstack_action', {
+        resource_path: 'volumes/resize', uuid: VOLUME, body: { userTags: [], resizeRootVolume: { size: 1 } }
+      })).toEqual({ kind: 'volume', uuid: VOLUME, action: 'resizeRootVolume' });
+    });
+
+    it('execute_api 按 API 名称判断', () => {
+      expect(SnapshotGuard.target('execute_api', { api_name: 'ReimageVmInstance', parameters: { vmInstanceUuid: VM } }))
+        .toEqual({ kind: 'vm', uuid: VM, action: 'reimageVmInstance' });
+      expect(SnapshotGuard.target('execute_api', { api_name: 'APIDeleteDataVolumeMsg', parameters: { uuid: VOLUME } }))
+        .toEqual({ kind: 'volume', uuid: VOLUME, action: 'deleteDataVolume' });
+      expect(SnapshotGuard.target('execute_api', { api_name: 'ResizeDataVolume', parameters: { uuid: VOLUME, size: 1 } }))
+        .toEqual({ kind: 'volume', uuid: VOLUME, action: 'resizeDataVolume' });
+      expect(SnapshotGuard.target('execute_api', { api_name: 'ResizeRootVolume', parameters: {} })).toBeNull();
+      expect(SnapshotGuard.target('execute_api', { api_name: 'StopVmInstance', parameters: { uuid: VM } })).toBeNull();
+    });
+
+    it('其他操作不需要快照', () => {
+      expect(SnapshotGuard.target('zstack_action', {
+        resource_path: 'vm-instances', uuid: VM, body: { stopVmInstance: {} }
+      })).toBeNull();
+      expect(SnapshotGuard.target('zstack_delete', { resource_path: 'vm-instances', uuid: VM })).toBeNull();
+      expect(SnapshotGuard.target('zstack_delete', { resource_path: `volumes/${VOLUME}/vm-instances` })).toBeNull();
+      expect(SnapshotGuard.target('zstack_query', { resource_path: 'volumes' })).toBeNull();
+    });
+  });
+
+  describe('protect', () => {
+    it('云主机先查根云盘再创建快照', async () => {
+      const client = {
+        get: vi.fn(async () => ({ inventory: { rootVolumeUuid: VOLUME } })),
+        createVolumeSnapshot: vi.fn(async () => ({ inventory: { uuid: 'snap-1' } }))
+      };
+      const snapshots = await SnapshotGuard.protect({ kind: 'vm', uuid: VM, action: 'reimageVmInstance' }, client, '重装系统');
+      expect(client.get).toHaveBeenCalledWith('v1/vm-instances', VM);
+      const [volumeUuid, name, description] = client.createVolumeSnapshot.mock.calls[0];
+      expect(volumeUuid).toBe(VOLUME);
+      expect(name).toMatch(/^auto-before-reimageVmInstance-\d{8}-\d{6}$/);
+      expect(description).toContain('重装系统');
+      expect(snapshots).toEqual([{ uuid: 'snap-1', name, volumeUuid: VOLUME }]);
+    });
+
+    it('找不到根云盘时抛出异常且不创建快照', async () => {
+      const client = { get: async () => ({ inventory: {} }), createVolumeSnapshot: vi.fn() };
+      await expect(SnapshotGuard.protect({ kind: 'vm', uuid: VM, action: 'changeVmImage' }, client, ''))
+        .rejects.toThrow('未找到云主机');
+      expect(client.createVolumeSnapshot).not.toHaveBeenCalled();
+    });
+
+    it('快照超时仍未完成时抛出异常，阻止后续变更', async () => {
+      const client = { createVolumeSnapshot: async () => ({ stillRunning: true, jobUuid: 'job-1' }) };
+      await expect(SnapshotGuard.protect({ kind: 'volume', uuid: VOLUME, action: 'deleteDataVolume' }, client, ''))
+        .rejects.toThrow('job-1');
+    });
+
+    it('快照创建失败时异常向上抛出', async () => {
+      const client = { createVolumeSnapshot: async () => { throw new Error('存储空间不足'); } };
+      await expect(SnapshotGuard.protect({ kind: 'volume', uuid: VOLUME, action: 'resizeDataVolume' }, client, ''))
+        .rejects.toThrow('存储空间不足');
+    });
+  });
+});
@@ -0,0 +1,162 @@
+// Text Tool Protocol 单元测试
+import { describe, it, expect } from 'vitest';
+import { TextToolProtocol } from '../../lib/text-tools.js';
+
+const TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'zstack_query',
+      description: '查询资源',
+      parameters: {
+        type: 'object',
+        properties: {
+          resource_path: { type: 'string' },
+          limit: { type: 'integer' },
+          mode: { type: 'string', enum: ['compact', 'full'] },
+          conditions: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['resource_path']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: { name: 'list_workflows', description: '列出工作流', parameters: { type: 'object', properties: {} } }
+  }
+];
+
+const block = (body) => '```action\n' + body + '\n```';
+
+describe('TextToolProtocol', () => {
+  describe('parse', () => {
+    it('解析多个 action 代码块并生成调用 ID', () => {
+      const content = `先查询\n${block('{"tool": "zstack_query", "args": {"resource_path": "hosts"}}')}\n`
+        + block('{"tool": "list_workflows", "args": {}}');
+      expect(TextToolProtocol.parse(content, TOOLS, 'r1')).toEqual([
+        { id: 'r1-0', name: 'zstack_query', args: { resource_path: 'hosts' } },
+        { id: 'r1-1', name: 'list_workflows', args: {} }
+      ]);
+    });
+
+    it('没有 action 代码块时返回空数组', () => {
+      expect(TextToolProtocol.parse('云主机 vm-1 正在运行。', TOOLS)).toEqual([]);
+      expect(TextToolProtocol.parse(null, TOOLS)).toEqual([]);
+      expect(TextToolProtocol.parse('```json\n{"tool": "zstack_query"}\n```', TOOLS)).toEqual([]);
+    });
+
+    it('兼容 <tool_call> 标签和 name/arguments 字段', () => {
+      const content = '<tool_call>{"name": "zstack_query", "arguments": "{\\"resource_path\\": \\"zones\\"}"}</tool_call>';
+      expect(TextToolProtocol.parse(content, TOOLS)).toEqual([
+        { id: 'text-0', name: 'zstack_query', args: { resource_path: 'zones' } }
+      ]);
+    });
+
+    it('修复中文引号和结尾多余的逗号', () => {
+      const [call] = TextToolProtocol.parse(block('{“tool”: “zstack_query”, “args”: {“resource_path”: “hosts”, “limit”: 5,},}'), TOOLS);
+      expect(call).toEqual({ id: 'text-0', name: 'zstack_query', args: { resource_path: 'hosts', limit: 5 } });
+    });
+
+    it('忽略 <think> 中的代码块', () => {
+      const content = `<think>${block('{"tool": "zstack_query", "args": {"resource_path": "vm-instances"}}')}</think>`
+        + block('{"tool": "list_workflows", "args": {}}');
+      expect(TextToolProtocol.parse(content, TOOLS).map(c => c.name)).toEqual(['list_workflows']);
+    });
+
+    describe('格式错误的代码块', () => {
+      it('非法 JSON 返回可修正的错误，不影响其它代码块', () => {
+        const calls = TextToolProtocol.parse(
+          block('{"tool": "zstack_query", "args": {resource_path: hosts}}') + block('{"tool": "list_workflows"}'),
+          TOOLS
+        );
+        expect(calls).toHaveLength(2);
+        expect(calls[0]).toMatchObject({ id: 'text-0', name: 'invalid_action', args: {} });
+        expect(calls[0].parseError).toMatch(/不是合法的 JSON/);
+        expect(calls[1]).toEqual({ id: 'text-1', name: 'list_workflows', args: {} });
+      });
+
+      it('空代码块和缺少 tool 字段', () => {
+        expect(TextToolProtocol.parse(block(''), TOOLS)[0].parseError).toMatch(/不是合法的 JSON/);
+        expect(TextToolProtocol.parse(block('{"args": {}}'), TOOLS)[0].parseError).toBe('action 代码块缺少 tool 字段');
+        expect(TextToolProtocol.parse(block('{"tool": 42}'), TOOLS)[0].parseError).toBe('action 代码块缺少 tool 字段');
+        expect(TextToolProtocol.parse(block('[1, 2]'), TOOLS)[0].parseError).toBe('action 代码块缺少 tool 字段');
+      });
+
+      it('未知工具和参数不符合定义时保留工具名并给出校验错误', () => {
+        const [unknown] = TextToolProtocol.parse(block('{"tool": "drop_database", "args": {}}'), TOOLS);
+        expect(unknown).toMatchObject({ name: 'drop_database', parseError: '未知工具: drop_database' });
+
+        const [bad] = TextToolProtocol.parse(block('{"tool": "zstack_query", "args": {"limit": "ten", "mode": "raw"}}'), TOOLS);
+        expect(bad.name).toBe('zstack_query');
+        expect(bad.parseError).toMatch(/缺少必填参数 resource_path/);
+        expect(bad.parseError).toMatch(/limit 应为 integer/);
+        expect(bad.parseError).toMatch(/mode 只能是/);
+      });
+
+      it('args 为无法解析的字符串时报告类型错误', () => {
+        const [call] = TextToolProtocol.parse(block('{"tool": "zstack_query", "args": "resource_path=hosts"}'), TOOLS);
+        expect(call.parseError).toBe('参数必须是 JSON 对象');
+      });
+
+      it('代码块没有闭合时追加错误', () => {
+        const calls = TextToolProtocol.parse(
+          block('{"tool": "list_workflows", "args": {}}') + '\n```action\n{"tool": "zstack_query", "args": {"resource_',
+          TOOLS
+        );
+        expect(calls).toHaveLength(2);
+        expect(calls[0].name).toBe('list_workflows');
+        expect(calls[1].parseError).toMatch(/没有闭合/);
+      });
+    });
+  });
+
+  describe('extractEmbedded', () => {
+    it('提取 Hermes/Qwen 的 <tool_call> 并保留其余文本', () => {
+      const result = TextToolProtocol.extractEmbedded(
+        '我来查询。\n<tool_call>{"name": "zstack_query", "arguments": {"resource_path": "hosts"}}</tool_call>', TOOLS
+      );
+      expect(result).toEqual({ calls: [{ name: 'zstack_query', args: { resource_path: 'hosts' } }], text: '我来查询。' });
+    });
+
+    it('提取 Mistral 的 [TOOL_CALLS] 列表', () => {
+      const result = TextToolProtocol.extractEmbedded(
+        '[TOOL_CALLS][{"name": "zstack_query", "arguments": {"resource_path": "zones"}}, {"name": "list_workflows", "arguments": {}}]', TOOLS
+      );
+      expect(result.calls.map(c => c.name)).toEqual(['zstack_query', 'list_workflows']);
+      expect(result.text).toBe('');
+    });
+
+    it('整段回复是已知工具的 JSON 时视为工具调用（Llama 3.1）', () => {
+      const result = TextToolProtocol.extractEmbedded('```json\n{"name": "list_workflows", "parameters": {}}\n```', TOOLS);
+      expect(result).toEqual({ calls: [{ name: 'list_workflows', args: {} }], text: '' });
+    });
+
+    it('普通 JSON 回复、未知工具和不完整的内容不当作工具调用', () => {
+      expect(TextToolProtocol.extractEmbedded('{"name": "vm-1", "state": "Running"}', TOOLS)).toBeNull();
+      expect(TextToolProtocol.extractEmbedded('{"name": "drop_database", "arguments": {}}', TOOLS)).toBeNull();
+      expect(TextToolProtocol.extractEmbedded('[TOOL_CALLS][{"name": "zstack_query", "argu', TOOLS)).toBeNull();
+      expect(TextToolProtocol.extractEmbedded('<tool_call>{broken}</tool_call>', TOOLS)).toBeNull();
+    });
+  });
+
+  describe('结果消息', () => {
+    it('formatResults 生成可识别的工具结果消息', () => {
+      const message = TextToolProtocol.formatResults(
+        [{ name: 'zstack_query' }, { name: 'list_workflows' }],
+        ['{"inventories":[]}', undefined]
+      );
+      expect(message.startsWith(TextToolProtocol.RESULT_PREFIX)).toBe(true);
+      expect(message).toContain('{"tool": "zstack_query", "result": {"inventories":[]}}');
+      expect(message).toContain('{"tool": "list_workflows", "result": null}');
+      expect(TextToolProtocol.isResultMessage({ role: 'user', content: message })).toBe(true);
+      expect(TextToolProtocol.isResultMessage({ role: 'assistant', content: message })).toBe(false);
+      expect(TextToolProtocol.isResultMessage({ role: 'user', content: '查询云主机' })).toBe(false);
+    });
+
+    it('prompt 列出工具参数，必填参数带 *', () => {
+      const prompt = TextToolProtocol.prompt(TOOLS);
+      expect(prompt).toContain('- zstack_query(resource_path*: string, limit: integer, mode: compact|full, conditions: string[]) — 查询资源');
+      expect(prompt).toContain('- list_workflows() — 列出工作流');
+    });
+  });
+});
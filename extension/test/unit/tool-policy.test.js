@@ -0,0 +1,126 @@
+// Tool Policy 单元测试
+import { describe, it, expect } from 'vitest';
+import { ToolPolicy, RISK_READ, RISK_MUTATE, RISK_DESTRUCTIVE } from '../../lib/tool-policy.js';
+
+const VM = 'a1b2c3d4e5f60718293a4b5c6d7e8f90';
+
+const action = (body, resourcePath = 'v1/vm-instances') => ['zstack_action', { resource_path: resourcePath, uuid: VM, body }];
+
+describe('ToolPolicy', () => {
+  const policy = new ToolPolicy();
+  const level = (name, args) => policy.classify(name, args).level;
+
+  describe('按工具分级', () => {
+    it('查询和辅助工具为只读', () => {
+      expect(level('zstack_query', { resource_path: 'v1/vm-instances' })).toBe(RISK_READ);
+      expect(level('query_vms', {})).toBe(RISK_READ);
+      expect(level('search_api', { query: 'vm' })).toBe(RISK_READ);
+      expect(level('fetch_result_page', { result_id: 'r1' })).toBe(RISK_READ);
+    });
+
+    it('删除和中断业务的快捷工具为高危', () => {
+      expect(level('zstack_delete', { resource_path: 'v1/vm-instances', uuid: VM })).toBe(RISK_DESTRUCTIVE);
+      expect(level('stop_vm', { uuid: VM })).toBe(RISK_DESTRUCTIVE);
+      expect(level('migrate_vm', { uuid: VM })).toBe(RISK_DESTRUCTIVE);
+    });
+
+    it('创建和普通修改为变更', () => {
+      expect(level('zstack_create', { resource_path: 'v1/vm-instances', body: {} })).toBe(RISK_MUTATE);
+      expect(level('start_vm', { uuid: VM })).toBe(RISK_MUTATE);
+      expect(level('zstack_update', { resource_path: 'v1/vm-instances', uuid: VM, body: { updateVmInstance: { name: 'x' } } })).toBe(RISK_MUTATE);
+    });
+
+    it('未知工具（如 MCP 服务端的其它工具）需要确认', () => {
+      const verdict = policy.classify('mcp_custom_tool', {});
+      expect(verdict.level).toBe(RISK_DESTRUCTIVE);
+      expect(policy.requiresConfirmation(verdict)).toBe(true);
+      expect(level(undefined, {})).toBe(RISK_DESTRUCTIVE);
+    });
+  });
+
+  describe('zstack_action', () => {
+    it('按 action 名称分级', () => {
+      expect(level(...action({ getVmConsoleAddress: {} }))).toBe(RISK_READ);
+      expect(level(...action({ startVmInstance: {} }))).toBe(RISK_MUTATE);
+      expect(level(...action({ destroyVmInstance: {} }))).toBe(RISK_DESTRUCTIVE);
+      expect(level(...action({ changeHostState: { stateEvent: 'maintain' } }, 'v1/hosts'))).toBe(RISK_DESTRUCTIVE);
+      expect(level(...action({ changeHostState: { stateEvent: 'enable' } }, 'v1/hosts'))).toBe(RISK_MUTATE);
+    });
+
+    it('忽略 systemTags / userTags，不能用标签字段掩盖高危 action', () => {
+      const verdict = policy.classify(...action({ systemTags: [], destroyVmInstance: {} }));
+      expect(verdict).toMatchObject({ level: RISK_DESTRUCTIVE, action: 'destroyVmInstance' });
+      expect(level(...action({ userTags: ['a'], systemTags: [], stopVmInstance: {} }))).toBe(RISK_DESTRUCTIVE);
+    });
+
+    it('多个 action 时取风险最高的一个', () => {
+      expect(policy.classify(...action({ checkIpAvailability: {}, destroyVmInstance: {} })))
+        .toMatchObject({ level: RISK_DESTRUCTIVE, action: 'destroyVmInstance' });
+      expect(policy.classify(...action({ getVmQga: {}, startVmInstance: {} })))
+        .toMatchObject({ level: RISK_MUTATE, action: 'startVmInstance' });
+      expect(level(...action({ getVmQga: {}, getVmConsoleAddress: {} }))).toBe(RISK_READ);
+    });
+
+    it('只有标签或请求体为空时按变更处理', () => {
+      expect(level(...action({ systemTags: [] }))).toBe(RISK_MUTATE);
+      expect(level(...action(null))).toBe(RISK_MUTATE);
+    });
+  });
+
+  describe('全局配置', () => {
+    it('zstack_update 和 zstack_action 修改全局配置都需要确认', () => {
+      expect(level('zstack_update', { resource_path: 'v1/global-configurations/vm/cleanTraffic', uuid: '', body: {} })).toBe(RISK_DESTRUCTIVE);
+      expect(policy.classify('zstack_action', {
+        resource_path: 'v1/global-configurations/vm/cleanTraffic/actions', uuid: '', body: { updateGlobalConfig: { value: 'true' } }
+      })).toMatchObject({ level: RISK_DESTRUCTIVE, action: 'updateGlobalConfig' });
+      expect(level('zstack_action', {
+        resource_path: '/v1/resource-configurations/vm/cleanTraffic/actions', uuid: VM, body: { updateResourceConfig: { value: 'true' } }
+      })).toBe(RISK_DESTRUCTIVE);
+    });
+  });
+
+  describe('execute_api', () => {
+    it('按 API 名称分级', () => {
+      expect(level('execute_api', { api_name: 'QueryVmInstance' })).toBe(RISK_READ);
+      expect(level('execute_api', { api_name: 'APIDestroyVmInstance' })).toBe(RISK_DESTRUCTIVE);
+      expect(level('execute_api', { api_name: 'UpdateGlobalConfig' })).toBe(RISK_DESTRUCTIVE);
+      expect(level('execute_api', { api_name: 'CreateVmInstance' })).toBe(RISK_MUTATE);
+    });
+  });
+
+  describe('execute_workflow', () => {
+    const workflows = {
+      readonly: { name: '巡检', steps: [{ id: 's1', action: 'zstack_query', params: { resource_path: 'v1/hosts' } }] },
+      cleanup: {
+        name: '清理',
+        steps: [
+          { id: 's1', action: 'zstack_query', params: { resource_path: 'v1/vm-instances' } },
+          { id: 's2', parallel: [{ id: 'p1', action: 'zstack_action', params: { resource_path: 'v1/vm-instances', body: { systemTags: [], destroyVmInstance: {} } } }] }
+        ]
+      },
+      batch: { name: '批量', steps: [{ id: 's1', loop: '${vms}', action: 'zstack_action', params: { body: { startVmInstance: {} } } }] },
+      mcp: { name: 'MCP', steps: [{ id: 's1', action: 'mcp_call', params: { tool_name: 'unknown_mcp_tool', arguments: {} } }] }
+    };
+    const wfPolicy = new ToolPolicy({ workflowEngine: { get: (id) => workflows[id] } });
+    const wfLevel = (id) => wfPolicy.classify('execute_workflow', { workflow_id: id }).level;
+
+    it('按风险最高的步骤分级', () => {
+      expect(wfLevel('readonly')).toBe(RISK_READ);
+      expect(wfPolicy.classify('execute_workflow', { workflow_id: 'cleanup' }).reason).toContain('p1');
+      expect(wfLevel('cleanup')).toBe(RISK_DESTRUCTIVE);
+    });
+
+    it('循环中的变更步骤和未知的 MCP 工具按高危处理', () => {
+      expect(wfLevel('batch')).toBe(RISK_DESTRUCTIVE);
+      expect(wfLevel('mcp')).toBe(RISK_DESTRUCTIVE);
+    });
+  });
+
+  describe('bodyActions', () => {
+    it('返回去掉标签字段后的 action 名称', () => {
+      expect(ToolPolicy.bodyActions({ systemTags: [], userTags: [], stopVmInstance: {} })).toEqual(['stopVmInstance']);
+      expect(ToolPolicy.bodyActions(null)).toEqual([]);
+      expect(ToolPolicy.bodyActions([{ a: 1 }])).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+// Tool Validator 单元测试
+import { describe, it, expect } from 'vitest';
+import { readdirSync, readFileSync, statSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { ToolValidator } from '../../lib/tool-validator.js';
+
+const UUID = '74db6aa9f4593fddbe914d86510e9244';
+
+const TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'zstack_query',
+      parameters: {
+        type: 'object',
+        properties: {
+          resource_path: { type: 'string' },
+          conditions: { type: 'array', items: { type: 'string' } },
+          limit: { type: 'integer' },
+          mode: { type: 'string', enum: ['compact', 'full'] }
+        },
+        required: ['resource_path']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'zstack_action',
+      parameters: {
+        type: 'object',
+        properties: {
+          resource_path: { type: 'string' },
+          uuid: { type: 'string' },
+          body: { type: 'object', properties: { hostUuid: { type: 'string' } } }
+        },
+        required: ['resource_path', 'uuid', 'body']
+      }
+    }
+  }
+];
+
+const validate = (name, args) => ToolValidator.validate(name, args, TOOLS);
+
+// 开发手册中出现的全部 REST 路径，{uuid} 等占位符替换为真实格式的 UUID
+function documentedPaths() {
+  const root = fileURLToPath(new URL('../../../mcp-server/data/docs/', import.meta.url));
+  const files = [];
+  const walk = (dir) => {
+    for (const name of readdirSync(dir)) {
+      const full = join(dir, name);
+      if (statSync(full).isDirectory()) walk(full);
+      else if (name.endsWith('.md')) files.push(full);
+    }
+  };
+  walk(root);
+  const paths = new Set();
+  for (const file of files) {
+    for (const m of readFileSync(file, 'utf8').matchAll(/\/v1\/([A-Za-z][^\s"'`)\]|,\\]*)/g)) {
+      // 手册中有少量漏写左括号的占位符，如 status/uuid}
+      paths.add(m[1].replace(/\{[^}]*\}|\w*uuid\}/gi, UUID).replace(/[.:;]+$/, ''));
+    }
+  }
+  return [...paths];
+}
+
+describe('ToolValidator', () => {
+  describe('资源路径', () => {
+    it('开发手册中的所有 API 路径都应该通过校验', () => {
+      const paths = documentedPaths();
+      expect(paths.length).toBeGreaterThan(100);
+      const rejected = paths
+        .map(p => [p, validate('zstack_query', { resource_path: p })])
+        .filter(([, error]) => error);
+      expect(rejected).toEqual([]);
+    });
+
+    it('应该接受带 v1/ 前缀、开头斜杠和查询串的路径', () => {
+      expect(validate('zstack_query', { resource_path: 'v1/vm-instances' })).toBeNull();
+      expect(validate('zstack_query', { resource_path: '/v1/vpcfirewalls' })).toBeNull();
+      expect(validate('zstack_query', { resource_path: 'longjobs?q=state=Running' })).toBeNull();
+    });
+
+    it('应该拒绝带主机地址、占位符和空值的路径', () => {
+      expect(validate('zstack_query', { resource_path: 'http://zstack:8080/zstack/v1/hosts' })).toMatch(/格式错误/);
+      expect(validate('zstack_query', { resource_path: `vm-instances/{uuid}` })).toMatch(/格式错误/);
+      expect(validate('zstack_query', { resource_path: 'vm-instances/undefined' })).toMatch(/格式错误/);
+      expect(validate('zstack_query', { resource_path: 'vm instances' })).toMatch(/格式错误/);
+      expect(validate('zstack_query', { resource_path: 'v1/' })).toMatch(/格式错误/);
+      expect(validate('zstack_query', { resource_path: '../hosts' })).toMatch(/格式错误/);
+    });
+  });
+
+  describe('参数结构', () => {
+    it('未知工具和非对象参数应该被拒绝', () => {
+      expect(validate('no_such_tool', {})).toBe('未知工具: no_such_tool');
+      expect(validate('zstack_query', null)).toBe('参数必须是 JSON 对象');
+      expect(validate('zstack_query', ['vm-instances'])).toBe('参数必须是 JSON 对象');
+    });
+
+    it('应该报告缺少的必填参数', () => {
+      const error = validate('zstack_action', { resource_path: 'vm-instances', uuid: UUID, body: {} });
+      expect(error).toBeNull();
+      expect(validate('zstack_action', { resource_path: 'vm-instances', uuid: '' })).toMatch(/缺少必填参数 uuid.*缺少必填参数 body/);
+    });
+
+    it('应该检查类型、枚举和数组元素', () => {
+      expect(validate('zstack_query', { resource_path: 'hosts', limit: 1.5 })).toMatch(/limit 应为 integer，实际为 number/);
+      expect(validate('zstack_query', { resource_path: 'hosts', mode: 'raw' })).toMatch(/mode 只能是 compact \/ full 之一/);
+      expect(validate('zstack_query', { resource_path: 'hosts', conditions: ['state=Enabled', 3] }))
+        .toMatch(/conditions\[1\] 应为 string/);
+    });
+
+    it('应该按参数名检查 UUID 格式，包括嵌套字段', () => {
+      expect(validate('zstack_action', { resource_path: 'vm-instances', uuid: 'vm-1', body: {} })).toMatch(/uuid 不是合法的 UUID/);
+      expect(validate('zstack_action', { resource_path: 'vm-instances', uuid: UUID, body: { hostUuid: 'host-1' } }))
+        .toMatch(/body\.hostUuid 不是合法的 UUID/);
+      expect(validate('zstack_action', {
+        resource_path: 'vm-instances', uuid: '74db6aa9-f459-3fdd-be91-4d86510e9244', body: {}
+      })).toBeNull();
+    });
+  });
+});
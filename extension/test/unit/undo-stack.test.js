@@ -0,0 +1,137 @@
+// Undo Stack 单元测试
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { UndoStack } from '../../lib/undo-stack.js';
+
+const ENDPOINT = 'http://zstack.local:8080';
+const VM = 'a1b2c3d4e5f60718293a4b5c6d7e8f90';
+const VOLUME = 'b1b2c3d4e5f60718293a4b5c6d7e8f90';
+const EIP = 'c1b2c3d4e5f60718293a4b5c6d7e8f90';
+const NIC = 'd1b2c3d4e5f60718293a4b5c6d7e8f90';
+const SG = 'e1b2c3d4e5f60718293a4b5c6d7e8f90';
+
+// 走完 match → prepare → record，返回登记的逆操作
+async function run(stack, name, args, client = {}, result = {}) {
+  const match = UndoStack.match(name, args);
+  if (!match) return null;
+  const before = await stack.prepare(match, client);
+  return stack.record(match, before, result, { detail: name, endpoint: ENDPOINT })?.inverse || null;
+}
+
+describe('UndoStack', () => {
+  let stack;
+
+  beforeEach(() => {
+    stack = new UndoStack();
+  });
+
+  describe('逆操作匹配', () => {
+    it('启停云主机互为逆操作', async () => {
+      expect(await run(stack, 'start_vm', { uuid: VM })).toMatchObject({ op: 'stopVm', args: [VM] });
+      expect(await run(stack, 'zstack_action', {
+        resource_path: 'vm-instances', uuid: VM, body: { stopVmInstance: {} }
+      })).toMatchObject({ op: 'startVm', args: [VM] });
+    });
+
+    it('更改计算规格时记下原规格', async () => {
+      const client = { get: vi.fn(async () => ({ inventory: { instanceOfferingUuid: 'offering-old' } })) };
+      const inverse = await run(stack, 'zstack_action', {
+        resource_path: 'v1/vm-instances', uuid: VM, body: { changeInstanceOffering: { instanceOfferingUuid: 'offering-new' } }
+      }, client);
+      expect(client.get).toHaveBeenCalledWith('v1/vm-instances', VM);
+      expect(inverse).toMatchObject({ op: 'changeInstanceOffering', args: [VM, 'offering-old'] });
+    });
+
+    it('挂载和卸载云盘', async () => {
+      expect(await run(stack, 'zstack_create', { resource_path: `volumes/${VOLUME}/vm-instances/${VM}` }))
+        .toMatchObject({ op: 'detachVolume', args: [VOLUME, VM] });
+
+      const client = { get: async () => ({ inventory: { vmInstanceUuid: VM } }) };
+      expect(await run(stack, 'zstack_delete', { resource_path: `volumes/${VOLUME}/vm-instances` }, client))
+        .toMatchObject({ op: 'attachVolume', args: [VOLUME, VM] });
+    });
+
+    it('绑定和解绑 EIP', async () => {
+      expect(await run(stack, 'zstack_create', { resource_path: `eips/${EIP}/vm-instances/nics/${NIC}` }))
+        .toMatchObject({ op: 'detachEip', args: [EIP] });
+
+      const client = { get: async () => ({ inventory: { vmNicUuid: NIC } }) };
+      expect(await run(stack, 'zstack_delete', { resource_path: `eips/${EIP}/vm-instances/nics` }, client))
+        .toMatchObject({ op: 'attachEip', args: [EIP, NIC] });
+    });
+
+    it('添加安全组规则后只删除新增的规则', async () => {
+      const client = { get: async () => ({ inventory: { rules: [{ uuid: 'r1' }] } }) };
+      const result = { inventory: { rules: [{ uuid: 'r1' }, { uuid: 'r2' }, { uuid: 'r3' }] } };
+      expect(await run(stack, 'zstack_create', { resource_path: `security-groups/${SG}/rules` }, client, result))
+        .toMatchObject({ op: 'deleteSecurityGroupRules', args: [['r2', 'r3']] });
+    });
+
+    it('删除同一安全组的规则后按原规则重新添加', async () => {
+      const rules = [
+        { uuid: 'r1', securityGroupUuid: SG, type: 'Ingress', protocol: 'TCP', startPort: 22, endPort: 22, allowedCidr: '0.0.0.0/0', state: 'Enabled' },
+        { uuid: 'r2', securityGroupUuid: SG, type: 'Ingress', protocol: 'ALL', description: null }
+      ];
+      const client = { querySecurityGroupRules: vi.fn(async () => ({ inventories: rules })) };
+      const inverse = await run(stack, 'zstack_delete', { resource_path: 'security-groups/rules?ruleUuids=r1,r2' }, client);
+      expect(client.querySecurityGroupRules).toHaveBeenCalledWith(['uuid?=r1,r2']);
+      expect(inverse).toMatchObject({
+        op: 'addSecurityGroupRules',
+        args: [SG, [
+          { type: 'Ingress', protocol: 'TCP', startPort: 22, endPort: 22, allowedCidr: '0.0.0.0/0' },
+          { type: 'Ingress', protocol: 'ALL' }
+        ]]
+      });
+    });
+
+    it('跨安全组删除规则不登记撤销', async () => {
+      const client = {
+        querySecurityGroupRules: async () => ({
+          inventories: [{ uuid: 'r1', securityGroupUuid: SG }, { uuid: 'r2', securityGroupUuid: 'other' }]
+        })
+      };
+      expect(await run(stack, 'zstack_delete', { resource_path: 'security-groups/rules?ruleUuids=r1&ruleUuids=r2' }, client)).toBeNull();
+    });
+
+    it('不可逆的操作不匹配', () => {
+      expect(UndoStack.match('zstack_delete', { resource_path: 'vm-instances', uuid: VM })).toBeNull();
+      expect(UndoStack.match('zstack_query', { resource_path: 'vm-instances' })).toBeNull();
+      expect(UndoStack.match('zstack_action', { resource_path: 'vm-instances', uuid: VM, body: { rebootVmInstance: {} } })).toBeNull();
+    });
+
+    it('查询原状态失败时不登记撤销', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const client = { get: async () => { throw new Error('network'); } };
+      expect(await run(stack, 'zstack_delete', { resource_path: `volumes/${VOLUME}/vm-instances` }, client)).toBeNull();
+      expect(stack.entries).toHaveLength(0);
+      warn.mockRestore();
+    });
+  });
+
+  describe('记录管理', () => {
+    it('按环境查找最近一次和指定记录', async () => {
+      const match = UndoStack.match('start_vm', { uuid: VM });
+      const a = stack.record(match, {}, {}, { detail: 'a', endpoint: ENDPOINT });
+      const b = stack.record(match, {}, {}, { detail: 'b', endpoint: 'http://other' });
+      expect(stack.latest(ENDPOINT)).toBe(a);
+      expect(stack.latest('http://other')).toBe(b);
+      expect(stack.find(a.id, 'http://other')).toBeNull();
+      stack.remove(a.id);
+      expect(stack.latest(ENDPOINT)).toBeNull();
+    });
+
+    it('每个环境只保留最近 MAX_ENTRIES 条，并通知侧边栏', () => {
+      const onRecord = vi.fn();
+      stack.onRecord = onRecord;
+      const match = UndoStack.match('start_vm', { uuid: VM });
+      for (let i = 0; i < UndoStack.MAX_ENTRIES + 2; i++) {
+        stack.record(match, {}, {}, { detail: `op-${i}`, endpoint: ENDPOINT });
+      }
+      stack.record(match, {}, {}, { detail: 'other', endpoint: 'http://other' });
+      const own = stack.entries.filter(e => e.endpoint === ENDPOINT);
+      expect(own).toHaveLength(UndoStack.MAX_ENTRIES);
+      expect(own[0].detail).toBe('op-2');
+      expect(stack.latest('http://other').detail).toBe('other');
+      expect(onRecord).toHaveBeenCalledTimes(UndoStack.MAX_ENTRIES + 3);
+    });
+  });
+});
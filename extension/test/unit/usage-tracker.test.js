@@ -0,0 +1,103 @@
+// Usage Tracker 单元测试
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { UsageTracker } from '../../lib/usage-tracker.js';
+
+function fakeStorage(initial = {}) {
+  const data = structuredClone(initial);
+  return {
+    data,
+    get: vi.fn(async (key) => key in data ? { [key]: structuredClone(data[key]) } : {}),
+    set: vi.fn(async (items) => { Object.assign(data, structuredClone(items)); })
+  };
+}
+
+describe('UsageTracker', () => {
+  describe('价格', () => {
+    it('按最长前缀匹配模型价格，忽略大小写', () => {
+      expect(UsageTracker.priceOf('gpt-4o-mini-2024-07-18')).toBe(UsageTracker.PRICES['gpt-4o-mini']);
+      expect(UsageTracker.priceOf('GPT-4o-2024-08-06')).toBe(UsageTracker.PRICES['gpt-4o']);
+      expect(UsageTracker.priceOf('claude-opus-4-5-20251101')).toBe(UsageTracker.PRICES['claude-opus-4-5']);
+      expect(UsageTracker.priceOf('llama3.1:8b')).toBeNull();
+      expect(UsageTracker.priceOf(null)).toBeNull();
+    });
+
+    it('分别按未缓存、命中缓存、写入缓存和输出计费', () => {
+      // claude-sonnet-4：input 3，cacheRead 0.3，cacheWrite 3.75，output 15
+      const cost = UsageTracker.cost({
+        prompt_tokens: 1_000_000, cached_tokens: 400_000, cache_creation_tokens: 100_000, completion_tokens: 200_000
+      }, 'claude-sonnet-4-20250514');
+      expect(cost).toBeCloseTo(0.5 * 3 + 0.4 * 0.3 + 0.1 * 3.75 + 0.2 * 15, 10);
+    });
+
+    it('没有缓存价格时按输入价格计，未收录的模型返回 null', () => {
+      expect(UsageTracker.cost({ prompt_tokens: 1_000_000, cached_tokens: 500_000 }, 'qwen-max')).toBeCloseTo(0.33, 10);
+      expect(UsageTracker.cost({ prompt_tokens: 100 }, 'unknown-model')).toBeNull();
+    });
+
+    it('格式化费用', () => {
+      expect(UsageTracker.formatCost(null)).toBe('未知');
+      expect(UsageTracker.formatCost(0)).toBe('$0');
+      expect(UsageTracker.formatCost(0.00123)).toBe('$0.0012');
+      expect(UsageTracker.formatCost(1.5)).toBe('$1.50');
+    });
+  });
+
+  describe('按天累计', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date(2026, 2, 15, 10, 0, 0));
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('记录今日和本月用量，未收录价格的调用单独计数', async () => {
+      const storage = fakeStorage({
+        usageLedger: {
+          '2026-03-01': { tokens: 100, cost: 1, calls: 1, unpriced: 0 },
+          '2026-02-28': { tokens: 50, cost: 2, calls: 1, unpriced: 0 }
+        }
+      });
+      const tracker = new UsageTracker(storage);
+      const cost = tracker.record({ prompt_tokens: 1_000_000, completion_tokens: 0, total_tokens: 1_000_000 }, 'gpt-4o');
+      expect(cost).toBeCloseTo(2.5, 10);
+      tracker.record({ prompt_tokens: 10, total_tokens: 20 }, 'local-model');
+
+      const summary = await tracker.summary();
+      expect(summary.today).toEqual({ tokens: 1_000_020, cost: 2.5, unpriced: 1 });
+      expect(summary.month.tokens).toBe(1_000_120);
+      expect(summary.month.cost).toBeCloseTo(3.5, 10);
+      expect(storage.data.usageLedger['2026-03-15'].calls).toBe(2);
+    });
+
+    it('并发记录不丢失，超过保留天数的记录被清理', async () => {
+      const storage = fakeStorage({ usageLedger: { '2025-12-01': { tokens: 1, cost: 0, calls: 1, unpriced: 0 } } });
+      const tracker = new UsageTracker(storage);
+      for (let i = 0; i < 5; i++) tracker.record({ total_tokens: 10 }, 'gpt-4o');
+      await tracker.summary();
+      expect(storage.data.usageLedger).toEqual({ '2026-03-15': { tokens: 50, cost: 0, calls: 5, unpriced: 0 } });
+    });
+
+    it('写入失败只打印警告', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const storage = fakeStorage();
+      storage.set.mockRejectedValueOnce(new Error('QUOTA_BYTES'));
+      const tracker = new UsageTracker(storage);
+      tracker.record({ total_tokens: 10 }, 'gpt-4o');
+      await expect(tracker.summary()).resolves.toBeTruthy();
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+  });
+
+  describe('预算', () => {
+    it('达到提醒比例时警告，达到预算时超支，未设置预算时不提醒', () => {
+      expect(UsageTracker.budgetStatus(5, 10)).toBeNull();
+      expect(UsageTracker.budgetStatus(8, 10)).toEqual({ level: 'warn', ratio: 0.8 });
+      expect(UsageTracker.budgetStatus(12, 10)).toEqual({ level: 'over', ratio: 1.2 });
+      expect(UsageTracker.budgetStatus(12, 0)).toBeNull();
+      expect(UsageTracker.budgetStatus(12, undefined)).toBeNull();
+    });
+  });
+});
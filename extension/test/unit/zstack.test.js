@@ -1,5 +1,6 @@
 // ZStack Client 单元测试
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ZStackClient, ZStackError } from '../../lib/zstack.js';
 
 // Mock global crypto for SHA-512
 const mockCrypto = {
@@ -13,12 +14,8 @@ globalThis.crypto = mockCrypto;
 vi.stubGlobal('fetch', vi.fn());
 
 describe('ZStackClient', () => {
-  let ZStackClient;
-  
-  beforeEach(async () => {
+  beforeEach(() => {
     vi.clearAllMocks();
-    // Dynamic import would be needed for ES modules
-    // For now, we'll test the logic inline
   });
 
   describe('配置', () => {
@@ -40,6 +37,83 @@ describe('ZStackClient', () => {
       expect(crypto.subtle).toBeDefined();
       expect(typeof crypto.subtle.digest).toBe('function');
     });
+
+    const jsonOk = (data) => ({ status: 200, ok: true, text: async () => JSON.stringify(data) });
+
+    it('应该按登录方式调用对应的登录 API', async () => {
+      const client = new ZStackClient();
+      client.configure('http://zstack.example.com:8080');
+      global.fetch.mockResolvedValue(jsonOk({ inventory: { uuid: 'session-1' } }));
+
+      await client.login('alice', 'password', { loginType: 'user', accountName: 'tenant-a' });
+      let [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://zstack.example.com:8080/zstack/v1/accounts/users/login');
+      expect(JSON.parse(init.body).logInByUser).toMatchObject({ accountName: 'tenant-a', userName: 'alice' });
+
+      global.fetch.mockClear();
+      await client.login('bob', 'password', { loginType: 'iam2' });
+      [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://zstack.example.com:8080/zstack/v1/iam2/virtual-ids/login');
+      expect(JSON.parse(init.body).logInByIAM2VirtualID).toMatchObject({ name: 'bob' });
+
+      // LDAP 由服务端绑定校验，密码不做 SHA-512
+      global.fetch.mockClear();
+      await client.login('carol', 'plain-password', { loginType: 'ldap' });
+      [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://zstack.example.com:8080/zstack/v1/ldap/login');
+      expect(JSON.parse(init.body).logInByLdap).toEqual({ uid: 'carol', password: 'plain-password' });
+      global.fetch.mockReset();
+    });
+
+    it('登录后应该加载 IAM2 身份（账户、项目、角色）', async () => {
+      const client = new ZStackClient();
+      client.configure('http://zstack.example.com:8080');
+      global.fetch.mockImplementation(async (url) => {
+        if (url.includes('/virtual-ids/login')) return jsonOk({ inventory: { uuid: 'session-1', accountUuid: 'acc-1', userUuid: 'vid-1' } });
+        if (url.includes('/v1/accounts?')) return jsonOk({ inventories: [{ uuid: 'acc-1', name: 'admin', type: 'SystemAdmin' }] });
+        if (url.includes('/v1/iam2/virtual-ids?')) return jsonOk({ inventories: [{ uuid: 'vid-1', name: 'bob', attributes: [{ name: '__ProjectAdmin__' }] }] });
+        if (url.includes('/v1/iam2/projects?')) return jsonOk({ inventories: [{ uuid: 'prj-1', name: 'dev' }] });
+        return { status: 403, ok: false, text: async () => JSON.stringify({ error: { code: 'ID.1002' } }) };
+      });
+
+      await client.login('bob', 'password', { loginType: 'iam2' });
+      global.fetch.mockReset();
+
+      expect(client.identity).toEqual({
+        loginType: 'iam2',
+        loginName: 'bob',
+        account: { uuid: 'acc-1', name: 'admin', type: 'SystemAdmin' },
+        user: null,
+        virtualId: { uuid: 'vid-1', name: 'bob' },
+        projects: [{ uuid: 'prj-1', name: 'dev' }],
+        roles: ['__ProjectAdmin__']
+      });
+    });
+
+    it('进入项目后应该使用项目会话，退出后恢复虚拟 ID 会话', async () => {
+      const client = new ZStackClient();
+      client.configure('http://zstack.example.com:8080');
+      client._loginOptions = { loginType: 'iam2', accountName: null };
+      client.sessionId = 'vid-session';
+      global.fetch.mockResolvedValueOnce(jsonOk({ inventory: { uuid: 'project-session' } }));
+
+      await client.useProject({ uuid: 'prj-1', name: 'dev' });
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://zstack.example.com:8080/zstack/v1/iam2/projects/login');
+      expect(JSON.parse(init.body)).toEqual({ loginIAM2Project: { projectName: 'dev' } });
+      expect(client.sessionId).toBe('project-session');
+      expect(client.project).toEqual({ uuid: 'prj-1', name: 'dev' });
+
+      global.fetch.mockResolvedValueOnce(jsonOk({}));
+      await client.useProject(null);
+      expect(client.sessionId).toBe('vid-session');
+      expect(client.project).toBeNull();
+    });
+
+    it('非 IAM2 登录不能切换项目', async () => {
+      const client = new ZStackClient();
+      await expect(client.useProject({ uuid: 'prj-1', name: 'dev' })).rejects.toBeInstanceOf(ZStackError);
+    });
   });
 
   describe('查询参数构建', () => {
@@ -58,20 +132,247 @@ describe('ZStackClient', () => {
   });
 
   describe('Session 过期检测', () => {
-    it('应该检测 401 错误', () => {
-      const isSessionExpired = (res, data) => {
-        if (res.status === 401 || res.status === 403) return true;
-        const errMsg = (data?.error?.details || data?.error?.description || '').toLowerCase();
-        if (errMsg.includes('session') && (errMsg.includes('expired') || errMsg.includes('invalid'))) return true;
-        if (errMsg.includes('token') && errMsg.includes('invalid')) return true;
-        return false;
+    it('应该按状态码和错误码判断会话过期', () => {
+      expect(ZStackError.fromResponse(401, {}).isSessionExpired).toBe(true);
+      expect(ZStackError.fromResponse(503, { error: { code: 'ID.1001', details: 'session expired' } }).isSessionExpired).toBe(true);
+      expect(ZStackError.fromResponse(400, { error: { code: 'SYS.1000', cause: { code: 'ORG_ZSTACK_IDENTITY_10020' } } }).isSessionExpired).toBe(true);
+      // 错误描述里出现 session/token 字样不代表会话过期
+      expect(ZStackError.fromResponse(400, { error: { code: 'SYS.1007', details: 'invalid token field in body' } }).isSessionExpired).toBe(false);
+      expect(ZStackError.fromResponse(403, { error: { code: 'ID.1002' } }).isSessionExpired).toBe(false);
+    });
+
+    it('会话过期时应该重新登录并重试一次', async () => {
+      const client = new ZStackClient();
+      client._accountName = 'admin';
+      client._passwordHash = 'hashed-password';
+      client.sessionId = 'old-session';
+      client._loginWithHash = vi.fn(async () => { client.sessionId = 'new-session'; });
+      const fn = vi.fn()
+        .mockRejectedValueOnce(ZStackError.fromResponse(401, { error: { code: 'ID.1001' } }))
+        .mockResolvedValueOnce({ ok: true });
+
+      await expect(client._withRetry(fn)).resolves.toEqual({ ok: true });
+      expect(client._loginWithHash).toHaveBeenCalledWith('admin', 'hashed-password');
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    it('未保存密码时应该请用户重新输入', async () => {
+      const client = new ZStackClient();
+      client._accountName = 'admin';
+      client.onReauthRequired = vi.fn(async () => 'password');
+      client._loginWithHash = vi.fn(async () => { client.sessionId = 'new-session'; });
+
+      await expect(client._relogin()).resolves.toBe(true);
+      expect(client.onReauthRequired).toHaveBeenCalledWith('admin');
+      expect(client._loginWithHash).toHaveBeenCalledWith('admin', expect.any(String));
+
+      client.onReauthRequired = vi.fn(async () => null);
+      await expect(client._relogin()).resolves.toBe(false);
+    });
+
+    it('LDAP 重新输入密码时应该使用原文', async () => {
+      const client = new ZStackClient();
+      client._accountName = 'carol';
+      client._loginOptions = { loginType: 'ldap', accountName: null };
+      client.onReauthRequired = vi.fn(async () => 'plain-password');
+      client._loginWithHash = vi.fn(async () => { client.sessionId = 'new-session'; });
+
+      await expect(client._relogin()).resolves.toBe(true);
+      expect(client._loginWithHash).toHaveBeenCalledWith('carol', 'plain-password');
+    });
+
+    it('keepPassword=false 时登录后不应该保存密码', async () => {
+      const client = new ZStackClient();
+      client.configure('http://zstack.example.com:8080');
+      client.keepPassword = false;
+      global.fetch.mockResolvedValueOnce({
+        status: 200, ok: true,
+        text: async () => JSON.stringify({ inventory: { uuid: 'session-1' } })
+      });
+
+      await client.login('admin', 'password');
+      expect(client.sessionId).toBe('session-1');
+      expect(client._passwordHash).toBeNull();
+    });
+
+    it('应该根据登录响应推算过期时间，并在即将过期时提前重连', async () => {
+      const client = new ZStackClient();
+      const expiresAt = client._predictExpiry({ createDate: 'Oct 19, 2026 10:00:00 AM', expiredDate: 'Oct 19, 2026 12:00:00 PM' });
+      expect(expiresAt - Date.now()).toBeGreaterThan(2 * 3600 * 1000 - 1000);
+      expect(client._predictExpiry({})).toBeNull();
+
+      client._accountName = 'admin';
+      client._passwordHash = 'hashed-password';
+      client.sessionExpiresAt = Date.now() + 1000;
+      client._loginWithHash = vi.fn(async () => { client.sessionExpiresAt = Date.now() + 7200000; });
+      const fn = vi.fn().mockResolvedValue({ ok: true });
+
+      await client._withRetry(fn);
+      expect(client._loginWithHash).toHaveBeenCalledTimes(1);
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it('logout 应该删除服务端会话', async () => {
+      const client = new ZStackClient();
+      client.configure('http://zstack.example.com:8080');
+      client.sessionId = 'session-1';
+      client._passwordHash = 'hashed-password';
+      global.fetch.mockResolvedValueOnce({ status: 200, ok: true, text: async () => '{}' });
+
+      await client.logout();
+      expect(global.fetch).toHaveBeenCalledWith(
+        'http://zstack.example.com:8080/zstack/v1/accounts/sessions/session-1',
+        expect.objectContaining({ method: 'DELETE' })
+      );
+      expect(client.isLoggedIn()).toBe(false);
+      expect(client._passwordHash).toBeNull();
+    });
+
+    it('非会话错误不应该触发重新登录', async () => {
+      const client = new ZStackClient();
+      client.login = vi.fn();
+      const fn = vi.fn().mockRejectedValue(new Error('session table is full'));
+
+      await expect(client._withRetry(fn)).rejects.toThrow('session table is full');
+      expect(client.login).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('错误模型 ZStackError', () => {
+    it('应该保留状态码、错误码、描述和 API 路径', async () => {
+      const client = new ZStackClient();
+      const res = {
+        status: 404, ok: false,
+        text: async () => JSON.stringify({ error: { code: 'SYS.1006', description: 'resource not found', details: 'vm[uuid:abc] not found' } })
       };
 
-      expect(isSessionExpired({ status: 401 }, {})).toBe(true);
-      expect(isSessionExpired({ status: 403 }, {})).toBe(true);
-      expect(isSessionExpired({ status: 200 }, { error: { details: 'session expired' } })).toBe(true);
-      expect(isSessionExpired({ status: 200 }, { error: { details: 'invalid token' } })).toBe(true);
-      expect(isSessionExpired({ status: 200 }, {})).toBe(false);
+      const err = await client._handleResponse(res, '/v1/vm-instances/abc').catch(e => e);
+      expect(err).toBeInstanceOf(ZStackError);
+      expect(err.message).toBe('vm[uuid:abc] not found');
+      expect(err.toJSON()).toEqual({
+        error: 'vm[uuid:abc] not found',
+        status: 404,
+        code: 'SYS.1006',
+        description: 'resource not found',
+        details: 'vm[uuid:abc] not found',
+        path: '/v1/vm-instances/abc'
+      });
+    });
+
+    it('异步任务失败时应该带上任务 UUID', async () => {
+      vi.useFakeTimers();
+      const client = new ZStackClient();
+      client.configure('http://zstack.example.com:8080', 'admin', 'password');
+      global.fetch.mockResolvedValueOnce({
+        status: 503, ok: false,
+        text: async () => JSON.stringify({ error: { code: 'SYS.1000', details: 'host is disconnected' } })
+      });
+
+      const pending = client._pollAsyncJob('http://10.0.0.1:8080/zstack/v1/api-jobs/job-uuid-1', 60000, '/v1/vm-instances/abc/actions').catch(e => e);
+      await vi.advanceTimersByTimeAsync(2000);
+      const err = await pending;
+      vi.useRealTimers();
+
+      expect(err).toBeInstanceOf(ZStackError);
+      expect(err.status).toBe(503);
+      expect(err.code).toBe('SYS.1000');
+      expect(err.jobUuid).toBe('job-uuid-1');
+      expect(err.path).toBe('/v1/vm-instances/abc/actions');
+    });
+  });
+
+  describe('异步任务轮询', () => {
+    const jobResponse = (status, data) => ({ status, ok: status < 400, text: async () => (data ? JSON.stringify(data) : '') });
+
+    beforeEach(() => { vi.useFakeTimers(); });
+    afterEach(() => { vi.useRealTimers(); });
+
+    it('本地等待超时时应该返回仍在执行的任务句柄并上报进度', async () => {
+      const client = new ZStackClient();
+      client.configure('http://zstack.example.com:8080');
+      const onProgress = vi.fn();
+      client.setJobContext({ onProgress });
+      global.fetch.mockResolvedValue(jobResponse(202));
+
+      const pending = client._pollAsyncJob('http://10.0.0.1:8080/zstack/v1/api-jobs/job-uuid-2', 20000, '/v1/images');
+      await vi.advanceTimersByTimeAsync(30000);
+      const result = await pending;
+
+      expect(result).toMatchObject({ stillRunning: true, jobUuid: 'job-uuid-2', path: '/v1/images', lastStatus: 202 });
+      expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ jobUuid: 'job-uuid-2', lastStatus: 202, attempt: 1 }));
+      // 间隔逐步放大，20 秒内轮询次数远少于固定 2 秒间隔的 10 次
+      expect(global.fetch.mock.calls.length).toBeLessThan(8);
+    });
+
+    it('停止信号应该中断轮询', async () => {
+      const client = new ZStackClient();
+      client.configure('http://zstack.example.com:8080');
+      const controller = new AbortController();
+      client.setJobContext({ signal: controller.signal });
+      global.fetch.mockResolvedValue(jobResponse(202));
+
+      const pending = client._pollAsyncJob('http://10.0.0.1:8080/zstack/v1/api-jobs/job-uuid-3', 60000).catch(e => e);
+      await vi.advanceTimersByTimeAsync(3000);
+      controller.abort();
+      const err = await pending;
+
+      expect(err.name).toBe('AbortError');
+    });
+
+    it('202 响应应该登记到任务表并在完成时记录结果', async () => {
+      const client = new ZStackClient();
+      client.configure('http://zstack.example.com:8080');
+      client.sessionId = 'session-1';
+      const calls = [];
+      client.jobRegistry = {
+        record: vi.fn(async (job) => calls.push(['record', job.jobUuid])),
+        succeed: vi.fn(async (jobUuid) => calls.push(['succeed', jobUuid]))
+      };
+      global.fetch.mockResolvedValueOnce(jobResponse(200, { inventory: { uuid: 'vm-1' } }));
+      const res = jobResponse(202, { location: 'http://10.0.0.1:8080/zstack/v1/api-jobs/job-uuid-5' });
+
+      const pending = client._handleResponse(res, '/v1/vm-instances');
+      await vi.advanceTimersByTimeAsync(1000);
+      await expect(pending).resolves.toEqual({ inventory: { uuid: 'vm-1' } });
+      await client._registryQueue;
+
+      expect(client.jobRegistry.record).toHaveBeenCalledWith({
+        jobUuid: 'job-uuid-5',
+        jobPath: '/zstack/v1/api-jobs/job-uuid-5',
+        path: '/v1/vm-instances',
+        endpoint: 'http://zstack.example.com:8080',
+        sessionId: 'session-1'
+      });
+      expect(calls).toEqual([['record', 'job-uuid-5'], ['succeed', 'job-uuid-5']]);
+    });
+
+    it('异步 API 结果应该能查到对应的任务 UUID', async () => {
+      const client = new ZStackClient();
+      client.configure('http://zstack.example.com:8080');
+      global.fetch.mockResolvedValueOnce(jobResponse(200, { inventory: { uuid: 'vm-2' } }));
+      const res = jobResponse(202, { location: 'http://10.0.0.1:8080/zstack/v1/api-jobs/job-uuid-6' });
+
+      const pending = client._handleResponse(res, '/v1/vm-instances');
+      await vi.advanceTimersByTimeAsync(1000);
+      const result = await pending;
+
+      expect(client.jobUuidOf(result)).toBe('job-uuid-6');
+      expect(client.jobUuidOf({ inventory: {} })).toBeNull();
+      expect(JSON.stringify(result)).not.toContain('job-uuid-6');
+    });
+
+    it('checkJob 应该区分执行中和已完成', async () => {
+      const client = new ZStackClient();
+      client.configure('http://zstack.example.com:8080');
+      global.fetch
+        .mockResolvedValueOnce(jobResponse(202))
+        .mockResolvedValueOnce(jobResponse(200, { inventory: { uuid: 'img-1' } }));
+
+      await expect(client.checkJob('job-uuid-4')).resolves.toEqual({ jobUuid: 'job-uuid-4', status: 'running', lastStatus: 202 });
+      await expect(client.checkJob('job-uuid-4')).resolves.toEqual({
+        jobUuid: 'job-uuid-4', status: 'succeeded', result: { inventory: { uuid: 'img-1' } }
+      });
+      expect(global.fetch).toHaveBeenCalledWith('http://zstack.example.com:8080/zstack/v1/api-jobs/job-uuid-4', expect.any(Object));
     });
   });
 
@@ -102,5 +403,207 @@ describe('ZStackClient', () => {
       
       expect(inventory.uuid).toBe('test-uuid-456');
     });
+
+    it('撤销用到的逆操作应该请求正确的路径', async () => {
+      fetch.mockResolvedValue({ status: 200, ok: true, text: async () => '{}' });
+      const client = new ZStackClient();
+      client.configure('http://mn:8080');
+      client.sessionId = 'session-1';
+
+      await client.detachVolume('vol-1', 'vm-1');
+      await client.attachEip('eip-1', 'nic-1');
+      await client.deleteSecurityGroupRules(['r1', 'r2']);
+
+      const requests = fetch.mock.calls.map(([url, init]) => `${init.method || 'GET'} ${url}`);
+      expect(requests).toEqual([
+        'DELETE http://mn:8080/zstack/v1/volumes/vol-1/vm-instances?vmUuid=vm-1',
+        'POST http://mn:8080/zstack/v1/eips/eip-1/vm-instances/nics/nic-1',
+        'DELETE http://mn:8080/zstack/v1/security-groups/rules?ruleUuids=r1&ruleUuids=r2'
+      ]);
+    });
+
+    it('变更前快照应该在云盘下创建快照', async () => {
+      fetch.mockResolvedValue({ status: 200, ok: true, text: async () => '{}' });
+      const client = new ZStackClient();
+      client.configure('http://mn:8080');
+      client.sessionId = 'session-1';
+
+      await client.createVolumeSnapshot('vol-1', 'auto-before-resizeRootVolume', '变更前自动快照');
+
+      const [url, init] = fetch.mock.calls[0];
+      expect(`${init.method} ${url}`).toBe('POST http://mn:8080/zstack/v1/volumes/vol-1/volume-snapshots');
+      expect(JSON.parse(init.body)).toEqual({
+        params: { name: 'auto-before-resizeRootVolume', description: '变更前自动快照' }
+      });
+    });
+  });
+
+  describe('只读模式', () => {
+    const jsonResponse = (data) => ({ status: 200, ok: true, text: async () => JSON.stringify(data) });
+
+    const makeClient = () => {
+      const client = new ZStackClient();
+      client.configure('http://mn:8080');
+      client.sessionId = 'session-1';
+      client.readOnly = true;
+      return client;
+    };
+
+    it('应该拒绝创建、修改、删除请求且不发出请求', async () => {
+      const client = makeClient();
+
+      await expect(client.create('v1/vm-instances', { params: {} })).rejects.toMatchObject({ code: 'READ_ONLY' });
+      await expect(client.action('v1/vm-instances', 'vm-1', { stopVmInstance: {} })).rejects.toMatchObject({ code: 'READ_ONLY' });
+      await expect(client.remove('v1/vm-instances', 'vm-1')).rejects.toBeInstanceOf(ZStackError);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('应该放行登录、会话续期、ZQL 和只读 action', async () => {
+      fetch.mockResolvedValue(jsonResponse({ inventory: { uuid: 'session-2' } }));
+      const client = makeClient();
+
+      await client._rawPost('/v1/accounts/login', { logInByAccount: {} });
+      await client._put('/v1/accounts/sessions/session-1/renew', { renewSession: {} });
+      await client.zql('count vminstance');
+      await client._put('/v1/management-nodes/actions', { getVersion: {} });
+
+      expect(fetch).toHaveBeenCalledTimes(4);
+    });
+
+    it('请求体中有任何一个非只读 action 时拒绝，标签字段不算 action', async () => {
+      fetch.mockResolvedValue(jsonResponse({}));
+      const client = makeClient();
+
+      await expect(client._put('/v1/vm-instances/vm-1/actions', { checkIpAvailability: {}, destroyVmInstance: {} }))
+        .rejects.toMatchObject({ code: 'READ_ONLY' });
+      await expect(client._put('/v1/vm-instances/vm-1/actions', { systemTags: [] }))
+        .rejects.toMatchObject({ code: 'READ_ONLY' });
+      await client._put('/v1/vm-instances/vm-1/actions', { systemTags: [], getVmConsoleAddress: {} });
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('只放行本客户端自己会话的续期和注销', async () => {
+      fetch.mockResolvedValue(jsonResponse({}));
+      const client = makeClient();
+
+      await expect(client._put('/v1/accounts/sessions/other-session/renew', { renewSession: {} }))
+        .rejects.toMatchObject({ code: 'READ_ONLY' });
+      await expect(client._delete('/v1/accounts/sessions/other-session')).rejects.toMatchObject({ code: 'READ_ONLY' });
+      await expect(client._put('/v1/accounts/sessions/session-1/other', {})).rejects.toMatchObject({ code: 'READ_ONLY' });
+      await client._delete('/v1/accounts/sessions/session-1');
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('请求限流', () => {
+    const jsonResponse = (data) => ({ status: 200, ok: true, text: async () => JSON.stringify(data) });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('超过并发上限的请求应该排队，并上报排队数', async () => {
+      const pending = [];
+      fetch.mockImplementation(() => new Promise(resolve => pending.push(resolve)));
+      const client = new ZStackClient();
+      client.configure('http://mn:8080', { maxConcurrent: 2, ratePerSecond: 100 });
+      client.sessionId = 'session-1';
+      const changes = [];
+      client.onQueueChange = (stats) => changes.push(stats);
+
+      const requests = [1, 2, 3].map(i => client._get(`/v1/vm-instances/vm-${i}`));
+      await Promise.resolve();
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(changes.at(-1)).toEqual({ endpoint: 'http://mn:8080', active: 2, queued: 1 });
+
+      pending.shift()(jsonResponse({ inventories: [] }));
+      await vi.waitFor(() => expect(fetch).toHaveBeenCalledTimes(3));
+      pending.forEach(resolve => resolve(jsonResponse({ inventories: [] })));
+      await Promise.all(requests);
+      expect(changes.at(-1)).toEqual({ endpoint: 'http://mn:8080', active: 0, queued: 0 });
+    });
+
+    it('超过每秒请求数时应该等待令牌', async () => {
+      vi.useFakeTimers();
+      fetch.mockImplementation(async () => jsonResponse({ inventories: [] }));
+      const client = new ZStackClient();
+      client.configure('http://mn:8080', { maxConcurrent: 10, ratePerSecond: 2 });
+      client.sessionId = 'session-1';
+
+      const requests = [1, 2, 3].map(i => client._get(`/v1/hosts/host-${i}`));
+      await vi.advanceTimersByTimeAsync(0);
+      expect(fetch).toHaveBeenCalledTimes(2);
+
+      await vi.advanceTimersByTimeAsync(500);
+      expect(fetch).toHaveBeenCalledTimes(3);
+      await Promise.all(requests);
+    });
+
+    it('不同环境应该使用各自的限流配置', () => {
+      const client = new ZStackClient();
+      client.configure('http://mn-a:8080', { maxConcurrent: 1 });
+      client.configure('http://mn-b:8080', {});
+
+      expect(client._limiters.get('http://mn-a:8080').maxConcurrent).toBe(1);
+      expect(client._limiters.get('http://mn-b:8080').maxConcurrent).toBe(4);
+    });
+  });
+
+  describe('全量翻页 queryAll', () => {
+    const jsonResponse = (data, status = 200) => ({
+      status, ok: status >= 200 && status < 300,
+      text: async () => JSON.stringify(data)
+    });
+    const makeItems = (from, count) => Array.from({ length: count }, (_, i) => ({ uuid: `vm-${from + i}` }));
+
+    it('应该按 total 翻页直到取完全部记录', async () => {
+      fetch
+        .mockResolvedValueOnce(jsonResponse({ inventories: makeItems(0, 2), total: 5 }))
+        .mockResolvedValueOnce(jsonResponse({ inventories: makeItems(2, 2), total: 5 }))
+        .mockResolvedValueOnce(jsonResponse({ inventories: makeItems(4, 1), total: 5 }));
+      const client = new ZStackClient();
+      client.configure('http://mn:8080');
+
+      const res = await client.queryAll('v1/vm-instances', ['state=Running'], { pageSize: 2 });
+
+      expect(res.total).toBe(5);
+      expect(res.fetched).toBe(5);
+      expect(res.pages).toBe(3);
+      expect(res.truncated).toBe(false);
+      const firstUrl = fetch.mock.calls[0][0];
+      expect(firstUrl).toContain('replyWithCount=true');
+      expect(firstUrl).toContain('q=state%3DRunning');
+      expect(fetch.mock.calls[1][0]).toContain('start=2');
+    });
+
+    it('达到 maxItems 时应该停止并标记 truncated', async () => {
+      fetch
+        .mockResolvedValueOnce(jsonResponse({ inventories: makeItems(0, 2), total: 10 }))
+        .mockResolvedValueOnce(jsonResponse({ inventories: makeItems(2, 1), total: 10 }));
+      const client = new ZStackClient();
+      client.configure('http://mn:8080');
+
+      const res = await client.queryAll('v1/vm-instances', [], { pageSize: 2, maxItems: 3 });
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(fetch.mock.calls[1][0]).toContain('limit=1');
+      expect(res.fetched).toBe(3);
+      expect(res.total).toBe(10);
+      expect(res.truncated).toBe(true);
+    });
+
+    it('没有 total 时应该以不足一页作为结束', async () => {
+      fetch
+        .mockResolvedValueOnce(jsonResponse({ inventories: makeItems(0, 2) }))
+        .mockResolvedValueOnce(jsonResponse({ inventories: [] }));
+      const client = new ZStackClient();
+      client.configure('http://mn:8080');
+
+      const res = await client.queryAll('v1/hosts', [], { pageSize: 2 });
+
+      expect(res.total).toBe(2);
+      expect(res.truncated).toBe(false);
+    });
   });
 });